@@ -0,0 +1,398 @@
+/*
+  Bunker Rooms
+  - Data for the enterable bunker interior: one room per bunker asset (main.js BUNKER_ASSETS slugs),
+    built and upgraded with gathered/crafted materials, each granting a function or passive bonus.
+  - The interior is a fixed grid (layout below) registered as the private 'bunker' zone (zones.js);
+    main.js builds it from the room levels in Game.bunker.rooms when the player steps on the hatch.
+  - Room shape:
+      {
+        slug: 'kitchen-bunker',
+        label: 'Kitchen',
+        summary: 'Cook crops into food that restores stamina',
+        levels: [                          // levels[n - 1] = cost to reach level n
+          { inputs: [{ itemID: 'crafted_wood_plank', qty: 6 }] },   // CraftingSystem input shape
+          ...
+        ],
+        effects(level) -> { ...bonuses }   // merged by bonuses()
+      }
+  - Upgrade costs are recipe-shaped (upgradeRecipe) so CraftingSystem.check/consume can spend them.
+  - Kitchen recipes are ordinary CraftingSystem recipes with `station: 'kitchen'`, `stationLevel` and the
+    'cooking' skill; their outputs are foods listed in `foods` (stamina restored per item).
+
+  Public API (global):
+      BunkerRooms.register(room)
+      BunkerRooms.rooms / list() / get(slug)
+      BunkerRooms.maxLevel(slug)
+      BunkerRooms.upgradeRecipe(slug, toLevel)  -> recipe | null
+      BunkerRooms.bonuses(levels)               -> { planters, gatherTimeMult, staminaMax, foodMult,
+                                                     medRestore, deviceRadius, craftTimeMult }
+      BunkerRooms.layout                        -> { width, height, spawn, exit, rooms: [{ slug, x, y, w, h, door, station }] }
+      BunkerRooms.tileKind(x, y, levels)        -> 'wall' | 'floor' | 'planter' | 'rubble'
+      BunkerRooms.foods                         -> { [itemName]: stamina }
+*/
+
+(function () {
+  const PLANK = "crafted_wood_plank";
+  const INGOT = "crafted_iron_ingot";
+  const WIRE = "crafted_copper_wire";
+  const STONE = ["mineral_granite", "mineral_limestone", "mineral_basalt", "mineral_sandstone", "mineral_slate", "mineral_rock"];
+
+  const rooms = {};
+  const order = [];
+
+  function register(room) {
+    if (!room || !room.slug) throw new Error("register(room): room.slug is required.");
+    if (!Array.isArray(room.levels) || room.levels.length === 0) {
+      throw new Error(`register(room): '${room.slug}' needs at least one level.`);
+    }
+    const r = { summary: "", effects: () => ({}), ...room };
+    if (!rooms[r.slug]) order.push(r.slug);
+    rooms[r.slug] = r;
+    return r;
+  }
+
+  function get(slug) {
+    return rooms[slug] || null;
+  }
+
+  function maxLevel(slug) {
+    const r = rooms[slug];
+    return r ? r.levels.length : 0;
+  }
+
+  function upgradeRecipe(slug, toLevel) {
+    const r = rooms[slug];
+    if (!r || toLevel < 1 || toLevel > r.levels.length) return null;
+    return {
+      id: `bunker_${slug}_${toLevel}`,
+      name: `${r.label} Lv ${toLevel}`,
+      inputs: r.levels[toLevel - 1].inputs.map((i) => ({ qty: 1, ...i })),
+      // consume() names its return value after the output; nothing is produced
+      output: { itemID: slug, qty: 0 },
+      skill: null,
+    };
+  }
+
+  function bonuses(levels = {}) {
+    const out = { planters: 0, gatherTimeMult: 1, staminaMax: 0, foodMult: 1, medRestore: 0, deviceRadius: 0, craftTimeMult: 1 };
+    for (const slug of order) {
+      const level = Math.min(levels[slug] || 0, maxLevel(slug));
+      if (level <= 0) continue;
+      const fx = rooms[slug].effects(level) || {};
+      for (const [k, v] of Object.entries(fx)) {
+        if (k.endsWith("Mult")) out[k] = (out[k] ?? 1) * v;
+        else out[k] = (out[k] || 0) + v;
+      }
+    }
+    return out;
+  }
+
+  register({
+    slug: "hydroponics-garden-bunker",
+    label: "Hydroponics Garden",
+    summary: "Indoor planters that stay watered in any weather",
+    levels: [
+      { inputs: [{ itemID: PLANK, qty: 6 }, { itemID: WIRE, qty: 2 }] },
+      { inputs: [{ itemID: PLANK, qty: 8 }, { itemID: WIRE, qty: 4 }, { itemID: INGOT, qty: 1 }] },
+      { inputs: [{ itemID: INGOT, qty: 3 }, { itemID: WIRE, qty: 6 }] },
+    ],
+    effects: (level) => ({ planters: 4 * level }),
+  });
+  register({
+    slug: "kitchen-bunker",
+    label: "Kitchen",
+    summary: "Cook crops into food that restores stamina",
+    levels: [
+      { inputs: [{ itemID: PLANK, qty: 6 }, { itemID: STONE, qty: 4, label: "Any Stone" }] },
+      { inputs: [{ itemID: INGOT, qty: 2 }, { itemID: STONE, qty: 6, label: "Any Stone" }] },
+    ],
+  });
+  register({
+    slug: "medical-bay-bunker",
+    label: "Medical Bay",
+    summary: "Rest to restore stamina (once every 10 minutes)",
+    levels: [
+      { inputs: [{ itemID: PLANK, qty: 4 }, { itemID: "crafted_petal_tonic", qty: 1 }] },
+      { inputs: [{ itemID: INGOT, qty: 2 }, { itemID: "crafted_petal_tonic", qty: 2 }] },
+      { inputs: [{ itemID: INGOT, qty: 3 }, { itemID: "crafted_petal_tonic", qty: 3 }] },
+    ],
+    effects: (level) => ({ medRestore: 20 * level }),
+  });
+  register({
+    slug: "armory-bunker",
+    label: "Armory",
+    summary: "Better tools: gathering is 10% faster per level",
+    levels: [
+      { inputs: [{ itemID: INGOT, qty: 2 }, { itemID: PLANK, qty: 2 }] },
+      { inputs: [{ itemID: INGOT, qty: 4 }] },
+      { inputs: [{ itemID: INGOT, qty: 6 }, { itemID: WIRE, qty: 2 }] },
+    ],
+    effects: (level) => ({ gatherTimeMult: 1 - 0.1 * level }),
+  });
+  register({
+    slug: "bedroom-bunker",
+    label: "Bedroom",
+    summary: "+10 maximum stamina per level",
+    levels: [
+      { inputs: [{ itemID: PLANK, qty: 8 }] },
+      { inputs: [{ itemID: PLANK, qty: 12 }, { itemID: INGOT, qty: 1 }] },
+    ],
+    effects: (level) => ({ staminaMax: 10 * level }),
+  });
+  register({
+    slug: "pantry-bunker",
+    label: "Pantry",
+    summary: "Food restores 25% more stamina per level",
+    levels: [
+      { inputs: [{ itemID: PLANK, qty: 6 }] },
+      { inputs: [{ itemID: PLANK, qty: 6 }, { itemID: STONE, qty: 6, label: "Any Stone" }] },
+    ],
+    effects: (level) => ({ foodMult: 1 + 0.25 * level }),
+  });
+  register({
+    slug: "control-room-bunker",
+    label: "Control Room",
+    summary: "Farm devices reach one tile further per level",
+    levels: [
+      { inputs: [{ itemID: WIRE, qty: 6 }, { itemID: INGOT, qty: 2 }] },
+      { inputs: [{ itemID: WIRE, qty: 10 }, { itemID: INGOT, qty: 4 }] },
+    ],
+    effects: (level) => ({ deviceRadius: level }),
+  });
+  register({
+    slug: "workshop-crafting-room-bunker",
+    label: "Workshop",
+    summary: "Unlocks crafting; higher levels craft 20% faster",
+    levels: [
+      { inputs: [{ itemID: STONE, qty: 4, label: "Any Stone" }] },
+      { inputs: [{ itemID: PLANK, qty: 6 }, { itemID: INGOT, qty: 2 }] },
+      { inputs: [{ itemID: INGOT, qty: 4 }, { itemID: WIRE, qty: 4 }] },
+    ],
+    effects: (level) => ({ craftTimeMult: 1 - 0.2 * (level - 1) }),
+  });
+
+  // ----- Interior layout -----
+  // Two rows of four 6x6 rooms around a central corridor (y = 8). Doors open onto the corridor;
+  // unbuilt rooms are filled with rubble and their door holds a blueprint station.
+  const ROOM_W = 6;
+  const ROOM_H = 6;
+  const CORRIDOR_Y = 8;
+  const layout = { width: 29, height: 17, spawn: { x: 2, y: CORRIDOR_Y }, exit: { x: 1, y: CORRIDOR_Y }, rooms: [] };
+  order.forEach((slug, i) => {
+    const col = i % 4;
+    const top = i < 4;
+    const x = 1 + col * (ROOM_W + 1);
+    const y = top ? 1 : CORRIDOR_Y + 2;
+    const doorX = x + Math.floor(ROOM_W / 2);
+    layout.rooms.push({
+      slug,
+      x,
+      y,
+      w: ROOM_W,
+      h: ROOM_H,
+      door: { x: doorX, y: top ? CORRIDOR_Y - 1 : CORRIDOR_Y + 1 },
+      // Built stations stand against the far wall, facing the door
+      station: { x: doorX, y: top ? y : y + ROOM_H - 1 },
+    });
+  });
+
+  function roomAt(x, y) {
+    return layout.rooms.find((r) => x >= r.x && y >= r.y && x < r.x + r.w && y < r.y + r.h) || null;
+  }
+
+  // Planter tiles fill every other row from the door inwards, skipping the door column (the walkway)
+  function planterSlots(room) {
+    const out = [];
+    const rows = room.y < CORRIDOR_Y ? [room.y + ROOM_H - 1, room.y + ROOM_H - 3, room.y + ROOM_H - 5] : [room.y, room.y + 2, room.y + 4];
+    for (const y of rows) {
+      for (let x = room.x; x < room.x + room.w; x++) {
+        if (x !== room.door.x) out.push({ x, y });
+      }
+    }
+    return out;
+  }
+
+  function tileKind(x, y, levels = {}) {
+    if (x <= 0 || y <= 0 || x >= layout.width - 1 || y >= layout.height - 1) return "wall";
+    if (y === CORRIDOR_Y) return "floor";
+    const door = layout.rooms.find((r) => r.door.x === x && r.door.y === y);
+    if (door) return "floor";
+    const room = roomAt(x, y);
+    if (!room) return "wall";
+    const level = levels[room.slug] || 0;
+    if (level <= 0) return "rubble";
+    if (room.slug === "hydroponics-garden-bunker") {
+      const n = rooms[room.slug].effects(level).planters;
+      if (planterSlots(room).slice(0, n).some((p) => p.x === x && p.y === y)) return "planter";
+    }
+    return "floor";
+  }
+
+  // The interior as a private zone (zones.js); ctx.rooms holds the player's room levels
+  if (typeof window !== "undefined" && window.Zones) {
+    window.Zones.register({
+      id: "bunker",
+      label: "Bunker",
+      width: layout.width,
+      height: layout.height,
+      spawn: layout.spawn,
+      shared: false,
+      outdoors: false,
+      persistDecor: false,
+      portals: [{ x: layout.exit.x, y: layout.exit.y, to: "overworld", back: true }],
+      generate(rng, ctx = {}) {
+        const levels = ctx.rooms || {};
+        const tiles = [];
+        for (let y = 0; y < layout.height; y++) {
+          const row = [];
+          for (let x = 0; x < layout.width; x++) row.push(tileKind(x, y, levels));
+          tiles.push(row);
+        }
+        const decor = [{ x: layout.exit.x, y: layout.exit.y, type: "bunker_exit" }];
+        for (const r of layout.rooms) {
+          const built = (levels[r.slug] || 0) > 0;
+          // Unbuilt rooms show a blueprint on their doorway; built ones a station at the far wall
+          const at = built ? r.station : r.door;
+          decor.push({ x: at.x, y: at.y, type: "bunker_station", room: r.slug, built });
+        }
+        return { tiles, decor };
+      },
+    });
+  }
+
+  // ----- Kitchen -----
+  const foods = {
+    Bread: 15,
+    "Tomato Soup": 20,
+    "Vegetable Stew": 30,
+    "Harvest Feast": 60,
+  };
+
+  if (typeof window !== "undefined" && window.CraftingSystem) {
+    const cook = (recipe) => window.CraftingSystem.register({ station: "kitchen", stationLevel: 1, skill: { key: "cooking", level: 1 }, ...recipe });
+    cook({
+      id: "bread",
+      name: "Bread",
+      inputs: [{ itemID: "crop_wheat", qty: 3 }],
+      output: { itemID: "crafted_bread", qty: 1 },
+      craftMs: 5000,
+    });
+    cook({
+      id: "tomato_soup",
+      name: "Tomato Soup",
+      inputs: [{ itemID: "crop_tomato", qty: 3 }],
+      output: { itemID: "crafted_tomato_soup", qty: 1 },
+      craftMs: 6000,
+    });
+    cook({
+      id: "vegetable_stew",
+      name: "Vegetable Stew",
+      inputs: [
+        { itemID: "crop_turnip", qty: 2 },
+        { itemID: "crop_corn", qty: 1 },
+      ],
+      output: { itemID: "crafted_vegetable_stew", qty: 1 },
+      craftMs: 8000,
+    });
+    cook({
+      id: "harvest_feast",
+      name: "Harvest Feast",
+      inputs: [
+        { itemID: "crafted_bread", qty: 1 },
+        { itemID: "crop_tomato", qty: 2 },
+        { itemID: "crop_corn", qty: 2 },
+      ],
+      output: { itemID: "crafted_harvest_feast", qty: 1 },
+      craftMs: 12000,
+      stationLevel: 2,
+      skill: { key: "cooking", level: 2 },
+    });
+  }
+
+  // Interior decor draws through the Customization registry like farm devices
+  const ROOM_ICONS = {
+    "hydroponics-garden-bunker": "🌱",
+    "kitchen-bunker": "🍲",
+    "medical-bay-bunker": "⛑️",
+    "armory-bunker": "🛠️",
+    "bedroom-bunker": "🛏️",
+    "pantry-bunker": "🥫",
+    "control-room-bunker": "📡",
+    "workshop-crafting-room-bunker": "⚙️",
+  };
+  if (typeof window !== "undefined" && window.Customization && window.Customization.additionalDecorations) {
+    window.Customization.additionalDecorations.bunker_station = {
+      walkable: false,
+      canInteract: true,
+      displayName: "Bunker Room",
+      draw(ctx, px, py, tileSize, d) {
+        const built = d && d.built;
+        ctx.fillStyle = built ? "#4b5563" : "rgba(210,184,76,0.25)";
+        ctx.fillRect(px + 4, py + 6, tileSize - 8, tileSize - 10);
+        ctx.strokeStyle = built ? "#9aa4b1" : "#d2b84c";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(px + 4, py + 6, tileSize - 8, tileSize - 10);
+        ctx.font = `${Math.floor(tileSize * 0.5)}px sans-serif`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(built ? ROOM_ICONS[d.room] || "?" : "🔨", px + tileSize / 2, py + tileSize / 2 + 1);
+        ctx.textAlign = "start";
+        ctx.textBaseline = "alphabetic";
+      },
+    };
+    // Hatch in the overworld and the ladder back up; both are stepped on, not interacted with
+    const hatch = (ctx, px, py, tileSize, up) => {
+      ctx.fillStyle = "#2b2f36";
+      ctx.fillRect(px + 3, py + 3, tileSize - 6, tileSize - 6);
+      ctx.strokeStyle = "#d2b84c";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(px + 3, py + 3, tileSize - 6, tileSize - 6);
+      ctx.strokeStyle = "#8b8f97";
+      ctx.beginPath();
+      for (let i = 8; i < tileSize - 6; i += 6) {
+        ctx.moveTo(px + 8, py + i);
+        ctx.lineTo(px + tileSize - 8, py + i);
+      }
+      ctx.stroke();
+      ctx.fillStyle = "#d2b84c";
+      ctx.font = `${Math.floor(tileSize * 0.4)}px sans-serif`;
+      ctx.textAlign = "center";
+      ctx.fillText(up ? "▲" : "▼", px + tileSize / 2, py + tileSize - 6);
+      ctx.textAlign = "start";
+    };
+    window.Customization.additionalDecorations.bunker_hatch = {
+      walkable: true,
+      canInteract: false,
+      displayName: "Bunker Hatch",
+      draw: (ctx, px, py, tileSize) => hatch(ctx, px, py, tileSize, false),
+    };
+    window.Customization.additionalDecorations.bunker_exit = {
+      walkable: true,
+      canInteract: false,
+      displayName: "Ladder Up",
+      draw: (ctx, px, py, tileSize) => hatch(ctx, px, py, tileSize, true),
+    };
+  }
+
+  const BunkerRooms = {
+    rooms,
+    list() {
+      return order.map((slug) => rooms[slug]);
+    },
+    get,
+    register,
+    maxLevel,
+    upgradeRecipe,
+    bonuses,
+    layout,
+    tileKind,
+    foods,
+  };
+
+  if (typeof window !== "undefined") {
+    window.BunkerRooms = BunkerRooms;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { BunkerRooms };
+  }
+})();
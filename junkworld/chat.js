@@ -0,0 +1,147 @@
+/*
+  Chat
+  - Message rules shared by the chat panel and speech bubbles: modes, length, the local radius, the
+    sender-side rate limit (createLimiter, so players hear "slow down" before chat_post refuses them)
+    and a chain of text filters (the profanity filter hook).
+  - Transport lives in main.js: every message is stored by the chat_post RPC (chat_messages), which
+    enforces length and rate per sender and records the sender's id and username. Players receive the
+    stored rows over realtime and read them back as history, so nothing reaches them that the server
+    did not accept. Local messages are shown to players within LOCAL_RADIUS tiles of the speaker, and
+    only shared zones have a local channel (a private zone's local talk stays in the speaker's log).
+  - Filters run in order on sent and received text. A filter returns the (possibly masked) text, or
+    null to drop the message. The built-in filter masks a short word list; add stricter ones with
+    addFilter() or replace it with removeFilter(Chat.maskProfanity).
+  - Message: { id?, uid, username, mode: 'local' | 'global' | 'system', zone, x, y, body, ts }
+
+  Public API (global):
+      Chat.MODES                            -> ['local', 'global']
+      Chat.MAX_LENGTH / Chat.LOCAL_RADIUS
+      Chat.clean(text)                      -> string | null  (trimmed and filtered; null = nothing to show)
+      Chat.addFilter(fn) / removeFilter(fn)  fn(text) -> string | null
+      Chat.maskProfanity(text)              -> text with listed words masked (the default filter)
+      Chat.channelFor(mode, zone)           -> history channel: 'global' | 'local:<zone>'
+      Chat.inRange(from, to, radius?)       -> boolean  ({ x, y } tiles, square radius)
+      Chat.createLimiter({ burst?, refillMs? }) -> { take(now?) -> boolean, retryIn(now?) -> ms }
+      Chat.createHistory(limit)             -> { add(msg) -> boolean, list(), clear() }
+*/
+
+(function () {
+  const MODES = ["local", "global"];
+  const MAX_LENGTH = 200;   // matches chat_messages' body check
+  const LOCAL_RADIUS = 12;  // tiles
+
+  // Kept short on purpose: games plug their own lists in through addFilter()
+  const PROFANITY = ["fuck", "shit", "cunt", "bitch", "asshole", "bastard"];
+  const PROFANITY_RE = new RegExp(`\\b(${PROFANITY.join("|")})(s|es|ed|er|ers|ing|y)?\\b`, "gi");
+
+  function maskProfanity(text) {
+    return text.replace(PROFANITY_RE, (w) => w[0] + "*".repeat(w.length - 1));
+  }
+
+  const filters = [maskProfanity];
+
+  function addFilter(fn) {
+    if (typeof fn !== "function") throw new Error("addFilter(fn): fn must be a function.");
+    if (!filters.includes(fn)) filters.push(fn);
+  }
+
+  function removeFilter(fn) {
+    const i = filters.indexOf(fn);
+    if (i >= 0) filters.splice(i, 1);
+  }
+
+  function clean(text) {
+    let out = String(text == null ? "" : text)
+      .replace(/[\u0000-\u001f\u007f]/g, " ")
+      .trim()
+      .slice(0, MAX_LENGTH);
+    for (const fn of filters) {
+      if (!out) return null;
+      out = fn(out);
+      if (out == null) return null;
+      out = String(out).trim();
+    }
+    return out || null;
+  }
+
+  function channelFor(mode, zone) {
+    return mode === "global" ? "global" : `local:${zone}`;
+  }
+
+  function inRange(from, to, radius = LOCAL_RADIUS) {
+    if (!from || !to) return false;
+    return Math.max(Math.abs(from.x - to.x), Math.abs(from.y - to.y)) <= radius;
+  }
+
+  // Token bucket: `burst` messages at once, then one more every `refillMs`
+  function createLimiter({ burst = 4, refillMs = 2000 } = {}) {
+    let tokens = burst;
+    let last = 0;
+    function refill(now) {
+      if (last) tokens = Math.min(burst, tokens + (now - last) / refillMs);
+      last = now;
+    }
+    return {
+      take(now = Date.now()) {
+        refill(now);
+        if (tokens < 1) return false;
+        tokens -= 1;
+        return true;
+      },
+      retryIn(now = Date.now()) {
+        refill(now);
+        return tokens >= 1 ? 0 : Math.ceil((1 - tokens) * refillMs);
+      },
+    };
+  }
+
+  // Newest `limit` messages in timestamp order; messages with a known id are kept once
+  function createHistory(limit = 100) {
+    let items = [];
+    const ids = new Set();
+    return {
+      add(msg) {
+        if (!msg) return false;
+        if (msg.id != null) {
+          if (ids.has(msg.id)) return false;
+          ids.add(msg.id);
+        }
+        let i = items.length;
+        while (i > 0 && (items[i - 1].ts || 0) > (msg.ts || 0)) i--;
+        items.splice(i, 0, msg);
+        if (items.length > limit) {
+          for (const old of items.splice(0, items.length - limit)) ids.delete(old.id);
+        }
+        return true;
+      },
+      list() {
+        return items.slice();
+      },
+      clear() {
+        items = [];
+        ids.clear();
+      },
+    };
+  }
+
+  const Chat = {
+    MODES,
+    MAX_LENGTH,
+    LOCAL_RADIUS,
+    clean,
+    addFilter,
+    removeFilter,
+    maskProfanity,
+    channelFor,
+    inRange,
+    createLimiter,
+    createHistory,
+  };
+
+  if (typeof window !== "undefined") {
+    window.Chat = Chat;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { Chat };
+  }
+})();
@@ -0,0 +1,305 @@
+/*
+  Crafting System
+  - Recipe registry built on ItemList ids (itemlist.js) and gathered identity stacks (Game.inv.gitems).
+  - Inventory identity keys use the format `${name}__${rarity}__${quality}`.
+  - Recipe shape:
+      {
+        id: 'iron_ingot',
+        name: 'Iron Ingot',
+        inputs: [
+          // itemID may be a single id or a list of accepted ids (any wood, any petals, ...);
+          // label names such a list in the UI when 'Any <last word>' doesn't fit
+          { itemID: 'mineral_iron_ore', qty: 2, minRarity?: 'Uncommon', minQuality?: 'Normal', label?: 'Any Stone' },
+        ],
+        output: { itemID: 'crafted_iron_ingot', qty: 1 },
+        craftMs: 6000,
+        skill: { key: 'crafting', level: 2 },
+      }
+
+  Public API (global):
+      CraftingSystem.register(recipe)
+      CraftingSystem.list()
+      CraftingSystem.get(id)
+      CraftingSystem.check(recipeOrId, gitems, skills) -> { ok, reason, missing: [{ input, have }] }
+      CraftingSystem.consume(recipeOrId, gitems)      -> { key, name, rarity, quality, qty }  (mutates gitems)
+
+  Conventions:
+  - Stacks are consumed lowest rarity/quality first so better items are kept.
+  - The output inherits the lowest rarity and quality among the consumed stacks.
+  - Stacks with 'Unknown' rarity/quality (legacy saves, seeds) only satisfy inputs without a minimum.
+*/
+
+(function () {
+  function ensureDeps() {
+    if (typeof window === "undefined") return;
+    if (!window.ItemList) {
+      throw new Error("CraftingSystem requires ItemList (itemlist.js) to be loaded first.");
+    }
+    if (!window.ItemSystem) {
+      throw new Error("CraftingSystem requires ItemSystem (item.js) to be loaded first.");
+    }
+  }
+
+  // Ascending tiers. ItemSystem lists rarities rarest-first, so reverse them.
+  function rarityOrder() {
+    return window.ItemSystem.rarities.slice().reverse();
+  }
+  function qualityOrder() {
+    return window.ItemSystem.qualities.slice();
+  }
+  function rankOf(order, name) {
+    return order.indexOf(String(name || ""));
+  }
+
+  function parseKey(key) {
+    const parts = String(key).split("__");
+    return { name: parts[0] || key, rarity: parts[1] || "Unknown", quality: parts[2] || "Unknown" };
+  }
+
+  function makeKey(name, rarity, quality) {
+    return `${name}__${rarity}__${quality}`;
+  }
+
+  const recipes = [];
+  const byId = {};
+
+  function register(recipe) {
+    if (!recipe || !recipe.id) throw new Error("register(recipe): recipe.id is required.");
+    if (!Array.isArray(recipe.inputs) || recipe.inputs.length === 0) {
+      throw new Error(`register(recipe): '${recipe.id}' needs at least one input.`);
+    }
+    if (!recipe.output || !recipe.output.itemID) {
+      throw new Error(`register(recipe): '${recipe.id}' needs an output itemID.`);
+    }
+    const r = {
+      name: recipe.name || recipe.id,
+      craftMs: 3000,
+      skill: null,
+      ...recipe,
+      output: { qty: 1, ...recipe.output },
+      inputs: recipe.inputs.map((i) => ({ qty: 1, ...i })),
+    };
+    if (byId[r.id]) {
+      recipes[recipes.indexOf(byId[r.id])] = r;
+    } else {
+      recipes.push(r);
+    }
+    byId[r.id] = r;
+    return r;
+  }
+
+  function resolve(recipeOrId) {
+    const r = typeof recipeOrId === "string" ? byId[recipeOrId] : recipeOrId;
+    if (!r) throw new Error(`Unknown recipe '${recipeOrId}'.`);
+    return r;
+  }
+
+  function acceptedIds(input) {
+    return Array.isArray(input.itemID) ? input.itemID : [input.itemID];
+  }
+
+  // Stacks in gitems that satisfy an input, lowest tier first
+  function eligibleStacks(input, gitems) {
+    const ids = acceptedIds(input);
+    const rOrder = rarityOrder();
+    const qOrder = qualityOrder();
+    const minR = input.minRarity ? rankOf(rOrder, input.minRarity) : -1;
+    const minQ = input.minQuality ? rankOf(qOrder, input.minQuality) : -1;
+
+    const out = [];
+    for (const [key, count] of Object.entries(gitems || {})) {
+      if (!count || count <= 0) continue;
+      const id = parseKey(key);
+      const tuple = window.ItemList.findAnyByName(id.name);
+      if (!tuple || !ids.includes(tuple[0])) continue;
+      const r = rankOf(rOrder, id.rarity);
+      const q = rankOf(qOrder, id.quality);
+      if (r < minR || q < minQ) continue;
+      out.push({ key, count, rarity: id.rarity, quality: id.quality, r, q });
+    }
+    out.sort((a, b) => (a.r - b.r) || (a.q - b.q));
+    return out;
+  }
+
+  function check(recipeOrId, gitems, skills) {
+    ensureDeps();
+    const recipe = resolve(recipeOrId);
+    const result = { ok: true, reason: "", missing: [] };
+
+    if (recipe.skill) {
+      const s = skills && skills[recipe.skill.key];
+      const level = (s && s.level) || 1;
+      if (level < (recipe.skill.level || 1)) {
+        result.ok = false;
+        result.reason = `Requires ${recipe.skill.key} Lv ${recipe.skill.level}`;
+      }
+    }
+
+    // Inputs may overlap (two inputs accepting the same id), so count against a scratch copy
+    const scratch = { ...(gitems || {}) };
+    for (const input of recipe.inputs) {
+      let need = input.qty;
+      let have = 0;
+      for (const st of eligibleStacks(input, scratch)) {
+        const take = Math.min(need, scratch[st.key]);
+        scratch[st.key] -= take;
+        need -= take;
+        have += take;
+        if (need <= 0) break;
+      }
+      if (need > 0) {
+        result.ok = false;
+        result.missing.push({ input, have });
+      }
+    }
+    if (!result.reason && result.missing.length > 0) result.reason = "Missing materials";
+    return result;
+  }
+
+  function consume(recipeOrId, gitems) {
+    ensureDeps();
+    const recipe = resolve(recipeOrId);
+    const chk = check(recipe, gitems, null);
+    if (chk.missing.length > 0) throw new Error(`consume(): missing materials for '${recipe.id}'.`);
+
+    const rOrder = rarityOrder();
+    const qOrder = qualityOrder();
+    let lowR = null;
+    let lowQ = null;
+
+    for (const input of recipe.inputs) {
+      let need = input.qty;
+      for (const st of eligibleStacks(input, gitems)) {
+        const take = Math.min(need, gitems[st.key]);
+        gitems[st.key] -= take;
+        need -= take;
+        if (lowR === null || st.r < rankOf(rOrder, lowR)) lowR = st.rarity;
+        if (lowQ === null || st.q < rankOf(qOrder, lowQ)) lowQ = st.quality;
+        if (need <= 0) break;
+      }
+    }
+
+    const tuple = window.ItemList.findById(recipe.output.itemID);
+    const name = tuple ? tuple[1] : recipe.output.itemID;
+    // Unknown inputs (rank -1) fall back to the base tier rather than propagating 'Unknown'
+    const rarity = lowR && rankOf(rOrder, lowR) >= 0 ? lowR : rOrder[0];
+    const quality = lowQ && rankOf(qOrder, lowQ) >= 0 ? lowQ : qOrder[0];
+    return { key: makeKey(name, rarity, quality), name, rarity, quality, qty: recipe.output.qty };
+  }
+
+  // Default recipes (edit/add freely; ids reference itemlist.js)
+  const WOODS = ["Birch", "Maple", "Oak", "Pine", "Willow", "Jacaranda"].map((n) => `tree_wood_${n.toLowerCase()}_wood`);
+  const PETALS = ["Daisy", "Lotus", "Orchid", "Rose", "Sunflower", "Tulip"].map((n) => `flower_petals_${n.toLowerCase()}_petals`);
+
+  register({
+    id: "wood_plank",
+    name: "Wood Plank",
+    inputs: [{ itemID: WOODS, qty: 2 }],
+    output: { itemID: "crafted_wood_plank", qty: 1 },
+    craftMs: 3000,
+    skill: { key: "crafting", level: 1 },
+  });
+  register({
+    id: "copper_wire",
+    name: "Copper Wire",
+    inputs: [{ itemID: "mineral_copper_ore", qty: 1 }],
+    output: { itemID: "crafted_copper_wire", qty: 2 },
+    craftMs: 3000,
+    skill: { key: "crafting", level: 1 },
+  });
+  register({
+    id: "fertilizer",
+    name: "Fertilizer",
+    inputs: [
+      { itemID: PETALS, qty: 2 },
+      { itemID: "mineral_coal", qty: 1 },
+    ],
+    output: { itemID: "crafted_fertilizer", qty: 2 },
+    craftMs: 4000,
+    skill: { key: "crafting", level: 1 },
+  });
+  register({
+    id: "iron_ingot",
+    name: "Iron Ingot",
+    inputs: [
+      { itemID: "mineral_iron_ore", qty: 2 },
+      { itemID: "mineral_coal", qty: 1 },
+    ],
+    output: { itemID: "crafted_iron_ingot", qty: 1 },
+    craftMs: 6000,
+    skill: { key: "crafting", level: 2 },
+  });
+  register({
+    id: "petal_tonic",
+    name: "Petal Tonic",
+    inputs: [{ itemID: "flower_petals_rose_petals", qty: 3, minRarity: "Uncommon" }],
+    output: { itemID: "crafted_petal_tonic", qty: 1 },
+    craftMs: 8000,
+    skill: { key: "crafting", level: 3 },
+  });
+
+  // Farm devices (placed from the inventory; see devices.js)
+  register({
+    id: "sprinkler",
+    name: "Sprinkler",
+    inputs: [
+      { itemID: "crafted_copper_wire", qty: 2 },
+      { itemID: "crafted_iron_ingot", qty: 1 },
+    ],
+    output: { itemID: "crafted_sprinkler", qty: 1 },
+    craftMs: 10000,
+    skill: { key: "crafting", level: 2 },
+  });
+  register({
+    id: "rain_collector",
+    name: "Rain Collector",
+    inputs: [
+      { itemID: "crafted_wood_plank", qty: 4 },
+      { itemID: "crafted_iron_ingot", qty: 1 },
+    ],
+    output: { itemID: "crafted_rain_collector", qty: 1 },
+    craftMs: 10000,
+    skill: { key: "crafting", level: 2 },
+  });
+  register({
+    id: "auto_harvester",
+    name: "Auto Harvester",
+    inputs: [
+      { itemID: "crafted_iron_ingot", qty: 2 },
+      { itemID: "crafted_copper_wire", qty: 2 },
+      { itemID: "crafted_wood_plank", qty: 2 },
+    ],
+    output: { itemID: "crafted_auto_harvester", qty: 1 },
+    craftMs: 15000,
+    skill: { key: "crafting", level: 3 },
+  });
+  register({
+    id: "storage_chest",
+    name: "Storage Chest",
+    inputs: [{ itemID: "crafted_wood_plank", qty: 8 }],
+    output: { itemID: "crafted_storage_chest", qty: 1 },
+    craftMs: 8000,
+    skill: { key: "crafting", level: 1 },
+  });
+
+  const CraftingSystem = {
+    register,
+    list() {
+      return recipes.slice();
+    },
+    get(id) {
+      return byId[id] || null;
+    },
+    check,
+    consume,
+    parseKey,
+    makeKey,
+  };
+
+  if (typeof window !== "undefined") {
+    window.CraftingSystem = CraftingSystem;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { CraftingSystem };
+  }
+})();
@@ -0,0 +1,258 @@
+/*
+  Crop Registry
+  - Data-driven crop catalog used by planting, growth, harvest, the seed shop and the Prophecy Seller.
+  - Produce is registered in ItemList ('crops' category) so harvests stack in Game.inv.gitems with a
+    rolled rarity/quality, exactly like gathered items (and sync through invsync.js).
+  - Crop shape:
+      {
+        id: 'tomato',                 // seed / plant type key (Game.inv.seeds, tile.plant.type)
+        display: 'Tomato',            // produce item name
+        icon: '🍅',
+        seedPrice: 30,
+        sellPrice: 15,                // base price; rarity/quality multipliers apply on top
+        stages: [                     // last stage is mature; ms = time to reach the next stage
+          { ms: 10000, color: '#7a552e', sprite?: 'assets/crops/tomato_0.png' },
+          ...
+          { ms: 0, color: '#e5484d' },
+        ],
+        yield: { min: 2, max: 4 },    // produce per harvest
+        regrowStage: 2,               // after harvest the plant drops back to this stage (null = removed)
+        seasons: ['summer'],          // in-season growth at full speed (null = all seasons)
+        offSeasonGrowth: 0.5,         // growth speed multiplier out of season
+      }
+  - Fertilizer shape: { itemID: 'crafted_fertilizer', growthMult: 1.5, qualityRolls: 2 }
+      growthMult scales growth speed; the harvest keeps the best of `qualityRolls` rarity/quality rolls.
+
+  Public API (global):
+      CropRegistry.register(crop)
+      CropRegistry.get(id) / list() / findByName(display)
+      CropRegistry.isMature(plant)
+      CropRegistry.stageMs(plant)                  -> ms needed to leave the current stage (0 when mature)
+      CropRegistry.seasons / seasonAt(epochMs)     -> 'spring' | 'summer' | 'autumn' | 'winter'
+      CropRegistry.inSeason(id, epochMs)
+      CropRegistry.growthMultiplier(plant, epochMs)
+      CropRegistry.registerFertilizer(fert) / getFertilizer(itemID) / fertilizers()
+      CropRegistry.rollHarvest(plant, rng?)        -> { name, itemID, qty, rarity, quality, regrowStage }
+*/
+
+(function () {
+  function ensureDeps() {
+    if (typeof window === "undefined") return;
+    if (!window.ItemList) {
+      throw new Error("CropRegistry requires ItemList (itemlist.js) to be loaded first.");
+    }
+    if (!window.ItemSystem) {
+      throw new Error("CropRegistry requires ItemSystem (item.js) to be loaded first.");
+    }
+  }
+
+  // One in-game season per 3 real days, so a full year is 12 days
+  const SEASON_MS = 3 * 24 * 60 * 60 * 1000;
+  const seasons = ["spring", "summer", "autumn", "winter"];
+
+  const crops = [];
+  const byId = {};
+  const fertilizerById = {};
+
+  function register(crop) {
+    ensureDeps();
+    if (!crop || !crop.id) throw new Error("register(crop): crop.id is required.");
+    if (!Array.isArray(crop.stages) || crop.stages.length < 2) {
+      throw new Error(`register(crop): '${crop.id}' needs at least two stages.`);
+    }
+    const c = {
+      display: crop.id,
+      icon: "🍃",
+      seedPrice: 10,
+      sellPrice: 10,
+      yield: { min: 1, max: 1 },
+      regrowStage: null,
+      seasons: null,
+      offSeasonGrowth: 0.5,
+      ...crop,
+      stages: crop.stages.map((s) => ({ ms: 0, color: "#7fc96b", sprite: null, ...s })),
+    };
+    const cat = window.ItemList;
+    let tuple = cat.findByName("crops", c.display);
+    if (!tuple) {
+      tuple = [cat.makeId("crop", c.display), c.display, ""];
+      cat.add("crops", tuple);
+    }
+    c.itemID = tuple[0];
+    if (byId[c.id]) {
+      crops[crops.indexOf(byId[c.id])] = c;
+    } else {
+      crops.push(c);
+    }
+    byId[c.id] = c;
+    return c;
+  }
+
+  function get(id) {
+    return byId[id] || null;
+  }
+
+  function findByName(display) {
+    const target = String(display || "").trim().toLowerCase();
+    return crops.find((c) => c.display.toLowerCase() === target) || null;
+  }
+
+  function isMature(plant) {
+    const c = plant && byId[plant.type];
+    return !!c && plant.stage >= c.stages.length - 1;
+  }
+
+  function stageMs(plant) {
+    const c = plant && byId[plant.type];
+    if (!c || isMature(plant)) return 0;
+    return (c.stages[plant.stage] && c.stages[plant.stage].ms) || 0;
+  }
+
+  function seasonAt(epochMs) {
+    const n = Math.floor((epochMs || 0) / SEASON_MS);
+    return seasons[((n % seasons.length) + seasons.length) % seasons.length];
+  }
+
+  function inSeason(id, epochMs) {
+    const c = byId[id];
+    return !!c && (!c.seasons || c.seasons.includes(seasonAt(epochMs)));
+  }
+
+  function growthMultiplier(plant, epochMs) {
+    const c = plant && byId[plant.type];
+    if (!c) return 0;
+    let mult = inSeason(c.id, epochMs) ? 1 : c.offSeasonGrowth;
+    const fert = plant.fert && fertilizerById[plant.fert];
+    if (fert) mult *= fert.growthMult;
+    return mult;
+  }
+
+  function registerFertilizer(fert) {
+    if (!fert || !fert.itemID) throw new Error("registerFertilizer(fert): fert.itemID is required.");
+    const f = { growthMult: 1, qualityRolls: 1, ...fert };
+    fertilizerById[f.itemID] = f;
+    return f;
+  }
+
+  function getFertilizer(itemID) {
+    return fertilizerById[itemID] || null;
+  }
+
+  // Best of n rolls: rarities are listed rarest-first, qualities worst-first
+  function bestOf(list, n, roll, higherIsBetter) {
+    let best = roll();
+    for (let i = 1; i < n; i++) {
+      const r = roll();
+      const better = higherIsBetter ? list.indexOf(r) > list.indexOf(best) : list.indexOf(r) < list.indexOf(best);
+      if (better) best = r;
+    }
+    return best;
+  }
+
+  function rollHarvest(plant, rng = Math.random) {
+    ensureDeps();
+    const c = plant && byId[plant.type];
+    if (!c) throw new Error(`rollHarvest(plant): unknown crop '${plant && plant.type}'.`);
+    const fert = plant.fert && fertilizerById[plant.fert];
+    const rolls = Math.max(1, (fert && fert.qualityRolls) || 1);
+    const IS = window.ItemSystem;
+    const rarity = bestOf(IS.rarities, rolls, () => IS.rollRarity(rng), false);
+    const quality = bestOf(IS.qualities, rolls, () => IS.rollQuality(rng), true);
+    const min = Math.max(1, c.yield.min | 0);
+    const max = Math.max(min, c.yield.max | 0);
+    const qty = min + Math.floor(rng() * (max - min + 1));
+    return { name: c.display, itemID: c.itemID, qty, rarity, quality, regrowStage: c.regrowStage };
+  }
+
+  const CropRegistry = {
+    register,
+    get,
+    list() {
+      return crops.slice();
+    },
+    findByName,
+    isMature,
+    stageMs,
+    seasons,
+    seasonAt,
+    inSeason,
+    growthMultiplier,
+    registerFertilizer,
+    getFertilizer,
+    fertilizers() {
+      return Object.values(fertilizerById);
+    },
+    rollHarvest,
+  };
+
+  // ----- Default crops (turnip/wheat/corn keep their original timings and prices) -----
+  if (typeof window !== "undefined" && window.ItemList && window.ItemSystem) {
+    register({
+      id: "turnip",
+      display: "Turnip",
+      icon: "🥕",
+      seedPrice: 10,
+      sellPrice: 25,
+      stages: [
+        { ms: 8000, color: "#7a552e" },
+        { ms: 12000, color: "#7fc96b" },
+        { ms: 0, color: "#4ea24d" },
+      ],
+      yield: { min: 1, max: 2 },
+      seasons: ["autumn", "winter", "spring"],
+    });
+    register({
+      id: "wheat",
+      display: "Wheat",
+      icon: "🌾",
+      seedPrice: 12,
+      sellPrice: 20,
+      stages: [
+        { ms: 12000, color: "#7a552e" },
+        { ms: 18000, color: "#8bbf6f" },
+        { ms: 0, color: "#d2b84c" },
+      ],
+      yield: { min: 1, max: 3 },
+      seasons: ["summer", "autumn"],
+    });
+    register({
+      id: "corn",
+      display: "Corn",
+      icon: "🌽",
+      seedPrice: 20,
+      sellPrice: 40,
+      stages: [
+        { ms: 16000, color: "#7a552e" },
+        { ms: 22000, color: "#6bbf59" },
+        { ms: 0, color: "#f1c40f" },
+      ],
+      yield: { min: 1, max: 2 },
+      seasons: ["summer"],
+    });
+    register({
+      id: "tomato",
+      display: "Tomato",
+      icon: "🍅",
+      seedPrice: 30,
+      sellPrice: 15,
+      stages: [
+        { ms: 10000, color: "#7a552e" },
+        { ms: 15000, color: "#7fc96b" },
+        { ms: 12000, color: "#4f9d4a" },
+        { ms: 0, color: "#e5484d" },
+      ],
+      yield: { min: 2, max: 4 },
+      regrowStage: 2,
+      seasons: ["summer"],
+    });
+
+    registerFertilizer({ itemID: "crafted_fertilizer", growthMult: 1.5, qualityRolls: 2 });
+  }
+
+  if (typeof window !== "undefined") {
+    window.CropRegistry = CropRegistry;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { CropRegistry };
+  }
+})();
@@ -38,6 +38,31 @@ const CUSTOM_TILESET = {
     toxicRipples: true,
     displayName: 'Water'
   },
+  // Bunker interior tiles
+  floor: {
+    baseColor: '#4a4d52', // riveted steel plate
+    noiseVariation: 0.04,
+    grungeSpeckles: true,
+    oilStains: true,
+    toxicRipples: false,
+    displayName: 'Floor'
+  },
+  wall: {
+    baseColor: '#1d1f23', // poured concrete
+    noiseVariation: 0.06,
+    grungeSpeckles: true,
+    oilStains: false,
+    toxicRipples: false,
+    displayName: 'Wall'
+  },
+  rubble: {
+    baseColor: '#5a4b3c', // collapsed room
+    noiseVariation: 0.14,
+    grungeSpeckles: true,
+    oilStains: false,
+    toxicRipples: false,
+    displayName: 'Rubble'
+  },
   
   // NPC decoration (static sprite using character idle sheet)
   npc: {
@@ -143,10 +168,11 @@ const CUSTOM_DECORATIONS = {
   rock: {
     // Visual properties
     color: '#6f7278',
+    // Offsets within a 32px tile (there is no tile size in scope when this file loads)
     points: [
       { x: 8, y: -6 },
-      { x: tileSize - 6, y: -10 },
-      { x: tileSize - 10, y: -4 }
+      { x: 26, y: -10 },
+      { x: 22, y: -4 }
     ],
     
     // Game properties
@@ -211,7 +237,7 @@ const CUSTOM_DECORATION_TYPES = {
 
 // Customization utility functions
 function getCustomTile(tileId) {
-  const tileNames = ['grass', 'soil', 'path', 'water'];
+  const tileNames = ['grass', 'soil', 'path', 'water', 'floor', 'wall', 'rubble'];
   const tileName = tileNames[tileId];
   return CUSTOM_TILESET[tileName] || CUSTOM_TILESET.grass;
 }
@@ -262,6 +288,7 @@ function addCustomDecoration(x, y, decorType, nameOrData, data) {
   if (tile) {
     const customDecor = getCustomDecoration(decorType);
     tile.walkable = customDecor.walkable !== false;
+    markTileDirty(x, y);
   }
 
   save();
@@ -275,6 +302,7 @@ function removeCustomDecoration(x, y) {
   const tile = tileAt(x, y);
   if (tile) {
     tile.walkable = true;
+    markTileDirty(x, y);
   }
   
   save();
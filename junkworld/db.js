@@ -98,34 +98,34 @@ async function setWalletAddress(wallet_address) {
   return data;
 }
 
-async function updateBalances({ cash, junk }) {
+/** Server balances; read-only for clients (trades, market, mail and the shop move them server-side) */
+async function getBalances() {
   const user_id = await getUserId();
-  const patch = {};
-  if (typeof cash === "number") patch.cash = cash;
-  if (typeof junk === "number") patch.junk = junk;
   const { data, error } = await supabase
     .from("profiles")
-    .update(patch)
+    .select("cash, junk")
     .eq("user_id", user_id)
-    .select("*")
     .single();
   if (error) throw error;
-  return data;
+  return { cash: data.cash || 0, junk: data.junk || 0 };
 }
 
 /**
  * USER COORDINATES / STATE
  */
-async function saveCoordinates({ x = 0, y = 0, z = 0, zone = null } = {}) {
-  const user_id = await getUserId();
-  const { data, error } = await supabase
-    .from("user_state")
-    .upsert(
-      { user_id, pos_x: x, pos_y: y, pos_z: z, zone },
-      { onConflict: "user_id" }
-    )
-    .select("*")
-    .single();
+/**
+ * Move the current user (state_move checks the step against the last saved position, or an arrival
+ * against the zone's entries). Resolves to the stored row, which differs from what was sent when the
+ * server refused the move.
+ */
+async function saveCoordinates({ x = 0, y = 0, zone = "overworld", world = "legacy" } = {}) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("state_move", {
+    p_world: world,
+    p_zone: zone,
+    p_x: Math.round(x),
+    p_y: Math.round(y),
+  });
   if (error) throw error;
   return data;
 }
@@ -144,6 +144,7 @@ async function loadCoordinates() {
 /**
  * SKILLS
  */
+/** Levels of the gather skills; read-only (world_apply awards their XP server-side) */
 async function getSkills() {
   const user_id = await getUserId();
   const { data, error } = await supabase
@@ -154,98 +155,486 @@ async function getSkills() {
   return data;
 }
 
-async function upsertSkillBySlug(slug, { level = 1, xp = 0 } = {}) {
+/**
+ * INVENTORY
+ */
+async function getInventory() {
   const user_id = await getUserId();
-
-  const { data: skill, error: e1 } = await supabase
-    .from("skills")
-    .select("id")
-    .eq("slug", slug)
-    .single();
-  if (e1) throw e1;
-
   const { data, error } = await supabase
-    .from("user_skills")
-    .upsert(
-      { user_id, skill_id: skill.id, level, xp },
-      { onConflict: "user_id,skill_id" }
+    .from("user_inventory")
+    .select(
+      "quantity, item_id, items:items!inner(id, slug, name, rarity, quality, base_slug, stackable)"
     )
-    .select("*")
-    .single();
+    .eq("user_id", user_id);
   if (error) throw error;
   return data;
 }
 
 /**
- * INVENTORY
+ * Inventory writes go through SECURITY DEFINER RPCs (see supabase_mmorpg.sql):
+ * the server does the check-and-update atomically and records an audit row,
+ * and RLS no longer lets clients write user_inventory directly. There is no
+ * client add: items are credited by the server's gather rolls (world_apply),
+ * trades, the market and mail.
  */
-async function getInventory() {
+async function removeInventoryBySlug(slug, quantity, reason = "consume") {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("inventory_remove", {
+    p_slug: slug,
+    p_qty: quantity,
+    p_reason: reason,
+  });
+  if (error) throw error;
+  return data;
+}
+
+async function transferInventoryBySlug(toUserId, slug, quantity) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("inventory_transfer", {
+    p_to: toUserId,
+    p_slug: slug,
+    p_qty: quantity,
+  });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Apply a batch of identity-stack deltas (used by invsync.js).
+ * changes: [{ base_slug, rarity, quality, delta }]
+ * Returns per-change results: [{ slug, status: 'ok'|'rejected', quantity?, error? }]
+ */
+async function applyInventoryBatch(changes) {
+  await ensureSession();
+  if (!Array.isArray(changes) || changes.length === 0) return [];
+  const { data, error } = await supabase.rpc("inventory_apply_batch", {
+    p_changes: changes,
+  });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * STORAGE CHESTS
+ * Chest rows and contents are read-only for clients; placing, moving items and
+ * removal go through the chest_* RPCs (see supabase_mmorpg.sql).
+ */
+/** The user's chests in one zone of one world (WorldSync.worldKey()) */
+async function listChests({ world = "legacy", zone = "overworld" } = {}) {
   const user_id = await getUserId();
   const { data, error } = await supabase
-    .from("user_inventory")
+    .from("player_chests")
     .select(
-      "quantity, item_id, items:items!inner(id, slug, name, rarity, stackable)"
+      "id, zone, x, y, capacity, chest_items(quantity, items:items!inner(slug, name, rarity, quality, base_slug))"
     )
-    .eq("user_id", user_id);
+    .eq("user_id", user_id)
+    .eq("world", world)
+    .eq("zone", zone);
+  if (error) throw error;
+  return data || [];
+}
+
+async function placeChest(id, { x, y, zone = "overworld", world = "legacy" }) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("chest_place", {
+    p_id: id,
+    p_x: x,
+    p_y: y,
+    p_zone: zone,
+    p_world: world,
+  });
   if (error) throw error;
   return data;
 }
 
-async function setInventoryQuantityBySlug(slug, quantity) {
-  const user_id = await getUserId();
+/**
+ * Move an identity stack between the player's inventory and a chest.
+ * quantity > 0 deposits, quantity < 0 withdraws.
+ * Returns { slug, quantity, chest_quantity }.
+ */
+async function moveChestItem(chestId, slug, quantity) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("chest_move", {
+    p_chest: chestId,
+    p_slug: slug,
+    p_qty: quantity,
+  });
+  if (error) throw error;
+  return data;
+}
 
-  const { data: item, error: e1 } = await supabase
-    .from("items")
-    .select("id")
-    .eq("slug", slug)
-    .single();
-  if (e1) throw e1;
+async function removeChest(chestId) {
+  await ensureSession();
+  const { error } = await supabase.rpc("chest_remove", { p_chest: chestId });
+  if (error) throw error;
+  return true;
+}
+
+/**
+ * SHARED WORLD
+ * One row per changed cell of a shared zone (worldsync.js). Rows are readable by every
+ * player and written only through world_apply (see supabase_mmorpg.sql).
+ */
+async function listWorldCells(world) {
+  await ensureSession();
+  const rows = [];
+  // PostgREST caps a response at 1000 rows
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
+      .from("world_cells")
+      .select("zone, x, y, node, tile, owner, tile_at, updated_at")
+      .eq("world", world)
+      .order("zone")
+      .order("y")
+      .order("x")
+      .range(from, from + 999);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
+  return rows;
+}
+
+/**
+ * Apply a batch of cell changes.
+ * ops: [{ zone, x, y, tile?, node?, harvests? }]
+ * Returns the resulting cells: [{ zone, x, y, node, tile, owner, tile_at, updated_at, status, error? }]
+ */
+async function applyWorldCells(world, ops) {
+  await ensureSession();
+  if (!Array.isArray(ops) || ops.length === 0) return [];
+  const { data, error } = await supabase.rpc("world_apply", {
+    p_world: world,
+    p_ops: ops,
+  });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Realtime inserts/updates of a world's cells. onRow(row) gets the new row.
+ * Returns the channel; call channel.unsubscribe() to stop.
+ */
+function subscribeWorldCells(world, onRow) {
+  return supabase
+    .channel(`world:${world}`)
+    .on(
+      "postgres_changes",
+      { event: "*", schema: "public", table: "world_cells", filter: `world=eq.${world}` },
+      (payload) => onRow(payload.new)
+    )
+    .subscribe();
+}
 
+/**
+ * TRADES
+ * Player-to-player trades. Rows are readable by both parties and changed only through
+ * the trade_* functions (see supabase_mmorpg.sql); offers are escrowed server-side.
+ */
+const TRADE_COLUMNS =
+  "id, a_user, b_user, a_name, b_name, zone, status, version, a_items, b_items, a_cash, b_cash, " +
+  "a_confirmed, b_confirmed, a_settled, b_settled, created_at, updated_at, closed_at";
+
+/** The current user's open trades and closed ones they haven't acknowledged yet */
+async function listTrades() {
+  const user_id = await getUserId();
   const { data, error } = await supabase
-    .from("user_inventory")
-    .upsert(
-      { user_id, item_id: item.id, quantity },
-      { onConflict: "user_id,item_id" }
+    .from("trades")
+    .select(TRADE_COLUMNS)
+    .or(
+      `and(a_user.eq.${user_id},or(status.eq.open,a_settled.eq.false)),` +
+      `and(b_user.eq.${user_id},or(status.eq.open,b_settled.eq.false))`
     )
-    .select("*")
-    .single();
+    .order("created_at");
+  if (error) throw error;
+  return data || [];
+}
+
+/** Open a trade with a nearby player (positions come from user_state, written by saveCoordinates) */
+async function openTrade(toUserId) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("trade_open", { p_to: toUserId });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Replace the current user's offer.
+ * items: [{ slug, qty }]; the previous offer is returned and the new one escrowed.
+ */
+async function setTradeOffer(tradeId, items = [], cash = 0) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("trade_offer", {
+    p_trade: tradeId,
+    p_items: items,
+    p_cash: Math.max(0, Math.floor(cash || 0)),
+  });
+  if (error) throw error;
+  return data;
+}
+
+/** Confirm the offers as of `version`; the second confirmation completes the exchange */
+async function confirmTrade(tradeId, version) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("trade_confirm", {
+    p_trade: tradeId,
+    p_version: version,
+  });
+  if (error) throw error;
+  return data;
+}
+
+async function cancelTrade(tradeId) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("trade_cancel", { p_trade: tradeId });
   if (error) throw error;
   return data;
 }
 
-async function addInventoryBySlug(slug, delta) {
+/** Mark a closed trade's outcome as applied by this client */
+async function ackTrade(tradeId) {
+  await ensureSession();
+  const { error } = await supabase.rpc("trade_ack", { p_trade: tradeId });
+  if (error) throw error;
+  return true;
+}
+
+/**
+ * Realtime inserts/updates of trades the user is part of. onRow(row) gets the new row.
+ * Returns the channel; call channel.unsubscribe() to stop.
+ */
+function subscribeTrades(userId, onRow) {
+  const table = { event: "*", schema: "public", table: "trades" };
+  return supabase
+    .channel(`trades:${userId}`)
+    .on("postgres_changes", { ...table, filter: `a_user=eq.${userId}` }, (payload) => onRow(payload.new))
+    .on("postgres_changes", { ...table, filter: `b_user=eq.${userId}` }, (payload) => onRow(payload.new))
+    .subscribe();
+}
+
+/**
+ * MARKETPLACE
+ * Player listings (market_listings), changed only through the market_* functions
+ * (see supabase_mmorpg.sql). Stacks and bids are escrowed; outcomes arrive as mail.
+ */
+const LISTING_COLUMNS =
+  "id, seller, seller_name, slug, base_slug, name, rarity, quality, category, qty, currency, " +
+  "start_price, buyout_price, bid, bidder, bidder_name, bids, status, buyer, price, expires_at, created_at, closed_at";
+
+/** Close listings that have ended (sold to the high bidder or returned); returns how many */
+async function settleMarket() {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("market_settle_expired", {});
+  if (error) throw error;
+  return data || 0;
+}
+
+/**
+ * Active listings, soonest ending first.
+ * filters: { category?, rarity?, currency?, search?, limit? }
+ */
+async function listMarket({ category = null, rarity = null, currency = null, search = "", limit = 100 } = {}) {
+  await ensureSession();
+  let q = supabase
+    .from("market_listings")
+    .select(LISTING_COLUMNS)
+    .eq("status", "active")
+    .gt("expires_at", new Date().toISOString());
+  if (category) q = q.eq("category", category);
+  if (rarity) q = q.ilike("rarity", rarity);
+  if (currency) q = q.eq("currency", currency);
+  if (search) q = q.ilike("name", `%${search.replace(/[%_]/g, "")}%`);
+  const { data, error } = await q.order("expires_at").limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+/** The current user's active listings and the listings they hold the high bid on */
+async function listMyMarket() {
   const user_id = await getUserId();
+  const { data, error } = await supabase
+    .from("market_listings")
+    .select(LISTING_COLUMNS)
+    .eq("status", "active")
+    .or(`seller.eq.${user_id},bidder.eq.${user_id}`)
+    .order("expires_at");
+  if (error) throw error;
+  return data || [];
+}
 
-  const { data: item, error: e1 } = await supabase
-    .from("items")
-    .select("id")
-    .eq("slug", slug)
-    .single();
-  if (e1) throw e1;
+/** List `qty` of an item slug; prices are for the whole stack */
+async function createListing({ slug, qty, currency = "cash", startPrice, buyoutPrice = null, hours = 24 }) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("market_create", {
+    p_slug: slug,
+    p_qty: qty,
+    p_currency: currency,
+    p_start_price: startPrice,
+    p_buyout_price: buyoutPrice,
+    p_hours: hours,
+  });
+  if (error) throw error;
+  return data;
+}
 
-  const { data: current, error: e2 } = await supabase
-    .from("user_inventory")
-    .select("quantity")
-    .eq("user_id", user_id)
-    .eq("item_id", item.id)
-    .single();
-  // PGRST116 = not found is ok (treated as 0)
-  if (e2 && e2.code !== "PGRST116") throw e2;
+async function bidListing(listingId, amount) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("market_bid", { p_listing: listingId, p_amount: amount });
+  if (error) throw error;
+  return data;
+}
+
+async function buyListing(listingId) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("market_buy", { p_listing: listingId });
+  if (error) throw error;
+  return data;
+}
+
+async function cancelListing(listingId) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("market_cancel", { p_listing: listingId });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * SHOP / CASH
+ * NPC sales credit the profile's cash balance: stacks the server holds are sold through shop_sell at the
+ * seeded price, device-local earnings are banked through cash_deposit (capped per day).
+ */
+
+/** Sell server-held stacks: items = [{ slug, qty }] of identity slugs. Returns the cash paid. */
+async function sellToShop(items) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("shop_sell", { p_items: items });
+  if (error) throw error;
+  return data || 0;
+}
 
-  const nextQty = Math.max(0, (current?.quantity || 0) + delta);
+/** Bank device-local cash. Returns how much the server accepted (the rest is over today's cap). */
+async function depositCash(amount) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("cash_deposit", { p_amount: amount });
+  if (error) throw error;
+  return data || 0;
+}
 
+/** Pay a shop purchase from the balance. Returns the balance left. */
+async function spendCash(amount) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("cash_spend", { p_amount: amount });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * MAIL
+ * The user's mailbox (mail). Mail is written by server functions (marketplace, daily rewards,
+ * admin grants); mail_claim moves attachments into user_inventory and the profile balances.
+ */
+const MAIL_COLUMNS = "id, kind, subject, body, items, cash, junk, created_at, read_at, claimed_at, expires_at";
+
+/** The user's mail, newest first (expired mail included until it is pruned) */
+async function listMail(limit = 100) {
+  const user_id = await getUserId();
   const { data, error } = await supabase
-    .from("user_inventory")
-    .upsert(
-      { user_id, item_id: item.id, quantity: nextQty },
-      { onConflict: "user_id,item_id" }
+    .from("mail")
+    .select(MAIL_COLUMNS)
+    .eq("user_id", user_id)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+/** Claim a mail's attachments; returns the updated mail row */
+async function claimMail(mailId) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("mail_claim", { p_mail: mailId });
+  if (error) throw error;
+  return data;
+}
+
+/** Mark mails as read; returns how many changed */
+async function markMailRead(mailIds) {
+  if (!mailIds || mailIds.length === 0) return 0;
+  await ensureSession();
+  const { data, error } = await supabase.rpc("mail_read", { p_ids: mailIds });
+  if (error) throw error;
+  return data || 0;
+}
+
+/** Delete a mail (unclaimed attachments must be claimed first unless it has expired) */
+async function deleteMail(mailId) {
+  await ensureSession();
+  const { error } = await supabase.rpc("mail_delete", { p_mail: mailId });
+  if (error) throw error;
+  return true;
+}
+
+/** Ask for today's login reward; returns the new mail's id, or null if it was already sent today */
+async function claimDailyReward() {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("mail_daily_reward");
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Realtime changes to the user's mail. onRow(row, eventType) gets the new row
+ * (the old one for deletes). Returns the channel; call channel.unsubscribe() to stop.
+ */
+function subscribeMail(userId, onRow) {
+  return supabase
+    .channel(`mail:${userId}`)
+    .on("postgres_changes", { event: "*", schema: "public", table: "mail", filter: `user_id=eq.${userId}` }, (payload) =>
+      onRow(payload.eventType === "DELETE" ? payload.old : payload.new, payload.eventType)
     )
-    .select("*")
-    .single();
+    .subscribe();
+}
+
+/**
+ * CHAT
+ * Messages are stored by chat_post, which enforces length and rate limits and fills in
+ * the sender (see supabase_mmorpg.sql). History and live delivery both read chat_messages.
+ */
+/** Latest `limit` messages of the given channels ('global' | 'local:<zone>'), oldest first */
+async function listChat(channels, limit = 50) {
+  await ensureSession();
+  const { data, error } = await supabase
+    .from("chat_messages")
+    .select("id, user_id, username, channel, x, y, body, created_at")
+    .in("channel", channels)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).reverse();
+}
+
+async function postChat({ channel, body, x = null, y = null }) {
+  await ensureSession();
+  const { data, error } = await supabase.rpc("chat_post", {
+    p_channel: channel,
+    p_body: body,
+    p_x: x,
+    p_y: y,
+  });
   if (error) throw error;
   return data;
 }
 
+/**
+ * New chat_messages rows as chat_post stores them. Returns the channel;
+ * call channel.unsubscribe() to stop.
+ */
+function subscribeChat(onRow) {
+  return supabase
+    .channel("chat:messages")
+    .on("postgres_changes", { event: "INSERT", schema: "public", table: "chat_messages" }, (payload) => onRow(payload.new))
+    .subscribe();
+}
+
 /**
  * SAVE SLOTS
  */
@@ -286,6 +675,38 @@ async function loadSave(slot) {
   return data || null;
 }
 
+/**
+ * CATALOG
+ * The client catalog (itemlist.js, skilllist.js) is the source of truth; the server rows
+ * come from supabase_seed_catalog.sql (tools/gen_seed_sql.js). This only warns, so a
+ * stale catalog shows up in the console instead of as rejected inventory syncs later.
+ */
+async function checkCatalogConsistency({
+  itemSlugs = typeof window !== "undefined" && window.ItemList ? Object.keys(window.ItemList.byId) : [],
+  skillSlugs = typeof window !== "undefined" && window.SkillList ? window.SkillList.skills.map((s) => s[1]) : [],
+} = {}) {
+  await ensureSession();
+  const [items, skills] = await Promise.all([
+    supabase.from("items").select("slug").is("base_slug", null),
+    supabase.from("skills").select("slug"),
+  ]);
+  if (items.error) throw items.error;
+  if (skills.error) throw skills.error;
+
+  const haveItems = new Set(items.data.map((r) => r.slug));
+  const haveSkills = new Set(skills.data.map((r) => r.slug));
+  const missingItems = itemSlugs.filter((slug) => !haveItems.has(slug));
+  const missingSkills = skillSlugs.filter((slug) => !haveSkills.has(slug));
+
+  if (missingItems.length > 0) {
+    console.warn(`Server items catalog is missing ${missingItems.length} slug(s):`, missingItems);
+  }
+  if (missingSkills.length > 0) {
+    console.warn(`Server skills catalog is missing ${missingSkills.length} slug(s):`, missingSkills);
+  }
+  return { missingItems, missingSkills };
+}
+
 // Export helpers and attach to window for non-module scripts
 const DB = {
   supabase,
@@ -296,17 +717,59 @@ const DB = {
   getProfile,
   setUsername,
   setWalletAddress,
-  updateBalances,
+  getBalances,
   // state
   saveCoordinates,
   loadCoordinates,
   // skills
   getSkills,
-  upsertSkillBySlug,
   // inventory
   getInventory,
-  setInventoryQuantityBySlug,
-  addInventoryBySlug,
+  removeInventoryBySlug,
+  transferInventoryBySlug,
+  applyInventoryBatch,
+  // storage chests
+  listChests,
+  placeChest,
+  moveChestItem,
+  removeChest,
+  // shared world
+  listWorldCells,
+  applyWorldCells,
+  subscribeWorldCells,
+  // trades
+  listTrades,
+  openTrade,
+  setTradeOffer,
+  confirmTrade,
+  cancelTrade,
+  ackTrade,
+  subscribeTrades,
+  // marketplace
+  settleMarket,
+  listMarket,
+  listMyMarket,
+  createListing,
+  bidListing,
+  buyListing,
+  cancelListing,
+  // shop / cash
+  sellToShop,
+  depositCash,
+  spendCash,
+  // mail
+  listMail,
+  claimMail,
+  markMailRead,
+  deleteMail,
+  claimDailyReward,
+  subscribeMail,
+  // chat
+  listChat,
+  postChat,
+  subscribeChat,
+  // catalog
+  checkCatalogConsistency,
   // saves
   saveSlot,
   loadSaves,
@@ -325,14 +788,48 @@ export {
   getProfile,
   setUsername,
   setWalletAddress,
-  updateBalances,
+  getBalances,
   saveCoordinates,
   loadCoordinates,
   getSkills,
-  upsertSkillBySlug,
   getInventory,
-  setInventoryQuantityBySlug,
-  addInventoryBySlug,
+  removeInventoryBySlug,
+  transferInventoryBySlug,
+  applyInventoryBatch,
+  listChests,
+  placeChest,
+  moveChestItem,
+  removeChest,
+  listWorldCells,
+  applyWorldCells,
+  subscribeWorldCells,
+  listTrades,
+  openTrade,
+  setTradeOffer,
+  confirmTrade,
+  cancelTrade,
+  ackTrade,
+  subscribeTrades,
+  settleMarket,
+  listMarket,
+  listMyMarket,
+  createListing,
+  bidListing,
+  buyListing,
+  cancelListing,
+  sellToShop,
+  depositCash,
+  spendCash,
+  listMail,
+  claimMail,
+  markMailRead,
+  deleteMail,
+  claimDailyReward,
+  subscribeMail,
+  listChat,
+  postChat,
+  subscribeChat,
+  checkCatalogConsistency,
   saveSlot,
   loadSaves,
   loadSave
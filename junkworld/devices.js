@@ -0,0 +1,182 @@
+/*
+  Farm Devices
+  - Placeable automation for the farm plot. A placed device is a Game.decor entry
+    ({ x, y, type: 'sprinkler', owner, ...state }) added through Customization.addCustomDecoration,
+    so it blocks its tile, saves with the rest of the decor and draws in draw() like any custom decoration.
+  - Devices are crafted in the Workshop (crafting.js recipes -> ItemList 'crafted' items) and placed
+    from the inventory; main.js runs them from tickWorld().
+  - Kinds:
+      sprinkler       keeps tilled tiles within `radius` watered
+      rain_collector  stores rain while the weather auto-waters (up to `capacity`), then spends one unit
+                      per dry tilled tile within `radius`
+      auto_harvester  harvests mature crops within `radius` into a storage chest next to it; idles without
+                      one, or once the chest has no free slot
+      storage_chest   holds up to `slots` identity stacks; not ticked, the Hand opens its transfer panel.
+                      { id, items: { [gitemsKey]: qty }, local?: { [gitemsKey]: qty } }: `items` mirrors the
+                      server chest once it is registered, `local` holds what only this save has (produce
+                      from auto-harvesters)
+  - main.js also runs devices during the offline catch-up, so they keep working while the game is closed.
+
+  Public API (global):
+      FarmDevices.kinds                       -> { [type]: { label, itemName, radius?, capacity?, slots?, draw } }
+      FarmDevices.get(type)
+      FarmDevices.isDevice(decor)
+      FarmDevices.forItem(itemName)            -> type | null
+      FarmDevices.tilesInRadius(x, y, radius)  -> [{ x, y }]  square area, centre excluded
+      FarmDevices.isStorage(decor)
+      FarmDevices.chestStacks(decor)           -> { [gitemsKey]: qty }  items and local stacks together
+      FarmDevices.stackCount(decor)            -> distinct stacks held by a storage chest
+*/
+
+(function () {
+  const kinds = {
+    sprinkler: {
+      label: "Sprinkler",
+      itemName: "Sprinkler",
+      radius: 2,
+      walkable: false,
+      draw(ctx, px, py, tileSize) {
+        const cx = px + tileSize / 2;
+        ctx.fillStyle = "#5b6470";
+        ctx.fillRect(cx - 3, py + tileSize - 14, 6, 12);
+        ctx.fillStyle = "#9aa4b1";
+        ctx.beginPath();
+        ctx.arc(cx, py + tileSize - 15, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = "#79c0ff";
+        ctx.fillRect(cx - 7, py + tileSize - 19, 2, 2);
+        ctx.fillRect(cx + 5, py + tileSize - 19, 2, 2);
+        ctx.fillRect(cx - 1, py + tileSize - 23, 2, 2);
+      },
+    },
+    rain_collector: {
+      label: "Rain Collector",
+      itemName: "Rain Collector",
+      radius: 3,
+      capacity: 40,
+      fillPerSec: 0.5,
+      walkable: false,
+      draw(ctx, px, py, tileSize) {
+        ctx.fillStyle = "#4a3728";
+        ctx.fillRect(px + 7, py + tileSize - 20, tileSize - 14, 18);
+        ctx.fillStyle = "#2a5d4f";
+        ctx.fillRect(px + 9, py + tileSize - 18, tileSize - 18, 5);
+        ctx.strokeStyle = "#8b6b4a";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(px + 7, py + tileSize - 20, tileSize - 14, 18);
+      },
+    },
+    auto_harvester: {
+      label: "Auto Harvester",
+      itemName: "Auto Harvester",
+      radius: 2,
+      walkable: false,
+      draw(ctx, px, py, tileSize) {
+        const cx = px + tileSize / 2;
+        ctx.fillStyle = "#6f7278";
+        ctx.fillRect(px + 6, py + tileSize - 16, tileSize - 12, 14);
+        ctx.fillStyle = "#d2b84c";
+        ctx.fillRect(px + 8, py + tileSize - 14, tileSize - 16, 4);
+        ctx.strokeStyle = "#3b3b3f";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(cx, py + tileSize - 16);
+        ctx.lineTo(cx + 6, py + tileSize - 24);
+        ctx.stroke();
+      },
+    },
+    storage_chest: {
+      label: "Storage Chest",
+      itemName: "Storage Chest",
+      slots: 24,
+      storage: true,
+      walkable: false,
+      draw(ctx, px, py, tileSize) {
+        ctx.fillStyle = "#6b4a2b";
+        ctx.fillRect(px + 5, py + tileSize - 18, tileSize - 10, 16);
+        ctx.fillStyle = "#8b6b4a";
+        ctx.fillRect(px + 5, py + tileSize - 22, tileSize - 10, 6);
+        ctx.strokeStyle = "#3b2a1a";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(px + 5, py + tileSize - 22, tileSize - 10, 20);
+        ctx.fillStyle = "#d2b84c";
+        ctx.fillRect(px + tileSize / 2 - 2, py + tileSize - 17, 4, 5);
+      },
+    },
+  };
+
+  function get(type) {
+    return kinds[type] || null;
+  }
+
+  function isDevice(d) {
+    return !!d && !!kinds[d.type];
+  }
+
+  function forItem(itemName) {
+    const target = String(itemName || "").trim().toLowerCase();
+    for (const [type, k] of Object.entries(kinds)) {
+      if (k.itemName.toLowerCase() === target) return type;
+    }
+    return null;
+  }
+
+  function tilesInRadius(x, y, radius) {
+    const out = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        out.push({ x: x + dx, y: y + dy });
+      }
+    }
+    return out;
+  }
+
+  function isStorage(d) {
+    return isDevice(d) && !!kinds[d.type].storage;
+  }
+
+  function chestStacks(d) {
+    const out = {};
+    for (const src of [(d && d.items) || {}, (d && d.local) || {}]) {
+      for (const [key, n] of Object.entries(src)) {
+        if (n > 0) out[key] = (out[key] || 0) + n;
+      }
+    }
+    return out;
+  }
+
+  function stackCount(d) {
+    return Object.keys(chestStacks(d)).length;
+  }
+
+  // Devices draw through the Customization registry like any other custom decoration
+  if (typeof window !== "undefined" && window.Customization && window.Customization.additionalDecorations) {
+    for (const [type, k] of Object.entries(kinds)) {
+      window.Customization.additionalDecorations[type] = {
+        walkable: k.walkable,
+        canInteract: true,
+        displayName: k.label,
+        draw: k.draw,
+      };
+    }
+  }
+
+  const FarmDevices = {
+    kinds,
+    get,
+    isDevice,
+    forItem,
+    tilesInRadius,
+    isStorage,
+    chestStacks,
+    stackCount,
+  };
+
+  if (typeof window !== "undefined") {
+    window.FarmDevices = FarmDevices;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { FarmDevices };
+  }
+})();
@@ -4,10 +4,13 @@
   - Uses ItemList tuple format: [itemID, name, imageLink]
   - Supports categories: 'tree', 'flower', 'mineral'
   - Public API (global):
-      GatherSystem.harvest(category, nodeName)
-      GatherSystem.harvestTree(nodeName)
-      GatherSystem.harvestFlower(nodeName)
-      GatherSystem.harvestMineral(nodeName)
+      GatherSystem.harvest(category, nodeName, options?)
+      GatherSystem.harvestTree(nodeName, options?)
+      GatherSystem.harvestFlower(nodeName, options?)
+      GatherSystem.harvestMineral(nodeName, options?)
+      - options: { rng?: () => number }  every roll (rarity, quality, seed bonus) draws from it
+      GatherSystem.timeMs   // how long one gather takes before weather and bunker multipliers
+                            // (main.js gatherTimeMs; the server's harvest rate limit is derived from it)
 
   Returns an object:
     {
@@ -17,8 +20,8 @@
       imageLink: string,       // icon path from ItemList (may be empty for wood)
       category: 'tree'|'flower'|'mineral',
       source: string,          // the node name you harvested from
-      rarity: string,          // via ItemSystem.rollRarity()
-      quality: string,         // via ItemSystem.rollQuality()
+      rarity: string,          // via ItemSystem.rollRarity(rng)
+      quality: string,         // via ItemSystem.rollQuality(rng)
       createdAt: number
     }
 
@@ -143,9 +146,10 @@
     return null;
   }
 
-  function harvest(category, nodeName) {
+  function harvest(category, nodeName, options = {}) {
     ensureDeps();
 
+    const rng = options.rng || Math.random;
     const cat = String(category || "").toLowerCase();
     const source = normalizeName(nodeName);
     if (!cat) throw new Error("harvest(category, nodeName): category is required.");
@@ -164,13 +168,13 @@
     }
 
     // Rarity + Quality via ItemSystem utilities
-    const rarity = window.ItemSystem.rollRarity();
-    const quality = window.ItemSystem.rollQuality();
+    const rarity = window.ItemSystem.rollRarity(rng);
+    const quality = window.ItemSystem.rollQuality(rng);
 
     // 2% chance bonus: resource-specific Seed (Trees/Flowers only)
     const bonusItems = [];
     try {
-      if ((cat === "tree" || cat === "flower") && Math.random() < 0.02) {
+      if ((cat === "tree" || cat === "flower") && rng() < 0.02) {
         const seed = resolveResourceSeedTuple(cat, source);
         if (seed) {
           bonusItems.push({
@@ -198,15 +202,16 @@
   }
 
   const GatherSystem = {
+    timeMs: 1500,
     harvest,
-    harvestTree(nodeName) {
-      return harvest("tree", nodeName);
+    harvestTree(nodeName, options) {
+      return harvest("tree", nodeName, options);
     },
-    harvestFlower(nodeName) {
-      return harvest("flower", nodeName);
+    harvestFlower(nodeName, options) {
+      return harvest("flower", nodeName, options);
     },
-    harvestMineral(nodeName) {
-      return harvest("mineral", nodeName);
+    harvestMineral(nodeName, options) {
+      return harvest("mineral", nodeName, options);
     },
   };
 
@@ -0,0 +1,228 @@
+/*
+  Inventory Sync
+  - Mirrors gathered identity stacks (Game.inv.gitems) into Supabase user_inventory.
+  - Identity keys `${name}__${rarity}__${quality}` map to catalog slugs
+    `${itemID}__${rarity}__${quality}` (lowercased), where itemID comes from ItemList.
+  - inv.syncBase holds, per identity key, the server quantity this client last agreed on.
+    Local spending is pushed as negative deltas against it (DB.applyInventoryBatch), so gameplay
+    code keeps mutating gitems directly and needs no sync hooks.
+  - The server never takes a client's word for a gain: items reach user_inventory only through its
+    own gather rolls, trades, the market and mail, which the client mirrors into gitems and syncBase
+    together. A stack above its base is device-local: crafted outputs, gathers made offline or outside a
+    shared world, crops and seeds never reach the server, so other devices don't see them and a lost
+    save loses them. Spending uses that surplus first, and only serverHeld() of a stack can be escrowed,
+    listed, stored or sold through shop_sell (main.js Shop Sales); the inventory marks the rest with
+    localOnly().
+  - On load, reconcile() performs a three-way merge with the server copy:
+        merged = base + (local - base) + (server - base)
+    Keys changed on both sides (another tab/device) are reported as conflicts for the player to
+    resolve (keep the merged count or take the server's).
+
+  Public API (global):
+      InventorySync.slugForKey(key)             -> { slug, base_slug, rarity, quality } | null
+      InventorySync.keyForItem(item)            -> identity key for a catalog item row ({ base_slug, name, rarity, quality })
+      InventorySync.pendingChanges(inv)         -> [{ key, base_slug, rarity, quality, delta }]  (delta < 0)
+      InventorySync.serverHeld(inv, key)        -> how much of a local stack the server holds
+      InventorySync.localOnly(inv, key)         -> how much of it is device-local (all of a key with no slug)
+      InventorySync.merge(local, server, base)  -> { merged, conflicts }  (pure)
+      InventorySync.reconcile(inv, { userId })  -> Promise<{ conflicts }>
+      InventorySync.flush(inv)                  -> Promise<number>  (changes applied)
+      InventorySync.start(getInv, { intervalMs?, onFlushed? })
+      InventorySync.stop()
+*/
+
+(function () {
+  const MAX_BATCH = 200;          // matches inventory_apply_batch's array cap
+  const REJECT_BACKOFF_MS = 5 * 60 * 1000;
+
+  function parseKey(key) {
+    const parts = String(key).split("__");
+    return { name: parts[0] || key, rarity: parts[1] || "Unknown", quality: parts[2] || "Unknown" };
+  }
+
+  function slugForKey(key) {
+    if (typeof window === "undefined" || !window.ItemList) return null;
+    const { name, rarity, quality } = parseKey(key);
+    const tuple = window.ItemList.findAnyByName(name);
+    if (!tuple) return null;
+    return {
+      slug: `${tuple[0]}__${rarity}__${quality}`.toLowerCase(),
+      base_slug: tuple[0],
+      rarity,
+      quality,
+    };
+  }
+
+  function keyForItem(item) {
+    const tuple = window.ItemList && window.ItemList.findById(item.base_slug);
+    const name = tuple ? tuple[1] : item.name;
+    return `${name}__${item.rarity || "Unknown"}__${item.quality || "Unknown"}`;
+  }
+
+  function merge(local, server, base) {
+    const merged = {};
+    const conflicts = [];
+    const keys = new Set([...Object.keys(local || {}), ...Object.keys(server || {}), ...Object.keys(base || {})]);
+    for (const key of keys) {
+      const L = (local && local[key]) || 0;
+      const S = (server && server[key]) || 0;
+      // A key we never synced counts as base 0: everything local is unsynced gains
+      const B = (base && base[key]) || 0;
+      const raw = B + (L - B) + (S - B);
+      const value = Math.max(0, raw);
+      if ((L !== B && S !== B && L !== S) || raw < 0) {
+        conflicts.push({ key, local: L, server: S, base: B, merged: value });
+      }
+      merged[key] = value;
+    }
+    return { merged, conflicts };
+  }
+
+  let backoff = {};
+
+  function pendingChanges(inv) {
+    const out = [];
+    if (!inv) return out;
+    const gitems = inv.gitems || {};
+    const base = inv.syncBase || {};
+    const now = Date.now();
+    const keys = new Set([...Object.keys(gitems), ...Object.keys(base)]);
+    for (const key of keys) {
+      const delta = (gitems[key] || 0) - (base[key] || 0);
+      if (delta >= 0) continue;
+      if (backoff[key] && backoff[key] > now) continue;
+      const m = slugForKey(key);
+      if (!m) continue;
+      out.push({
+        key,
+        base_slug: m.base_slug,
+        rarity: m.rarity,
+        quality: m.quality,
+        delta,
+      });
+      if (out.length >= MAX_BATCH) break;
+    }
+    return out;
+  }
+
+  function serverHeld(inv, key) {
+    if (!inv) return 0;
+    const have = (inv.gitems && inv.gitems[key]) || 0;
+    const base = (inv.syncBase && inv.syncBase[key]) || 0;
+    return Math.max(0, Math.min(have, base));
+  }
+
+  function localOnly(inv, key) {
+    const have = (inv && inv.gitems && inv.gitems[key]) || 0;
+    return slugForKey(key) ? have - serverHeld(inv, key) : have;
+  }
+
+  async function reconcile(inv, { userId } = {}) {
+    if (typeof window === "undefined" || !window.DB) return { conflicts: [] };
+    if (!inv.gitems) inv.gitems = {};
+    // A different account (new anonymous session) never agreed on anything with this save
+    if (!inv.syncBase || (inv.syncUser && userId && inv.syncUser !== userId)) inv.syncBase = {};
+
+    const rows = await window.DB.getInventory();
+
+    // Prefer the local spelling of a key when several names resolve to one slug
+    const keyBySlug = {};
+    for (const key of [...Object.keys(inv.gitems), ...Object.keys(inv.syncBase)]) {
+      const m = slugForKey(key);
+      if (m && !keyBySlug[m.slug]) keyBySlug[m.slug] = key;
+    }
+
+    const server = {};
+    for (const row of rows || []) {
+      const item = row.items;
+      if (!item || !item.base_slug) continue; // only identity rows belong to gathered stacks
+      const key = keyBySlug[item.slug] || keyForItem(item);
+      server[key] = (server[key] || 0) + (row.quantity || 0);
+    }
+
+    // Only keys that can be synced take part; unmapped local stacks stay untouched
+    const local = {};
+    for (const [key, count] of Object.entries(inv.gitems)) {
+      if (slugForKey(key)) local[key] = count || 0;
+    }
+    const base = {};
+    for (const [key, count] of Object.entries(inv.syncBase)) {
+      if (slugForKey(key)) base[key] = count || 0;
+    }
+
+    const { merged, conflicts } = merge(local, server, base);
+    for (const [key, count] of Object.entries(merged)) {
+      inv.gitems[key] = count;
+      inv.syncBase[key] = server[key] || 0;
+    }
+    inv.syncUser = userId || inv.syncUser || null;
+    backoff = {};
+    return { conflicts };
+  }
+
+  let flushing = false;
+  async function flush(inv) {
+    if (flushing || !inv || typeof window === "undefined" || !window.DB) return 0;
+    const changes = pendingChanges(inv);
+    if (changes.length === 0) return 0;
+    flushing = true;
+    try {
+      const results = await window.DB.applyInventoryBatch(
+        changes.map(({ base_slug, rarity, quality, delta }) => ({ base_slug, rarity, quality, delta }))
+      );
+      if (!inv.syncBase) inv.syncBase = {};
+      let applied = 0;
+      changes.forEach((c, i) => {
+        const r = results[i];
+        if (r && r.status === "ok") {
+          inv.syncBase[c.key] = (inv.syncBase[c.key] || 0) + c.delta;
+          applied++;
+        } else {
+          backoff[c.key] = Date.now() + REJECT_BACKOFF_MS;
+          console.warn("Inventory sync rejected:", c.key, r && r.error);
+        }
+      });
+      return applied;
+    } catch (e) {
+      console.warn("Inventory sync failed:", e);
+      return 0;
+    } finally {
+      flushing = false;
+    }
+  }
+
+  let timer = null;
+  function start(getInv, { intervalMs = 10000, onFlushed } = {}) {
+    stop();
+    timer = setInterval(() => {
+      flush(getInv()).then((n) => {
+        if (n > 0 && typeof onFlushed === "function") onFlushed(n);
+      });
+    }, intervalMs);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  const InventorySync = {
+    slugForKey,
+    keyForItem,
+    pendingChanges,
+    serverHeld,
+    localOnly,
+    merge,
+    reconcile,
+    flush,
+    start,
+    stop,
+  };
+
+  if (typeof window !== "undefined") {
+    window.InventorySync = InventorySync;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { InventorySync };
+  }
+})();
@@ -29,7 +29,7 @@
     window.ItemSystem.gather(category, nodeName, options?)
       - category: 'tree' | 'flower' | 'mineral'
       - nodeName: e.g. 'Apple Tree' or 'Apple' (tree), 'Rose' (flower), 'Copper Ore' (mineral)
-      - options: { rng?: () => number }
+      - options: { rng?: () => number, skillLevel?: number, skills?: Game.skills }
       Returns:
         {
           id: string,
@@ -39,11 +39,19 @@
           rarity: string,   // Common | Uncommon | Rare | Legendary | Mythic | Godlike
           quality: string,  // Dull | Normal | Refined | Pristine | Exquisite
           createdAt: number,
-          icon: string      // asset path if known (may be empty for wood)
+          icon: string,     // asset path if known (may be empty for wood)
+          secondary: [{ name, category, rarity, quality, qty, icon }]  // extra drops from the loot table
         }
 
-    window.ItemSystem.rollRarity()  // utility
-    window.ItemSystem.rollQuality() // utility
+    window.ItemSystem.rollRarity(rng?)  // utility
+    window.ItemSystem.rollQuality(rng?) // utility
+    window.ItemSystem.mulberry32(seed)  // seedable PRNG: () => number in [0, 1)
+    window.ItemSystem.lootTables        // per-kind tables (see "Loot tables" below)
+    window.ItemSystem.setLootTable(kind, table) / getLootTable(kind)
+    window.ItemSystem.skillBonus        // { perLevel, max } tuning for skill-level odds
+    window.ItemSystem.skillForCategory(category)   // 'mining' | 'flower' | 'harvesting'
+    window.ItemSystem.skillFor(category, nodeName) // skill whose level scales this node's odds
+    window.ItemSystem.oddsFor(category, nodeName, skillLevel?) // effective { rarity, quality } chances
     window.ItemSystem.categories    // { TREE, FLOWER, MINERAL }
     window.ItemSystem.rarities      // array of rarity names
     window.ItemSystem.qualities     // array of quality names
@@ -51,6 +59,25 @@
   Example:
     const item = ItemSystem.gather('tree', 'Apple Tree');
     console.log(item);
+
+  Determinism:
+    Every roll draws from the injected rng (default Math.random). Pass the same seeded
+    generator to get the same rarity/quality sequence, e.g. for drop-table tests:
+      const rng = ItemSystem.mulberry32(42);
+      ItemSystem.gather('mineral', 'Iron Ore', { rng });
+
+  Loot tables:
+    Keyed by node kind (case-insensitive: 'Diamond', 'rock', 'Oak', 'Rose'). Every field is optional:
+      {
+        rarityScale:  { Legendary: 1.5, ... },  // multiplies that cascade step's chance
+        rarity:       { Godlike: 0.001, ... },  // replaces that step's chance outright
+        qualityScale: { Exquisite: 2, ... },    // multiplies that quality's weight (re-normalized)
+        secondary:    [{ name: 'Coal', category: 'mineral', chance: 0.05, qty: 1 }],
+        skill:        'mining',                 // overrides the category's default skill
+      }
+    Skill level then scales every non-Common rarity step and every non-Dull quality weight by
+    1 + min(max, perLevel * (level - 1)). Secondary drops roll their own rarity/quality from
+    their kind's table (without further secondaries).
 */
 
 const ItemSystem = (() => {
@@ -86,10 +113,20 @@ const ItemSystem = (() => {
     ['Sakura', 'Sakura Blossom'],
   ]);
 
-  function rollRarityCascade(rng = Math.random) {
+  // A tiny deterministic PRNG (32-bit state)
+  function mulberry32(seed) {
+    return function() {
+      let t = seed += 0x6D2B79F5;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function rollRarityCascade(rng = Math.random, steps = RARITIES) {
     // Try from rarest to commonest; fallback to 'Common'
-    for (let i = 0; i < RARITIES.length; i++) {
-      const r = RARITIES[i];
+    for (let i = 0; i < steps.length; i++) {
+      const r = steps[i];
       // The final 'Common' row represents its nominal chance but we use it as a fallback name,
       // so we do not attempt its 80% roll here. We break out before attempting it.
       if (r.name === 'Common') break;
@@ -98,14 +135,117 @@ const ItemSystem = (() => {
     return 'Common';
   }
 
-  function rollQuality(rng = Math.random) {
+  function rollQuality(rng = Math.random, weights = QUALITIES) {
     const roll = rng();
     let acc = 0;
-    for (const q of QUALITIES) {
+    for (const q of weights) {
       acc += q.weight; // total sums to 1
       if (roll < acc) return q.name;
     }
-    return QUALITIES[QUALITIES.length - 1].name;
+    return weights[weights.length - 1].name;
+  }
+
+  // ----- Loot tables -----
+
+  const SKILL_FOR_CATEGORY = {
+    [Categories.TREE]: 'harvesting',
+    [Categories.FLOWER]: 'flower',
+    [Categories.MINERAL]: 'mining',
+  };
+
+  // +3% relative odds per level above 1, capped at double the base odds
+  const skillBonus = { perLevel: 0.03, max: 1.0 };
+
+  const STONE = { rarityScale: { Godlike: 0, Mythic: 0, Legendary: 0.25, Rare: 0.5, Uncommon: 0.75 } };
+  const PRECIOUS = { rarityScale: { Godlike: 3, Mythic: 2, Legendary: 1.3, Rare: 1.1 }, qualityScale: { Pristine: 1.5, Exquisite: 1.5 } };
+
+  const lootTables = {
+    rock: { ...STONE, secondary: [{ name: 'Coal', category: Categories.MINERAL, chance: 0.05 }] },
+    basalt: STONE,
+    granite: STONE,
+    limestone: STONE,
+    sandstone: STONE,
+    slate: STONE,
+    marble: { rarityScale: { Godlike: 0, Mythic: 0.5, Legendary: 0.5 } },
+    'copper ore': { secondary: [{ name: 'Tin Ore', category: Categories.MINERAL, chance: 0.05 }] },
+    'iron ore': { secondary: [{ name: 'Coal', category: Categories.MINERAL, chance: 0.08 }] },
+    'gold ore': { secondary: [{ name: 'Silver Ore', category: Categories.MINERAL, chance: 0.04 }] },
+    diamond: { rarityScale: { Godlike: 5, Mythic: 3, Legendary: 1.5, Rare: 1.2 }, qualityScale: { Pristine: 2, Exquisite: 2 } },
+    adamantite: PRECIOUS,
+    mythril: PRECIOUS,
+    starstone: PRECIOUS,
+    mooncrystal: PRECIOUS,
+    sakura: { rarityScale: { Legendary: 1.2, Rare: 1.2 } },
+    oak: { secondary: [{ name: 'Apple', category: Categories.TREE, chance: 0.02 }] },
+    lotus: { qualityScale: { Refined: 1.5, Pristine: 1.5 } },
+  };
+
+  function kindKey(category, nodeName) {
+    const name = category === Categories.TREE ? baseTreeName(nodeName) : normalizeNodeName(nodeName);
+    return name.toLowerCase();
+  }
+
+  function getLootTable(kind) {
+    return lootTables[String(kind || '').trim().toLowerCase()] || null;
+  }
+
+  function setLootTable(kind, table) {
+    const key = String(kind || '').trim().toLowerCase();
+    if (!key) throw new Error('setLootTable(kind, table): kind is required.');
+    if (table) lootTables[key] = table;
+    else delete lootTables[key];
+  }
+
+  function skillMultiplier(level) {
+    const lv = Math.max(1, Math.floor(level || 1));
+    return 1 + Math.min(skillBonus.max, skillBonus.perLevel * (lv - 1));
+  }
+
+  function rarityStepsFor(table, level) {
+    const mult = skillMultiplier(level);
+    return RARITIES.map((r) => {
+      if (r.name === 'Common') return { name: r.name, chance: r.chance };
+      let chance = r.chance;
+      if (table && table.rarity && typeof table.rarity[r.name] === 'number') chance = table.rarity[r.name];
+      else if (table && table.rarityScale && typeof table.rarityScale[r.name] === 'number') chance *= table.rarityScale[r.name];
+      return { name: r.name, chance: Math.max(0, Math.min(0.95, chance * mult)) };
+    });
+  }
+
+  function qualityWeightsFor(table, level) {
+    const mult = skillMultiplier(level);
+    const raw = QUALITIES.map((q, i) => {
+      let w = q.weight;
+      if (table && table.qualityScale && typeof table.qualityScale[q.name] === 'number') w *= table.qualityScale[q.name];
+      if (i > 0) w *= mult;
+      return { name: q.name, weight: Math.max(0, w) };
+    });
+    const total = raw.reduce((a, q) => a + q.weight, 0) || 1;
+    return raw.map((q) => ({ name: q.name, weight: q.weight / total }));
+  }
+
+  function skillKeyFor(category, table) {
+    return (table && table.skill) || SKILL_FOR_CATEGORY[category] || null;
+  }
+
+  function levelFor(category, table, options) {
+    if (typeof options.skillLevel === 'number') return options.skillLevel;
+    const s = options.skills && options.skills[skillKeyFor(category, table)];
+    return (s && s.level) || 1;
+  }
+
+  function skillFor(category, nodeName) {
+    const cat = String(category).toLowerCase();
+    return skillKeyFor(cat, getLootTable(kindKey(cat, nodeName)));
+  }
+
+  function oddsFor(category, nodeName, skillLevel = 1) {
+    const cat = String(category).toLowerCase();
+    const table = getLootTable(kindKey(cat, nodeName));
+    return {
+      rarity: rarityStepsFor(table, skillLevel),
+      quality: qualityWeightsFor(table, skillLevel),
+    };
   }
 
   function normalizeNodeName(name) {
@@ -160,26 +300,42 @@ const ItemSystem = (() => {
     return `itm_${Date.now().toString(36)}_${(idSeq++).toString(36)}`;
   }
 
+  function inferItem(cat, nodeName, category) {
+    if (cat === Categories.TREE) return inferTreeItem(nodeName);
+    if (cat === Categories.FLOWER) return inferFlowerItem(nodeName);
+    if (cat === Categories.MINERAL) return inferMineralItem(nodeName);
+    throw new Error(`Unknown category '${category}'. Use 'tree', 'flower', or 'mineral'.`);
+  }
+
   function gather(category, nodeName, options = {}) {
     if (!category) throw new Error('gather(category, nodeName): category is required.');
     if (!nodeName) throw new Error('gather(category, nodeName): nodeName is required.');
 
     const rng = options.rng || Math.random;
     const cat = String(category).toLowerCase();
+    const itemName = inferItem(cat, nodeName, category);
 
-    let itemName;
-    if (cat === Categories.TREE) {
-      itemName = inferTreeItem(nodeName);
-    } else if (cat === Categories.FLOWER) {
-      itemName = inferFlowerItem(nodeName);
-    } else if (cat === Categories.MINERAL) {
-      itemName = inferMineralItem(nodeName);
-    } else {
-      throw new Error(`Unknown category '${category}'. Use 'tree', 'flower', or 'mineral'.`);
-    }
+    const table = getLootTable(kindKey(cat, nodeName));
+    const level = levelFor(cat, table, options);
+    const rarity = rollRarityCascade(rng, rarityStepsFor(table, level));
+    const quality = rollQuality(rng, qualityWeightsFor(table, level));
 
-    const rarity = rollRarityCascade(rng);
-    const quality = rollQuality(rng);
+    // Secondary drops: each entry rolls independently, in table order
+    const secondary = [];
+    for (const drop of (table && table.secondary) || []) {
+      if (!drop || !drop.name || !(rng() < (drop.chance || 0))) continue;
+      const dCat = String(drop.category || cat).toLowerCase();
+      const dTable = getLootTable(kindKey(dCat, drop.name));
+      const dName = inferItem(dCat, drop.name, drop.category);
+      secondary.push({
+        name: dName,
+        category: dCat,
+        rarity: rollRarityCascade(rng, rarityStepsFor(dTable, level)),
+        quality: rollQuality(rng, qualityWeightsFor(dTable, level)),
+        qty: drop.qty || 1,
+        icon: assetPath(dCat, dName),
+      });
+    }
 
     return {
       id: makeId(),
@@ -190,13 +346,22 @@ const ItemSystem = (() => {
       quality,
       createdAt: Date.now(),
       icon: assetPath(cat, itemName),
+      secondary,
     };
   }
 
   return {
     gather,
-    rollRarity: () => rollRarityCascade(),
-    rollQuality: () => rollQuality(),
+    rollRarity: (rng) => rollRarityCascade(rng),
+    rollQuality: (rng) => rollQuality(rng),
+    mulberry32,
+    lootTables,
+    getLootTable,
+    setLootTable,
+    skillBonus,
+    skillForCategory: (category) => SKILL_FOR_CATEGORY[String(category).toLowerCase()] || null,
+    skillFor,
+    oddsFor,
     categories: Categories,
     rarities: RARITIES.map(r => r.name),
     qualities: QUALITIES.map(q => q.name),
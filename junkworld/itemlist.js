@@ -1,7 +1,7 @@
 /*
   Item List (easy to customize)
   - Each item uses the tuple format: [itemID, name, imageLink]
-  - Categories: trees, flowers, minerals
+  - Categories: trees, flowers, minerals, misc, crafted, crops
   - itemID is a stable slug so you can reference an item reliably in code.
 
   Example entry:
@@ -29,10 +29,15 @@
     flowers: [],
     minerals: [],
     misc: [],
+    crafted: [],
+    crops: [],
 
     // id -> [itemID, name, imageLink]
     byId: {},
 
+    // lowercased alternate name -> itemID (e.g. ItemSystem's bare flower names)
+    aliases: {},
+
     // Helpers
     add(category, tuple) {
       if (!this[category]) throw new Error("Unknown category: " + category);
@@ -49,6 +54,20 @@
     findById(id) {
       return this.byId[id] || null;
     },
+    alias(name, id) {
+      this.aliases[String(name).trim().toLowerCase()] = id;
+    },
+    // Resolve a display name from any category (inventory keys only carry the name)
+    findAnyByName(name) {
+      const target = String(name || "").trim().toLowerCase();
+      if (!target) return null;
+      for (const cat of ["trees", "flowers", "minerals", "misc", "crafted", "crops"]) {
+        const hit = this[cat].find((e) => e[1].toLowerCase() === target);
+        if (hit) return hit;
+      }
+      const aliased = this.aliases[target];
+      return aliased ? this.findById(aliased) : null;
+    },
     makeId,
     slug,
   };
@@ -77,7 +96,10 @@
   const FLOWERS = ["Daisy", "Lotus", "Orchid", "Rose", "Sunflower", "Tulip"];
   FLOWERS.forEach((n) => {
     const itemName = `${n} Petals`;
-    ItemList.add("flowers", [makeId("flower_petals", itemName), itemName, `assets/flower/${n}.png`]);
+    const id = makeId("flower_petals", itemName);
+    ItemList.add("flowers", [id, itemName, `assets/flower/${n}.png`]);
+    // ItemSystem.gather names flower drops after the node ('Rose'), so map that to the petals
+    ItemList.alias(n, id);
   });
 
   // Minerals (icons available in assets/minerals/*.png)
@@ -123,6 +145,18 @@
   // Misc items
   ItemList.add("misc", [makeId("misc", "SEED"), "SEED", ""]);
 
+  // Crafted items (outputs of crafting.js and bunker kitchen recipes; no dedicated icons yet)
+  const CRAFTED = ["Wood Plank", "Iron Ingot", "Copper Wire", "Petal Tonic", "Fertilizer", "Sprinkler", "Rain Collector", "Auto Harvester", "Storage Chest", "Bread", "Tomato Soup", "Vegetable Stew", "Harvest Feast"];
+  CRAFTED.forEach((n) => {
+    ItemList.add("crafted", [makeId("crafted", n), n, ""]);
+  });
+
+  // Crop produce (crops.js registers the crop definitions; list produce here so the seed catalog has it)
+  const CROPS = ["Turnip", "Wheat", "Corn", "Tomato"];
+  CROPS.forEach((n) => {
+    ItemList.add("crops", [makeId("crop", n), n, ""]);
+  });
+
   // Expose globally
   if (typeof window !== "undefined") {
     window.ItemList = ItemList;
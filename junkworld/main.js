@@ -15,15 +15,23 @@
 // ----------------------------- Constants & Config -----------------------------
 
 const TILE_SIZE = 32;                // pixels per tile
-const WORLD_W = 256;                 // tiles (10x area from 64 → 256)
-const WORLD_H = 120;                 // tiles (10x area from 48 → 120)
+const WORLD_W = WorldLayout.WORLD_W; // overworld tiles (worldlayout.js)
+const WORLD_H = WorldLayout.WORLD_H;
 const MOVE_COOLDOWN_MS = 120;        // grid movement cadence
-const SAVE_KEY = 'junkora-save-v1'; // bump key to avoid stale day fields
+const SAVE_KEY = 'junkora-save-v2'; // world tiles live in chunk keys (see World Persistence)
+const LEGACY_SAVE_KEY = 'junkora-save-v1'; // full-grid layout, migrated on first load
 const WATER_DURATION_MS = 60000;     // water lasts 60s (re-water to extend)
 const AUTOSAVE_INTERVAL_MS = 5000;   // autosave every 5s
+const SHARED_WORLD_SEED = WorldLayout.SHARED_WORLD_SEED; // new games generate (and share through world_cells) this world
 
 const DECOR_PROXIMITY = 8;  // proximity for full animation (Manhattan tiles)
-const GATHER_TIME_MS = 1500;       // milliseconds to complete a gather action
+const GATHER_TIME_MS = GatherSystem.timeMs; // milliseconds to complete a gather action
+const WORKSHOP_BUNKER = 'workshop-crafting-room-bunker'; // bunker slug that unlocks crafting
+
+// Depleted decor leaves a stump/husk and regrows after a real-time delay (wall clock, so offline time counts)
+const RESPAWN_MS = { Trees: 10 * 60 * 1000, flowers: 3 * 60 * 1000, minerals: 15 * 60 * 1000 };
+// Chance that a node comes back as a different kind from DECOR_KINDS (0 = always the same kind)
+const RESPAWN_REROLL_CHANCE = { Trees: 0, flowers: 0.5, minerals: 0.25 };
 
 const KEYS = {
   Up: ['ArrowUp', 'KeyW'],
@@ -32,11 +40,13 @@ const KEYS = {
   Right: ['ArrowRight', 'KeyD'],
   Interact: ['KeyE'],
   Shop: ['KeyB'],
+  Craft: ['KeyC'],
   Grid: ['KeyG'],
   Debug: ['F3'],
   ToolHoe: ['Digit1'],
   ToolWater: ['Digit2'],
   ToolHand: ['Digit3'],
+  Chat: ['Enter'],
   Escape: ['Escape'],
 };
 
@@ -53,41 +63,12 @@ const Dir = {
   Right: 'right',
 };
 
-// A tiny deterministic PRNG so world decor is consistent across sessions
+// A tiny deterministic PRNG so world decor is consistent across sessions (shared with loot rolls)
 function mulberry32(seed) {
-  return function() {
-    let t = seed += 0x6D2B79F5;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+  return ItemSystem.mulberry32(seed);
 }
 
-// Crop definitions (expandable)
-// stageMs: time required (in ms) to progress from current stage to the next
-const CROPS = {
-  turnip: {
-    display: 'Turnip',
-    seedPrice: 10,
-    sellPrice: 25,
-    stageMs: [8000, 12000, 0], // seed->sprout:8s, sprout->mature:12s
-    colors: ['#7a552e', '#7fc96b', '#4ea24d'],
-  },
-  wheat: {
-    display: 'Wheat',
-    seedPrice: 12,
-    sellPrice: 20,
-    stageMs: [12000, 18000, 0],
-    colors: ['#7a552e', '#8bbf6f', '#d2b84c'],
-  },
-  corn: {
-    display: 'Corn',
-    seedPrice: 20,
-    sellPrice: 40,
-    stageMs: [16000, 22000, 0],
-    colors: ['#7a552e', '#6bbf59', '#f1c40f'],
-  },
-};
+// Crop definitions live in crops.js (CropRegistry): stages, yields, regrowth, seasons, fertilizers
 
 // Tileset (base layer indices)
 const TILE = {
@@ -95,6 +76,9 @@ const TILE = {
   Soil: 1,
   Path: 2,
   Water: 3,
+  Floor: 4,  // bunker interior
+  Wall: 5,
+  Rubble: 6, // unbuilt bunker room, scrap heaps and boulders
 };
 
 const TILESET = [
@@ -103,6 +87,9 @@ const TILESET = [
   { id: TILE.Soil,  name: 'soil',  base: '#2f231a' }, // oily mud
   { id: TILE.Path,  name: 'path',  base: '#3b3b3f' }, // cracked asphalt
   { id: TILE.Water, name: 'water', base: '#2a5d4f' }, // toxic green-blue
+  { id: TILE.Floor, name: 'floor', base: '#4a4d52' }, // riveted steel plate
+  { id: TILE.Wall,  name: 'wall',  base: '#1d1f23' }, // poured concrete
+  { id: TILE.Rubble, name: 'rubble', base: '#5a4b3c' }, // collapsed room
 ];
 
 // Character sprites
@@ -148,16 +135,24 @@ function setupBGM() {
 const Game = {
   coins: 50,
   tool: Tools.Hoe,
-  equippedSeed: null, // 'turnip' | 'wheat' | 'corn' | null
+  equippedSeed: null, // CropRegistry id ('turnip', 'tomato', ...) | null
+  equippedNodeSeed: null, // tree/flower seed item name ('Apple Seed') planted on grass | null
+  equippedPlaceable: null, // farm device item name ('Sprinkler') placed with the Hand | null
+  equippedFertilizer: null, // fertilizer item name spent on a growing crop with the Hand | null
 
   // Inventory
   inv: {
-    seeds: { turnip: 0, wheat: 0, corn: 0 },
-    crops: { turnip: 0, wheat: 0, corn: 0 },
+    // Seeds by crop id; harvested produce stacks in gitems like gathered items
+    seeds: Object.fromEntries(CropRegistry.list().map(c => [c.id, 0])),
     // Gathered items legacy aggregate: itemName -> count (kept for tooltip/meta)
     items: {},
     // Gathered items by identity: key = `${name}__${rarity}__${quality}` -> count
     gitems: {},
+    // Server quantity per gitems key as of the last successful sync (see invsync.js)
+    syncBase: {},
+    syncUser: null,
+    // Closed trades already applied to gitems/syncBase (see settleTrade)
+    settledTrades: [],
     // Inventory panel page (1..3)
     panelPage: 1
   },
@@ -189,12 +184,53 @@ const Game = {
   // Random generator
   rng: mulberry32(1337),
 
+  // Overworld generator (see generateWorld): { generator: 'biomes', seed } | { generator: 'legacy' }
+  worldGen: null,
+
+  // Save schema version (migrations.js); loaded saves may start lower and are migrated up
+  schemaVersion: 0,
+
+  // Cloud slot this save was last uploaded to / loaded from: { slot, syncedAt (server updated_at) }
+  cloud: null,
+
+  // Loot rolls: gather #n draws from its own stream derived from (seed, n), so any drop can be replayed
+  loot: { seed: (Math.random() * 4294967296) >>> 0, count: 0 },
+
   // Gather state (UI + timer)
   gather: { active: false, target: null, startAt: 0, duration: GATHER_TIME_MS, progress: 0 },
 
+  // Wall-clock time the world (water, crop growth) was last advanced to; see tickWorld()
+  worldTickAt: 0,
+
+  // Active zone (zones.js, see Zones) and its size in tiles; Game.world / Game.decor hold its grid
+  zone: 'overworld',
+  size: { w: WORLD_W, h: WORLD_H },
+
+  // Saved state of the zones other than the overworld: { [id]: { tiles: [entries], decor?, tickAt } }
+  zones: {},
+
+  // Where the last portal was taken from ({ zone, x, y }); `back` portals return here
+  zoneReturn: null,
+
+  // Bunker rooms (bunker.js): { rooms: { [slug]: level }, restedAt }
+  bunker: { rooms: {}, restedAt: 0 },
+
+  // Shared sky (weather.js): { kind, startedAt, endsAt } in wall-clock ms | null until first rolled
+  weather: null,
+
+  // Pets (pets.js): { active: species id | null, owned: { [species]: { species, name, level, xp, fedUntil } } }
+  pets: { active: null, owned: {} },
+
+  // Crafting in progress (wall-clock timestamps so it survives reloads)
+  // { recipeId, output: { key, name, qty }, startAt, endAt } | null
+  craft: null,
+
   // Autosave accumulator
   _autosaveMs: 0,
 
+  // False while generateWorld() builds the baseline; decor spawns (Customization) must not save over the real save
+  _worldReady: false,
+
   // Supabase sync state
   _lastCoordSyncAt: 0,
   _lastSyncedPos: { x: null, y: null },
@@ -210,7 +246,7 @@ function makeTile(x, y, baseId) {
     tileId: baseId,   // tileset id
     tilled: false,    // tilled soil for planting
     watered: false,   // water state
-    waterEndAt: 0,    // timestamp (performance.now()) when watering expires
+    waterEndAt: 0,    // wall-clock timestamp (Date.now()) when watering expires
     plant: null,      // { type, stage, growthMs }
     coord: { x, y },  // hidden coordinates
     walkable: baseId !== TILE.Water, // water is not walkable
@@ -309,6 +345,11 @@ const __modals = {
   minimap: document.getElementById('modal-minimap'),
   logout: document.getElementById('modal-logout'),
   username: document.getElementById('modal-username'),
+  crafting: document.getElementById('modal-crafting'),
+  saves: document.getElementById('modal-saves'),
+  chest: document.getElementById('modal-chest'),
+  trade: document.getElementById('modal-trade'),
+  market: document.getElementById('modal-market'),
 };
 
 // Bunker assets manifest (from assets/bunker)
@@ -350,6 +391,31 @@ function updateBunkerModal() {
         <div class="card-title">${item.name}</div>
         <button type="button" class="claim-btn" aria-label="Claim ${item.name}" style="margin-top:8px;padding:8px 10px;border-radius:6px;border:1px solid rgba(0,0,0,0.3);background:#1f6feb;color:#fff;font-weight:700;cursor:pointer;">Claim</button>
       `;
+      // Room level and the cost of the next build/upgrade (bunker.js)
+      const room = window.BunkerRooms && BunkerRooms.get(slug);
+      if (room) {
+        const level = bunkerRoomLevel(slug);
+        const next = BunkerRooms.upgradeRecipe(slug, level + 1);
+        let html = `
+          <div class="card-sub">${room.summary}</div>
+          <div class="room-level${level > 0 ? '' : ' unbuilt'}">${level > 0 ? 'Lv ' + level + ' / ' + BunkerRooms.maxLevel(slug) : 'Not built'}</div>
+        `;
+        if (next) {
+          const chk = CraftingSystem.check(next, Game.inv.gitems || {}, Game.skills);
+          html += `
+            <div class="room-cost">${next.inputs.map(describeRecipeInput).join(' + ')}</div>
+            <button type="button" class="craft-btn upgrade-btn" aria-label="${level > 0 ? 'Upgrade' : 'Build'} ${room.label}"${chk.ok ? '' : ' disabled title="' + (chk.reason || 'Missing materials') + '"'}>${level > 0 ? 'Upgrade' : 'Build'}</button>
+          `;
+        } else {
+          html += `<div class="room-cost">Fully upgraded</div>`;
+        }
+        btn.insertAdjacentHTML('beforeend', html);
+      }
+      if (slug === WORKSHOP_BUNKER) {
+        btn.insertAdjacentHTML('beforeend', `
+          <button type="button" class="workshop-btn" aria-label="Open Workshop" style="margin-top:6px;padding:8px 10px;border-radius:6px;border:1px solid rgba(120,200,255,0.25);background:linear-gradient(135deg, rgba(24,28,36,0.95), rgba(12,14,18,0.9));color:#e6f1ff;font-weight:700;cursor:pointer;">Open Workshop</button>
+        `);
+      }
       container.appendChild(btn);
     });
 
@@ -388,6 +454,20 @@ function openModal(id) {
     try { updateSkillsModal(); } catch (e) {}
   } else if (key === 'bunker') {
     try { updateBunkerModal(); } catch (e) {}
+  } else if (key === 'crafting') {
+    try { updateCraftingModal(); } catch (e) {}
+  } else if (key === 'saves') {
+    try { updateSavesModal(); } catch (e) {}
+  } else if (key === 'chest') {
+    try { updateChestModal(); } catch (e) {}
+  } else if (key === 'trade') {
+    try { updateTradeModal(); } catch (e) {}
+  } else if (key === 'market') {
+    try { updateMarketModal(); } catch (e) {}
+  } else if (key === 'mailbox') {
+    try { updateMailboxModal(); } catch (e) {}
+  } else if (key === 'pets') {
+    try { updatePetsModal(); } catch (e) {}
   }
 }
 
@@ -484,8 +564,8 @@ function updateProfileModal() {
 
     if (nameEl) nameEl.textContent = username;
     if (staEl) staEl.textContent = `${Math.round(stamina.current)}/${stamina.max}`;
-    if (cashEl) cashEl.textContent = String(curr.cash ?? 0);
-    if (junkEl) junkEl.textContent = String(curr.junk ?? 0);
+    if (cashEl) cashEl.textContent = String(walletCash());
+    if (junkEl) junkEl.textContent = String((curr.junk ?? 0) + bankBalance('junk'));
     if (adaEl) adaEl.textContent = String(curr.ada ?? 0);
     if (statusEl && !window.JunkoraWallet) statusEl.textContent = '';
     if (specEl) specEl.textContent = '';
@@ -499,7 +579,9 @@ document.getElementById('btn-profile')?.addEventListener('click', () => openModa
 document.getElementById('btn-pets')?.addEventListener('click', () => openModal('pets'));
 
 document.getElementById('btn-mailbox')?.addEventListener('click', () => openModal('mailbox'));
+document.getElementById('btn-market')?.addEventListener('click', () => openModal('market'));
 document.getElementById('btn-support')?.addEventListener('click', () => openModal('support'));
+document.getElementById('profile-saves-btn')?.addEventListener('click', () => openModal('saves'));
 document.getElementById('btn-logout')?.addEventListener('click', () => startLogoutCountdown());
 // Clickable minimap opens large map modal
 document.getElementById('minimap')?.addEventListener('click', () => openModal('minimap'));
@@ -581,6 +663,13 @@ function startLogoutCountdown() {
     const card = e.target && e.target.closest ? e.target.closest('.rust-card') : null;
     if (!card) return;
 
+    // Build/upgrade a room without changing the selected card
+    const upgrade = e.target.closest('.upgrade-btn');
+    if (upgrade) {
+      upgradeBunkerRoom(card.getAttribute('data-bunker'));
+      return;
+    }
+
     // Always select clicked card
     container.querySelectorAll('.rust-card').forEach(el => el.classList.remove('selected'));
     card.classList.add('selected');
@@ -588,6 +677,13 @@ function startLogoutCountdown() {
     Game.bunkerType = type;
     try { localStorage.setItem('junkora-bunker-type', type); } catch (err) {}
 
+    // Workshop opens crafting once it is the selected bunker
+    const workshop = e.target && e.target.closest && e.target.closest('.workshop-btn');
+    if (workshop) {
+      openCraftingStation(null);
+      return;
+    }
+
     // Claim button flow
     const claim = e.target && e.target.closest && e.target.closest('.claim-btn');
     if (claim) {
@@ -615,22 +711,16 @@ function startLogoutCountdown() {
 
 // ----------------------------- World Generation ------------------------------
 
+// Decor variants per category (worldgen.js); shared by worldgen, save migration and respawn
+const DECOR_KINDS = WorldGen.decorKinds;
+
 function generateWorld() {
-  // Asset manifests for decor variants (per your assets folder)
+  // Asset manifests for decor variants
   // Each item will use a spritesheet at runtime: 8 frames, 64x64 per frame (512x64 total)
   const ASSET_MANIFEST = {
-    Trees: {
-      dir: 'assets/tree',
-      kinds: ['Apple','Birch','Coconut','Jacaranda','Lemon','Mango','Maple','Oak','Orange','Peach','Pine','Sakura','Willow']
-    },
-    flowers: {
-      dir: 'assets/flower',
-      kinds: ['Daisy','Lotus','Orchid','Rose','Sunflower','Tulip']
-    },
-    minerals: {
-      dir: 'assets/minerals',
-      kinds: ['Adamantite','Amethyst','Basalt','Coal','Copper Ore','Diamond','Emerald','Gold Ore','Granite','Iron Ore','Limestone','Marble','Mooncrystal','Mythril','Obsidian','Opal','rock','Ruby','Sandstone','Sapphire','Silver Ore','Slate','Starstone','Tin Ore','Topaz']
-    },
+    Trees: { dir: 'assets/tree', kinds: DECOR_KINDS.Trees },
+    flowers: { dir: 'assets/flower', kinds: DECOR_KINDS.flowers },
+    minerals: { dir: 'assets/minerals', kinds: DECOR_KINDS.minerals },
   };
 
   // Lazy cache for generated spritesheets (built from your single PNGs)
@@ -718,6 +808,46 @@ function generateWorld() {
     const idx = Math.floor((rng || Math.random)() * manifest.kinds.length);
     return manifest.kinds[Math.max(0, Math.min(idx, manifest.kinds.length - 1))];
   }
+  // Farm plot in the middle of the map; both generators lay soil here
+  const farm = WorldLayout.FARM;
+
+  const gen = Game.worldGen && Game.worldGen.generator === 'biomes' && window.WorldGen
+    ? seededTerrain(Game.worldGen.seed, farm, ASSET_MANIFEST)
+    : legacyTerrain(farm, pickRandomKind);
+  const { grid, decor } = gen;
+
+  Game.world = grid;
+  Game.decor = decor;
+  // Ensure all decor have harvest counters (safety)
+  ensureDecorHarvestCounters();
+
+  // Spawn 'Prophecy Seller' NPC at its fixed tile
+  try {
+    if (window.Customization && typeof window.Customization.spawnNPC === 'function') {
+      window.Customization.spawnNPC(WorldLayout.SELLER.x, WorldLayout.SELLER.y, 'Prophecy Seller', { role: 'seller' });
+    }
+  } catch (e) {}
+
+  // Spawn player at the generator's start tile
+  Game.player.x = gen.spawn.x;
+  Game.player.y = gen.spawn.y;
+  if (!grid[Game.player.y][Game.player.x].walkable) {
+    // find first walkable nearby
+    outer: for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        const nx = Game.player.x + dx, ny = Game.player.y + dy;
+        if (inBounds(nx, ny) && grid[ny][nx].walkable) {
+          Game.player.x = nx; Game.player.y = ny;
+          break outer;
+        }
+      }
+    }
+  }
+}
+
+// The original fixed layout (one pond, uniform decor from Game.rng); saves made before seeded worlds
+// store their tiles as changes against it, so it must keep producing exactly this map
+function legacyTerrain(farm, pickRandomKind) {
   // Base world: grass everywhere
   const grid = new Array(WORLD_H);
   for (let y = 0; y < WORLD_H; y++) {
@@ -743,9 +873,7 @@ function generateWorld() {
   }
 
   // Create a central farm soil rectangle
-  const farmW = 24, farmH = 16;
-  const farmX = Math.floor(WORLD_W/2 - farmW/2);
-  const farmY = Math.floor(WORLD_H/2 - farmH/2);
+  const { x: farmX, y: farmY, w: farmW, h: farmH } = farm;
   for (let y = 0; y < farmH; y++) {
     for (let x = 0; x < farmW; x++) {
       const gx = farmX + x;
@@ -790,39 +918,31 @@ function generateWorld() {
     decor.push({ x, y, type, kind, animOffset, maxHarvests: hc.maxHarvests, remainingHarvests: hc.remainingHarvests });
   }
 
-  Game.world = grid;
-  Game.decor = decor;
-  // Ensure all decor have harvest counters (safety)
-  ensureDecorHarvestCounters();
-
-  // Spawn 'Prophecy Seller' NPC at fixed coordinates (128, 59)
-  try {
-    if (window.Customization && typeof window.Customization.spawnNPC === 'function') {
-      window.Customization.spawnNPC(128, 59, 'Prophecy Seller', { role: 'seller' });
-    }
-  } catch (e) {}
+  return { grid, decor, spawn: { x: farmX - 10, y: 4 } };
+}
 
-  // Spawn player near path start
-  Game.player.x = farmX - 10;
-  Game.player.y = 4;
-  if (!grid[Game.player.y][Game.player.x].walkable) {
-    // find first walkable nearby
-    outer: for (let dy = -2; dy <= 2; dy++) {
-      for (let dx = -2; dx <= 2; dx++) {
-        const nx = Game.player.x + dx, ny = Game.player.y + dy;
-        if (inBounds(nx, ny) && grid[ny][nx].walkable) {
-          Game.player.x = nx; Game.player.y = ny;
-          break outer;
-        }
-      }
-    }
+// Biome terrain from worldgen.js with the layout's inputs (worldlayout.js, which the server's seed
+// tables are generated from); spawn sits just west of the farm, by the bunker hatch
+function seededTerrain(seed, farm, manifest) {
+  const spawn = { ...WorldLayout.SPAWN };
+  const kinds = {};
+  for (const [cat, m] of Object.entries(manifest)) kinds[cat] = m.kinds;
+  const out = WorldGen.generate(WorldLayout.generateOptions(seed, kinds, mulberry32(seed)));
+  const grid = out.tiles.map((row, y) => row.map((kind, x) => tileFromKind(kind, x, y)));
+  for (let y = farm.y; y < farm.y + farm.h; y++) {
+    for (let x = farm.x; x < farm.x + farm.w; x++) grid[y][x].tileId = TILE.Soil;
   }
+  const decor = out.decor.map(d => {
+    if (d.type === 'Trees' || d.type === 'minerals') grid[d.y][d.x].walkable = false;
+    return { ...d, ...initialHarvestCountersForType(d.type) };
+  });
+  return { grid, decor, spawn };
 }
 
 // ----------------------------- Utility ---------------------------------------
 
 function inBounds(x, y) {
-  return x >= 0 && y >= 0 && x < WORLD_W && y < WORLD_H;
+  return x >= 0 && y >= 0 && x < Game.size.w && y < Game.size.h;
 }
 
 function pointInRect(x, y, rect) {
@@ -853,7 +973,7 @@ function isBlocked(x, y) {
   const t = tileAt(x, y);
   if (!t.walkable) return true;
   const d = decorAt(x, y);
-  if (d && (d.type === 'Trees' || d.type === 'minerals')) return true;
+  if (d && !d.depleted && !d.sapling && (d.type === 'Trees' || d.type === 'minerals')) return true;
   return false;
 }
 
@@ -862,10 +982,11 @@ function isBlocked(x, y) {
  * - flowers: 1
  * - Trees: 3-5 (random)
  * - minerals: 1-3 (random)
+ * `rand` defaults to Game.rng.
  */
-function initialHarvestCountersForType(category) {
+function initialHarvestCountersForType(category, rand) {
   const cat = String(category);
-  const rng = (Game && typeof Game.rng === 'function') ? Game.rng : Math.random;
+  const rng = rand || ((Game && typeof Game.rng === 'function') ? Game.rng : Math.random);
   if (cat === 'flowers') {
     return { maxHarvests: 1, remainingHarvests: 1 };
   }
@@ -893,129 +1014,2503 @@ function ensureDecorHarvestCounters() {
       d.remainingHarvests = (typeof d.remainingHarvests === 'number')
         ? Math.max(0, Math.min(d.remainingHarvests, init.maxHarvests))
         : init.remainingHarvests;
+      markTileDirty(d.x, d.y);
+    }
+    // Nodes saved at 0 harvests without a timer become husks that regrow normally
+    if (d.remainingHarvests <= 0 && !d.depleted && !d.sapling && RESPAWN_MS[d.type]) {
+      depleteDecor(d);
     }
   }
 }
 
-// ----------------------------- Input -----------------------------------------
+/* ----------------------------- Resource Respawn ----------------------------- */
 
-const keysDown = new Set();
+// Turn a node into its stump/husk; it stays in Game.decor (and the save) until it regrows
+function depleteDecor(d) {
+  d.depleted = true;
+  d.remainingHarvests = 0;
+  d.respawnAt = Date.now() + (RESPAWN_MS[d.type] || RESPAWN_MS.flowers);
+  const t = tileAt(d.x, d.y);
+  if (t) t.walkable = true;
+  markTileDirty(d.x, d.y);
+}
 
-window.addEventListener('keydown', (e) => {
-  keysDown.add(e.code);
+function respawnDecor(d) {
+  const kinds = DECOR_KINDS[d.type];
+  // Seeded by tile and respawn time, so every player in a shared world sees the same node come back
+  const rng = mulberry32((Math.imul(d.x, 73856093) ^ Math.imul(d.y, 19349663) ^ (d.respawnAt || 0)) >>> 0);
+  // Planted nodes always come back as what their owner planted
+  const reroll = d.owner ? 0 : (RESPAWN_REROLL_CHANCE[d.type] || 0);
+  if (d.regrow) {
+    // Shared nodes come back as world_apply decided when they were emptied
+    d.kind = d.regrow.kind || d.kind;
+  } else if (kinds && kinds.length && rng() < reroll) {
+    d.kind = kinds[Math.floor(rng() * kinds.length)];
+  }
+  const init = d.regrow && d.regrow.maxHarvests > 0
+    ? { maxHarvests: d.regrow.maxHarvests, remainingHarvests: d.regrow.maxHarvests }
+    : initialHarvestCountersForType(d.type, rng);
+  d.maxHarvests = init.maxHarvests;
+  d.remainingHarvests = init.remainingHarvests;
+  d.depleted = false;
+  delete d.respawnAt;
+  delete d.regrow;
+  if (d.type === 'Trees' || d.type === 'minerals') {
+    const t = tileAt(d.x, d.y);
+    if (t) t.walkable = false;
+  }
+  markTileDirty(d.x, d.y);
+}
 
-  // Prevent arrow keys from scrolling
-  if (KEYS.Up.includes(e.code) || KEYS.Down.includes(e.code) ||
-      KEYS.Left.includes(e.code) || KEYS.Right.includes(e.code) ) {
-    e.preventDefault();
+let __lastRespawnCheckAt = 0;
+function updateRespawns() {
+  const now = Date.now();
+  if (now - __lastRespawnCheckAt < 1000) return;
+  __lastRespawnCheckAt = now;
+  if (!Array.isArray(Game.decor)) return;
+  let changed = false;
+  for (const d of Game.decor) {
+    if (d && d.sapling && d.sapling.matureAt <= now) {
+      if (d.type === 'Trees' && d.x === Game.player.x && d.y === Game.player.y) continue;
+      matureSapling(d);
+      changed = true;
+      continue;
+    }
+    if (!d || !d.depleted || typeof d.respawnAt !== 'number' || d.respawnAt > now) continue;
+    // Never regrow a blocking node on top of the player; try again shortly
+    if ((d.type === 'Trees' || d.type === 'minerals') && d.x === Game.player.x && d.y === Game.player.y) {
+      d.respawnAt = now + 5000;
+      continue;
+    }
+    respawnDecor(d);
+    changed = true;
   }
+  if (changed) save();
+}
 
-  // Tools
-  if (KEYS.ToolHoe.includes(e.code)) setTool(Tools.Hoe);
-  if (KEYS.ToolWater.includes(e.code)) setTool(Tools.Water);
-  if (KEYS.ToolHand.includes(e.code)) setTool(Tools.Hand);
+/* ----------------------------- Planted Nodes ----------------------------- */
+// Tree/flower seeds from gathering ('Apple Seed', 'Rose Seed') grow into new decor nodes on open grass.
+// A sapling is walkable and can't be gathered until it matures (wall clock, so offline time counts);
+// the grown node belongs to the planter and regrows as the same kind after depletion.
+const SAPLING_GROW_MS = { Trees: 20 * 60 * 1000, flowers: 5 * 60 * 1000 };
+
+// 'Apple Seed' -> { type: 'Trees', kind: 'Apple' }; null for anything that isn't a node seed
+function nodeSeedInfo(name) {
+  const m = /^(.+) Seed$/.exec(String(name || '').trim());
+  if (!m) return null;
+  const base = m[1].toLowerCase();
+  for (const type of ['Trees', 'flowers']) {
+    const kind = DECOR_KINDS[type].find(k => k.toLowerCase() === base);
+    if (kind) return { type, kind };
+  }
+  return null;
+}
 
-  // Interact
-  if (KEYS.Interact.includes(e.code)) {
-    interactFront();
+function localPlayerId() {
+  return (__Presence && __Presence.uid) || (Game.inv && Game.inv.syncUser) || null;
+}
+
+// Nodes planted by someone else stay theirs; unowned world nodes and nodes planted before sign-in are open
+function canGatherOwned(d) {
+  const me = localPlayerId();
+  return !d.owner || !d.owner.id || !me || d.owner.id === me;
+}
+
+function canPlantNodeAt(x, y) {
+  const t = tileAt(x, y);
+  if (!t || t.tileId !== TILE.Grass || !t.walkable || t.tilled || t.plant) return false;
+  if (decorAt(x, y)) return false;
+  return !(x === Game.player.x && y === Game.player.y);
+}
+
+function plantNodeSeed(x, y, seedName) {
+  const info = nodeSeedInfo(seedName);
+  if (!info) return false;
+  const key = Object.keys(Game.inv.gitems || {}).find(k => Game.inv.gitems[k] > 0 && CraftingSystem.parseKey(k).name === seedName);
+  if (!key) {
+    showFloatingText('No seeds', x, y, '#ef476f');
+    return false;
+  }
+  if (!canPlantNodeAt(x, y)) {
+    showFloatingText('Needs open grass', x, y, '#ef476f');
+    return false;
   }
+  Game.inv.gitems[key] -= 1;
+  const now = Date.now();
+  const hc = initialHarvestCountersForType(info.type);
+  Game.decor.push({
+    x, y,
+    type: info.type,
+    kind: info.kind,
+    animOffset: Math.floor(Math.random() * 1000),
+    maxHarvests: hc.maxHarvests,
+    remainingHarvests: hc.remainingHarvests,
+    sapling: { plantedAt: now, matureAt: now + (SAPLING_GROW_MS[info.type] || SAPLING_GROW_MS.flowers) },
+    owner: { id: localPlayerId(), name: Game.username || 'Wanderer' },
+  });
+  markTileDirty(x, y);
+  shareCell(x, y, 'node');
+  if (!((Game.inv.gitems[key] || 0) > 0) && Game.equippedNodeSeed === seedName) Game.equippedNodeSeed = null;
+  updateInventoryUI();
+  updateHUD();
+  showFloatingText(`Planted ${seedName}`, x, y, '#7bd389');
+  save();
+  return true;
+}
 
-  // Shop
-  if (KEYS.Shop.includes(e.code)) {
-    toggleShop(true);
+function matureSapling(d) {
+  delete d.sapling;
+  if (d.type === 'Trees') {
+    const t = tileAt(d.x, d.y);
+    if (t) t.walkable = false;
   }
+  markTileDirty(d.x, d.y);
+  showFloatingText(`${d.kind} grown`, d.x, d.y, '#a3e635');
+}
 
-  // Grid toggle
-  if (KEYS.Grid.includes(e.code)) {
-    Game.showGrid = !Game.showGrid;
+/* ----------------------------- Farm Devices ----------------------------- */
+// Sprinklers, rain collectors and auto-harvesters (devices.js). They are decor entries placed through
+// Customization, run once a second from tickWorld() and in steps through catchUpWorld(), and keep their
+// state (stored water) on the decor entry so it saves with the world. Auto-harvesters fill a storage
+// chest next to them.
+let __lastDeviceTickAt = 0;
+
+function tileNeedsWater(t, now) {
+  return !!t && t.tilled && (!t.watered || t.waterEndAt < now + 1000);
+}
+
+// Devices work their owner's plots and unclaimed soil, never another player's
+function deviceCanWork(t, x, y) {
+  return !!t && !plotOwnedByOther(x, y);
+}
+
+function waterTile(t, x, y, now) {
+  t.watered = true;
+  t.waterEndAt = now + waterDurationMs();
+  markTileDirty(x, y);
+  shareCell(x, y, 'tile');
+}
+
+// Our storage chest next to an auto-harvester with a free slot (a harvest's rarity and quality are only
+// known once rolled, so it must have room for a new stack)
+function harvesterChest(d) {
+  for (const p of FarmDevices.tilesInRadius(d.x, d.y, 1)) {
+    const c = decorAt(p.x, p.y);
+    if (!FarmDevices.isStorage(c) || !canGatherOwned(c)) continue;
+    if (FarmDevices.stackCount(c) < FarmDevices.get(c.type).slots) return c;
   }
+  return null;
+}
 
-  // Debug
-  if (KEYS.Debug.includes(e.code)) {
-    Game.showDebug = !Game.showDebug;
+// Produce is local-only (the server has no record of it), so it goes to the chest's `local` stacks
+function storeHarvest(d, x, y, quiet) {
+  const c = harvesterChest(d);
+  if (!c) return false;
+  const t = tileAt(x, y);
+  const h = harvestPlantAt(t, x, y, 'tile'); // devices earn no XP
+  const key = `${h.name}__${h.rarity}__${h.quality}`;
+  if (!c.local) c.local = {};
+  c.local[key] = (c.local[key] || 0) + h.qty;
+  markTileDirty(c.x, c.y);
+  if (__Chest.open === c) updateChestModal();
+  if (!quiet) showFloatingText(`+${h.qty} ${h.name}`, x, y, '#ffd166');
+  return true;
+}
+
+// One pass of every device in the active zone at time `now`; `dtSec` is the time it covers
+function runDevices(now, dtSec, { raining = false, quiet = false } = {}) {
+  for (const d of Game.decor) {
+    if (!FarmDevices.isDevice(d) || FarmDevices.isStorage(d)) continue;
+    const def = FarmDevices.get(d.type);
+    // The bunker Control Room extends every device's reach
+    const area = FarmDevices.tilesInRadius(d.x, d.y, def.radius + bunkerBonuses().deviceRadius);
+    if (d.type === 'sprinkler') {
+      for (const p of area) {
+        const t = tileAt(p.x, p.y);
+        if (tileNeedsWater(t, now) && deviceCanWork(t, p.x, p.y)) waterTile(t, p.x, p.y, now);
+      }
+    } else if (d.type === 'rain_collector') {
+      if (raining) {
+        // Rain already waters the field; just fill up (saved once per whole unit)
+        const before = Math.floor(d.water || 0);
+        d.water = Math.min(def.capacity, (d.water || 0) + def.fillPerSec * dtSec);
+        if (Math.floor(d.water) !== before) markTileDirty(d.x, d.y);
+        continue;
+      }
+      for (const p of area) {
+        if ((d.water || 0) < 1) break;
+        const t = tileAt(p.x, p.y);
+        if (!tileNeedsWater(t, now) || !deviceCanWork(t, p.x, p.y)) continue;
+        waterTile(t, p.x, p.y, now);
+        d.water -= 1;
+        markTileDirty(d.x, d.y);
+      }
+    } else if (d.type === 'auto_harvester') {
+      for (const p of area) {
+        const t = tileAt(p.x, p.y);
+        if (!t || !t.plant || !isMature(t.plant) || !deviceCanWork(t, p.x, p.y)) continue;
+        if (!storeHarvest(d, p.x, p.y, quiet)) break;
+      }
+    }
   }
+}
 
-  // Escape closes shop
-  if (KEYS.Escape.includes(e.code)) {
-    toggleShop(false);
+function tickDevices(now) {
+  if (now - __lastDeviceTickAt < 1000 || !Array.isArray(Game.decor)) return;
+  const dtSec = __lastDeviceTickAt ? Math.min(5, (now - __lastDeviceTickAt) / 1000) : 1;
+  __lastDeviceTickAt = now;
+  runDevices(now, dtSec, { raining: weatherEffects().autoWater });
+}
+
+// Tiles some device in the active zone works on, as 'x,y' keys
+function deviceReach() {
+  const out = new Set();
+  for (const d of Game.decor || []) {
+    if (!FarmDevices.isDevice(d) || FarmDevices.isStorage(d)) continue;
+    const def = FarmDevices.get(d.type);
+    for (const p of FarmDevices.tilesInRadius(d.x, d.y, def.radius + bunkerBonuses().deviceRadius)) {
+      if (inBounds(p.x, p.y)) out.add(`${p.x},${p.y}`);
+    }
   }
-});
+  return out;
+}
 
-window.addEventListener('keyup', (e) => {
-  keysDown.delete(e.code);
-});
+// Crafted device items in gitems: 'Sprinkler' -> 'sprinkler'
+function deviceForItem(name) {
+  return FarmDevices.forItem(name);
+}
 
-toolButtons.forEach(btn => {
-  btn.addEventListener('click', () => {
-    const tool = btn.dataset.tool;
-    if (tool === Tools.Hoe || tool === Tools.Water || tool === Tools.Hand) {
-      setTool(tool);
+function canPlaceDeviceAt(x, y) {
+  const t = tileAt(x, y);
+  if (!t || !t.walkable || t.plant || t.tileId === TILE.Water) return false;
+  if (decorAt(x, y)) return false;
+  return !(x === Game.player.x && y === Game.player.y);
+}
+
+function placeDevice(x, y, itemName) {
+  const type = deviceForItem(itemName);
+  if (!type || !window.Customization) return false;
+  const key = Object.keys(Game.inv.gitems || {}).find(k => Game.inv.gitems[k] > 0 && CraftingSystem.parseKey(k).name === itemName);
+  if (!key) {
+    showFloatingText(`No ${itemName}`, x, y, '#ef476f');
+    return false;
+  }
+  if (!canPlaceDeviceAt(x, y)) {
+    showFloatingText('Blocked', x, y, '#ef476f');
+    return false;
+  }
+  Game.inv.gitems[key] -= 1;
+  if (!((Game.inv.gitems[key] || 0) > 0) && Game.equippedPlaceable === itemName) Game.equippedPlaceable = null;
+  const extra = FarmDevices.isStorage({ type }) ? { id: newChestId(), items: {} } : {};
+  // addCustomDecoration blocks the tile and saves
+  Customization.addCustomDecoration(x, y, type, {
+    owner: { id: localPlayerId(), name: Game.username || 'Wanderer' },
+    item: key,
+    ...extra,
+  });
+  if (extra.id) registerChest(decorAt(x, y));
+  updateInventoryUI();
+  updateHUD();
+  showFloatingText(`Placed ${FarmDevices.get(type).label}`, x, y, '#7bd389');
+  return true;
+}
+
+// Hand on a device: open a chest, otherwise offer to pick the device back up
+async function useDevice(d) {
+  const def = FarmDevices.get(d.type);
+  if (FarmDevices.isStorage(d)) {
+    if (!canGatherOwned(d)) {
+      showFloatingText(`${def.label} (${(d.owner && d.owner.name) || 'another player'})`, d.x, d.y, '#ef476f');
+      return;
     }
+    openChest(d);
+    return;
+  }
+  if (!canGatherOwned(d)) {
+    showFloatingText(`${def.label} (${(d.owner && d.owner.name) || 'another player'})`, d.x, d.y, '#ef476f');
+    return;
+  }
+  const status = d.type === 'rain_collector' ? ` Stored water: ${Math.floor(d.water || 0)}/${def.capacity}.` : '';
+  const ok = await showConfirmModal({
+    title: `Pick up ${def.label}?`,
+    text: `It goes back to your inventory.${status}`,
+    confirmLabel: 'Pick up',
+    cancelLabel: 'Leave it',
   });
-});
+  if (!ok || !Game.decor.includes(d)) return;
+  const key = d.item || `${def.itemName}__Unknown__Unknown`;
+  Game.inv.gitems[key] = (Game.inv.gitems[key] || 0) + 1;
+  // removeCustomDecoration frees the tile and saves
+  Customization.removeCustomDecoration(d.x, d.y);
+  updateInventoryUI();
+}
 
-on(btnShop, 'click', () => toggleShop(true));
-on(btnCloseShop, 'click', () => toggleShop(false));
-on(modalShop, 'click', (e) => {
-  if (e.target === modalShop) toggleShop(false);
-});
+/* ----------------------------- Shared World ----------------------------- */
+// Nodes and player-made tile changes in shared zones live on the server (world_cells, through
+// worldsync.js) so every player sees one world: harvests, tilled/planted plots and planted nodes are
+// sent as they happen and other players' changes arrive over realtime. Growth, drying and respawns are
+// not sent; each client runs them from the same shared timestamps (the server picks what an emptied
+// node regrows as). Only the shared seed's world is shared: the server checks nodes against its
+// generated layout (world_nodes, tools/gen_world_sql.js). Devices and the bunker stay per player.
+const SHARED_NODE_TYPES = ['Trees', 'flowers', 'minerals'];
+
+function sharedNodeAt(decor, x, y) {
+  return decor.find(d => d && d.x === x && d.y === y && SHARED_NODE_TYPES.includes(d.type)) || null;
+}
 
-// Inventory expand/collapse toggle
-if (invToggle && invUI) {
-  invToggle.addEventListener('click', () => {
-    const open = !invUI.classList.contains('open');
-    invUI.classList.toggle('open', open);
-    if (invPanel) invPanel.setAttribute('aria-hidden', open ? 'false' : 'true');
-    // ensure panel content is up to date when toggling
-    updateInventoryUI();
-  });
+// Queue a player change to a cell of the active zone: 'tile' | 'node' | 'harvest'
+function shareCell(x, y, op) {
+  if (window.WorldSync && zoneDef().shared) WorldSync.mark(Game.zone, x, y, op);
 }
 
-/* ----------------------------- Mobile Joystick (touch/coarse) ----------------------------- */
-/* Drag-anywhere low-opacity joystick that maps to cardinal grid directions.
-   Enabled automatically on touch/coarse-pointer devices (or small screens).
-   Produces MobileInput.dir ∈ Dir | null, which desiredDirFromKeys() prefers.
-*/
-(function setupMobileJoystick(){
-  const isCoarse = () => {
-    try { return window.matchMedia && window.matchMedia('(pointer: coarse)').matches; } catch(e) { return false; }
-  };
-  const isTouchCapable = () => ('ontouchstart' in window) || navigator.maxTouchPoints > 0;
-  const isSmall = () => window.innerWidth <= 900;
+function plotOwnedByOther(x, y) {
+  return !!window.WorldSync && zoneDef().shared && WorldSync.ownedByOther(Game.zone, x, y, localPlayerId());
+}
 
-  const shouldEnable = () => isCoarse() || isTouchCapable() || isSmall();
+// What the server is sent for a cell; a cell of the parked overworld can still be flushed after a zone switch
+function sharedCellSnapshot(zone, x, y) {
+  const z = zone === Game.zone ? { world: Game.world, decor: Game.decor }
+    : (zone === OVERWORLD && __Overworld) ? __Overworld : null;
+  const t = z && z.world[y] && z.world[y][x];
+  if (!t) return null;
+  const d = sharedNodeAt(z.decor, x, y);
+  return { tile: encodeTileState(t), node: d ? WorldSync.nodeState(d) : null };
+}
 
-  const MobileInput = {
-    enabled: false,
-    dir: null,           // Dir.Up|Down|Left|Right|null
-    _active: false,
-    _startX: 0,
-    _startY: 0,
-    _root: null,
-    _base: null,
-    _knob: null,
-    _radius: 56,         // visual radius of base (px)
-    _knobR: 28,          // knob radius (px)
-    _dead: 10,           // deadzone (px)
+function nodeBlocksTile(d) {
+  return !d.depleted && (d.type === 'minerals' || (d.type === 'Trees' && !d.sapling));
+}
 
-    init() {
-      if (!shouldEnable()) return;
-      this.enabled = true;
-      this._buildUI();
-      this._bind();
-      // Recompute radii after layout
-      setTimeout(() => this._computeMetrics(), 0);
-      window.MobileInput = this; // expose
-    },
+// Apply a world_cells row to the active zone. The tile is caught up from when it was written, like a
+// save loaded some time later.
+function applySharedCell(row, now = Date.now()) {
+  const t = tileAt(row.x, row.y);
+  if (!t) return;
+  if (Array.isArray(row.tile)) {
+    applyTileState(t, row.tile);
+    const at = Date.parse(row.tile_at);
+    if (at < now) advanceTile(t, row.x, row.y, at, now, true);
+  }
+  if (row.node && row.node.type) {
+    let d = sharedNodeAt(Game.decor, row.x, row.y);
+    if (!d) {
+      // A node another player planted; never on top of something of ours
+      if (decorAt(row.x, row.y)) return;
+      d = { x: row.x, y: row.y };
+      Game.decor.push(d);
+    }
+    WorldSync.applyNode(d, row.node);
+    t.walkable = !nodeBlocksTile(d);
+  }
+  markTileDirty(row.x, row.y);
+}
 
-    _computeMetrics() {
-      try {
-        const b = this._base.getBoundingClientRect();
-        const k = this._knob.getBoundingClientRect();
-        this._radius = Math.floor(Math.min(b.width, b.height) / 2);
-        this._knobR = Math.floor(Math.min(k.width, k.height) / 2);
-      } catch(e) {}
-    },
+// Server rows for the active zone, skipping cells with changes of ours still on the way
+function applySharedCells() {
+  if (!window.WorldSync || !zoneDef().shared) return 0;
+  const now = Date.now();
+  let n = 0;
+  for (const row of WorldSync.cellsFor(Game.zone)) {
+    if (WorldSync.pending(row.zone, row.x, row.y)) continue;
+    applySharedCell(row, now);
+    n++;
+  }
+  return n;
+}
+
+// world_apply refusals the player caused themselves; anything else means another player got there first
+const SHARED_REJECTIONS = { 'too far away to harvest': 'Too far away', 'gathering too fast': 'Gathering too fast' };
+
+function onSharedCell(row, { rejected, error } = {}) {
+  // Other zones pick their rows up in setActiveZone()
+  if (row.zone !== Game.zone) return;
+  applySharedCell(row);
+  if (rejected) showFloatingText(SHARED_REJECTIONS[error] || 'Someone got there first', row.x, row.y, '#ef476f');
+}
+
+// Stacks the server rolled for our harvests are already in user_inventory; the sync base moves with them
+function applyServerGather(row) {
+  if (!window.InventorySync) return;
+  applyTradeItems(tradeItemsByKey(row.gathered), 1);
+  if (!Game.inv.items) Game.inv.items = {};
+  if (!Game.inv.itemMeta) Game.inv.itemMeta = {};
+  const here = row.zone === Game.zone;
+  row.gathered.forEach((it, i) => {
+    const name = InventorySync.keyForItem(it).split('__')[0];
+    Game.inv.items[name] = (Game.inv.items[name] || 0) + it.qty;
+    const mm = Game.inv.itemMeta[name] || { total: 0, countsByRarity: {}, countsByQuality: {}, last: null };
+    mm.total += it.qty;
+    mm.countsByRarity[it.rarity] = (mm.countsByRarity[it.rarity] || 0) + it.qty;
+    mm.countsByQuality[it.quality] = (mm.countsByQuality[it.quality] || 0) + it.qty;
+    const skill = row.skill && Game.skills && Game.skills[row.skill.slug];
+    mm.last = { rarity: it.rarity, quality: it.quality, source: 'server', skillLevel: (skill && skill.level) || 1 };
+    Game.inv.itemMeta[name] = mm;
+    if (here) showFloatingText(`+${it.qty} ${name} (${it.rarity}, ${it.quality})`, row.x, row.y - 0.5 * i, i ? '#7dd3fc' : '#22c55e');
+  });
+  updateInventoryUI();
+  save();
+}
+
+async function startWorldSync() {
+  if (!window.DB || !window.WorldSync) return;
+  // Legacy and other seeds have no server-side layout; they stay per browser
+  if (Game.worldGen.generator !== 'biomes' || Game.worldGen.seed !== SHARED_WORLD_SEED) return;
+  await WorldSync.start({
+    world: WorldSync.worldKey(Game.worldGen),
+    snapshot: sharedCellSnapshot,
+    onRemote: onSharedCell,
+    onGathered: applyServerGather,
+    onSkill: applyServerSkill,
+  });
+  if (applySharedCells() > 0) save();
+  try { await loadServerSkills(); } catch (e) { console.warn('Skill load failed:', e); }
+}
+
+/* ----------------------------- Storage Chests ----------------------------- */
+// A chest is a storage_chest device with { id, items: { [gitemsKey]: qty } }. Capacity counts distinct
+// stacks. Chests registered on the server (`synced`) move items through DB.moveChestItem so the server
+// inventory and chest_items change together; unregistered chests (offline play) only change locally, so
+// invsync pushes deposits as spends and withdrawals come back local-only. Auto-harvester produce sits in
+// a chest's `local` stacks, which never touch the server and are withdrawn first.
+let __Chest = { open: null, busy: false };
+
+function newChestId() {
+  if (window.crypto && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r & 3) | 8).toString(16);
+  });
+}
+
+function isChestServerBacked(d) {
+  return !!(window.DB && window.InventorySync && d && d.synced);
+}
+
+// Best-effort server registration; the chest keeps working locally if it fails
+function registerChest(d) {
+  if (!d || !window.DB || d.synced || FarmDevices.stackCount(d) > 0) return;
+  DB.placeChest(d.id, { x: d.x, y: d.y, zone: Game.zone, world: WorldSync.worldKey(Game.worldGen) })
+    .then(() => { d.synced = true; markTileDirty(d.x, d.y); save(); })
+    .catch(e => console.warn('Chest registration failed:', e));
+}
+
+// Server chests are authoritative for their contents; empty local-only chests get registered
+// Called on start and after every zone change, for the active zone's chests
+async function syncChests() {
+  if (!window.DB || !window.Customization) return;
+  const zone = Game.zone;
+  const rows = await DB.listChests({ world: WorldSync.worldKey(Game.worldGen), zone });
+  if (Game.zone !== zone) return;
+  const seen = new Set();
+  for (const row of rows) {
+    seen.add(row.id);
+    const items = {};
+    (row.chest_items || []).forEach(ci => {
+      const it = ci.items || {};
+      const tuple = window.ItemList && ItemList.findById(it.base_slug);
+      const key = CraftingSystem.makeKey(tuple ? tuple[1] : it.name, it.rarity || 'Unknown', it.quality || 'Unknown');
+      items[key] = (items[key] || 0) + ci.quantity;
+    });
+    let d = Game.decor.find(e => FarmDevices.isStorage(e) && e.id === row.id);
+    if (!d) {
+      if (decorAt(row.x, row.y)) {
+        console.warn('Chest tile is occupied locally:', row.id, row.x, row.y);
+        continue;
+      }
+      Customization.addCustomDecoration(row.x, row.y, 'storage_chest', {
+        owner: { id: localPlayerId(), name: Game.username || 'Wanderer' },
+        item: 'Storage Chest__Unknown__Unknown',
+        id: row.id,
+      });
+      d = decorAt(row.x, row.y);
+    }
+    d.items = items;
+    d.synced = true;
+    markTileDirty(d.x, d.y);
+  }
+  for (const d of Game.decor) {
+    if (!FarmDevices.isStorage(d) || seen.has(d.id) || !canGatherOwned(d)) continue;
+    // Registered once but gone from the server: keep it as a local chest
+    d.synced = false;
+    markTileDirty(d.x, d.y);
+    registerChest(d);
+  }
+  if (__Chest.open) updateChestModal();
+  save();
+}
+
+function openChest(d) {
+  if (!d.items) d.items = {};
+  __Chest.open = d;
+  openModal('chest');
+}
+
+/**
+ * Move `qty` of a stack between the inventory and the open chest.
+ * qty > 0 deposits, qty < 0 withdraws. Returns true when anything moved.
+ */
+async function moveChestStack(key, qty) {
+  const d = __Chest.open;
+  if (!d || !qty || __Chest.busy || !Game.decor.includes(d)) return false;
+  const def = FarmDevices.get(d.type);
+  // A server chest only takes what the server holds of the stack
+  const have = qty < 0 ? (FarmDevices.chestStacks(d)[key] || 0)
+    : isChestServerBacked(d) ? InventorySync.serverHeld(Game.inv, key) : (Game.inv.gitems[key] || 0);
+  const n = Math.min(Math.abs(qty), have);
+  if (n <= 0) {
+    if (qty > 0 && (Game.inv.gitems[key] || 0) > 0) showFloatingText('Only synced items can be stored', d.x, d.y, '#ef476f');
+    return false;
+  }
+  if (qty > 0 && !(FarmDevices.chestStacks(d)[key] > 0) && FarmDevices.stackCount(d) >= def.slots) {
+    showFloatingText('Chest is full', d.x, d.y, '#ef476f');
+    return false;
+  }
+  // Withdrawals take local stacks (auto-harvester produce) first; only the rest moves on the server
+  const fromLocal = qty < 0 ? Math.min(n, (d.local && d.local[key]) || 0) : 0;
+  const signed = qty > 0 ? n : -(n - fromLocal);
+
+  if (signed !== 0 && isChestServerBacked(d)) {
+    const slug = InventorySync.slugForKey(key);
+    if (!slug) {
+      showFloatingText('Cannot store this item', d.x, d.y, '#ef476f');
+      return false;
+    }
+    __Chest.busy = true;
+    try {
+      // Pending spends of the stack go first, so the server count matches serverHeld()
+      if (signed > 0) await InventorySync.flush(Game.inv);
+      await DB.moveChestItem(d.id, slug.slug, signed);
+      // The server inventory moved by the same amount, so the sync base follows it
+      if (!Game.inv.syncBase) Game.inv.syncBase = {};
+      Game.inv.syncBase[key] = Math.max(0, (Game.inv.syncBase[key] || 0) - signed);
+    } catch (e) {
+      console.warn('Chest transfer failed:', e);
+      showFloatingText('Transfer failed', d.x, d.y, '#ef476f');
+      return false;
+    } finally {
+      __Chest.busy = false;
+    }
+  }
+
+  if (fromLocal > 0) {
+    d.local[key] -= fromLocal;
+    if (d.local[key] <= 0) delete d.local[key];
+  }
+  Game.inv.gitems[key] = (Game.inv.gitems[key] || 0) - signed + fromLocal;
+  if (Game.inv.gitems[key] <= 0) delete Game.inv.gitems[key];
+  if (signed !== 0) {
+    d.items[key] = (d.items[key] || 0) + signed;
+    if (d.items[key] <= 0) delete d.items[key];
+  }
+  markTileDirty(d.x, d.y);
+  updateInventoryUI();
+  updateChestModal();
+  save();
+  return true;
+}
+
+async function pickUpChest() {
+  const d = __Chest.open;
+  if (!d || FarmDevices.stackCount(d) > 0) return;
+  const def = FarmDevices.get(d.type);
+  if (isChestServerBacked(d)) {
+    try {
+      await DB.removeChest(d.id);
+    } catch (e) {
+      console.warn('Chest removal failed:', e);
+      showFloatingText('Could not pick up chest', d.x, d.y, '#ef476f');
+      return;
+    }
+  }
+  if (!Game.decor.includes(d)) return;
+  const key = d.item || `${def.itemName}__Unknown__Unknown`;
+  Game.inv.gitems[key] = (Game.inv.gitems[key] || 0) + 1;
+  __Chest.open = null;
+  closeAllModals();
+  // removeCustomDecoration frees the tile and saves
+  Customization.removeCustomDecoration(d.x, d.y);
+  updateInventoryUI();
+}
+
+function chestRow(key, count, side) {
+  const { name, rarity, quality } = CraftingSystem.parseKey(key);
+  const li = document.createElement('li');
+  li.className = 'chest-stack';
+  li.draggable = true;
+  li.dataset.key = key;
+  li.dataset.from = side;
+
+  const head = document.createElement('div');
+  head.className = 'skill-head';
+  const label = document.createElement('span');
+  label.className = 'skill-name';
+  label.textContent = name;
+  const qty = document.createElement('span');
+  qty.className = 'skill-level';
+  qty.textContent = `x${count}`;
+  head.append(label, qty);
+
+  const desc = document.createElement('div');
+  desc.className = 'skill-desc';
+  desc.textContent = `${rarity} · ${quality}`;
+
+  const dir = side === 'player' ? 1 : -1;
+  const actions = document.createElement('div');
+  actions.className = 'save-actions';
+  const one = document.createElement('button');
+  one.type = 'button';
+  one.className = 'craft-btn';
+  one.textContent = side === 'player' ? 'Store 1' : 'Take 1';
+  one.addEventListener('click', () => { moveChestStack(key, dir); });
+  const all = document.createElement('button');
+  all.type = 'button';
+  all.className = 'craft-btn';
+  all.textContent = 'All';
+  all.addEventListener('click', () => { moveChestStack(key, dir * count); });
+  actions.append(one, all);
+
+  li.addEventListener('dragstart', (e) => {
+    try { e.dataTransfer.setData('text/plain', JSON.stringify({ key, from: side })); } catch (err) {}
+    e.dataTransfer.effectAllowed = 'move';
+  });
+  li.append(head, desc, actions);
+  return li;
+}
+
+// Dropping a stack on the other list moves all of it
+function setupChestDropZone(list, side) {
+  if (!list || list.dataset.dropReady) return;
+  list.dataset.dropReady = '1';
+  list.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    list.classList.add('drop-target');
+  });
+  list.addEventListener('dragleave', () => list.classList.remove('drop-target'));
+  list.addEventListener('drop', (e) => {
+    e.preventDefault();
+    list.classList.remove('drop-target');
+    let payload = null;
+    try { payload = JSON.parse(e.dataTransfer.getData('text/plain')); } catch (err) {}
+    if (!payload || !payload.key || payload.from === side) return;
+    const d = __Chest.open;
+    if (!d) return;
+    const count = payload.from === 'player' ? (Game.inv.gitems[payload.key] || 0) : (FarmDevices.chestStacks(d)[payload.key] || 0);
+    moveChestStack(payload.key, payload.from === 'player' ? count : -count);
+  });
+}
+
+function updateChestModal() {
+  const d = __Chest.open;
+  const playerList = document.getElementById('chest-player-list');
+  const chestList = document.getElementById('chest-store-list');
+  const status = document.getElementById('chest-status');
+  const pickUp = document.getElementById('chest-pickup');
+  if (!d || !playerList || !chestList) return;
+  const def = FarmDevices.get(d.type);
+  setupChestDropZone(playerList, 'player');
+  setupChestDropZone(chestList, 'chest');
+
+  const used = FarmDevices.stackCount(d);
+  if (status) {
+    status.textContent = `${used}/${def.slots} slots used` + (isChestServerBacked(d) ? '' : ' • stored on this device only');
+  }
+  if (pickUp) {
+    pickUp.disabled = used > 0;
+    pickUp.title = used > 0 ? 'Empty the chest first' : '';
+    if (!pickUp.dataset.ready) {
+      pickUp.dataset.ready = '1';
+      pickUp.addEventListener('click', () => { pickUpChest(); });
+    }
+  }
+
+  playerList.innerHTML = '';
+  Object.entries(Game.inv.gitems || {})
+    .filter(([, n]) => n > 0)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([key, n]) => playerList.appendChild(chestRow(key, n, 'player')));
+  chestList.innerHTML = '';
+  Object.entries(FarmDevices.chestStacks(d))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([key, n]) => chestList.appendChild(chestRow(key, n, 'chest')));
+}
+
+/* ----------------------------- Server Balances ----------------------------- */
+// profiles.cash / junk are the account balance: trade cash, market bids and buyouts, mailed payouts and
+// NPC sales all land there, and only server functions change it (re-read after each RPC that may move it).
+// Game.currencies.cash is what this device earned from NPCs and hasn't banked yet: sales made offline or of
+// device-local stacks (see Shop Sales). bankLocalCash() moves it into the balance through cash_deposit,
+// which accepts a capped amount per day; until then the HUD and shops count the two as one balance.
+let __Bank = { cash: 0, junk: 0, loaded: false };
+let __Banking = false;
+
+function bankBalance(currency) {
+  return __Bank[currency] || 0;
+}
+
+function localCash() {
+  return Math.max(0, (Game.currencies && Game.currencies.cash) || 0);
+}
+
+// The one balance players see
+function walletCash() {
+  return bankBalance('cash') + localCash();
+}
+
+function renderBank() {
+  const pending = localCash();
+  const text = __Bank.loaded
+    ? `Account: ${__Bank.cash} cash • ${__Bank.junk} $JUNK` + (pending > 0 ? ` (+${pending} cash not yet banked)` : '')
+    : 'Account balance needs a connection';
+  document.querySelectorAll('.bank-balance').forEach(el => { el.textContent = text; });
+  try { if (typeof Mechanics !== 'undefined') Mechanics.setBank(__Bank); } catch (e) {}
+}
+
+async function refreshBank() {
+  if (!window.DB) return __Bank;
+  const { cash, junk } = await DB.getBalances();
+  __Bank = { cash, junk, loaded: true };
+  renderBank();
+  return __Bank;
+}
+
+// Deposit the device's unbanked cash; whatever is over today's cap stays pending for a later call
+async function bankLocalCash() {
+  const pending = Math.floor(localCash());
+  if (!window.DB || !__Bank.loaded || __Banking || pending <= 0) return 0;
+  __Banking = true;
+  try {
+    const banked = await DB.depositCash(pending);
+    if (banked > 0) {
+      Game.currencies.cash -= banked;
+      Game.coins = Game.currencies.cash;
+      save();
+      await refreshBank();
+    }
+    return banked;
+  } finally {
+    __Banking = false;
+  }
+}
+
+// NPC earnings that only this device can vouch for
+function payLocalCash(amount) {
+  if (!Game.currencies) Game.currencies = { cash: (Game.coins ?? 0), junk: 0, ada: 0 };
+  Game.currencies.cash = (Game.currencies.cash || 0) + amount;
+  Game.coins = Game.currencies.cash;
+  renderBank();
+  bankLocalCash().catch(e => console.warn('Cash deposit failed:', e));
+  return amount;
+}
+
+// Pay a shop purchase: the device's unbanked cash goes first, cash_spend takes the rest from the balance
+async function spendWalletCash(amount) {
+  if (walletCash() < amount) return false;
+  const local = Math.min(amount, Math.floor(localCash()));
+  const rest = amount - local;
+  if (!Game.currencies) Game.currencies = { cash: 0, junk: 0, ada: 0 };
+  Game.currencies.cash -= local;
+  Game.coins = Game.currencies.cash;
+  if (rest > 0) {
+    try {
+      await DB.spendCash(rest);
+    } catch (e) {
+      console.warn('Payment failed:', e);
+      Game.currencies.cash += local;
+      Game.coins = Game.currencies.cash;
+      return false;
+    } finally {
+      await refreshBank().catch(e => console.warn('Balance refresh failed:', e));
+    }
+  }
+  renderBank();
+  return true;
+}
+
+/* ----------------------------- Trading ----------------------------- */
+// Two nearby players swap gitems stacks and cash through the trades table (db.js, supabase_mmorpg.sql).
+// Offers are escrowed: the server takes an offer out of the offerer's inventory and balance when it is
+// made, hands both offers over in one transaction once both sides confirm the same version, and gives
+// them back on cancel, so nothing can be duplicated or pulled out mid-exchange. Locally, offering applies
+// the same change to gitems and the sync base; a closed trade is applied once by settleTrade() (ids kept in
+// Game.inv.settledTrades, next to the sync base they guard) and then acknowledged. Cash is the server
+// balance (see Server Balances) and is read back after each move.
+const TRADE_RANGE = 6;       // tiles, matches trade_open
+const TRADE_MAX_STACKS = 12; // matches trade_offer
+let __Trade = { row: null, uid: null, busy: false, channel: null };
+
+function myTradeSide(row) {
+  return row.a_user === (__Trade.uid || localPlayerId()) ? 'a' : 'b';
+}
+
+function tradeOffer(row, side) {
+  return { items: row[side + '_items'] || [], cash: row[side + '_cash'] || 0 };
+}
+
+// Offers hold catalog rows; locally they are gitems keys
+function tradeItemsByKey(items) {
+  const out = {};
+  for (const it of items || []) {
+    const key = InventorySync.keyForItem(it);
+    out[key] = (out[key] || 0) + (it.qty || 0);
+  }
+  return out;
+}
+
+// Add (sign 1) or remove (sign -1) stacks the server has already moved; the sync base moves with them
+function applyTradeItems(byKey, sign) {
+  if (!Game.inv.syncBase) Game.inv.syncBase = {};
+  for (const [key, n] of Object.entries(byKey)) {
+    Game.inv.gitems[key] = (Game.inv.gitems[key] || 0) + sign * n;
+    if (Game.inv.gitems[key] <= 0) delete Game.inv.gitems[key];
+    Game.inv.syncBase[key] = Math.max(0, (Game.inv.syncBase[key] || 0) + sign * n);
+  }
+}
+
+function refreshAfterTrade() {
+  updateInventoryUI();
+  updateHUD();
+  try { if (typeof updateCurrenciesUI === 'function') updateCurrenciesUI(); } catch (e) {}
+  save();
+}
+
+// Players are hit-tested where they are drawn (the smoothed view), falling back to the last presence update
+function otherPlayerAt(x, y) {
+  for (const [uid, v] of Object.entries(Game.othersView || {})) {
+    if (v && Math.round(v.rx) === x && Math.round(v.ry) === y) return uid;
+  }
+  for (const [uid, o] of Object.entries(Game.others || {})) {
+    if (o && o.x === x && o.y === y) return uid;
+  }
+  return null;
+}
+
+function inTradeRange(uid) {
+  const o = Game.others && Game.others[uid];
+  return !!o && Math.max(Math.abs(o.x - Game.player.x), Math.abs(o.y - Game.player.y)) <= TRADE_RANGE;
+}
+
+async function requestTrade(uid) {
+  const o = Game.others && Game.others[uid];
+  if (!o || __Trade.busy) return;
+  if (__Trade.row && __Trade.row.status === 'open') {
+    openModal('trade');
+    return;
+  }
+  if (!__Trade.channel) {
+    showFloatingText('Trading needs a connection', o.x, o.y, '#ef476f');
+    return;
+  }
+  if (!inTradeRange(uid)) {
+    showFloatingText('Too far away to trade', o.x, o.y, '#ef476f');
+    return;
+  }
+  __Trade.busy = true;
+  try {
+    // trade_open checks the distance between the positions saved on the server
+    await queuePositionSync();
+    __Trade.row = await DB.openTrade(uid);
+    openModal('trade');
+  } catch (e) {
+    console.warn('Trade request failed:', e);
+    showFloatingText((e && e.message) || 'Trade failed', o.x, o.y, '#ef476f');
+  } finally {
+    __Trade.busy = false;
+  }
+}
+
+async function promptTrade(row) {
+  const ok = await showConfirmModal({
+    title: 'Trade request',
+    text: `${row.a_name || 'A player'} wants to trade with you.`,
+    confirmLabel: 'Trade',
+    cancelLabel: 'Decline',
+  });
+  // The trade may have closed while the prompt was up
+  if (!__Trade.row || __Trade.row.id !== row.id || __Trade.row.status !== 'open') return;
+  if (ok) openModal('trade');
+  else cancelOpenTrade();
+}
+
+function onTradeRow(row) {
+  if (!row || !row.id) return;
+  if (row.status !== 'open') {
+    settleTrade(row);
+    return;
+  }
+  const cur = __Trade.row;
+  const isNew = !cur || cur.id !== row.id;
+  // RPC results and realtime events for the same change can cross
+  if (!isNew && Date.parse(cur.updated_at) > Date.parse(row.updated_at)) return;
+  __Trade.row = row;
+  if (isNew && row.b_user === (__Trade.uid || localPlayerId())) promptTrade(row);
+  updateTradeModal();
+}
+
+// A closed trade gives us the partner's offer when it went through, and our own escrow back otherwise
+function settleTrade(row) {
+  const mine = myTradeSide(row);
+  const settled = Game.inv.settledTrades || (Game.inv.settledTrades = []);
+  if (!settled.includes(row.id)) {
+    const from = row.status === 'done' ? (mine === 'a' ? 'b' : 'a') : mine;
+    const got = tradeOffer(row, from);
+    applyTradeItems(tradeItemsByKey(got.items), 1);
+    if (got.cash) refreshBank().catch(e => console.warn('Balance refresh failed:', e));
+    settled.push(row.id);
+    // Acknowledged trades are no longer listed by the server, so only recent ids matter
+    if (settled.length > 50) settled.splice(0, settled.length - 50);
+    refreshAfterTrade();
+    showFloatingText(row.status === 'done' ? 'Trade complete' : 'Trade cancelled', Game.player.x, Game.player.y,
+      row.status === 'done' ? '#06d6a0' : '#ffd166');
+  }
+  if (__Trade.row && __Trade.row.id === row.id) {
+    __Trade.row = null;
+    __closeModalEl(__modals.trade);
+  }
+  // The acknowledgement is itself an update of the row, so it is sent only once
+  if (!row[mine + '_settled']) {
+    DB.ackTrade(row.id).catch(e => console.warn('Trade acknowledgement failed:', e));
+  }
+}
+
+function setTradeStatus(text) {
+  const el = document.getElementById('trade-status');
+  if (el) el.textContent = text;
+}
+
+/**
+ * Replace our offer with `stacks` ({ [gitemsKey]: qty }) and `cash`. The server moves the difference
+ * into or out of escrow; the same difference is applied locally. Returns true on success.
+ */
+async function offerTrade(stacks, cash) {
+  const row = __Trade.row;
+  if (!row || row.status !== 'open' || __Trade.busy) return false;
+  const mine = myTradeSide(row);
+  const before = tradeOffer(row, mine);
+  const items = [];
+  for (const [key, qty] of Object.entries(stacks)) {
+    if (!(qty > 0)) continue;
+    const slug = InventorySync.slugForKey(key);
+    if (!slug) {
+      setTradeStatus('This item cannot be traded.');
+      return false;
+    }
+    items.push({ slug: slug.slug, qty });
+  }
+  if (items.length > TRADE_MAX_STACKS) {
+    setTradeStatus(`At most ${TRADE_MAX_STACKS} stacks per offer.`);
+    return false;
+  }
+  __Trade.busy = true;
+  try {
+    // Escrow comes out of the server's copy: push pending inventory deltas first
+    await InventorySync.flush(Game.inv);
+    const next = await DB.setTradeOffer(row.id, items, cash);
+    const after = tradeOffer(next, mine);
+    applyTradeItems(tradeItemsByKey(before.items), 1);
+    applyTradeItems(tradeItemsByKey(after.items), -1);
+    if (after.cash !== before.cash) await refreshBank().catch(e => console.warn('Balance refresh failed:', e));
+    refreshAfterTrade();
+    onTradeRow(next);
+    return true;
+  } catch (e) {
+    console.warn('Trade offer failed:', e);
+    setTradeStatus((e && e.message) || 'Offer failed');
+    return false;
+  } finally {
+    __Trade.busy = false;
+  }
+}
+
+function changeOfferStack(key, delta) {
+  const row = __Trade.row;
+  if (!row) return;
+  const mine = tradeOffer(row, myTradeSide(row));
+  const stacks = tradeItemsByKey(mine.items);
+  const offered = stacks[key] || 0;
+  stacks[key] = Math.max(0, Math.min(offered + delta, offered + InventorySync.serverHeld(Game.inv, key)));
+  if (stacks[key] !== offered) offerTrade(stacks, mine.cash);
+}
+
+function setOfferCash(value) {
+  const row = __Trade.row;
+  if (!row) return;
+  const mine = tradeOffer(row, myTradeSide(row));
+  const cash = Math.max(0, Math.min(Math.floor(Number(value) || 0), bankBalance('cash') + mine.cash));
+  if (cash !== mine.cash) offerTrade(tradeItemsByKey(mine.items), cash);
+}
+
+async function confirmOpenTrade() {
+  const row = __Trade.row;
+  if (!row || row.status !== 'open' || __Trade.busy) return;
+  __Trade.busy = true;
+  try {
+    // Confirming names the version we looked at; a newer offer makes the server refuse
+    const next = await DB.confirmTrade(row.id, row.version);
+    __Trade.busy = false;
+    onTradeRow(next);
+  } catch (e) {
+    console.warn('Trade confirmation failed:', e);
+    setTradeStatus('The offer changed. Check it and confirm again.');
+  } finally {
+    __Trade.busy = false;
+  }
+}
+
+async function cancelOpenTrade() {
+  const row = __Trade.row;
+  if (!row || __Trade.busy) return;
+  __Trade.busy = true;
+  try {
+    const next = await DB.cancelTrade(row.id);
+    __Trade.busy = false;
+    onTradeRow(next);
+  } catch (e) {
+    console.warn('Trade cancel failed:', e);
+    setTradeStatus('Could not cancel the trade');
+  } finally {
+    __Trade.busy = false;
+  }
+}
+
+// Runs before the inventory reconcile: trades that closed while we were away are applied first, so their
+// server-side moves aren't merged in a second time. Open trades are left over from a closed window and
+// are cancelled.
+async function syncTrades() {
+  if (!window.DB || !window.InventorySync) return;
+  __Trade.uid = await DB.getUserId();
+  for (let row of await DB.listTrades()) {
+    if (row.status === 'open') {
+      try { row = await DB.cancelTrade(row.id); } catch (e) { console.warn('Trade cancel failed:', e); continue; }
+    }
+    if (row.status !== 'open') settleTrade(row);
+  }
+  try { if (__Trade.channel) __Trade.channel.unsubscribe(); } catch (e) {}
+  __Trade.channel = DB.subscribeTrades(__Trade.uid, onTradeRow);
+}
+
+function tradeRow(key, count, buttons) {
+  const { name, rarity, quality } = CraftingSystem.parseKey(key);
+  const li = document.createElement('li');
+  li.className = 'chest-stack';
+
+  const head = document.createElement('div');
+  head.className = 'skill-head';
+  const label = document.createElement('span');
+  label.className = 'skill-name';
+  label.textContent = name;
+  const qty = document.createElement('span');
+  qty.className = 'skill-level';
+  qty.textContent = `x${count}`;
+  head.append(label, qty);
+
+  const desc = document.createElement('div');
+  desc.className = 'skill-desc';
+  desc.textContent = `${rarity} · ${quality}`;
+  li.append(head, desc);
+
+  if (buttons.length > 0) {
+    const actions = document.createElement('div');
+    actions.className = 'save-actions';
+    for (const [text, onClick] of buttons) {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'craft-btn';
+      b.textContent = text;
+      b.disabled = __Trade.busy;
+      b.addEventListener('click', onClick);
+      actions.appendChild(b);
+    }
+    li.appendChild(actions);
+  }
+  return li;
+}
+
+function tradeCashRow(cash) {
+  const li = document.createElement('li');
+  li.className = 'chest-stack';
+  li.innerHTML = '<div class="skill-head"><span class="skill-name">Cash</span><span class="skill-level"></span></div>';
+  li.querySelector('.skill-level').textContent = `${cash}c`;
+  return li;
+}
+
+function fillTradeOffer(list, offer, buttonsFor) {
+  list.innerHTML = '';
+  if (offer.cash > 0) list.appendChild(tradeCashRow(offer.cash));
+  Object.entries(tradeItemsByKey(offer.items))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([key, n]) => list.appendChild(tradeRow(key, n, buttonsFor(key, n))));
+  if (!list.firstChild) list.innerHTML = '<li class="muted">Nothing offered yet</li>';
+}
+
+function updateTradeModal() {
+  const row = __Trade.row;
+  const title = document.getElementById('modal-trade-title');
+  const mineList = document.getElementById('trade-mine-list');
+  const theirsList = document.getElementById('trade-theirs-list');
+  const invList = document.getElementById('trade-inventory-list');
+  const cashInput = document.getElementById('trade-cash-input');
+  const cashSet = document.getElementById('trade-cash-set');
+  const confirmBtn = document.getElementById('trade-confirm');
+  const cancelBtn = document.getElementById('trade-cancel');
+  if (!row || !mineList || !theirsList || !invList) return;
+  renderBank();
+
+  if (cashSet && !cashSet.dataset.ready) {
+    cashSet.dataset.ready = '1';
+    cashSet.addEventListener('click', () => { setOfferCash(cashInput && cashInput.value); });
+    confirmBtn.addEventListener('click', () => { confirmOpenTrade(); });
+    cancelBtn.addEventListener('click', () => { cancelOpenTrade(); });
+  }
+
+  const mine = myTradeSide(row);
+  const theirs = mine === 'a' ? 'b' : 'a';
+  const partner = row[theirs + '_name'] || 'Player';
+  const myOffer = tradeOffer(row, mine);
+  if (title) title.textContent = `Trade with ${partner}`;
+
+  if (row[mine + '_confirmed']) setTradeStatus(`Confirmed. Waiting for ${partner}…`);
+  else if (row[theirs + '_confirmed']) setTradeStatus(`${partner} confirmed. Confirm to complete the trade.`);
+  else setTradeStatus('Add stacks or cash, then confirm. Any change to an offer clears both confirmations.');
+  if (confirmBtn) confirmBtn.disabled = __Trade.busy || !!row[mine + '_confirmed'];
+  if (cancelBtn) cancelBtn.disabled = __Trade.busy;
+  if (cashInput && document.activeElement !== cashInput) {
+    cashInput.value = String(myOffer.cash);
+    cashInput.max = String(bankBalance('cash') + myOffer.cash);
+  }
+
+  fillTradeOffer(mineList, myOffer, (key, n) => [
+    ['Remove 1', () => changeOfferStack(key, -1)],
+    ['All', () => changeOfferStack(key, -n)],
+  ]);
+  fillTradeOffer(theirsList, tradeOffer(row, theirs), () => []);
+  // Escrow comes out of the server's copy, so only what it holds of a stack can be offered
+  invList.innerHTML = '';
+  Object.keys(Game.inv.gitems || {})
+    .map(key => [key, InventorySync.serverHeld(Game.inv, key)])
+    .filter(([, n]) => n > 0)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([key, n]) => invList.appendChild(tradeRow(key, n, [
+      ['Offer 1', () => changeOfferStack(key, 1)],
+      ['All', () => changeOfferStack(key, n)],
+    ])));
+}
+
+// Clicking another player offers them a trade
+canvas.addEventListener('click', (e) => {
+  const rect = canvas.getBoundingClientRect();
+  if (!rect.width || !rect.height) return;
+  const px = (e.clientX - rect.left) * (canvas.width / rect.width) + Game.camera.x;
+  const py = (e.clientY - rect.top) * (canvas.height / rect.height) + Game.camera.y;
+  const uid = otherPlayerAt(Math.floor(px / TILE_SIZE), Math.floor(py / TILE_SIZE));
+  if (uid) requestTrade(uid);
+});
+
+/* ----------------------------- Marketplace ----------------------------- */
+// Players list gitems stacks for cash or $JUNK (db.js, supabase_mmorpg.sql). Listing takes the stack out
+// of the server inventory, so locally it applies the same debit; bids and buyouts are paid from the server
+// balance, which is read back afterwards (see Server Balances). Nothing is credited here: bought stacks, proceeds, refunds and unsold
+// stacks all arrive as mail, claimed through mail_claim from the mailbox or the "My listings" Collect button.
+const MARKET_CATEGORIES = ['trees', 'flowers', 'minerals', 'crops', 'crafted', 'misc'];
+const MARKET_HOURS = [12, 24, 48];
+let __Market = { tab: 'browse', listings: [], mine: [], sellKey: null, busy: false };
+
+function marketCurrencyLabel(currency) {
+  return currency === 'junk' ? '$JUNK' : 'cash';
+}
+
+function setMarketStatus(text) {
+  const el = document.getElementById('market-status');
+  if (el) el.textContent = text;
+}
+
+function marketTimeLeft(l) {
+  const ms = Date.parse(l.expires_at) - Date.now();
+  if (ms <= 0) return 'ended';
+  const m = Math.ceil(ms / 60000);
+  return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+}
+
+// Lowest bid the server accepts (market_bid: start price, then +5%, capped at the buyout)
+function marketMinBid(l) {
+  const min = l.bid == null ? l.start_price : l.bid + Math.max(1, Math.ceil(l.bid * 0.05));
+  return l.buyout_price != null ? Math.min(min, l.buyout_price) : min;
+}
+
+function marketFilters() {
+  const val = (id) => { const el = document.getElementById(id); return el ? el.value : ''; };
+  return {
+    category: val('market-category') || null,
+    rarity: val('market-rarity') || null,
+    currency: val('market-currency') || null,
+    search: val('market-search').trim(),
+  };
+}
+
+async function refreshMarket() {
+  if (!window.DB) {
+    setMarketStatus('The marketplace needs a connection.');
+    return;
+  }
+  setMarketStatus('Loading…');
+  try {
+    await DB.settleMarket();
+    const [listings, mine] = await Promise.all([DB.listMarket(marketFilters()), DB.listMyMarket()]);
+    __Market.listings = listings;
+    __Market.mine = mine;
+    setMarketStatus(listings.length > 0 ? `${listings.length} listing(s)` : 'No listings match.');
+  } catch (e) {
+    console.warn('Market load failed:', e);
+    setMarketStatus('Could not load the marketplace.');
+  }
+  renderMarket();
+}
+
+// Runs a market RPC with the local balance or inventory pushed first; `apply(row)` mirrors the debit
+async function marketAction(run, apply, done) {
+  if (__Market.busy || !window.DB) return false;
+  __Market.busy = true;
+  renderMarket();
+  try {
+    const row = await run();
+    apply(row);
+    await refreshBank().catch(e => console.warn('Balance refresh failed:', e));
+    updateInventoryUI();
+    updateHUD();
+    try { if (typeof updateCurrenciesUI === 'function') updateCurrenciesUI(); } catch (e) {}
+    save();
+    setMarketStatus(done(row));
+    return true;
+  } catch (e) {
+    console.warn('Market action failed:', e);
+    setMarketStatus((e && e.message) || 'Market action failed');
+    return false;
+  } finally {
+    __Market.busy = false;
+    refreshMarket();
+  }
+}
+
+function listStack(key, qty, currency, startPrice, buyoutPrice, hours) {
+  const slug = window.InventorySync && InventorySync.slugForKey(key);
+  if (!slug) {
+    setMarketStatus('This item cannot be listed.');
+    return;
+  }
+  const have = InventorySync.serverHeld(Game.inv, key);
+  if (!(qty > 0) || qty > have) {
+    setMarketStatus(`You can list ${have} of that stack.`);
+    return;
+  }
+  if (!(startPrice > 0) || (buyoutPrice != null && buyoutPrice < startPrice)) {
+    setMarketStatus('Set a starting price, and a buyout no lower than it.');
+    return;
+  }
+  return marketAction(
+    async () => {
+      // The stack is taken from the server copy: push pending inventory deltas first
+      await InventorySync.flush(Game.inv);
+      return DB.createListing({ slug: slug.slug, qty, currency, startPrice, buyoutPrice, hours });
+    },
+    () => {
+      Game.inv.gitems[key] = (Game.inv.gitems[key] || 0) - qty;
+      if (Game.inv.gitems[key] <= 0) delete Game.inv.gitems[key];
+      if (!Game.inv.syncBase) Game.inv.syncBase = {};
+      Game.inv.syncBase[key] = Math.max(0, (Game.inv.syncBase[key] || 0) - qty);
+      __Market.sellKey = null;
+    },
+    (l) => `Listed ${l.name} x${l.qty} for ${hours}h.`
+  );
+}
+
+// Bids and buyouts are paid from the server balance
+function payForListing(l, amount, run) {
+  if (amount > bankBalance(l.currency)) {
+    setMarketStatus(`Not enough ${marketCurrencyLabel(l.currency)} in your account.`);
+    return;
+  }
+  return marketAction(
+    run,
+    () => {},
+    (row) => row.status === 'sold'
+      ? `Bought ${row.name} x${row.qty}. It is in your mailbox.`
+      : `You are the high bidder on ${row.name}.`
+  );
+}
+
+function bidOnListing(l, amount) {
+  if (!(amount >= marketMinBid(l))) {
+    setMarketStatus(`Bid at least ${marketMinBid(l)} ${marketCurrencyLabel(l.currency)}.`);
+    return;
+  }
+  return payForListing(l, amount, () => DB.bidListing(l.id, amount));
+}
+
+function buyoutListing(l) {
+  return payForListing(l, l.buyout_price, () => DB.buyListing(l.id));
+}
+
+function withdrawListing(l) {
+  return marketAction(
+    () => DB.cancelListing(l.id),
+    () => {},
+    (row) => `Withdrew ${row.name}. The stack is in your mailbox.`
+  );
+}
+
+// Market outcomes are mail (kind 'market'); they can be collected here without opening the mailbox
+function marketDeliveries() {
+  return __Mail.rows.filter(m => m.kind === 'market' && mailClaimable(m));
+}
+
+async function collectMarketDeliveries() {
+  const n = await claimAllMail(m => m.kind === 'market');
+  setMarketStatus(n > 0 ? `Collected ${n} market deliveries.` : 'Nothing to collect.');
+  renderMarket();
+}
+
+function marketButton(text, onClick, disabled = false) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.className = 'craft-btn';
+  b.textContent = text;
+  b.disabled = disabled || __Market.busy;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function marketListingRow(l) {
+  const me = localPlayerId();
+  const cur = marketCurrencyLabel(l.currency);
+  const li = document.createElement('li');
+  li.className = 'chest-stack market-listing';
+
+  const head = document.createElement('div');
+  head.className = 'skill-head';
+  const label = document.createElement('span');
+  label.className = 'skill-name';
+  label.textContent = `${l.name} x${l.qty}`;
+  const left = document.createElement('span');
+  left.className = 'skill-level';
+  left.textContent = marketTimeLeft(l);
+  head.append(label, left);
+
+  const desc = document.createElement('div');
+  desc.className = 'skill-desc';
+  const bid = l.bid != null
+    ? `Bid ${l.bid} ${cur} (${l.bids})${l.bidder === me ? ' • yours' : ''}`
+    : `Starts at ${l.start_price} ${cur}`;
+  const buyout = l.buyout_price != null ? ` • Buyout ${l.buyout_price} ${cur}` : '';
+  desc.textContent = `${l.rarity || 'Unknown'} · ${l.quality || 'Unknown'} • ${bid}${buyout} • ${l.seller === me ? 'your listing' : 'by ' + (l.seller_name || 'Player')}`;
+
+  const actions = document.createElement('div');
+  actions.className = 'save-actions';
+  if (l.seller === me) {
+    actions.appendChild(marketButton('Withdraw', () => withdrawListing(l), l.bidder != null));
+  } else {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(marketMinBid(l));
+    input.step = '1';
+    input.value = String(marketMinBid(l));
+    input.className = 'market-bid-input';
+    input.setAttribute('aria-label', `Bid on ${l.name}`);
+    actions.append(input, marketButton('Bid', () => bidOnListing(l, Math.floor(Number(input.value) || 0)), l.bidder === me));
+    if (l.buyout_price != null) actions.appendChild(marketButton('Buy now', () => buyoutListing(l)));
+  }
+  li.append(head, desc, actions);
+  return li;
+}
+
+function renderMarketSell() {
+  const list = document.getElementById('market-sell-list');
+  const form = document.getElementById('market-sell-form');
+  if (!list || !form) return;
+  // Only what the server holds can be listed; local-only items (offline gathers, crafts) stay out
+  const sellable = (k) => (window.InventorySync ? InventorySync.serverHeld(Game.inv, k) : 0);
+  const key = __Market.sellKey;
+  const have = key ? sellable(key) : 0;
+  if (key && have <= 0) __Market.sellKey = null;
+
+  list.innerHTML = '';
+  Object.keys(Game.inv.gitems || {})
+    .map(k => [k, sellable(k)])
+    .filter(([, n]) => n > 0)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([k, n]) => {
+      const { name, rarity, quality } = CraftingSystem.parseKey(k);
+      const li = document.createElement('li');
+      li.className = 'chest-stack' + (k === __Market.sellKey ? ' selected' : '');
+      li.innerHTML = '<div class="skill-head"><span class="skill-name"></span><span class="skill-level"></span></div><div class="skill-desc"></div>';
+      li.querySelector('.skill-name').textContent = name;
+      li.querySelector('.skill-level').textContent = `x${n}`;
+      li.querySelector('.skill-desc').textContent = `${rarity} · ${quality}`;
+      const actions = document.createElement('div');
+      actions.className = 'save-actions';
+      actions.appendChild(marketButton(k === __Market.sellKey ? 'Selected' : 'Sell', () => {
+        __Market.sellKey = k;
+        const qty = document.getElementById('market-sell-qty');
+        if (qty) qty.value = String(n);
+        renderMarketSell();
+      }, k === __Market.sellKey));
+      li.appendChild(actions);
+      list.appendChild(li);
+    });
+  if (!list.firstChild) list.innerHTML = '<li class="muted">Nothing to sell</li>';
+
+  const label = document.getElementById('market-sell-item');
+  if (label) {
+    label.textContent = __Market.sellKey
+      ? `${CraftingSystem.parseKey(__Market.sellKey).name} (you can list ${sellable(__Market.sellKey)})`
+      : 'Pick a stack to sell';
+  }
+  const submit = document.getElementById('market-sell-submit');
+  if (submit) submit.disabled = !__Market.sellKey || __Market.busy;
+}
+
+function renderMarket() {
+  document.querySelectorAll('#modal-market .market-tab').forEach(btn => {
+    const on = btn.dataset.tab === __Market.tab;
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-selected', String(on));
+  });
+  document.querySelectorAll('#modal-market .market-pane').forEach(pane => {
+    pane.classList.toggle('hidden', pane.dataset.pane !== __Market.tab);
+  });
+
+  const browse = document.getElementById('market-list');
+  if (browse) {
+    browse.innerHTML = '';
+    __Market.listings.forEach(l => browse.appendChild(marketListingRow(l)));
+    if (!browse.firstChild) browse.innerHTML = '<li class="muted">No listings</li>';
+  }
+  const mine = document.getElementById('market-mine-list');
+  if (mine) {
+    mine.innerHTML = '';
+    __Market.mine.forEach(l => mine.appendChild(marketListingRow(l)));
+    if (!mine.firstChild) mine.innerHTML = '<li class="muted">No active listings or bids</li>';
+  }
+  const waiting = marketDeliveries().length;
+  const deliveries = document.getElementById('market-deliveries');
+  if (deliveries) {
+    deliveries.textContent = waiting > 0 ? `${waiting} market deliveries waiting` : 'No market deliveries waiting';
+  }
+  const collect = document.getElementById('market-collect');
+  if (collect) collect.disabled = waiting === 0 || __Market.busy || __Mail.busy;
+  renderMarketSell();
+}
+
+function setupMarketModal() {
+  const modal = document.getElementById('modal-market');
+  if (!modal || modal.dataset.ready) return;
+  modal.dataset.ready = '1';
+
+  const fill = (id, values, label) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    values.forEach(v => {
+      const opt = document.createElement('option');
+      opt.value = v;
+      opt.textContent = label(v);
+      el.appendChild(opt);
+    });
+  };
+  fill('market-category', MARKET_CATEGORIES, c => c[0].toUpperCase() + c.slice(1));
+  fill('market-rarity', (window.ItemSystem && ItemSystem.rarities) || [], r => r);
+  fill('market-sell-hours', MARKET_HOURS, h => `${h} hours`);
+  const hours = document.getElementById('market-sell-hours');
+  if (hours) hours.value = '24';
+
+  modal.querySelectorAll('.market-tab').forEach(btn => btn.addEventListener('click', () => {
+    __Market.tab = btn.dataset.tab;
+    renderMarket();
+  }));
+  ['market-category', 'market-rarity', 'market-currency'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', () => refreshMarket());
+  });
+  document.getElementById('market-search')?.addEventListener('keydown', (e) => {
+    if (e.code === 'Enter') refreshMarket();
+  });
+  document.getElementById('market-refresh')?.addEventListener('click', () => refreshMarket());
+  document.getElementById('market-collect')?.addEventListener('click', () => collectMarketDeliveries());
+  document.getElementById('market-sell-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const num = (id) => {
+      const el = document.getElementById(id);
+      return el && el.value !== '' ? Math.floor(Number(el.value)) : null;
+    };
+    const currency = document.getElementById('market-sell-currency')?.value === 'junk' ? 'junk' : 'cash';
+    listStack(__Market.sellKey, num('market-sell-qty'), currency, num('market-sell-start'), num('market-sell-buyout'), num('market-sell-hours') || 24);
+  });
+}
+
+function updateMarketModal() {
+  setupMarketModal();
+  renderBank();
+  renderMarket();
+  refreshMarket();
+}
+
+/* ----------------------------- Mailbox ----------------------------- */
+// Server mail (db.js, supabase_mmorpg.sql): marketplace outcomes, the daily login reward and admin grants.
+// Claiming runs mail_claim, which credits the attachments to the server inventory and balances; items are
+// applied locally (gitems with their sync base) like a settled trade, and balances are read back.
+let __Mail = { rows: [], uid: null, channel: null, busy: false };
+
+function mailExpired(m, now = Date.now()) {
+  return !!m.expires_at && Date.parse(m.expires_at) <= now;
+}
+
+function mailHasAttachments(m) {
+  return (m.items && m.items.length > 0) || m.cash > 0 || m.junk > 0;
+}
+
+function mailClaimable(m) {
+  return !m.claimed_at && !mailExpired(m) && mailHasAttachments(m);
+}
+
+function mailAttachmentText(m) {
+  const parts = (m.items || []).map(it => `${it.name || it.slug} x${it.qty}`);
+  if (m.cash > 0) parts.push(`${m.cash} cash`);
+  if (m.junk > 0) parts.push(`${m.junk} $JUNK`);
+  return parts.join(', ');
+}
+
+function mailExpiryText(m) {
+  const ms = Date.parse(m.expires_at) - Date.now();
+  if (!(ms > 0)) return 'expired';
+  const d = Math.floor(ms / 86400000);
+  return d >= 1 ? `expires in ${d}d` : `expires in ${Math.max(1, Math.ceil(ms / 3600000))}h`;
+}
+
+function setMailStatus(text) {
+  const el = document.getElementById('mailbox-status');
+  if (el) el.textContent = text;
+}
+
+function updateMailBadge() {
+  const badge = document.getElementById('mailbox-badge');
+  if (!badge) return;
+  const unread = __Mail.rows.filter(m => !m.read_at && !mailExpired(m)).length;
+  badge.textContent = unread > 9 ? '9+' : String(unread);
+  badge.classList.toggle('hidden', unread === 0);
+}
+
+// Keeps rows newest first; RPC results and realtime events for the same mail can cross
+function rememberMail(row) {
+  const i = __Mail.rows.findIndex(m => m.id === row.id);
+  if (i >= 0) __Mail.rows[i] = { ...__Mail.rows[i], ...row };
+  else __Mail.rows.push(row);
+  __Mail.rows.sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+}
+
+function onMailRow(row, event) {
+  if (!row || !row.id) return;
+  if (event === 'DELETE') {
+    __Mail.rows = __Mail.rows.filter(m => m.id !== row.id);
+  } else {
+    const isNew = !__Mail.rows.some(m => m.id === row.id);
+    rememberMail(row);
+    if (isNew && event === 'INSERT') {
+      showFloatingText(`New mail: ${row.subject || 'Message'}`, Game.player.x, Game.player.y, '#7dd3fc');
+    }
+  }
+  updateMailBadge();
+  if (__modals.mailbox && !__modals.mailbox.classList.contains('hidden')) renderMailbox();
+  if (__modals.market && !__modals.market.classList.contains('hidden')) renderMarket();
+}
+
+// Asks for today's reward (it arrives as mail), loads the mailbox and follows it
+async function syncMail() {
+  if (!window.DB) return;
+  __Mail.uid = await DB.getUserId();
+  try { await DB.claimDailyReward(); } catch (e) { console.warn('Daily reward failed:', e); }
+  __Mail.rows = await DB.listMail();
+  updateMailBadge();
+  try { if (__Mail.channel) __Mail.channel.unsubscribe(); } catch (e) {}
+  __Mail.channel = DB.subscribeMail(__Mail.uid, onMailRow);
+}
+
+// Mirror a claim the server has applied
+function applyMailClaim(m) {
+  if (!Game.inv.syncBase) Game.inv.syncBase = {};
+  for (const it of m.items || []) {
+    const key = InventorySync.keyForItem(it);
+    Game.inv.gitems[key] = (Game.inv.gitems[key] || 0) + (it.qty || 0);
+    Game.inv.syncBase[key] = (Game.inv.syncBase[key] || 0) + (it.qty || 0);
+  }
+}
+
+async function claimMail(m) {
+  if (!mailClaimable(m) || !window.DB || !window.InventorySync) return false;
+  try {
+    const row = await DB.claimMail(m.id);
+    applyMailClaim(m);
+    rememberMail(row);
+    return true;
+  } catch (e) {
+    console.warn('Mail claim failed:', e);
+    setMailStatus((e && e.message) || 'Could not claim the mail');
+    return false;
+  }
+}
+
+// Runs `work` with the mailbox locked, then refreshes inventory, balances and the list
+async function mailAction(work) {
+  if (__Mail.busy) return;
+  __Mail.busy = true;
+  renderMailbox();
+  try {
+    const n = await work();
+    if (n > 0) {
+      await refreshBank().catch(e => console.warn('Balance refresh failed:', e));
+      updateInventoryUI();
+      updateHUD();
+      try { if (typeof updateCurrenciesUI === 'function') updateCurrenciesUI(); } catch (e) {}
+      save();
+      setMailStatus(n === 1 ? 'Claimed.' : `Claimed ${n} mails.`);
+    }
+    return n;
+  } finally {
+    __Mail.busy = false;
+    updateMailBadge();
+    renderMailbox();
+  }
+}
+
+function claimOneMail(m) {
+  return mailAction(async () => ((await claimMail(m)) ? 1 : 0));
+}
+
+// Claims every claimable mail passing `filter`; resolves to how many were claimed
+function claimAllMail(filter = () => true) {
+  return mailAction(async () => {
+    let n = 0;
+    for (const m of __Mail.rows.filter(m => mailClaimable(m) && filter(m))) {
+      if (await claimMail(m)) n++;
+    }
+    if (n === 0) setMailStatus('Nothing to claim.');
+    return n;
+  });
+}
+
+function discardMail(m) {
+  return mailAction(async () => {
+    try {
+      await DB.deleteMail(m.id);
+      __Mail.rows = __Mail.rows.filter(r => r.id !== m.id);
+    } catch (e) {
+      console.warn('Mail delete failed:', e);
+      setMailStatus((e && e.message) || 'Could not delete the mail');
+    }
+    return 0;
+  });
+}
+
+function mailButton(text, onClick, disabled = false) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.className = 'craft-btn';
+  b.textContent = text;
+  b.disabled = disabled || __Mail.busy;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function mailRow(m) {
+  const li = document.createElement('li');
+  li.className = 'chest-stack mail-item' + (m.read_at ? '' : ' unread') + (mailExpired(m) ? ' expired' : '');
+
+  const head = document.createElement('div');
+  head.className = 'skill-head';
+  const subject = document.createElement('span');
+  subject.className = 'skill-name';
+  subject.textContent = m.subject || '(no subject)';
+  const when = document.createElement('span');
+  when.className = 'skill-level';
+  when.textContent = new Date(m.created_at).toLocaleDateString();
+  head.append(subject, when);
+  li.appendChild(head);
+
+  if (m.body) {
+    const body = document.createElement('div');
+    body.className = 'mail-body';
+    body.textContent = m.body;
+    li.appendChild(body);
+  }
+
+  const desc = document.createElement('div');
+  desc.className = 'skill-desc';
+  const att = mailAttachmentText(m);
+  const state = !mailHasAttachments(m) ? '' : m.claimed_at ? 'claimed' : mailExpired(m) ? 'expired' : mailExpiryText(m);
+  desc.textContent = att ? `${att} • ${state}` : (mailExpired(m) ? 'expired' : mailExpiryText(m));
+  li.appendChild(desc);
+
+  const actions = document.createElement('div');
+  actions.className = 'save-actions';
+  if (mailClaimable(m)) actions.appendChild(mailButton('Claim', () => claimOneMail(m)));
+  actions.appendChild(mailButton('Delete', () => discardMail(m), mailClaimable(m)));
+  li.appendChild(actions);
+  return li;
+}
+
+function renderMailbox() {
+  const list = document.getElementById('mailbox-list');
+  if (!list) return;
+  list.innerHTML = '';
+  __Mail.rows.forEach(m => list.appendChild(mailRow(m)));
+  if (!list.firstChild) list.innerHTML = '<li class="muted">No messages. Check back later.</li>';
+  const all = document.getElementById('mailbox-claim-all');
+  if (all) all.disabled = __Mail.busy || !__Mail.rows.some(mailClaimable);
+}
+
+function setupMailboxModal() {
+  const modal = __modals.mailbox;
+  if (!modal || modal.dataset.ready) return;
+  modal.dataset.ready = '1';
+  document.getElementById('mailbox-claim-all')?.addEventListener('click', () => claimAllMail());
+}
+
+// Opening the mailbox reads everything in it
+function updateMailboxModal() {
+  setupMailboxModal();
+  renderBank();
+  setMailStatus(window.DB ? '' : 'Mail needs a connection.');
+  renderMailbox();
+  const unread = __Mail.rows.filter(m => !m.read_at);
+  if (unread.length === 0 || !window.DB) return;
+  const now = new Date().toISOString();
+  unread.forEach(m => { m.read_at = now; });
+  updateMailBadge();
+  DB.markMailRead(unread.map(m => m.id)).catch(e => console.warn('Mark mail read failed:', e));
+}
+
+/* ----------------------------- Zones ----------------------------- */
+// Every map the player can stand in is a zone (zones.js). Exactly one is active: Game.zone names it and
+// Game.world / Game.decor / Game.size hold its grid. The overworld stays in memory while the player is
+// elsewhere (__Overworld) and is treated like a closed game, catching up (catchUpWorld) on return; saves,
+// chunk writes and the minimap always use it. Other zones are built from their generate() plus what
+// Game.zones[id] saved, and packed back into Game.zones when the player leaves.
+const OVERWORLD = 'overworld';
+const OVERWORLD_GATES = WorldLayout.OVERWORLD_GATES;
+
+let __Overworld = null; // { world, decor, leftAt } while the player is in another zone
+let __zoneBaseline = null; // generated grid of the active zone, so only changed tiles are saved
+let __pendingZone = null; // { zone, x, y } from a save made outside the overworld, until init re-enters it
+
+function zoneDef(id = Game.zone) {
+  return Zones.get(id) || Zones.get(OVERWORLD);
+}
+
+function inOverworld() {
+  return Game.zone === OVERWORLD;
+}
+
+function overworldGrid() {
+  return __Overworld ? __Overworld.world : Game.world;
+}
+
+function overworldDecor() {
+  return __Overworld ? __Overworld.decor : Game.decor;
+}
+
+function tileFromKind(kind, x, y) {
+  const ids = { grass: TILE.Grass, soil: TILE.Soil, planter: TILE.Soil, path: TILE.Path, water: TILE.Water, floor: TILE.Floor, wall: TILE.Wall, rubble: TILE.Rubble };
+  const t = makeTile(x, y, ids[kind] ?? TILE.Floor);
+  t.walkable = !(kind === 'water' || kind === 'wall' || kind === 'rubble');
+  if (kind === 'planter') {
+    // Hydroponic planters never dry out, so growth continues while the player is elsewhere
+    t.hydroponic = true;
+    t.tilled = true;
+    t.watered = true;
+    t.waterEndAt = Number.MAX_SAFE_INTEGER;
+  }
+  return t;
+}
+
+// Zone tile entry: [x, y, ...tileState] for every tile that differs from the generated grid
+function encodeZoneTiles() {
+  const out = [];
+  Game.world.forEach((row, y) => row.forEach((t, x) => {
+    const b = __zoneBaseline && __zoneBaseline[y][x];
+    const same = b && t.tileId === b.tileId && t.walkable === b.walkable && t.tilled === b.tilled &&
+      t.watered === b.watered && t.waterEndAt === b.waterEndAt && !t.plant;
+    if (!same) out.push([x, y, ...encodeTileState(t)]);
+  }));
+  return out;
+}
+
+function buildZone(id) {
+  const def = zoneDef(id);
+  const saved = Game.zones[id] || {};
+  const out = def.generate(mulberry32(WorldLayout.zoneSeed(id)), { rooms: Game.bunker.rooms });
+  const world = out.tiles.map((row, y) => row.map((kind, x) => tileFromKind(kind, x, y)));
+  const decor = def.persistDecor && Array.isArray(saved.decor) ? saved.decor : out.decor;
+  for (const d of decor) {
+    const custom = window.Customization && Customization.additionalDecorations[d.type];
+    if (custom && custom.walkable === false) world[d.y][d.x].walkable = false;
+  }
+  const baseline = world.map(row => row.map(t => ({ ...t })));
+  for (const e of saved.tiles || []) {
+    const t = world[e[1]] && world[e[1]][e[0]];
+    if (t) applyTileState(t, e.slice(2));
+  }
+  return { world, decor, baseline, tickAt: saved.tickAt || 0 };
+}
+
+// Game.zones with the active zone's current state (the overworld saves through its chunks instead)
+function zonesForSave() {
+  if (inOverworld()) return Game.zones;
+  const entry = { tiles: encodeZoneTiles(), tickAt: Game.worldTickAt };
+  if (zoneDef().persistDecor) entry.decor = Game.decor;
+  return { ...Game.zones, [Game.zone]: entry };
+}
+
+function packZone() {
+  Game.zones = zonesForSave();
+}
+
+function setActiveZone(id) {
+  const def = zoneDef(id);
+  let since;
+  if (id === OVERWORLD) {
+    const o = __Overworld;
+    __Overworld = null;
+    Game.world = o.world;
+    Game.decor = o.decor;
+    __zoneBaseline = null;
+    since = o.leftAt;
+  } else {
+    const z = buildZone(id);
+    Game.world = z.world;
+    Game.decor = z.decor;
+    __zoneBaseline = z.baseline;
+    since = z.tickAt;
+  }
+  Game.zone = def.id;
+  Game.size = { w: def.width, h: def.height };
+  ensureDecorHarvestCounters();
+  const grown = catchUpWorld(since);
+  applySharedCells();
+  return grown;
+}
+
+// Leave the active zone for `id`, landing on `arrive` (default: the zone's spawn). Returns success.
+function switchZone(id, arrive) {
+  const def = Zones.get(id);
+  if (!def || id === Game.zone) return false;
+  if (Game.gather && Game.gather.active) return false;
+  // Send this zone's pending cells while they are still at hand
+  if (window.WorldSync) WorldSync.flush();
+  if (inOverworld()) {
+    markGrowingChunksDirty();
+    __Overworld = { world: Game.world, decor: Game.decor, leftAt: Date.now() };
+  } else {
+    packZone();
+  }
+  const grown = setActiveZone(id);
+  const at = arrive && !isBlocked(arrive.x, arrive.y) ? arrive : def.spawn;
+  Game.player.x = at.x;
+  Game.player.y = at.y;
+  showFloatingText(def.label, at.x, at.y, '#d2b84c');
+  if (grown > 0) showFloatingText(`Crops grew while you were away (+${grown})`, at.x, at.y - 1, '#a3e635');
+  save();
+  if (__Presence.started) {
+    joinZonePresence();
+    syncChests().catch(e => console.warn('Chest sync failed:', e));
+  }
+  try { syncSupabasePositionThrottled(); } catch (e) {}
+  return true;
+}
+
+// Where a portal drops the player: its `arrive` tile, the tile they came from (`back`), or the target
+// zone's own portal leading back here
+function portalArrival(portal) {
+  const ret = Game.zoneReturn;
+  if (portal.back && ret && ret.zone === portal.to) return { x: ret.x, y: ret.y };
+  if (portal.arrive) return portal.arrive;
+  const target = Zones.get(portal.to);
+  const partner = target && target.portals.find(p => p.to === Game.zone);
+  return partner ? { x: partner.x, y: partner.y } : null;
+}
+
+function usePortal(portal) {
+  const from = { zone: Game.zone, x: Game.player.x, y: Game.player.y };
+  const prev = Game.zoneReturn;
+  if (!portal.back) Game.zoneReturn = from;
+  if (!switchZone(portal.to, portalArrival(portal))) Game.zoneReturn = prev;
+}
+
+// Called after every step: portals (static zone gates or decor with `portal`) are walked onto
+function checkPortal() {
+  const { x, y } = Game.player;
+  const d = decorAt(x, y);
+  const portal = (d && d.portal) || Zones.portalAt(Game.zone, x, y);
+  if (portal) usePortal(portal);
+}
+
+// Static overworld gates need open ground: clear whatever generated or grew on them
+function ensureZoneGates() {
+  for (const g of OVERWORLD_GATES) {
+    for (const x of [g.x, g.x - 1]) {
+      const t = tileAt(x, g.y);
+      if (!t || (t.walkable && !decorAt(x, g.y))) continue;
+      Game.decor = Game.decor.filter(d => !(d.x === x && d.y === g.y));
+      t.tileId = TILE.Grass;
+      t.walkable = true;
+      markTileDirty(x, g.y);
+    }
+  }
+}
+
+// Re-enter the zone a save was made in, once the overworld is fully set up (zones that no longer exist
+// leave the player where they entered from)
+function restoreSavedZone() {
+  const p = __pendingZone;
+  __pendingZone = null;
+  if (!p || !Zones.get(p.zone)) return;
+  __Overworld = { world: Game.world, decor: Game.decor, leftAt: Game.worldTickAt };
+  setActiveZone(p.zone);
+  const at = !isBlocked(p.x, p.y) ? p : zoneDef().spawn;
+  Game.player.x = at.x;
+  Game.player.y = at.y;
+}
+
+/* ----------------------------- Bunker ----------------------------- */
+// The bunker interior is the private 'bunker' zone (bunker.js), entered through a hatch near the farm.
+// Room levels and the medical bay cooldown persist in Game.bunker; planters save with the zone.
+const BUNKER_ZONE = 'bunker';
+const BUNKER_HATCH = { x: Math.floor(WORLD_W / 2 - 14), y: Math.floor(WORLD_H / 2 - 8) }; // just west of the farm
+const BASE_STAMINA_MAX = 100;
+const MED_BAY_COOLDOWN_MS = 10 * 60 * 1000;
+const STATION_ROOMS = { kitchen: 'kitchen-bunker' }; // crafting station -> room that provides it
+
+function bunkerRoomLevel(slug) {
+  return (Game.bunker && Game.bunker.rooms && Game.bunker.rooms[slug]) || 0;
+}
+
+function bunkerBonuses() {
+  return window.BunkerRooms ? BunkerRooms.bonuses((Game.bunker && Game.bunker.rooms) || {}) : { planters: 0, gatherTimeMult: 1, staminaMax: 0, foodMult: 1, medRestore: 0, deviceRadius: 0, craftTimeMult: 1 };
+}
+
+// Room effects that live on other systems' state (stamina max); call after load and after upgrades
+function applyBunkerBonuses() {
+  const st = (typeof Mechanics !== 'undefined' && Mechanics.stamina) || Game.stamina;
+  if (!st) return;
+  st.max = BASE_STAMINA_MAX + bunkerBonuses().staminaMax;
+  st.current = Math.min(st.current, st.max);
+  try { updateStaminaUI(); } catch (e) {}
+}
+
+function ensureBunkerHatch() {
+  if (!window.Customization) return;
+  const existing = Game.decor.find(d => d && d.type === 'bunker_hatch');
+  if (existing) {
+    // Hatches placed before zones existed don't carry their portal yet
+    if (!existing.portal) {
+      existing.portal = { to: BUNKER_ZONE };
+      markTileDirty(existing.x, existing.y);
+    }
+    return;
+  }
+  for (let r = 0; r < 6; r++) {
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        const x = BUNKER_HATCH.x + dx, y = BUNKER_HATCH.y + dy;
+        const t = tileAt(x, y);
+        if (!t || !t.walkable || t.tileId !== TILE.Grass || t.tilled || decorAt(x, y)) continue;
+        Customization.addCustomDecoration(x, y, 'bunker_hatch', { name: 'Bunker Hatch', portal: { to: BUNKER_ZONE } });
+        return;
+      }
+    }
+  }
+}
+
+// Rebuild the interior in place after a room changes (keeps planted crops)
+function refreshBunkerScene() {
+  if (Game.zone !== BUNKER_ZONE) return;
+  packZone();
+  const z = buildZone(BUNKER_ZONE);
+  Game.world = z.world;
+  Game.decor = z.decor;
+  __zoneBaseline = z.baseline;
+  if (isBlocked(Game.player.x, Game.player.y)) {
+    Game.player.x = zoneDef().spawn.x;
+    Game.player.y = zoneDef().spawn.y;
+  }
+}
+
+function upgradeBunkerRoom(slug) {
+  const room = window.BunkerRooms && BunkerRooms.get(slug);
+  if (!room) return false;
+  const level = bunkerRoomLevel(slug);
+  const recipe = BunkerRooms.upgradeRecipe(slug, level + 1);
+  if (!recipe) {
+    showFloatingText(`${room.label} is fully upgraded`, Game.player.x, Game.player.y, '#ef476f');
+    return false;
+  }
+  if (!Game.inv.gitems) Game.inv.gitems = {};
+  const chk = CraftingSystem.check(recipe, Game.inv.gitems, Game.skills);
+  if (!chk.ok) {
+    showFloatingText(chk.reason || 'Missing materials', Game.player.x, Game.player.y, '#ef476f');
+    return false;
+  }
+  CraftingSystem.consume(recipe, Game.inv.gitems);
+  Game.bunker.rooms[slug] = level + 1;
+  applyBunkerBonuses();
+  refreshBunkerScene();
+  showFloatingText(`${room.label} Lv ${level + 1}`, Game.player.x, Game.player.y, '#22c55e');
+  updateInventoryUI();
+  updateBunkerModal();
+  save();
+  return true;
+}
+
+function restAtMedicalBay() {
+  const restore = bunkerBonuses().medRestore;
+  const wait = (Game.bunker.restedAt || 0) + MED_BAY_COOLDOWN_MS - Date.now();
+  if (wait > 0) {
+    showFloatingText(`Rest again in ${Math.ceil(wait / 60000)}m`, Game.player.x, Game.player.y, '#ef476f');
+    return;
+  }
+  Game.bunker.restedAt = Date.now();
+  if (typeof Game.regenStamina === 'function') Game.regenStamina(restore);
+  showFloatingText(`+${restore} stamina`, Game.player.x, Game.player.y, '#7bd389');
+  save();
+}
+
+// Hand on a station: blueprints open the build panel, built rooms do their job
+function useBunkerStation(d) {
+  if (!d.built) {
+    openModal('bunker');
+    return;
+  }
+  const room = BunkerRooms.get(d.room);
+  if (d.room === 'kitchen-bunker') {
+    openCraftingStation('kitchen');
+  } else if (d.room === WORKSHOP_BUNKER) {
+    openCraftingStation(null);
+  } else if (d.room === 'medical-bay-bunker') {
+    restAtMedicalBay();
+  } else {
+    showFloatingText(`${room.label} Lv ${bunkerRoomLevel(d.room)}: ${room.summary}`, d.x, d.y, '#d2b84c');
+  }
+}
+
+// Food items (bunker.js foods) are eaten from the inventory for stamina; the Pantry boosts it
+function eatFood(key) {
+  const { name } = CraftingSystem.parseKey(key);
+  const base = window.BunkerRooms && BunkerRooms.foods[name];
+  if (!base || !((Game.inv.gitems[key] || 0) > 0)) return false;
+  const st = Mechanics.stamina;
+  if (st.current >= st.max) {
+    showFloatingText('Not hungry', Game.player.x, Game.player.y, '#ef476f');
+    return false;
+  }
+  Game.inv.gitems[key] -= 1;
+  const amount = Math.round(base * bunkerBonuses().foodMult);
+  Game.regenStamina(amount);
+  showFloatingText(`${name}: +${amount} stamina`, Game.player.x, Game.player.y, '#7bd389');
+  updateInventoryUI();
+  save();
+  return true;
+}
+
+/* ----------------------------- Pets ----------------------------- */
+// Companions from pets.js. Game.pets is saved with the player ({ active, owned: { [species]: pet } });
+// where the pet stands is not: it walks into the tile the player just left and reappears beside them
+// after a portal or a load. Bonuses hook into stamina drain (petStaminaCost) and the loop (updatePet).
+const PET_STEP_MS = MOVE_COOLDOWN_MS * 1.5;
+let __Pet = { x: 0, y: 0, fromX: 0, fromY: 0, movedAt: 0, lastPlayer: null, gatherAt: 0 };
+
+function activePet() {
+  if (!window.Pets || !Game.pets || !Game.pets.active) return null;
+  return Game.pets.owned[Game.pets.active] || null;
+}
+
+// Behind the player when that tile is free, else on the player's own tile
+function placePet() {
+  const p = Game.player;
+  let dx = 0, dy = 0;
+  if (p.facing === Dir.Up) dy = 1;
+  if (p.facing === Dir.Down) dy = -1;
+  if (p.facing === Dir.Left) dx = 1;
+  if (p.facing === Dir.Right) dx = -1;
+  const free = inBounds(p.x + dx, p.y + dy) && !isBlocked(p.x + dx, p.y + dy);
+  __Pet.x = __Pet.fromX = free ? p.x + dx : p.x;
+  __Pet.y = __Pet.fromY = free ? p.y + dy : p.y;
+  __Pet.movedAt = 0;
+}
+
+// Chance-based: each point of stamina is saved with the pet's staminaSave odds
+function petStaminaCost(amount) {
+  const pet = activePet();
+  const chance = pet ? Pets.bonuses(pet).staminaSave : 0;
+  let cost = 0;
+  for (let i = 0; i < amount; i++) {
+    if (!(Math.random() < chance)) cost++;
+  }
+  return cost;
+}
+
+function petGatherFlowers(now) {
+  const every = Pets.bonuses(activePet(), now).flowerGatherMs;
+  if (!every || Game.gather.active) {
+    __Pet.gatherAt = 0;
+    return;
+  }
+  if (!__Pet.gatherAt) __Pet.gatherAt = now + every;
+  if (now < __Pet.gatherAt) return;
+  __Pet.gatherAt = now + every;
+  const d = Game.decor.find(d => d.type === 'flowers' && !d.depleted && !d.sapling && canGatherOwned(d) &&
+    Math.max(Math.abs(d.x - __Pet.x), Math.abs(d.y - __Pet.y)) <= 1);
+  if (d) gatherNode(d, { stamina: false });
+}
+
+function updatePet() {
+  if (!activePet()) {
+    __Pet.lastPlayer = null;
+    return;
+  }
+  const p = Game.player;
+  const last = __Pet.lastPlayer;
+  if (!last || last.zone !== Game.zone || Math.abs(last.x - p.x) + Math.abs(last.y - p.y) > 1) {
+    placePet();
+  } else if (last.x !== p.x || last.y !== p.y) {
+    __Pet.fromX = __Pet.x;
+    __Pet.fromY = __Pet.y;
+    __Pet.x = last.x;
+    __Pet.y = last.y;
+    __Pet.movedAt = performance.now();
+  }
+  __Pet.lastPlayer = { x: p.x, y: p.y, zone: Game.zone };
+  petGatherFlowers(Date.now());
+}
+
+function drawPet() {
+  const pet = activePet();
+  const def = pet && Pets.get(pet.species);
+  if (!def) return;
+  const now = performance.now();
+  const k = Math.min(1, (now - __Pet.movedAt) / PET_STEP_MS);
+  const cx = Math.floor((__Pet.fromX + (__Pet.x - __Pet.fromX) * k) * TILE_SIZE - Game.camera.x + TILE_SIZE / 2);
+  const cy = Math.floor((__Pet.fromY + (__Pet.y - __Pet.fromY) * k) * TILE_SIZE - Game.camera.y + TILE_SIZE / 2);
+
+  ctx.save();
+  // A hungry pet looks faded: its bonuses are off until it is fed
+  if (!Pets.isFed(pet)) ctx.globalAlpha = 0.6;
+  ctx.fillStyle = 'rgba(0,0,0,0.25)';
+  ctx.beginPath();
+  ctx.ellipse(cx, cy + 10, 8, 3, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  if (def.shape === 'moth') {
+    const hover = cy - 6 + Math.sin(now / 250) * 3;
+    const flap = 0.4 + 0.6 * Math.abs(Math.sin(now / 90));
+    ctx.fillStyle = def.color;
+    for (const side of [-1, 1]) {
+      ctx.beginPath();
+      ctx.ellipse(cx + side * 6 * flap, hover - 2, 6 * flap, 5, side * 0.4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.fillStyle = def.accent;
+    ctx.beginPath();
+    ctx.ellipse(cx, hover, 2.5, 6, 0, 0, Math.PI * 2);
+    ctx.fill();
+  } else {
+    const moving = k < 1;
+    const bob = moving ? Math.abs(Math.sin(now / 60)) * 2 : 0;
+    const face = (__Pet.x < __Pet.fromX || (!moving && Game.player.x < __Pet.x)) ? -1 : 1;
+    ctx.fillStyle = def.color;
+    ctx.beginPath();
+    ctx.ellipse(cx, cy + 4 - bob, 8, 5, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(cx + face * 7, cy - 1 - bob, 4.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = def.accent;
+    ctx.beginPath();
+    ctx.moveTo(cx + face * 5, cy - 4 - bob);
+    ctx.lineTo(cx + face * 4, cy - 9 - bob);
+    ctx.lineTo(cx + face * 8, cy - 5 - bob);
+    ctx.fill();
+    ctx.strokeStyle = def.accent;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cx - face * 7, cy + 2 - bob);
+    ctx.lineTo(cx - face * 11, cy - 3 - bob + Math.sin(now / 120) * 2);
+    ctx.stroke();
+    ctx.fillStyle = '#111';
+    ctx.fillRect(cx + face * 8 - 1, cy - 3 - bob, 2, 2);
+  }
+  ctx.restore();
+}
+
+function setPetsStatus(text) {
+  const el = document.getElementById('pets-status');
+  if (el) el.textContent = text;
+}
+
+function adoptPet(speciesId) {
+  if (!window.Pets || !Pets.get(speciesId) || Game.pets.owned[speciesId]) return;
+  Game.pets.owned[speciesId] = Pets.create(speciesId);
+  Game.pets.active = speciesId;
+  __Pet.lastPlayer = null;
+  setPetsStatus(`${Pets.get(speciesId).label} joined you. Feed it crops to switch on its bonus.`);
+  save();
+  updatePetsModal();
+}
+
+function setActivePet(speciesId) {
+  Game.pets.active = speciesId;
+  __Pet.lastPlayer = null;
+  __Pet.gatherAt = 0;
+  save();
+  updatePetsModal();
+}
+
+// Crop stacks in gitems, favourites first
+function petFoodKeys(pet) {
+  const def = Pets.get(pet.species);
+  const cropOf = (key) => CropRegistry.findByName(CraftingSystem.parseKey(key).name);
+  const fav = (key) => (def.favorites.includes(cropOf(key).id) ? 1 : 0);
+  return Object.keys(Game.inv.gitems || {})
+    .filter(k => (Game.inv.gitems[k] || 0) > 0 && cropOf(k))
+    .sort((a, b) => fav(b) - fav(a) || a.localeCompare(b));
+}
+
+function feedPet(speciesId) {
+  const pet = Game.pets.owned[speciesId];
+  if (!pet) return false;
+  const key = petFoodKeys(pet)[0];
+  if (!key) {
+    setPetsStatus('No crops to feed. Harvest some first.');
+    return false;
+  }
+  const crop = CropRegistry.findByName(CraftingSystem.parseKey(key).name);
+  const meal = Pets.feed(pet, crop.id);
+  if (!meal) {
+    setPetsStatus(`${pet.name} is full.`);
+    return false;
+  }
+  Game.inv.gitems[key] -= 1;
+  if (Game.inv.gitems[key] <= 0) delete Game.inv.gitems[key];
+  setPetsStatus(`${pet.name} ate a ${crop.display} (+${meal.xp} XP)${meal.levels > 0 ? `. Level ${pet.level}!` : ''}`);
+  if (meal.levels > 0 && speciesId === Game.pets.active) {
+    showFloatingText(`${pet.name} Lv ${pet.level}`, __Pet.x, __Pet.y, '#a3e635');
+  }
+  updateInventoryUI();
+  save();
+  updatePetsModal();
+  return true;
+}
+
+function petBonusText(def, level) {
+  const fx = def.bonuses(level) || {};
+  const parts = [];
+  if (fx.staminaSave) parts.push(`${Math.round(fx.staminaSave * 100)}% chance to save stamina`);
+  if (fx.flowerGatherMs) parts.push(`gathers a flower every ${Math.round(fx.flowerGatherMs / 1000)}s`);
+  return parts.join(', ');
+}
+
+function petFedText(pet) {
+  const ms = (pet.fedUntil || 0) - Date.now();
+  if (ms <= 0) return 'Hungry';
+  const m = Math.ceil(ms / 60000);
+  return `Fed for ${m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`}`;
+}
+
+function updatePetsModal() {
+  const list = document.getElementById('pets-list');
+  if (!list || !window.Pets) return;
+  list.innerHTML = '';
+  for (const def of Pets.list()) {
+    const pet = Game.pets.owned[def.id];
+    const li = document.createElement('li');
+    li.className = 'chest-stack pet-card' + (pet && Game.pets.active === def.id ? ' selected' : '');
+
+    const head = document.createElement('div');
+    head.className = 'skill-head';
+    const name = document.createElement('span');
+    name.className = 'skill-name';
+    name.textContent = pet ? pet.name : def.label;
+    const level = document.createElement('span');
+    level.className = 'skill-level';
+    level.textContent = pet ? `Lv ${pet.level}` : 'Not adopted';
+    head.append(name, level);
+
+    const desc = document.createElement('div');
+    desc.className = 'skill-desc';
+    const favs = def.favorites.map(id => (CropRegistry.get(id) || { display: id }).display).join(', ');
+    desc.textContent = `${def.summary}. Favourite food: ${favs}.`;
+
+    const stats = document.createElement('div');
+    stats.className = 'skill-desc';
+    if (pet) {
+      const next = Pets.xpToNext(pet.level);
+      const xp = Number.isFinite(next) ? `XP ${pet.xp}/${next}` : 'Max level';
+      stats.textContent = `${xp} • ${petFedText(pet)} • ${petBonusText(def, pet.level)}`;
+    } else {
+      stats.textContent = `At Lv 1: ${petBonusText(def, 1)}`;
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'save-actions';
+    const button = (text, onClick) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'craft-btn';
+      b.textContent = text;
+      b.addEventListener('click', onClick);
+      actions.appendChild(b);
+    };
+    if (!pet) {
+      button('Adopt', () => adoptPet(def.id));
+    } else {
+      button('Feed', () => feedPet(def.id));
+      if (Game.pets.active === def.id) button('Stay home', () => setActivePet(null));
+      else button('Follow me', () => setActivePet(def.id));
+    }
+    li.append(head, desc, stats, actions);
+    list.appendChild(li);
+  }
+}
+
+// ----------------------------- Input -----------------------------------------
+
+const keysDown = new Set();
+
+window.addEventListener('keydown', (e) => {
+  // Typing in a form field (market prices, trade cash, username) must not move the player or switch tools
+  if (e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+  keysDown.add(e.code);
+
+  // Prevent arrow keys from scrolling
+  if (KEYS.Up.includes(e.code) || KEYS.Down.includes(e.code) ||
+      KEYS.Left.includes(e.code) || KEYS.Right.includes(e.code) ) {
+    e.preventDefault();
+  }
+
+  // Tools
+  if (KEYS.ToolHoe.includes(e.code)) setTool(Tools.Hoe);
+  if (KEYS.ToolWater.includes(e.code)) setTool(Tools.Water);
+  if (KEYS.ToolHand.includes(e.code)) setTool(Tools.Hand);
+
+  // Interact
+  if (KEYS.Interact.includes(e.code)) {
+    interactFront();
+  }
+
+  // Chat (Enter on a focused button keeps its own meaning)
+  if (KEYS.Chat.includes(e.code) && !(e.target && e.target.tagName === 'BUTTON')) {
+    e.preventDefault();
+    focusChat();
+  }
+
+  // Shop
+  if (KEYS.Shop.includes(e.code)) {
+    toggleShop(true);
+  }
+
+  // Crafting (Workshop room)
+  if (KEYS.Craft.includes(e.code)) {
+    if (isCraftingUnlocked()) {
+      openCraftingStation(null);
+    } else {
+      showFloatingText('Build the Workshop room to craft', Game.player.x, Game.player.y, '#ef476f');
+    }
+  }
+
+  // Grid toggle
+  if (KEYS.Grid.includes(e.code)) {
+    Game.showGrid = !Game.showGrid;
+  }
+
+  // Debug
+  if (KEYS.Debug.includes(e.code)) {
+    Game.showDebug = !Game.showDebug;
+  }
+
+  // Escape closes shop
+  if (KEYS.Escape.includes(e.code)) {
+    toggleShop(false);
+  }
+});
+
+window.addEventListener('keyup', (e) => {
+  keysDown.delete(e.code);
+});
+
+toolButtons.forEach(btn => {
+  btn.addEventListener('click', () => {
+    const tool = btn.dataset.tool;
+    if (tool === Tools.Hoe || tool === Tools.Water || tool === Tools.Hand) {
+      setTool(tool);
+    }
+  });
+});
+
+on(btnShop, 'click', () => toggleShop(true));
+on(btnCloseShop, 'click', () => toggleShop(false));
+on(modalShop, 'click', (e) => {
+  if (e.target === modalShop) toggleShop(false);
+});
+
+// Inventory expand/collapse toggle
+if (invToggle && invUI) {
+  invToggle.addEventListener('click', () => {
+    const open = !invUI.classList.contains('open');
+    invUI.classList.toggle('open', open);
+    if (invPanel) invPanel.setAttribute('aria-hidden', open ? 'false' : 'true');
+    // ensure panel content is up to date when toggling
+    updateInventoryUI();
+  });
+}
+
+/* ----------------------------- Mobile Joystick (touch/coarse) ----------------------------- */
+/* Drag-anywhere low-opacity joystick that maps to cardinal grid directions.
+   Enabled automatically on touch/coarse-pointer devices (or small screens).
+   Produces MobileInput.dir ∈ Dir | null, which desiredDirFromKeys() prefers.
+*/
+(function setupMobileJoystick(){
+  const isCoarse = () => {
+    try { return window.matchMedia && window.matchMedia('(pointer: coarse)').matches; } catch(e) { return false; }
+  };
+  const isTouchCapable = () => ('ontouchstart' in window) || navigator.maxTouchPoints > 0;
+  const isSmall = () => window.innerWidth <= 900;
+
+  const shouldEnable = () => isCoarse() || isTouchCapable() || isSmall();
+
+  const MobileInput = {
+    enabled: false,
+    dir: null,           // Dir.Up|Down|Left|Right|null
+    _active: false,
+    _startX: 0,
+    _startY: 0,
+    _root: null,
+    _base: null,
+    _knob: null,
+    _radius: 56,         // visual radius of base (px)
+    _knobR: 28,          // knob radius (px)
+    _dead: 10,           // deadzone (px)
+
+    init() {
+      if (!shouldEnable()) return;
+      this.enabled = true;
+      this._buildUI();
+      this._bind();
+      // Recompute radii after layout
+      setTimeout(() => this._computeMetrics(), 0);
+      window.MobileInput = this; // expose
+    },
+
+    _computeMetrics() {
+      try {
+        const b = this._base.getBoundingClientRect();
+        const k = this._knob.getBoundingClientRect();
+        this._radius = Math.floor(Math.min(b.width, b.height) / 2);
+        this._knobR = Math.floor(Math.min(k.width, k.height) / 2);
+      } catch(e) {}
+    },
 
     _buildUI() {
       // Create container if not present
@@ -1230,9 +3725,10 @@ function stepPlayer(dt) {
     Game.player.x = nx;
     Game.player.y = ny;
     Game.player.lastMoveAt = now;
-    save(); // lightweight save on move
+    saveSoon();
     try { syncSupabasePositionThrottled(); } catch (e) {}
     try { trackPresenceThrottled(); } catch (e) {}
+    checkPortal();
   }
 }
 
@@ -1249,6 +3745,13 @@ function interactFront() {
   const { x, y } = frontTileCoords();
   if (!inBounds(x, y)) return;
 
+  // Another player: offer a trade
+  const other = otherPlayerAt(x, y);
+  if (other) {
+    requestTrade(other);
+    return;
+  }
+
   const t = tileAt(x, y);
   const d = decorAt(x, y);
   // NPC interaction: Prophecy Seller
@@ -1266,6 +3769,18 @@ function interactFront() {
     return;
   }
 
+  // Bunker rooms: build/upgrade blueprints, use stations
+  if (d && d.type === 'bunker_station') {
+    useBunkerStation(d);
+    return;
+  }
+
+  // Farm devices: open a chest / collect from / pick up
+  if (Game.tool === Tools.Hand && FarmDevices.isDevice(d)) {
+    useDevice(d);
+    return;
+  }
+
   // Gather from decor if using Hand tool (Trees, Flowers, Minerals)
   if (Game.tool === Tools.Hand && d && (d.type === 'Trees' || d.type === 'flowers' || d.type === 'minerals')) {
     if (!Game.gather.active) {
@@ -1275,10 +3790,18 @@ function interactFront() {
   }
 
   // Tool behaviors
+  // Tilled soil in a shared zone is the plot of whoever tilled it
+  if (t.tilled && plotOwnedByOther(x, y)) {
+    showFloatingText("Someone else's plot", x, y, '#ef476f');
+    return;
+  }
+
   if (Game.tool === Tools.Hoe) {
     // Only on soil base
     if (t.tileId === TILE.Soil && !t.tilled && !t.plant) {
       t.tilled = true;
+      markTileDirty(x, y);
+      shareCell(x, y, 'tile');
       showFloatingText('Tilled', x, y, '#d5b895');
       save();
     }
@@ -1286,9 +3809,11 @@ function interactFront() {
   }
 
   if (Game.tool === Tools.Water) {
-    if (t.tilled) {
+    if (t.tilled && !t.hydroponic) {
       t.watered = true;
-      t.waterEndAt = performance.now() + WATER_DURATION_MS;
+      t.waterEndAt = Date.now() + waterDurationMs();
+      markTileDirty(x, y);
+      shareCell(x, y, 'tile');
       showFloatingText('Watered', x, y, '#79c0ff');
       save();
     }
@@ -1308,20 +3833,21 @@ function interactFront() {
           return;
         }
       } catch (e) {}
-      const type = t.plant.type;
-      t.plant = null;
-      t.tilled = true; // remains tilled after harvest
-      Game.inv.crops[type] = (Game.inv.crops[type] || 0) + 1;
+      const h = harvestPlantAt(t, x, y);
+      addHarvestToInventory(h);
       updateInventoryUI();
-      showFloatingText(`+1 ${CROPS[type].display}`, x, y, '#ffd166');
-      try { awardSkillExp('harvesting', 1); } catch (e) {}
+      showFloatingText(`+${h.qty} ${h.name}`, x, y, '#ffd166');
+      // On a synced shared plot the server awards the XP (harvestPlantAt sent the harvest)
+      if (!(window.WorldSync && WorldSync.active() && zoneDef().shared)) {
+        try { awardSkillExp('harvesting', 1); } catch (e) {}
+      }
 
-      // Drain 1 stamina for a successful crop harvest
+      // Drain 1 stamina for a successful crop harvest (a following pet may carry it)
       try {
         if (typeof Game !== 'undefined' && typeof Game.drainStamina === 'function') {
-          Game.drainStamina(1);
+          Game.drainStamina(petStaminaCost(1));
         } else if (typeof Mechanics !== 'undefined' && typeof Mechanics.drain === 'function') {
-          Mechanics.drain(1);
+          Mechanics.drain(petStaminaCost(1));
         }
       } catch (e) {}
 
@@ -1329,105 +3855,255 @@ function interactFront() {
       return;
     }
 
+    // Fertilize a growing plant with the equipped fertilizer (one per plant until its next harvest)
+    if (Game.equippedFertilizer && t.plant && !t.plant.fert) {
+      const fertId = takeFertilizer(Game.equippedFertilizer);
+      if (fertId) {
+        t.plant.fert = fertId;
+        markTileDirty(x, y);
+        shareCell(x, y, 'tile');
+        updateInventoryUI();
+        showFloatingText('Fertilized', x, y, '#a3e635');
+        save();
+        return;
+      }
+      showFloatingText(`No ${Game.equippedFertilizer}`, x, y, '#ef476f');
+    }
+
     // Plant if we have a seed equipped
     if (Game.equippedSeed && t.tilled && !t.plant) {
       const seed = Game.equippedSeed;
-      if ((Game.inv.seeds[seed] || 0) > 0) {
+      const crop = CropRegistry.get(seed);
+      if (crop && (Game.inv.seeds[seed] || 0) > 0) {
         Game.inv.seeds[seed] -= 1;
         t.plant = { type: seed, stage: 0, growthMs: 0 };
+        markTileDirty(x, y);
+        shareCell(x, y, 'tile');
         updateInventoryUI();
-        showFloatingText(`Planted ${CROPS[seed].display}`, x, y, '#7bd389');
+        const offSeason = CropRegistry.inSeason(seed, Date.now()) ? '' : ' (off season)';
+        showFloatingText(`Planted ${crop.display}${offSeason}`, x, y, '#7bd389');
         save();
       } else {
         showFloatingText('No seeds', x, y, '#ef476f');
       }
       return;
     }
+
+    // Devices and tree/flower seeds belong on farm zones (the overworld)
+    if ((Game.equippedPlaceable || Game.equippedNodeSeed) && !zoneDef().farm) {
+      if (!t.plant && !d) showFloatingText(`Not in the ${zoneDef().label}`, x, y, '#ef476f');
+      return;
+    }
+
+    // Place an equipped farm device
+    if (Game.equippedPlaceable && !t.plant && !d) {
+      placeDevice(x, y, Game.equippedPlaceable);
+      return;
+    }
+
+    // Plant an equipped tree/flower seed on open grass
+    if (Game.equippedNodeSeed && !t.tilled && !d) {
+      plantNodeSeed(x, y, Game.equippedNodeSeed);
+      return;
+    }
   }
 }
 
 // ----------------------------- Growth (Real-time) ----------------------------
 
 function isMature(plant) {
-  const def = CROPS[plant.type];
-  return plant.stage >= def.colors.length - 1;
+  return CropRegistry.isMature(plant);
 }
 
-function tickWorld(dtMs, now) {
-  for (let y = 0; y < WORLD_H; y++) {
-    for (let x = 0; x < WORLD_W; x++) {
+// Rolls the harvest for a mature plant and clears (or regrows) it. Shared by the Hand and auto-harvesters:
+// the Hand's harvest goes out as a 'crop' change, which trains Harvesting on the server, a device's as a
+// plain tile change.
+function harvestPlantAt(t, x, y, op = 'crop') {
+  const plant = t.plant;
+  const h = CropRegistry.rollHarvest(plant, nextLootRoll().rng);
+  if (h.regrowStage != null) {
+    // Regrowing crops drop back a stage and keep producing; fertilizer is spent per harvest
+    plant.stage = h.regrowStage;
+    plant.growthMs = 0;
+    delete plant.fert;
+  } else {
+    t.plant = null;
+  }
+  t.tilled = true; // remains tilled after harvest
+  markTileDirty(x, y);
+  shareCell(x, y, op);
+  return h;
+}
+
+// Produce goes into identity stacks with the same tooltip/price metadata as gathered items
+function addHarvestToInventory(h) {
+  const key = `${h.name}__${h.rarity}__${h.quality}`;
+  if (!Game.inv.gitems) Game.inv.gitems = {};
+  Game.inv.gitems[key] = (Game.inv.gitems[key] || 0) + h.qty;
+  if (!Game.inv.itemMeta) Game.inv.itemMeta = {};
+  const mm = Game.inv.itemMeta[h.name] || { total: 0, countsByRarity: {}, countsByQuality: {}, last: null };
+  mm.total += h.qty;
+  mm.countsByRarity[h.rarity] = (mm.countsByRarity[h.rarity] || 0) + h.qty;
+  mm.countsByQuality[h.quality] = (mm.countsByQuality[h.quality] || 0) + h.qty;
+  mm.last = { rarity: h.rarity, quality: h.quality, category: 'crop', source: 'Farm' };
+  Game.inv.itemMeta[h.name] = mm;
+}
+
+function isFertilizerItem(name) {
+  const tuple = ItemList.findAnyByName(name);
+  return !!tuple && !!CropRegistry.getFertilizer(tuple[0]);
+}
+
+// Removes one `itemName` fertilizer from gitems (lowest quality stack first); returns its item id or null.
+// The fertilizer is unequipped once none is left.
+function takeFertilizer(itemName) {
+  if (!isFertilizerItem(itemName)) return null;
+  const qOrder = ItemSystem.qualities;
+  const keys = Object.keys(Game.inv.gitems || {})
+    .filter(k => Game.inv.gitems[k] > 0 && CraftingSystem.parseKey(k).name === itemName);
+  let best = null;
+  for (const key of keys) {
+    const q = qOrder.indexOf(CraftingSystem.parseKey(key).quality);
+    if (!best || q < best.q) best = { key, q };
+  }
+  const left = keys.reduce((n, k) => n + Game.inv.gitems[k], 0) - (best ? 1 : 0);
+  if (left <= 0 && Game.equippedFertilizer === itemName) Game.equippedFertilizer = null;
+  if (!best) return null;
+  Game.inv.gitems[best.key] -= 1;
+  return ItemList.findAnyByName(itemName)[0];
+}
+
+// Adds (season/fertilizer-scaled) watered time to a plant, advancing as many stages as it covers.
+// Returns stages gained.
+function growPlant(t, x, y, ms, quiet) {
+  const plant = t.plant;
+  if (!CropRegistry.get(plant.type) || isMature(plant)) return 0;
+  // Growth within a stage is not marked dirty (it would rewrite the chunk every frame); stage changes are,
+  // and markGrowingChunksDirty() writes the rest when the overworld or the page is left
+  plant.growthMs = (plant.growthMs || 0) + ms;
+
+  let gained = 0;
+  while (!isMature(plant)) {
+    const needed = CropRegistry.stageMs(plant);
+    if (needed <= 0 || plant.growthMs < needed) break;
+    plant.stage += 1;
+    plant.growthMs -= needed;
+    gained++;
+  }
+  if (isMature(plant)) plant.growthMs = 0;
+  if (gained > 0) markTileDirty(x, y);
+  // Optional: small floating text on growth
+  if (gained > 0 && !quiet) showFloatingText('+Growth', x, y, '#a3e635');
+  return gained;
+}
+
+// Advances one tile over the wall-clock window [from, to]: the plant grows for the part of the
+// window its tile stayed wet, then the water evaporates if it ran out. Shared by the frame tick and
+// the offline catch-up in load(), so a closed tab grows crops exactly like an open one.
+function advanceTile(t, x, y, from, to, quiet) {
+  if (!t.watered) return 0;
+  let gained = 0;
+  const wetUntil = Math.min(to, t.waterEndAt);
+  if (t.plant && wetUntil > from) {
+    gained = growPlant(t, x, y, (wetUntil - from) * CropRegistry.growthMultiplier(t.plant, wetUntil), quiet);
+  }
+  if (to >= t.waterEndAt) {
+    t.watered = false;
+    t.waterEndAt = 0;
+    markTileDirty(x, y);
+  }
+  return gained;
+}
+
+function tickWorld(now) {
+  // Time since the last tick, so throttled/background tabs catch up when frames resume
+  const from = Game.worldTickAt || now;
+  Game.worldTickAt = now;
+  tickDevices(now);
+  // Indoors (bunker) the weather never reaches the soil; hydroponic planters stay wet on their own
+  const raining = zoneDef().outdoors && weatherEffects().autoWater;
+  for (let y = 0; y < Game.size.h; y++) {
+    for (let x = 0; x < Game.size.w; x++) {
       const t = tileAt(x, y);
       if (!t) continue;
 
-      // Water evaporation
-      if (t.watered && now >= t.waterEndAt) {
-        t.watered = false;
-        t.waterEndAt = 0;
+      // Rain keeps tilled soil wet; top up shortly before it would dry out
+      if (raining && t.tilled && (!t.watered || t.waterEndAt < now + 1000)) {
+        t.watered = true;
+        t.waterEndAt = now + waterDurationMs();
+        markTileDirty(x, y);
       }
 
-      // Plant growth (only while watered)
-      if (t.plant && t.watered) {
-        const plant = t.plant;
-        const def = CROPS[plant.type];
-        plant.growthMs = (plant.growthMs || 0) + dtMs;
-
-        const needed = def.stageMs[plant.stage] || 0;
-        const canAdvance = plant.stage < def.colors.length - 1 && needed > 0;
-        if (canAdvance && plant.growthMs >= needed) {
-          plant.stage += 1;
-          plant.growthMs = 0;
-          // Optional: small floating text on growth
-          showFloatingText('+Growth', x, y, '#a3e635');
-        }
-      }
+      advanceTile(t, x, y, from, now, false);
+    }
+  }
+}
+
+// Offline catch-up: replay the time between the last save and now. Returns stages gained.
+// Tiles within a device's reach are replayed in steps of about one watering, with the devices run
+// at the start of each step, so sprinklers, stored rain and auto-harvesters keep working while the
+// game is closed (the weather is not replayed: collectors only spend what they had stored).
+const DEVICE_CATCHUP_MAX_STEPS = 20000;
+
+function catchUpWorld(since, now = Date.now()) {
+  Game.worldTickAt = now;
+  if (!(since > 0) || since >= now) return 0;
+  const reach = deviceReach();
+  let gained = 0;
+  for (let y = 0; y < Game.size.h; y++) {
+    for (let x = 0; x < Game.size.w; x++) {
+      const t = tileAt(x, y);
+      if (t && !reach.has(`${x},${y}`)) gained += advanceTile(t, x, y, since, now, true);
+    }
+  }
+  if (reach.size === 0) return gained;
+  const step = Math.max(waterDurationMs(), Math.ceil((now - since) / DEVICE_CATCHUP_MAX_STEPS));
+  const tiles = [...reach].map(k => k.split(',').map(Number));
+  for (let at = since; at < now; at += step) {
+    const to = Math.min(now, at + step);
+    runDevices(at, (to - at) / 1000, { quiet: true });
+    for (const [x, y] of tiles) {
+      const t = tileAt(x, y);
+      if (t) gained += advanceTile(t, x, y, at, to, true);
     }
   }
+  return gained;
 }
 
 // ----------------------------- UI Rendering ----------------------------------
 
 function updateHUD() {
   // Coins HUD moved to apoc-hud via Mechanics.currencies; no direct coin text here.
-  if (elEquippedSeed) elEquippedSeed.textContent = Game.equippedSeed ? CROPS[Game.equippedSeed].display : 'None';
+  const equipped = Game.equippedSeed && CropRegistry.get(Game.equippedSeed);
+  if (elEquippedSeed) elEquippedSeed.textContent = equipped ? equipped.display : (Game.equippedPlaceable || Game.equippedNodeSeed || Game.equippedFertilizer || 'None');
   toolButtons.forEach(b => b.classList.toggle('active', b.dataset.tool === Game.tool));
 }
 
 function updateInventoryUI() {
-  // Build combined item list (seed stacks then crop stacks)
+  // Build combined item list (seed stacks, then identity stacks incl. harvested crops)
   const items = [];
   // Seeds first
-  Object.keys(CROPS).forEach(type => {
-    const count = Game.inv.seeds[type] || 0;
+  CropRegistry.list().forEach(crop => {
+    const count = Game.inv.seeds[crop.id] || 0;
     if (count > 0) {
       items.push({
         kind: 'seed',
-        type,
-        label: CROPS[type].display + ' Seeds',
+        type: crop.id,
+        label: crop.display + ' Seeds',
         icon: '🌱',
         count
       });
     }
   });
-  // Crops next
-  const cropIcons = { turnip: '🥕', wheat: '🌾', corn: '🌽' };
-  Object.keys(CROPS).forEach(type => {
-    const count = Game.inv.crops[type] || 0;
-    if (count > 0) {
-      items.push({
-        kind: 'crop',
-        type,
-        label: CROPS[type].display,
-        icon: cropIcons[type] || '🍃',
-        count
-      });
-    }
-  });
 
   // Gathered items (from ItemSystem gathering)
   {
     const iconFor = (name) => {
+      const crop = CropRegistry.findByName(name);
+      if (crop) return crop.icon;
       if (name.endsWith(' Wood')) return '🪵';
       if (name === 'Sakura Blossom') return '🌸';
+      if (window.BunkerRooms && BunkerRooms.foods[name]) return '🍲';
       if (name === 'SEED' || name.toLowerCase().endsWith(' seed')) return '🌱';
       return '🪨'; // default mineral/other
     };
@@ -1447,8 +4123,14 @@ function updateInventoryUI() {
             label: `${name} (${rarity} · ${quality})`,
             icon: iconFor(name),
             count,
+            // Units the account doesn't hold (crafts, offline and private-zone gathers): see invsync.js
+            local: window.InventorySync ? InventorySync.localOnly(Game.inv, key) : count,
             rarity,
-            quality
+            quality,
+            plantable: !!nodeSeedInfo(name),
+            placeable: !!deviceForItem(name),
+            fertilizer: isFertilizerItem(name),
+            edible: !!(window.BunkerRooms && BunkerRooms.foods[name])
           });
         }
       });
@@ -1478,7 +4160,11 @@ function updateInventoryUI() {
       quick.forEach(item => {
         const slot = document.createElement(item.kind === 'seed' ? 'button' : 'div');
         const textOnly = item.kind === 'gather';
-        slot.className = 'inv-slot' + (item.kind === 'seed' && Game.equippedSeed === item.type ? ' selected' : '') + (textOnly ? ' text-only' : '');
+        const selected = (item.kind === 'seed' && Game.equippedSeed === item.type)
+          || (item.plantable && Game.equippedNodeSeed === item.baseName)
+          || (item.placeable && Game.equippedPlaceable === item.baseName)
+          || (item.fertilizer && Game.equippedFertilizer === item.baseName);
+        slot.className = 'inv-slot' + (selected ? ' selected' : '') + (textOnly ? ' text-only' : '');
         slot.title = item.label;
         slot.setAttribute('aria-label', item.label);
 
@@ -1504,6 +4190,10 @@ function updateInventoryUI() {
           if (item.baseName) slot.dataset.baseName = item.baseName;
           if (item.rarity) slot.dataset.rarity = item.rarity;
           if (item.quality) slot.dataset.quality = item.quality;
+          if (item.local > 0) {
+            slot.dataset.local = String(item.local);
+            slot.classList.add('device-local');
+          }
 
           // Add SELL button overlay for gathered items
           try {
@@ -1526,21 +4216,18 @@ function updateInventoryUI() {
               e.stopPropagation();
 
               const proceedSell = () => {
-                // Decrement the appropriate stack
+                // Sell one of the appropriate stack (gitems through Shop Sales)
                 const gkey = item.type;
                 if (Game.inv && Game.inv.gitems && typeof Game.inv.gitems[gkey] === 'number') {
                   if (Game.inv.gitems[gkey] <= 0) return;
-                  Game.inv.gitems[gkey] -= 1;
+                  sellStacks([{ key: gkey, qty: 1 }]);
                 } else if (Game.inv && Game.inv.items && typeof Game.inv.items[item.baseName] === 'number') {
                   if (Game.inv.items[item.baseName] <= 0) return;
                   Game.inv.items[item.baseName] -= 1;
+                  payLocalCash(priceEach);
                 } else {
                   return;
                 }
-                // Add cash
-                if (!Game.currencies) Game.currencies = { cash: (Game.coins ?? 0), junk: 0, ada: 0 };
-                Game.currencies.cash = (Game.currencies.cash || 0) + priceEach;
-                Game.coins = Game.currencies.cash;
 
                 try { showFloatingText('+' + priceEach + 'c', Game.player.x, Game.player.y, '#ffd166'); } catch (e) {}
                 updateInventoryUI();
@@ -1565,15 +4252,46 @@ function updateInventoryUI() {
             slot.appendChild(overlay);
           } catch (e) {}
         }
-
-        if (item.kind === 'seed') {
+
+        if (item.kind === 'seed') {
+          slot.addEventListener('click', () => {
+            Game.equippedSeed = (Game.equippedSeed === item.type) ? null : item.type;
+            updateHUD();
+            updateInventoryUI();
+            save();
+          });
+        }
+        if (item.plantable) {
+          // Tree/flower seeds: equip, then use the Hand on open grass to plant
+          slot.addEventListener('click', () => {
+            Game.equippedNodeSeed = (Game.equippedNodeSeed === item.baseName) ? null : item.baseName;
+            updateHUD();
+            updateInventoryUI();
+            save();
+          });
+        }
+        if (item.placeable) {
+          // Farm devices: equip, then use the Hand on an open tile to place
+          slot.addEventListener('click', () => {
+            Game.equippedPlaceable = (Game.equippedPlaceable === item.baseName) ? null : item.baseName;
+            updateHUD();
+            updateInventoryUI();
+            save();
+          });
+        }
+        if (item.fertilizer) {
+          // Fertilizer: equip, then use the Hand on a growing crop to spend one on it
           slot.addEventListener('click', () => {
-            Game.equippedSeed = (Game.equippedSeed === item.type) ? null : item.type;
+            Game.equippedFertilizer = (Game.equippedFertilizer === item.baseName) ? null : item.baseName;
             updateHUD();
             updateInventoryUI();
             save();
           });
         }
+        if (item.edible) {
+          // Kitchen food: click to eat for stamina
+          slot.addEventListener('click', () => eatFood(item.type));
+        }
 
         bar.appendChild(slot);
       });
@@ -1619,7 +4337,11 @@ function updateInventoryUI() {
       panelItems.forEach(item => {
         const slot = document.createElement(item.kind === 'seed' ? 'button' : 'div');
         const textOnly = item.kind === 'gather';
-        slot.className = 'inv-slot' + (item.kind === 'seed' && Game.equippedSeed === item.type ? ' selected' : '') + (textOnly ? ' text-only' : '');
+        const selected = (item.kind === 'seed' && Game.equippedSeed === item.type)
+          || (item.plantable && Game.equippedNodeSeed === item.baseName)
+          || (item.placeable && Game.equippedPlaceable === item.baseName)
+          || (item.fertilizer && Game.equippedFertilizer === item.baseName);
+        slot.className = 'inv-slot' + (selected ? ' selected' : '') + (textOnly ? ' text-only' : '');
         slot.title = item.label;
         slot.setAttribute('aria-label', item.label);
 
@@ -1645,6 +4367,10 @@ function updateInventoryUI() {
           if (item.baseName) slot.dataset.baseName = item.baseName;
           if (item.rarity) slot.dataset.rarity = item.rarity;
           if (item.quality) slot.dataset.quality = item.quality;
+          if (item.local > 0) {
+            slot.dataset.local = String(item.local);
+            slot.classList.add('device-local');
+          }
 
           // Add SELL button overlay for gathered items
           try {
@@ -1667,21 +4393,18 @@ function updateInventoryUI() {
               e.stopPropagation();
 
               const proceedSell = () => {
-                // Decrement the appropriate stack
+                // Sell one of the appropriate stack (gitems through Shop Sales)
                 const gkey = item.type;
                 if (Game.inv && Game.inv.gitems && typeof Game.inv.gitems[gkey] === 'number') {
                   if (Game.inv.gitems[gkey] <= 0) return;
-                  Game.inv.gitems[gkey] -= 1;
+                  sellStacks([{ key: gkey, qty: 1 }]);
                 } else if (Game.inv && Game.inv.items && typeof Game.inv.items[item.baseName] === 'number') {
                   if (Game.inv.items[item.baseName] <= 0) return;
                   Game.inv.items[item.baseName] -= 1;
+                  payLocalCash(priceEach);
                 } else {
                   return;
                 }
-                // Add cash
-                if (!Game.currencies) Game.currencies = { cash: (Game.coins ?? 0), junk: 0, ada: 0 };
-                Game.currencies.cash = (Game.currencies.cash || 0) + priceEach;
-                Game.coins = Game.currencies.cash;
 
                 try { showFloatingText('+' + priceEach + 'c', Game.player.x, Game.player.y, '#ffd166'); } catch (e) {}
                 updateInventoryUI();
@@ -1715,6 +4438,37 @@ function updateInventoryUI() {
             save();
           });
         }
+        if (item.plantable) {
+          // Tree/flower seeds: equip, then use the Hand on open grass to plant
+          slot.addEventListener('click', () => {
+            Game.equippedNodeSeed = (Game.equippedNodeSeed === item.baseName) ? null : item.baseName;
+            updateHUD();
+            updateInventoryUI();
+            save();
+          });
+        }
+        if (item.placeable) {
+          // Farm devices: equip, then use the Hand on an open tile to place
+          slot.addEventListener('click', () => {
+            Game.equippedPlaceable = (Game.equippedPlaceable === item.baseName) ? null : item.baseName;
+            updateHUD();
+            updateInventoryUI();
+            save();
+          });
+        }
+        if (item.fertilizer) {
+          // Fertilizer: equip, then use the Hand on a growing crop to spend one on it
+          slot.addEventListener('click', () => {
+            Game.equippedFertilizer = (Game.equippedFertilizer === item.baseName) ? null : item.baseName;
+            updateHUD();
+            updateInventoryUI();
+            save();
+          });
+        }
+        if (item.edible) {
+          // Kitchen food: click to eat for stamina
+          slot.addEventListener('click', () => eatFood(item.type));
+        }
 
         panel.appendChild(slot);
       });
@@ -1745,16 +4499,30 @@ function toggleShop(open) {
   }
 }
 
+// Harvested stacks of one crop in gitems, cheapest first: [{ key, count, priceEach }]
+function cropStacks(crop) {
+  const out = [];
+  for (const [key, count] of Object.entries(Game.inv.gitems || {})) {
+    if (!count || count <= 0) continue;
+    const { name, rarity, quality } = CraftingSystem.parseKey(key);
+    if (name !== crop.display) continue;
+    out.push({ key, count, priceEach: computeProphecyPrice(name, rarity, quality) });
+  }
+  return out.sort((a, b) => a.priceEach - b.priceEach);
+}
+
 function updateShopLists() {
   if (!shopBuyList || !shopSellList) return;
+  const now = Date.now();
   // Buy seeds
   shopBuyList.innerHTML = '';
-  Object.entries(CROPS).forEach(([type, def]) => {
+  CropRegistry.list().forEach(def => {
+    const type = def.id;
     const row = document.createElement('div');
     row.className = 'shop-item';
 
     const name = document.createElement('div');
-    name.textContent = `${def.display} Seeds`;
+    name.textContent = `${def.display} Seeds` + (CropRegistry.inSeason(type, now) ? '' : ' (off season)');
     const price = document.createElement('div');
     price.className = 'price';
     price.textContent = `${def.seedPrice}c`;
@@ -1764,17 +4532,17 @@ function updateShopLists() {
     btn.title = 'Buy 1 ' + def.display + ' Seeds';
     btn.setAttribute('aria-label', 'Buy 1 ' + def.display + ' Seeds');
     btn.innerHTML = '<span class="ico">➕</span>';
-    btn.addEventListener('click', () => {
-      const cash = (Game.currencies && typeof Game.currencies.cash === 'number') ? Game.currencies.cash : Game.coins;
-      if (cash >= def.seedPrice) {
-        if (!Game.currencies) Game.currencies = { cash: cash ?? 0, junk: 0, ada: 0 };
-        Game.currencies.cash -= def.seedPrice;
+    btn.disabled = walletCash() < def.seedPrice;
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      if (await spendWalletCash(def.seedPrice)) {
         Game.inv.seeds[type] = (Game.inv.seeds[type] || 0) + 1;
         updateInventoryUI();
         updateCurrenciesUI();
         updateHUD();
         save();
       }
+      updateShopLists();
     });
 
     row.appendChild(name);
@@ -1783,10 +4551,11 @@ function updateShopLists() {
     shopBuyList.appendChild(row);
   });
 
-  // Sell crops
+  // Sell crops (price follows each stack's rarity/quality)
   shopSellList.innerHTML = '';
-  Object.entries(CROPS).forEach(([type, def]) => {
-    const count = Game.inv.crops[type] || 0;
+  CropRegistry.list().forEach(def => {
+    const stacks = cropStacks(def);
+    const count = stacks.reduce((a, st) => a + st.count, 0);
     const row = document.createElement('div');
     row.className = 'shop-item';
 
@@ -1794,7 +4563,18 @@ function updateShopLists() {
     name.textContent = `${def.display} (x${count})`;
     const price = document.createElement('div');
     price.className = 'price';
-    price.textContent = `${def.sellPrice}c ea`;
+    price.textContent = stacks.length ? `from ${stacks[0].priceEach}c` : `${def.sellPrice}c ea`;
+
+    const sell = (all) => {
+      const stacks = cropStacks(def);
+      const sales = (all ? stacks : stacks.slice(0, 1)).map(st => ({ key: st.key, qty: all ? st.count : 1 }));
+      if (sellStacks(sales) <= 0) return;
+      updateInventoryUI();
+      updateCurrenciesUI();
+      updateShopLists();
+      updateHUD();
+      save();
+    };
 
     const btn1 = document.createElement('button');
     btn1.className = 'icon-btn';
@@ -1802,18 +4582,7 @@ function updateShopLists() {
     btn1.setAttribute('aria-label', 'Sell 1 ' + def.display);
     btn1.innerHTML = '<span class="ico">💰</span>';
     btn1.disabled = count <= 0;
-    btn1.addEventListener('click', () => {
-      if ((Game.inv.crops[type] || 0) > 0) {
-        Game.inv.crops[type] -= 1;
-        if (!Game.currencies) Game.currencies = { cash: Game.coins ?? 0, junk: 0, ada: 0 };
-        Game.currencies.cash += def.sellPrice;
-        updateInventoryUI();
-        updateCurrenciesUI();
-        updateShopLists();
-        updateHUD();
-        save();
-      }
-    });
+    btn1.addEventListener('click', () => sell(false));
 
     const btnAll = document.createElement('button');
     btnAll.className = 'icon-btn';
@@ -1821,19 +4590,7 @@ function updateShopLists() {
     btnAll.setAttribute('aria-label', 'Sell All ' + def.display);
     btnAll.innerHTML = '<span class="ico">📦</span>';
     btnAll.disabled = count <= 0;
-    btnAll.addEventListener('click', () => {
-      const c = Game.inv.crops[type] || 0;
-      if (c > 0) {
-        Game.inv.crops[type] = 0;
-        if (!Game.currencies) Game.currencies = { cash: Game.coins ?? 0, junk: 0, ada: 0 };
-        Game.currencies.cash += def.sellPrice * c;
-        updateInventoryUI();
-        updateCurrenciesUI();
-        updateShopLists();
-        updateHUD();
-        save();
-      }
-    });
+    btnAll.addEventListener('click', () => sell(true));
 
     row.appendChild(name);
     row.appendChild(price);
@@ -1844,71 +4601,72 @@ function updateShopLists() {
 }
 
 /* ----------------------------- Prophecy Seller (NPC) ----------------------------- */
-// Pricing based on rarity and quality. Falls back gracefully for unknown strings.
-function __rarityMult(r) {
-  r = String(r || 'Unknown').toLowerCase();
-  switch (r) {
-    case 'common': return 1.0;
-    case 'uncommon': return 1.5;
-    case 'rare': return 3.0;
-    case 'epic': return 6.0;         // legacy alias (not used by ItemSystem)
-    case 'legendary': return 12.0;
-    case 'mythic': return 20.0;
-    case 'godlike': return 40.0;     // add support for ItemSystem "Godlike"
-    default: return 0.75; // Unknown/other
-  }
-}
-function __qualityMult(q) {
-  q = String(q || 'Unknown').toLowerCase();
-  switch (q) {
-    // Back-compat (older naming)
-    case 'poor': return 0.6;
-    case 'common': return 1.0;
-    case 'good': return 1.25;
-    case 'excellent': return 1.75;
-    case 'pristine': return 2.25;
-    // ItemSystem qualities
-    case 'dull': return 0.6;
-    case 'normal': return 1.0;
-    case 'refined': return 1.5;
-    // 'pristine' handled above (2.25)
-    case 'exquisite': return 3.0;
-    default: return 1.0;
-  }
-}
-function __categoryBase(name) {
-  try {
-    const meta = Game.inv && Game.inv.itemMeta && Game.inv.itemMeta[name] && Game.inv.itemMeta[name].last;
-    const cat = String(meta && meta.category || '').toLowerCase();
-    if (cat === 'mineral' || cat === 'minerals') return 15;
-    if (cat === 'tree' || cat === 'wood' || cat === 'fruit') return 12;
-    if (cat === 'flower' || cat === 'flowers') return 8;
-  } catch (e) {}
-  return 10; // default
-}
+// Prices come from ShopPrices (prices.js), the same table shop_sell pays from; the category an item was
+// gathered with is the hint for names ItemList doesn't know.
 function computeProphecyPrice(baseName, rarity, quality) {
-  const base = __categoryBase(baseName);
-  const price = Math.round(base * __rarityMult(rarity) * __qualityMult(quality));
-  return Math.max(1, price);
+  const meta = Game.inv && Game.inv.itemMeta && Game.inv.itemMeta[baseName] && Game.inv.itemMeta[baseName].last;
+  return ShopPrices.price(baseName, rarity, quality, meta && meta.category);
+}
+
+// Shop Sales. Units of a stack the server holds (InventorySync.serverHeld) are sold through shop_sell, which
+// pays the account balance; the rest are device-local (offline gathers, crafts, crops: see invsync.js) and
+// pay Game.currencies.cash for bankLocalCash() to deposit. Device-local units go first, as with every
+// other spend. sales: [{ key, qty }] of gitems stacks. Returns the cash earned.
+function sellStacks(sales) {
+  const inv = Game.inv;
+  const toServer = [];
+  let total = 0, local = 0;
+  for (const { key, qty } of sales) {
+    const n = Math.min(qty, (inv.gitems && inv.gitems[key]) || 0);
+    if (!(n > 0)) continue;
+    const { name, rarity, quality } = CraftingSystem.parseKey(key);
+    const each = computeProphecyPrice(name, rarity, quality);
+    const slug = __Bank.loaded && window.InventorySync && InventorySync.slugForKey(key);
+    const held = slug ? InventorySync.serverHeld(inv, key) : 0;
+    const fromServer = Math.max(0, n - (inv.gitems[key] - held));
+    inv.gitems[key] -= n;
+    if (fromServer > 0) {
+      // Taken out of the sync base too, so the sale isn't pushed again as a spend
+      inv.syncBase[key] = Math.max(0, (inv.syncBase[key] || 0) - fromServer);
+      toServer.push({ key, slug: slug.slug, qty: fromServer });
+    }
+    total += each * n;
+    local += each * (n - fromServer);
+  }
+  if (local > 0) payLocalCash(local);
+  if (toServer.length > 0) sellServerStacks(toServer);
+  return total;
+}
+
+async function sellServerStacks(stacks) {
+  try {
+    await DB.sellToShop(stacks.map(({ slug, qty }) => ({ slug, qty })));
+  } catch (e) {
+    // Nothing was sold: the stacks go back
+    console.warn('Shop sale failed:', e);
+    for (const { key, qty } of stacks) {
+      Game.inv.gitems[key] = (Game.inv.gitems[key] || 0) + qty;
+      Game.inv.syncBase[key] = (Game.inv.syncBase[key] || 0) + qty;
+    }
+    showFloatingText('Sale failed', Game.player.x, Game.player.y, '#ef476f');
+    updateInventoryUI();
+    save();
+  }
+  await refreshBank().catch(e => console.warn('Balance refresh failed:', e));
 }
+
 // Sell all gathered items (both legacy items and per-identity gitems) to Prophecy Seller
 function sellAllToProphecySeller() {
-  let totalCash = 0, totalItems = 0;
+  let totalCash = 0, totalItems = 0, deviceCash = 0;
   const inv = Game.inv || (Game.inv = {});
 
   // Per-identity stacks (gitems): name__rarity__quality
   if (inv.gitems) {
-    for (const [key, count] of Object.entries(inv.gitems)) {
-      if (!count || count <= 0) continue;
-      const parts = String(key).split('__');
-      const baseName = parts[0] || 'Item';
-      const rarity = parts[1] || 'Unknown';
-      const quality = parts[2] || 'Unknown';
-      const priceEach = computeProphecyPrice(baseName, rarity, quality);
-      totalCash += priceEach * count;
-      totalItems += count;
-      inv.gitems[key] = 0;
-    }
+    const sales = Object.entries(inv.gitems)
+      .filter(([, count]) => count > 0)
+      .map(([key, count]) => ({ key, qty: count }));
+    totalItems += sales.reduce((a, s) => a + s.qty, 0);
+    totalCash += sellStacks(sales);
   }
 
   // Legacy aggregate stacks (no per-identity info)
@@ -1921,39 +4679,24 @@ function sellAllToProphecySeller() {
         if (last) { rarity = last.rarity || rarity; quality = last.quality || quality; }
       } catch (e) {}
       const priceEach = computeProphecyPrice(baseName, rarity, quality);
-      totalCash += priceEach * count;
+      deviceCash += priceEach * count;
       totalItems += count;
       inv.items[baseName] = 0;
     }
   }
 
-  // Crops (use configured sellPrice)
-  if (inv.crops) {
-    for (const [type, count] of Object.entries(inv.crops)) {
-      if (!count || count <= 0) continue;
-      const def = CROPS[type];
-      const priceEach = def ? def.sellPrice : 5;
-      totalCash += priceEach * count;
-      totalItems += count;
-      inv.crops[type] = 0;
-    }
-  }
-
   // Seeds (sell at 50% of seed price)
   if (inv.seeds) {
     for (const [type, count] of Object.entries(inv.seeds)) {
       if (!count || count <= 0) continue;
-      const def = CROPS[type];
-      const priceEach = def ? Math.max(1, Math.round((def.seedPrice || 0) * 0.5)) : 2;
-      totalCash += priceEach * count;
+      deviceCash += ShopPrices.seedSellPrice(CropRegistry.get(type)) * count;
       totalItems += count;
       inv.seeds[type] = 0;
     }
   }
 
-  if (!Game.currencies) Game.currencies = { cash: (Game.coins ?? 0), junk: 0, ada: 0 };
-  Game.currencies.cash = (Game.currencies.cash || 0) + totalCash;
-  Game.coins = Game.currencies.cash;
+  if (deviceCash > 0) payLocalCash(deviceCash);
+  totalCash += deviceCash;
   return { totalCash, totalItems };
 }
 
@@ -2050,21 +4793,22 @@ function draw() {
   Game.camera.x = Game.player.x * TILE_SIZE + TILE_SIZE/2 - canvas.width/2;
   Game.camera.y = Game.player.y * TILE_SIZE + TILE_SIZE/2 - canvas.height/2;
 
-  // Clamp camera to world bounds
-  const maxCamX = WORLD_W * TILE_SIZE - canvas.width;
-  const maxCamY = WORLD_H * TILE_SIZE - canvas.height;
-  Game.camera.x = Math.max(0, Math.min(Game.camera.x, Math.max(0, maxCamX)));
-  Game.camera.y = Math.max(0, Math.min(Game.camera.y, Math.max(0, maxCamY)));
+  // Clamp camera to world bounds; a grid smaller than the canvas (bunker) is centred instead
+  const { w: worldW, h: worldH } = Game.size;
+  const maxCamX = worldW * TILE_SIZE - canvas.width;
+  const maxCamY = worldH * TILE_SIZE - canvas.height;
+  Game.camera.x = maxCamX < 0 ? Math.floor(maxCamX / 2) : Math.max(0, Math.min(Game.camera.x, maxCamX));
+  Game.camera.y = maxCamY < 0 ? Math.floor(maxCamY / 2) : Math.max(0, Math.min(Game.camera.y, maxCamY));
 
   // Clear
-  ctx.fillStyle = '#3a5a40';
+  ctx.fillStyle = zoneDef().background;
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 
   // Compute visible tile bounds
   const startX = Math.max(0, Math.floor(Game.camera.x / TILE_SIZE));
   const startY = Math.max(0, Math.floor(Game.camera.y / TILE_SIZE));
-  const endX = Math.min(WORLD_W - 1, Math.ceil((Game.camera.x + canvas.width) / TILE_SIZE));
-  const endY = Math.min(WORLD_H - 1, Math.ceil((Game.camera.y + canvas.height) / TILE_SIZE));
+  const endX = Math.min(worldW - 1, Math.ceil((Game.camera.x + canvas.width) / TILE_SIZE));
+  const endY = Math.min(worldH - 1, Math.ceil((Game.camera.y + canvas.height) / TILE_SIZE));
 
   // Base tiles
   for (let y = startY; y <= endY; y++) {
@@ -2207,8 +4951,16 @@ function draw() {
   }
   // Include player in sort for correct occlusion with decor
   renderables.push({ type: 'player', baseY: Game.player.y * TILE_SIZE + TILE_SIZE });
+  // A pet on the player's tile draws behind them
+  if (activePet()) renderables.push({ type: 'pet', baseY: __Pet.y * TILE_SIZE + TILE_SIZE - 1 });
+
+  // Static zone gates draw under anything standing on them
+  for (const p of zoneDef().portals) {
+    if (p.x < startX - 1 || p.x > endX + 1 || p.y < startY - 1 || p.y > endY + 1 || decorAt(p.x, p.y)) continue;
+    renderables.push({ type: 'decor', d: { x: p.x, y: p.y, type: 'zone_gate' }, baseY: p.y * TILE_SIZE });
+  }
 
-  // Other players (predicted + smoothed)
+  // Other players (predicted + smoothed); presence only reports players in this zone
   if (Game.othersView) {
     for (const [uid, v] of Object.entries(Game.othersView)) {
       if (!v) continue;
@@ -2216,7 +4968,7 @@ function draw() {
       const oy = Math.round(v.ry);
       if (ox < startX - 1 || ox > endX + 1 || oy < startY - 1 || oy > endY + 1) continue;
       const username = (Game.others && Game.others[uid] && Game.others[uid].username) || 'Player';
-      const o = { x: ox, y: oy, username, facing: v.facing, animFrame: v.animFrame };
+      const o = { uid, x: ox, y: oy, username, facing: v.facing, animFrame: v.animFrame };
       renderables.push({ type: 'other', o, baseY: oy * TILE_SIZE + TILE_SIZE });
     }
   }
@@ -2232,18 +4984,42 @@ function draw() {
       drawDecor(d, px, py);
     } else if (r.type === 'player') {
       drawPlayer();
+    } else if (r.type === 'pet') {
+      drawPet();
     } else if (r.type === 'other') {
       drawOtherPlayer(r.o);
     }
   }
 
+  // Weather overlay sits above the world but below floating texts
+  if (zoneDef().outdoors) drawWeatherOverlay();
+
   // Floating texts
   drawFloaties();
 }
 
+// Stage sprites from crops.js, loaded on first use; shapes are drawn until (or unless) they load
+const __cropSprites = Object.create(null);
+function cropSprite(src) {
+  let img = __cropSprites[src];
+  if (!img) {
+    img = new Image();
+    img.src = src;
+    __cropSprites[src] = img;
+  }
+  return img.complete && img.naturalWidth > 0 ? img : null;
+}
+
 function drawPlant(plant, px, py) {
-  const def = CROPS[plant.type];
-  const col = def.colors[Math.min(plant.stage, def.colors.length - 1)];
+  const def = CropRegistry.get(plant.type);
+  if (!def) return;
+  const stage = def.stages[Math.min(plant.stage, def.stages.length - 1)];
+  const sprite = stage.sprite && cropSprite(stage.sprite);
+  if (sprite) {
+    ctx.drawImage(sprite, px, py, TILE_SIZE, TILE_SIZE);
+    return;
+  }
+  const col = stage.color;
   // Simple stage-based shapes
   if (plant.stage === 0) {
     // seed
@@ -2251,7 +5027,7 @@ function drawPlant(plant, px, py) {
     ctx.beginPath();
     ctx.arc(px + TILE_SIZE/2, py + TILE_SIZE/2 + 6, 3, 0, Math.PI * 2);
     ctx.fill();
-  } else if (plant.stage === 1) {
+  } else if (!isMature(plant)) {
     // sprout
     ctx.strokeStyle = col;
     ctx.lineWidth = 2;
@@ -2287,7 +5063,61 @@ function drawPlant(plant, px, py) {
   }
 }
 
+// Planted node still growing: a seedling that gets taller/leafier until it matures
+function drawSapling(d, px, py) {
+  const s = d.sapling;
+  const progress = Math.max(0, Math.min(1, (Date.now() - s.plantedAt) / Math.max(1, s.matureAt - s.plantedAt)));
+  const cx = px + TILE_SIZE / 2;
+  const base = py + TILE_SIZE - 4;
+  const h = (d.type === 'Trees' ? 8 : 5) + progress * (d.type === 'Trees' ? 16 : 8);
+  ctx.strokeStyle = d.type === 'Trees' ? '#6b4f2e' : '#4e8d3a';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(cx, base);
+  ctx.lineTo(cx, base - h);
+  ctx.stroke();
+  const leaf = 2 + progress * (d.type === 'Trees' ? 6 : 3);
+  ctx.fillStyle = progress < 0.5 ? '#8fd16a' : '#5fae4b';
+  ctx.beginPath();
+  ctx.arc(cx - leaf / 2, base - h, leaf, 0, Math.PI * 2);
+  ctx.arc(cx + leaf / 2, base - h, leaf, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Stump / rubble / wilted stalk for depleted nodes waiting to respawn
+function drawDepletedDecor(d, px, py) {
+  const cx = px + TILE_SIZE / 2;
+  if (d.type === 'Trees') {
+    ctx.fillStyle = '#4a3728';
+    ctx.fillRect(cx - 6, py + TILE_SIZE - 9, 12, 7);
+    ctx.fillStyle = '#8b6b4a';
+    ctx.beginPath();
+    ctx.ellipse(cx, py + TILE_SIZE - 9, 6, 2.5, 0, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (d.type === 'minerals') {
+    ctx.fillStyle = '#55585e';
+    ctx.fillRect(cx - 8, py + TILE_SIZE - 6, 5, 3);
+    ctx.fillRect(cx - 1, py + TILE_SIZE - 8, 4, 4);
+    ctx.fillRect(cx + 5, py + TILE_SIZE - 5, 3, 2);
+  } else {
+    ctx.strokeStyle = '#6b5e3a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cx, py + TILE_SIZE - 4);
+    ctx.quadraticCurveTo(cx + 2, py + TILE_SIZE - 10, cx + 5, py + TILE_SIZE - 9);
+    ctx.stroke();
+  }
+}
+
 function drawDecor(d, px, py) {
+  if (d.depleted) {
+    drawDepletedDecor(d, px, py);
+    return;
+  }
+  if (d.sapling) {
+    drawSapling(d, px, py);
+    return;
+  }
   // Prefer spritesheet rendering (per-item variants)
   const category = d.type; // 'Trees' | 'flowers' | 'minerals'
   const kind = d.kind || null;
@@ -2334,7 +5164,7 @@ function drawDecor(d, px, py) {
     const customDecor = window.Customization.getCustomDecoration(legacyType);
     if (customDecor && typeof customDecor.draw === 'function') {
       try {
-        customDecor.draw(ctx, px, py, TILE_SIZE);
+        customDecor.draw(ctx, px, py, TILE_SIZE, d);
         return;
       } catch (e) {
         console.warn('Custom decoration draw failed, falling back to primitive:', e);
@@ -2457,6 +5287,7 @@ function drawPlayer() {
         ctx.strokeText(name, nameX, nameY);
         ctx.fillStyle = '#ffffff';
         ctx.fillText(name, nameX, nameY);
+        drawChatBubble(chatSelfId(), nameX, nameY - 14);
       }
     } catch (e) {}
     return;
@@ -2497,6 +5328,7 @@ function drawPlayer() {
       ctx.strokeText(name, nameX, nameY);
       ctx.fillStyle = '#ffffff';
       ctx.fillText(name, nameX, nameY);
+      drawChatBubble(chatSelfId(), nameX, nameY - 14);
     }
   } catch (e) {}
 }
@@ -2528,6 +5360,7 @@ function drawOtherPlayer(o) {
       ctx.strokeText(name, nameX, nameY);
       ctx.fillStyle = '#ffffff';
       ctx.fillText(name, nameX, nameY);
+      drawChatBubble(o.uid, nameX, nameY - 14);
     } catch (e) {}
     return;
   }
@@ -2566,6 +5399,7 @@ function drawOtherPlayer(o) {
     ctx.strokeText(name, nameX, nameY);
     ctx.fillStyle = '#ffffff';
     ctx.fillText(name, nameX, nameY);
+    drawChatBubble(o.uid, nameX, nameY - 14);
   } catch (e) {}
 }
 
@@ -2677,11 +5511,16 @@ function drawFloaties() {
     }
 
     const srcLine = (category || source) ? `<div class="tt-sub">${category}${source ? ' · ' + source : ''}</div>` : '';
+    const local = Number(slot.dataset && slot.dataset.local) || 0;
+    const localLine = local > 0
+      ? `<div class="tt-row tt-local">Device-local: ${local} (this device only; can't be traded, listed or stored)</div>`
+      : '';
     const html = `
       <div class="tt-name">${baseName}</div>
       ${srcLine}
       <div class="tt-row">Rarity: <span class="rarity rarity-${rarity}">${rarity}</span></div>
       <div class="tt-row">Quality: <span class="quality">${quality}</span></div>
+      ${localLine}
     `;
     if (window.__ItemTooltip) window.__ItemTooltip.show(html, e.clientX, e.clientY);
   });
@@ -2719,11 +5558,15 @@ function buildGatherTooltipContent(name) {
 
 /* ----------------------------- Skills System --------------------------------- */
 
+// Skill keys and their server ids live in skilllist.js
 function defaultSkills() {
+  if (window.SkillList) return SkillList.defaults();
   return {
     mining: { level: 1, exp: 0 },       // minerals
     flower: { level: 1, exp: 0 },       // flowers
     harvesting: { level: 1, exp: 0 },   // trees (fruit/wood) and crop harvests
+    crafting: { level: 1, exp: 0 },     // workshop recipes
+    cooking: { level: 1, exp: 0 },      // bunker kitchen recipes
   };
 }
 
@@ -2739,10 +5582,36 @@ function ensureSkills() {
   } catch (e) {}
 }
 
-// Simple linear EXP curve per level: 10, 20, 30, ...
+// Linear EXP curve per level (SkillList.xpCurve, shared with the server): 10, 20, 30, ...
 function expNeededFor(level) {
-  level = Math.max(1, Math.floor(level || 1));
-  return 10 + (level - 1) * 10;
+  return SkillList.expNeededFor(level);
+}
+
+// The server levels the gather skills in the shared world (world_apply); mirror what it has
+function applyServerSkill(s) {
+  if (!s || !s.slug) return;
+  ensureSkills();
+  const cur = Game.skills[s.slug];
+  if (!cur) return;
+  const leveled = s.level > cur.level;
+  cur.level = s.level;
+  cur.exp = s.xp;
+  updateSkillsModal();
+  if (leveled) {
+    const cap = s.slug.charAt(0).toUpperCase() + s.slug.slice(1);
+    try { showFloatingText(cap + ' Lv ' + s.level + '!', Game.player.x, Game.player.y, '#7a5fa3'); } catch (e) {}
+  }
+}
+
+async function loadServerSkills() {
+  const rows = await DB.getSkills();
+  const bySlug = {};
+  for (const r of rows || []) if (r.skills) bySlug[r.skills.slug] = r;
+  for (const slug of SkillList.gather) {
+    const r = bySlug[slug];
+    applyServerSkill({ slug, level: r ? r.level : 1, xp: r ? Number(r.xp) : 0 });
+  }
+  save();
 }
 
 function updateSkillsModal() {
@@ -2766,6 +5635,8 @@ function updateSkillsModal() {
     bind('mining', 'skill-mining-level', 'skill-mining-exp', 'skill-mining-exp-text');
     bind('flower', 'skill-flower-level', 'skill-flower-exp', 'skill-flower-exp-text');
     bind('harvesting', 'skill-harvesting-level', 'skill-harvesting-exp', 'skill-harvesting-exp-text');
+    bind('crafting', 'skill-crafting-level', 'skill-crafting-exp', 'skill-crafting-exp-text');
+    bind('cooking', 'skill-cooking-level', 'skill-cooking-exp', 'skill-cooking-exp-text');
   } catch (e) {}
 }
 
@@ -2845,6 +5716,7 @@ function buildMinimapBase() {
   const soil = __hexToRgb(TILESET[TILE.Soil].base);
   const water = __hexToRgb(TILESET[TILE.Water].base);
   const path = __hexToRgb(TILESET[TILE.Path].base);
+  const rubble = __hexToRgb(TILESET[TILE.Rubble].base);
 
   for (let y = 0; y < off.height; y++) {
     const ty = Math.floor(y * WORLD_H / off.height);
@@ -2857,6 +5729,7 @@ function buildMinimapBase() {
         else if (t.tileId === TILE.Soil) col = soil;
         else if (t.tileId === TILE.Water) col = water;
         else if (t.tileId === TILE.Path) col = path;
+        else if (t.tileId === TILE.Rubble) col = rubble;
       }
       const idx = (y * off.width + x) * 4;
       data[idx + 0] = col.r;
@@ -2870,7 +5743,8 @@ function buildMinimapBase() {
 }
 
 function drawMinimap() {
-  if (!minimapCtx) return;
+  // The minimap shows the overworld; it keeps its last frame while the player is in the bunker
+  if (!minimapCtx || !inOverworld()) return;
   const size = MINIMAP_SIZE;
   minimapCtx.clearRect(0, 0, size, size);
 
@@ -2966,9 +5840,11 @@ function drawLargeMap() {
     const ky = drawH / worldPxH;
 
 
-    // Player dot
-    const px = offX + ((Game.player.x + 0.5) / WORLD_W) * drawW;
-    const py = offY + ((Game.player.y + 0.5) / WORLD_H) * drawH;
+    // Player dot (where they left the overworld while in another zone)
+    const ret = Game.zoneReturn;
+    const pos = inOverworld() || !ret || ret.zone !== OVERWORLD ? Game.player : ret;
+    const px = offX + ((pos.x + 0.5) / WORLD_W) * drawW;
+    const py = offY + ((pos.y + 0.5) / WORLD_H) * drawH;
     lc.fillStyle = '#00e5ff';
     lc.beginPath();
     lc.arc(px, py, 4, 0, Math.PI * 2);
@@ -2988,8 +5864,8 @@ gatherIcon.addEventListener('click', () => {
 });
 
 function isDecorGatherable(d) {
-  if (!d) return false;
-  const hasHarvests = (typeof d.remainingHarvests !== 'number') || d.remainingHarvests > 0;
+  if (!d || d.sapling || !canGatherOwned(d)) return false;
+  const hasHarvests = !d.depleted && ((typeof d.remainingHarvests !== 'number') || d.remainingHarvests > 0);
   return hasHarvests && (d.type === 'Trees' || d.type === 'flowers' || d.type === 'minerals');
 }
 
@@ -3027,6 +5903,15 @@ function startGathering({ d }) {
     showFloatingText('Depleted', gx, gy, '#ef476f');
     return;
   }
+  if (d.sapling) {
+    const mins = Math.max(1, Math.ceil((d.sapling.matureAt - Date.now()) / 60000));
+    showFloatingText(`Growing (~${mins} min)`, d.x, d.y, '#a3e635');
+    return;
+  }
+  if (!canGatherOwned(d)) {
+    showFloatingText(`Planted by ${(d.owner && d.owner.name) || 'another player'}`, d.x, d.y, '#ef476f');
+    return;
+  }
   // Stamina check: require at least 1 to start gathering decor
   try {
     const curr = (typeof Mechanics !== 'undefined' && Mechanics.stamina && typeof Mechanics.stamina.current === 'number')
@@ -3041,7 +5926,7 @@ function startGathering({ d }) {
   Game.gather.active = true;
   Game.gather.target = { d };
   Game.gather.startAt = performance.now();
-  Game.gather.duration = GATHER_TIME_MS;
+  Game.gather.duration = gatherDurationMs();
   Game.gather.progress = 0;
 
   // Show UI immediately
@@ -3053,37 +5938,88 @@ function startGathering({ d }) {
   try { setTool(Tools.Hand); } catch (e) {}
 }
 
+// Per-gather loot stream: replayLootRoll(seed, n) reproduces exactly what gather #n rolled
+function lootRngFor(seed, n) {
+  return mulberry32((seed ^ Math.imul(n + 1, 0x9E3779B1)) >>> 0);
+}
+
+function nextLootRoll() {
+  if (!Game.loot || typeof Game.loot.seed !== 'number') Game.loot = { seed: (Math.random() * 4294967296) >>> 0, count: 0 };
+  const n = Game.loot.count++;
+  return { n, rng: lootRngFor(Game.loot.seed, n) };
+}
+
+function replayLootRoll(seed, n, category, nodeName, skillLevel = 1) {
+  const rng = lootRngFor(seed, n);
+  const gathered = ItemSystem.gather(category, nodeName, { rng, skillLevel });
+  return { ...gathered, seedBonus: (category === 'tree' || category === 'flower') && rng() < 0.02 };
+}
+
 function finishGathering() {
   const d = Game.gather.target?.d;
-  if (!d) return;
+  if (d) gatherNode(d);
+}
+
+// One harvest from a decor node into the inventory. A pet gathering for the player spends no stamina.
+// Harvests of a synced shared node are rolled, credited and trained by the server (applyServerGather,
+// applyServerSkill); only the seed drop and stamina stay local.
+function gatherNode(d, { stamina = true } = {}) {
+  // Another player may have emptied a shared node mid-gather
+  if (d.depleted) {
+    showFloatingText('Depleted', d.x, d.y, '#ef476f');
+    return;
+  }
   const category = (d.type === 'Trees') ? 'tree' : (d.type === 'flowers') ? 'flower' : 'mineral';
   const nodeName = category === 'tree' ? `${d.kind} Tree` : (d.kind || 'Unknown');
   const gx = d.x, gy = d.y;
+  const serverRoll = !!window.WorldSync && WorldSync.active() && zoneDef().shared && typeof d.remainingHarvests === 'number';
 
   try {
     if (typeof window.ItemSystem !== 'undefined' && window.ItemSystem && typeof window.ItemSystem.gather === 'function') {
-      const gathered = window.ItemSystem.gather(category, nodeName);
-      if (!Game.inv.items) Game.inv.items = {};
-      Game.inv.items[gathered.name] = (Game.inv.items[gathered.name] || 0) + 1;
-
-      // New per-identity stack: separate by rarity and quality
-      if (!Game.inv.gitems) Game.inv.gitems = {};
-      const gkey = `${gathered.name}__${gathered.rarity}__${gathered.quality}`;
-      Game.inv.gitems[gkey] = (Game.inv.gitems[gkey] || 0) + 1;
-
-      // Track metadata for tooltips (last rarity/quality and simple counts)
-      if (!Game.inv.itemMeta) Game.inv.itemMeta = {};
-      const mm = Game.inv.itemMeta[gathered.name] || { total: 0, countsByRarity: {}, countsByQuality: {}, last: null };
-      mm.total += 1;
-      mm.countsByRarity[gathered.rarity] = (mm.countsByRarity[gathered.rarity] || 0) + 1;
-      mm.countsByQuality[gathered.quality] = (mm.countsByQuality[gathered.quality] || 0) + 1;
-      mm.last = { rarity: gathered.rarity, quality: gathered.quality, category, source: nodeName };
-      Game.inv.itemMeta[gathered.name] = mm;
+      const roll = nextLootRoll();
+      ensureSkills();
+      const skillKey = window.ItemSystem.skillFor(category, nodeName);
+      const skillLevel = (Game.skills[skillKey] && Game.skills[skillKey].level) || 1;
+      const gathered = serverRoll ? null : window.ItemSystem.gather(category, nodeName, { rng: roll.rng, skillLevel });
+      if (!serverRoll) {
+        if (!Game.inv.items) Game.inv.items = {};
+        Game.inv.items[gathered.name] = (Game.inv.items[gathered.name] || 0) + 1;
+
+        // New per-identity stack: separate by rarity and quality
+        if (!Game.inv.gitems) Game.inv.gitems = {};
+        const gkey = `${gathered.name}__${gathered.rarity}__${gathered.quality}`;
+        Game.inv.gitems[gkey] = (Game.inv.gitems[gkey] || 0) + 1;
+
+        // Track metadata for tooltips (last rarity/quality and simple counts)
+        if (!Game.inv.itemMeta) Game.inv.itemMeta = {};
+        const mm = Game.inv.itemMeta[gathered.name] || { total: 0, countsByRarity: {}, countsByQuality: {}, last: null };
+        mm.total += 1;
+        mm.countsByRarity[gathered.rarity] = (mm.countsByRarity[gathered.rarity] || 0) + 1;
+        mm.countsByQuality[gathered.quality] = (mm.countsByQuality[gathered.quality] || 0) + 1;
+        mm.last = { rarity: gathered.rarity, quality: gathered.quality, category, source: nodeName, roll: roll.n, skillLevel };
+        Game.inv.itemMeta[gathered.name] = mm;
+
+        // Secondary drops declared by the node's loot table (e.g. Coal from Rock)
+        try {
+          for (const extra of gathered.secondary || []) {
+            const ekey = `${extra.name}__${extra.rarity}__${extra.quality}`;
+            Game.inv.gitems[ekey] = (Game.inv.gitems[ekey] || 0) + extra.qty;
+            Game.inv.items[extra.name] = (Game.inv.items[extra.name] || 0) + extra.qty;
+            const em = Game.inv.itemMeta[extra.name] || { total: 0, countsByRarity: {}, countsByQuality: {}, last: null };
+            em.total += extra.qty;
+            em.countsByRarity[extra.rarity] = (em.countsByRarity[extra.rarity] || 0) + extra.qty;
+            em.countsByQuality[extra.quality] = (em.countsByQuality[extra.quality] || 0) + extra.qty;
+            em.last = { rarity: extra.rarity, quality: extra.quality, category: extra.category, source: nodeName, roll: roll.n, skillLevel };
+            Game.inv.itemMeta[extra.name] = em;
+            showFloatingText(`+${extra.qty} ${extra.name} (${extra.rarity})`, gx, gy - 0.5, '#7dd3fc');
+          }
+        } catch (e) {}
+      }
 
       // 2% chance to also drop a resource-specific Seed (Trees/Flowers only)
       try {
         if (category === 'tree' || category === 'flower') {
-          if (Math.random() < 0.02) {
+          if (roll.rng() < 0.02) {
             if (!Game.inv.gitems) Game.inv.gitems = {};
             const base = (d && d.kind ? String(d.kind).trim() : '');
             if (base) {
@@ -3098,39 +6034,34 @@ function finishGathering() {
 
       updateInventoryUI();
 
-      const text = `+1 ${gathered.name} (${gathered.rarity}, ${gathered.quality})`;
-      showFloatingText(text, gx, gy, '#22c55e');
-      try {
-        if (category === 'mineral') {
-          awardSkillExp('mining', 1);
-        } else if (category === 'flower') {
-          awardSkillExp('flower', 1);
-        } else if (category === 'tree') {
-          awardSkillExp('harvesting', 1);
-        }
-      } catch (e) {}
+      if (!serverRoll) {
+        const text = `+1 ${gathered.name} (${gathered.rarity}, ${gathered.quality})`;
+        showFloatingText(text, gx, gy, '#22c55e');
+        try { awardSkillExp(skillKey, 1); } catch (e) {}
+      }
 
-      // Drain 1 stamina for a successful decor gather
-      try {
-        if (typeof Game !== 'undefined' && typeof Game.drainStamina === 'function') {
-          Game.drainStamina(1);
-        } else if (typeof Mechanics !== 'undefined' && typeof Mechanics.drain === 'function') {
-          Mechanics.drain(1);
-        }
-      } catch (e) {}
+      // Drain 1 stamina for a successful decor gather (a following pet may carry it)
+      if (stamina) {
+        try {
+          if (typeof Game !== 'undefined' && typeof Game.drainStamina === 'function') {
+            Game.drainStamina(petStaminaCost(1));
+          } else if (typeof Mechanics !== 'undefined' && typeof Mechanics.drain === 'function') {
+            Mechanics.drain(petStaminaCost(1));
+          }
+        } catch (e) {}
+      }
 
       // Decrement remaining harvests and despawn if depleted
       try {
         if (typeof d.remainingHarvests === 'number') {
           d.remainingHarvests = Math.max(0, d.remainingHarvests - 1);
+          markTileDirty(gx, gy);
           if (d.remainingHarvests === 0) {
-            // free tile and remove from decor
-            const t = tileAt(gx, gy);
-            if (t) t.walkable = true;
-            const idx = Game.decor.indexOf(d);
-            if (idx >= 0) Game.decor.splice(idx, 1);
+            // leave a stump/husk that regrows on a timer (see updateRespawns)
+            depleteDecor(d);
             showFloatingText('Resource depleted', gx, gy, '#ef476f');
           }
+          shareCell(gx, gy, 'harvest');
         }
       } catch (e) {}
 
@@ -3185,222 +6116,812 @@ function updateGatherUI() {
   }
 }
 
-// ----------------------------- Save / Load -----------------------------------
-
-function ensureGatherIdentityMigration() {
-  try {
-    const inv = Game.inv || (Game.inv = {});
-    if (!inv) return;
-    if (!inv.gitems) inv.gitems = {};
-
-    // If gitems already populated, nothing to do
-    const hasAnyG = inv.gitems && Object.keys(inv.gitems).length > 0;
-    if (hasAnyG) return;
-
-    // Build per-identity stacks from legacy aggregates if present
-    if (inv.items && Object.keys(inv.items).length > 0) {
-      const meta = inv.itemMeta || {};
-      Object.entries(inv.items).forEach(([name, count]) => {
-        if (!count || count <= 0) return;
-        const m = meta[name];
-
-        if (m && m.countsByRarity && Object.keys(m.countsByRarity).length > 0) {
-          // Split legacy counts by rarity; quality unknown
-          let sumR = 0;
-          Object.entries(m.countsByRarity).forEach(([rarity, rc]) => {
-            if (!rc || rc <= 0) return;
-            const key = `${name}__${rarity}__Unknown`;
-            inv.gitems[key] = (inv.gitems[key] || 0) + rc;
-            sumR += rc;
-          });
-          // If totals don't add up, put remainder into Unknown/Unknown
-          if (sumR < count) {
-            const key = `${name}__Unknown__Unknown`;
-            inv.gitems[key] = (inv.gitems[key] || 0) + (count - sumR);
-          }
-        } else {
-          // No rarity breakdown available
-          const key = `${name}__Unknown__Unknown`;
-          inv.gitems[key] = (inv.gitems[key] || 0) + count;
-        }
-      });
-    }
-  } catch (e) {
-    // ignore
+/* ----------------------------- Crafting UI/Logic ----------------------------- */
+
+// Workshop recipes unlock with the Workshop bunker room (a legacy Workshop claim is migrated to
+// level 1); station recipes (`station: 'kitchen'`) need their room at the recipe's stationLevel
+let __craftStation = null; // station shown in the crafting modal; null = Workshop
+
+function isCraftingUnlocked() {
+  return bunkerRoomLevel(WORKSHOP_BUNKER) > 0;
+}
+
+function isRecipeUnlocked(recipe) {
+  if (!recipe.station) return isCraftingUnlocked();
+  return bunkerRoomLevel(STATION_ROOMS[recipe.station]) >= (recipe.stationLevel || 1);
+}
+
+function stationLabel(station) {
+  const room = station && window.BunkerRooms && BunkerRooms.get(STATION_ROOMS[station]);
+  return room ? room.label : 'Workshop';
+}
+
+function openCraftingStation(station) {
+  __craftStation = station || null;
+  openModal('crafting');
+}
+
+function describeRecipeInput(input) {
+  const ids = Array.isArray(input.itemID) ? input.itemID : [input.itemID];
+  let label;
+  if (input.label) {
+    label = input.label;
+  } else if (ids.length > 1) {
+    // e.g. any of the wood types -> 'Any Wood'
+    const first = (window.ItemList && window.ItemList.findById(ids[0])) || [ids[0], ids[0]];
+    label = 'Any ' + String(first[1]).split(' ').slice(-1)[0];
+  } else {
+    const t = window.ItemList && window.ItemList.findById(ids[0]);
+    label = t ? t[1] : ids[0];
+  }
+  const mins = [input.minRarity, input.minQuality].filter(Boolean).join(' · ');
+  return `${input.qty}× ${label}${mins ? ' (' + mins + '+)' : ''}`;
+}
+
+function startCrafting(recipeId) {
+  if (!window.CraftingSystem) return;
+  const recipe = CraftingSystem.get(recipeId);
+  if (!recipe || !isRecipeUnlocked(recipe)) return;
+  if (Game.craft) {
+    showFloatingText('Already crafting', Game.player.x, Game.player.y, '#ef476f');
+    return;
+  }
+  ensureSkills();
+  if (!Game.inv.gitems) Game.inv.gitems = {};
+  const chk = CraftingSystem.check(recipeId, Game.inv.gitems, Game.skills);
+  if (!chk.ok) {
+    showFloatingText(chk.reason || 'Cannot craft', Game.player.x, Game.player.y, '#ef476f');
+    return;
+  }
+  // Inputs are committed up-front; the output is delivered when the timer ends
+  const out = CraftingSystem.consume(recipeId, Game.inv.gitems);
+  const now = Date.now();
+  // A higher-level Workshop room speeds up workbench recipes (not station cooking)
+  const mult = recipe.station ? 1 : bunkerBonuses().craftTimeMult;
+  Game.craft = {
+    recipeId,
+    output: { key: out.key, name: out.name, qty: out.qty },
+    startAt: now,
+    endAt: now + Math.round((recipe.craftMs || 0) * mult),
+  };
+  updateInventoryUI();
+  updateCraftingModal();
+  save();
+}
+
+const CRAFT_LOCAL_NOTE = 'Crafted items are device-local: they stay on this device and can\'t be traded, listed or stored.';
+
+function finishCrafting() {
+  const c = Game.craft;
+  if (!c || !c.output) return;
+  if (!Game.inv.gitems) Game.inv.gitems = {};
+  // Device-local: the server never credits crafts, so the output stays above the sync base (invsync.js)
+  Game.inv.gitems[c.output.key] = (Game.inv.gitems[c.output.key] || 0) + c.output.qty;
+
+  // Tooltip/price metadata, same shape as gathered items
+  const { rarity, quality } = CraftingSystem.parseKey(c.output.key);
+  if (!Game.inv.itemMeta) Game.inv.itemMeta = {};
+  const mm = Game.inv.itemMeta[c.output.name] || { total: 0, countsByRarity: {}, countsByQuality: {}, last: null };
+  mm.total += c.output.qty;
+  mm.countsByRarity[rarity] = (mm.countsByRarity[rarity] || 0) + c.output.qty;
+  mm.countsByQuality[quality] = (mm.countsByQuality[quality] || 0) + c.output.qty;
+  const recipe = CraftingSystem.get(c.recipeId);
+  mm.last = { rarity, quality, category: 'crafted', source: stationLabel(recipe && recipe.station) };
+  Game.inv.itemMeta[c.output.name] = mm;
+
+  Game.craft = null;
+  showFloatingText(`+${c.output.qty} ${c.output.name}`, Game.player.x, Game.player.y, '#22c55e');
+  try { awardSkillExp((recipe && recipe.skill && recipe.skill.key) || 'crafting', 1); } catch (e) {}
+  updateInventoryUI();
+  updateCraftingModal();
+  save();
+}
+
+function updateCrafting() {
+  if (!Game.craft) return;
+  if (Date.now() >= Game.craft.endAt) {
+    finishCrafting();
+    return;
+  }
+  // Keep the progress bar moving while the modal is open
+  const modal = __modals && __modals.crafting;
+  if (modal && !modal.classList.contains('hidden')) {
+    const fill = document.getElementById('craft-progress-fill');
+    if (fill) {
+      const k = (Date.now() - Game.craft.startAt) / Math.max(1, Game.craft.endAt - Game.craft.startAt);
+      fill.style.width = (Math.max(0, Math.min(1, k)) * 100).toFixed(1) + '%';
+    }
+  }
+}
+
+function updateCraftingModal() {
+  try {
+    const list = document.getElementById('crafting-list');
+    const status = document.getElementById('crafting-status');
+    if (!list || !window.CraftingSystem) return;
+    ensureSkills();
+
+    if (status) {
+      if (Game.craft) {
+        status.innerHTML = `
+          <div>Crafting ${Game.craft.output.name}…</div>
+          <div class="skill-bar"><div class="skill-bar-fill" id="craft-progress-fill"></div></div>
+        `;
+      } else if (__craftStation) {
+        status.textContent = `${stationLabel(__craftStation)} Lv ${bunkerRoomLevel(STATION_ROOMS[__craftStation])}: ready to cook. ${CRAFT_LOCAL_NOTE}`;
+      } else {
+        status.textContent = isCraftingUnlocked() ? `Workbench idle. ${CRAFT_LOCAL_NOTE}` : 'Build the Workshop room in your bunker to unlock crafting.';
+      }
+    }
+    const title = document.getElementById('modal-crafting-title');
+    if (title) title.textContent = stationLabel(__craftStation);
+
+    list.innerHTML = '';
+    CraftingSystem.list().filter(r => (r.station || null) === __craftStation).forEach(recipe => {
+      const chk = CraftingSystem.check(recipe, Game.inv.gitems || {}, Game.skills);
+      const unlocked = isRecipeUnlocked(recipe);
+      const li = document.createElement('li');
+      li.className = 'craft-recipe' + (chk.ok ? '' : ' locked');
+
+      const head = document.createElement('div');
+      head.className = 'skill-head';
+      const name = document.createElement('span');
+      name.className = 'skill-name';
+      name.textContent = recipe.name + (recipe.output.qty > 1 ? ' ×' + recipe.output.qty : '');
+      const lvl = document.createElement('span');
+      lvl.className = 'skill-level';
+      lvl.textContent = recipe.skill ? 'Lv ' + recipe.skill.level : '';
+      head.append(name, lvl);
+
+      const inputs = document.createElement('div');
+      inputs.className = 'skill-desc';
+      inputs.textContent = recipe.inputs.map(describeRecipeInput).join(' + ') + ' • ' + Math.round(recipe.craftMs / 1000) + 's';
+
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'craft-btn';
+      if (!unlocked && recipe.station) btn.textContent = `${stationLabel(recipe.station)} Lv ${recipe.stationLevel || 1}`;
+      else btn.textContent = chk.ok ? (recipe.station ? 'Cook' : 'Craft') : (chk.reason || 'Missing');
+      btn.disabled = !chk.ok || !!Game.craft || !unlocked;
+      btn.addEventListener('click', () => startCrafting(recipe.id));
+
+      li.append(head, inputs, btn);
+      list.appendChild(li);
+    });
+  } catch (e) {}
+}
+
+// ----------------------------- Cloud Save Slots ------------------------------
+
+const CLOUD_SLOTS = 10; // user_saves.slot is 1..10
+
+// Full snapshot for user_saves.data: the local save plus the world chunks (sparse tiles and decor)
+function buildCloudSnapshot() {
+  return { ...buildSaveData(), world: serializeWorld() };
+}
+
+function describeSnapshot(data) {
+  if (!data) return '';
+  const cash = (data.currencies && typeof data.currencies.cash === 'number') ? data.currencies.cash : (data.coins ?? 0);
+  const levels = Object.values(data.skills || {}).reduce((a, sk) => a + ((sk && sk.level) || 0), 0);
+  return `Cash ${cash} • Skill levels ${levels}`;
+}
+
+function formatSaveTime(ts) {
+  const t = typeof ts === 'number' ? ts : Date.parse(ts);
+  return Number.isFinite(t) ? new Date(t).toLocaleString() : 'unknown time';
+}
+
+// Cloud copy changed since we last synced this slot (another device uploaded), or, for a slot we
+// never synced, it was saved after our local progress
+function isCloudNewer(row, slot) {
+  if (!row) return false;
+  if (Game.cloud && Game.cloud.slot === slot && Game.cloud.syncedAt) {
+    return Date.parse(row.updated_at) > Date.parse(Game.cloud.syncedAt);
+  }
+  return ((row.data && row.data.savedAt) || 0) > (Game.savedAt || 0);
+}
+
+async function uploadToSlot(slot) {
+  if (!window.DB) return;
+  const row = await DB.loadSave(slot);
+  if (row && isCloudNewer(row, slot)) {
+    const ok = await showConfirmModal({
+      title: `Overwrite Slot ${slot}?`,
+      text: 'The cloud copy is newer than this device\'s progress.',
+      details: `Cloud: ${formatSaveTime(row.updated_at)} • ${describeSnapshot(row.data)}`,
+      confirmLabel: 'Overwrite',
+    });
+    if (!ok) return;
+  }
+  const saved = await DB.saveSlot(slot, buildCloudSnapshot());
+  Game.cloud = { slot, syncedAt: saved.updated_at };
+  save();
+  showFloatingText(`Saved to cloud slot ${slot}`, Game.player.x, Game.player.y, '#79c0ff');
+}
+
+async function downloadSlot(slot) {
+  if (!window.DB) return;
+  const row = await DB.loadSave(slot);
+  if (!row || !row.data) return;
+  const ok = await showConfirmModal({
+    title: `Load Slot ${slot}?`,
+    text: 'This replaces the progress on this device.',
+    details: `Cloud: ${formatSaveTime(row.updated_at)} • ${describeSnapshot(row.data)}`,
+    confirmLabel: 'Load',
+  });
+  if (ok) applyCloudSnapshot(row, slot);
+}
+
+// Write the snapshot into local storage (main blob + world chunks) and restart from it
+function applyCloudSnapshot(row, slot) {
+  const { world, ...data } = row.data;
+  data.cloud = { slot, syncedAt: row.updated_at };
+  const stale = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(WORLD_CHUNK_PREFIX)) stale.push(key);
+  }
+  stale.forEach(key => localStorage.removeItem(key));
+  // The snapshot leaves out empty chunks; they still get their key (see allChunkKeys)
+  const chunks = (world && world.chunks) || {};
+  for (const id of allChunkIds()) {
+    localStorage.setItem(WORLD_CHUNK_PREFIX + id, JSON.stringify(chunks[id] || { t: [], d: [] }));
+  }
+  data.allChunkKeys = !!world;
+  localStorage.setItem(SAVE_KEY, JSON.stringify(data));
+  // Stop autosaves so the in-memory game does not overwrite what we just wrote
+  Game._reloading = true;
+  location.reload();
+}
+
+// On startup: if the slot we last synced changed elsewhere, let the player pick which copy to keep
+async function checkCloudSaveConflict() {
+  if (!window.DB || !Game.cloud || !Game.cloud.slot) return;
+  const slot = Game.cloud.slot;
+  const row = await DB.loadSave(slot);
+  if (!row || !isCloudNewer(row, slot)) return;
+  const useCloud = await showConfirmModal({
+    title: 'Newer Cloud Save',
+    text: `Cloud slot ${slot} was updated on another device. Load it?`,
+    details: `Cloud: ${formatSaveTime(row.updated_at)} • ${describeSnapshot(row.data)} | This device: ${formatSaveTime(Game.savedAt)} • ${describeSnapshot(buildSaveData())}`,
+    confirmLabel: 'Load cloud',
+    cancelLabel: 'Keep this device',
+  });
+  if (useCloud) {
+    applyCloudSnapshot(row, slot);
+  } else {
+    // Acknowledge the cloud version; the next upload overwrites it without asking again
+    Game.cloud = { slot, syncedAt: row.updated_at };
+    save();
+  }
+}
+
+async function updateSavesModal() {
+  const list = document.getElementById('saves-list');
+  const status = document.getElementById('saves-status');
+  if (!list) return;
+  if (!window.DB) {
+    if (status) status.textContent = 'Cloud saves are unavailable offline.';
+    return;
+  }
+  if (status) status.textContent = 'Loading cloud slots…';
+  let rows = [];
+  try {
+    rows = await DB.loadSaves();
+  } catch (e) {
+    if (status) status.textContent = 'Could not reach cloud saves.';
+    return;
+  }
+  const bySlot = {};
+  (rows || []).forEach(r => { bySlot[r.slot] = r; });
+  if (status) {
+    status.textContent = Game.cloud && Game.cloud.slot
+      ? `This device last synced slot ${Game.cloud.slot}.`
+      : 'Upload to a slot to continue on another device.';
+  }
+
+  list.innerHTML = '';
+  for (let slot = 1; slot <= CLOUD_SLOTS; slot++) {
+    const row = bySlot[slot];
+    const li = document.createElement('li');
+    li.className = 'save-slot' + (row ? '' : ' empty');
+
+    const head = document.createElement('div');
+    head.className = 'skill-head';
+    const name = document.createElement('span');
+    name.className = 'skill-name';
+    name.textContent = `Slot ${slot}` + (Game.cloud && Game.cloud.slot === slot ? ' (this device)' : '');
+    const when = document.createElement('span');
+    when.className = 'skill-level';
+    when.textContent = row ? formatSaveTime(row.updated_at) : 'Empty';
+    head.append(name, when);
+
+    const desc = document.createElement('div');
+    desc.className = 'skill-desc';
+    desc.textContent = row ? describeSnapshot(row.data) + (isCloudNewer(row, slot) ? ' • newer than this device' : '') : '';
+
+    const actions = document.createElement('div');
+    actions.className = 'save-actions';
+    const up = document.createElement('button');
+    up.type = 'button';
+    up.className = 'craft-btn';
+    up.textContent = 'Upload';
+    up.addEventListener('click', async () => {
+      try { await uploadToSlot(slot); } catch (e) { console.warn('Cloud upload failed:', e); }
+      updateSavesModal();
+    });
+    const down = document.createElement('button');
+    down.type = 'button';
+    down.className = 'craft-btn';
+    down.textContent = 'Load';
+    down.disabled = !row;
+    down.addEventListener('click', async () => {
+      try { await downloadSlot(slot); } catch (e) { console.warn('Cloud load failed:', e); }
+    });
+    actions.append(up, down);
+
+    li.append(head, desc, actions);
+    list.appendChild(li);
+  }
+}
+
+// ----------------------------- Save / Load -----------------------------------
+
+// Everything persisted except the overworld's tiles and decor (those go to chunk keys, or into cloud snapshots)
+function buildSaveData() {
+  return {
+    coins: (Game.currencies && typeof Game.currencies.cash === 'number') ? Game.currencies.cash : Game.coins,
+    currencies: Game.currencies ?? { cash: (Game.coins ?? 50), junk: 0, ada: 0 },
+    stamina: Game.stamina ?? (typeof Mechanics !== 'undefined' ? Mechanics.stamina : { max: 100, current: 100, lastRegenAt: Date.now() }),
+    tool: Game.tool,
+    equippedSeed: Game.equippedSeed,
+    equippedNodeSeed: Game.equippedNodeSeed,
+    equippedPlaceable: Game.equippedPlaceable,
+    equippedFertilizer: Game.equippedFertilizer,
+    inv: Game.inv,
+    worldGen: Game.worldGen,
+    // The player position is in `zone`; the overworld's clock is saved whichever zone is active
+    zone: Game.zone,
+    player: Game.player,
+    zoneReturn: Game.zoneReturn,
+    zones: zonesForSave(),
+    decorInChunks: true,
+    // Every overworld chunk has a key, empty ones included, so a missing key is a lost chunk
+    allChunkKeys: true,
+    worldTickAt: __Overworld ? __Overworld.leftAt : Game.worldTickAt,
+    bunker: Game.bunker,
+    skills: Game.skills,
+    craft: Game.craft,
+    loot: Game.loot,
+    cloud: Game.cloud,
+    weather: Game.weather,
+    pets: Game.pets,
+    schemaVersion: Game.schemaVersion,
+    savedAt: Date.now(),
+  };
+}
+
+function save() {
+  if (Game._reloading || !Game._worldReady) return false;
+  try {
+    const data = buildSaveData();
+    Game.savedAt = data.savedAt;
+    localStorage.setItem(SAVE_KEY, JSON.stringify(data));
+    if (!flushWorldChunks()) throw new Error('world chunk write failed');
+    return true;
+  } catch (e) {
+    if (!__saveWarned) console.warn('Save failed (storage quota?):', e);
+    __saveWarned = true;
+    return false;
+  }
+}
+let __saveWarned = false;
+
+// Walking saves at most every STEP_SAVE_MS; anything still pending is written when the page is hidden
+const STEP_SAVE_MS = 2000;
+let __saveSoonTimer = null;
+
+function saveSoon() {
+  if (__saveSoonTimer) return;
+  __saveSoonTimer = setTimeout(() => {
+    __saveSoonTimer = null;
+    save();
+  }, STEP_SAVE_MS);
+}
+
+function saveOnHide() {
+  markGrowingChunksDirty();
+  save();
+}
+
+/* ----- Save schema migrations (see migrations.js) ----- */
+
+const SAVE_BACKUP_KEY = 'junkora-save-v2:backup'; // pre-migration copy of the last migrated save
+
+function makeMigrationContext() {
+  return {
+    rng: Game.rng,
+    legacyFlag: (name) => { try { return localStorage.getItem(name) === '1'; } catch (e) { return false; } },
+    legacyValue: (name) => { try { return localStorage.getItem(name); } catch (e) { return null; } },
+    bunkerRooms: window.BunkerRooms ? BunkerRooms.list().map(r => r.slug) : [],
+    decorKinds: DECOR_KINDS,
+    crops: Object.fromEntries(CropRegistry.list().map(c => [c.id, c.display])),
+    tiles: { Grass: TILE.Grass, Path: TILE.Path, Soil: TILE.Soil },
+    world: { width: WORLD_W, height: WORLD_H, tileAt },
+  };
+}
+
+// Runs pending migrations on a save blob. On failure the original blob is kept (and its version,
+// so the migration is retried next load); the raw pre-migration save stays in SAVE_BACKUP_KEY.
+function migrateSaveData(data, raw) {
+  if (!window.SaveMigrations) return data;
+  const from = typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+  Game.schemaVersion = from;
+  if (from >= SaveMigrations.latestVersion()) return data;
+  if (raw) {
+    try { localStorage.setItem(SAVE_BACKUP_KEY, raw); } catch (e) {}
+  }
+  const result = SaveMigrations.run(data, makeMigrationContext());
+  if (result.error) {
+    console.warn(`Save migration v${result.error.version} (${result.error.name}) failed; keeping the v${from} save:`, result.error.error);
+    return data;
+  }
+  for (const op of result.tileOps) {
+    const t = tileAt(op.x, op.y);
+    if (!t) continue;
+    Object.assign(t, op.patch);
+    markTileDirty(op.x, op.y);
+  }
+  // Migrations may rewrite any node, so every chunk's decor is written again
+  markAllChunksDirty();
+  Game.schemaVersion = result.to;
+  return result.save;
+}
+
+// Fresh legacy-layout worlds start at version 0 so one-time world adjustments (tree pruning) apply to
+// them too; seeded worlds are generated in their final shape
+function migrateFreshGame() {
+  // The generated decor has no chunks yet; the first save writes all of them
+  markAllChunksDirty();
+  if (Game.worldGen.generator !== 'legacy') {
+    Game.schemaVersion = window.SaveMigrations ? SaveMigrations.latestVersion() : 0;
+    return;
+  }
+  const data = migrateSaveData({ schemaVersion: 0, inv: Game.inv, decor: Game.decor }, null);
+  Game.inv = data.inv;
+  Game.decor = data.decor;
+}
+
+// The generator has to be known before the save is applied: existing saves name theirs (saves from
+// before seeded worlds name none and keep the legacy layout); a new game joins the shared world
+function savedWorldGen() {
+  const raw = localStorage.getItem(SAVE_KEY) || localStorage.getItem(LEGACY_SAVE_KEY);
+  if (raw) {
+    try {
+      return JSON.parse(raw).worldGen || { generator: 'legacy' };
+    } catch (e) {}
   }
+  return { generator: 'biomes', seed: SHARED_WORLD_SEED };
 }
 
-function save() {
-  try {
-    const data = {
-      coins: (Game.currencies && typeof Game.currencies.cash === 'number') ? Game.currencies.cash : Game.coins,
-      currencies: Game.currencies ?? { cash: (Game.coins ?? 50), junk: 0, ada: 0 },
-      stamina: Game.stamina ?? (typeof Mechanics !== 'undefined' ? Mechanics.stamina : { max: 100, current: 100, lastRegenAt: Date.now() }),
-      tool: Game.tool,
-      equippedSeed: Game.equippedSeed,
-      inv: Game.inv,
-      player: Game.player,
-      world: serializeWorld(),
-      decor: Game.decor,
-      skills: Game.skills,
-    };
-    localStorage.setItem(SAVE_KEY, JSON.stringify(data));
-  } catch (e) {
-    // ignore quota errors
-  }
+// Console helper: put the pre-migration save back (takes effect on reload)
+function restoreSaveBackup() {
+  const raw = localStorage.getItem(SAVE_BACKUP_KEY);
+  if (!raw) return false;
+  localStorage.setItem(SAVE_KEY, raw);
+  return true;
 }
 
 function load() {
   try {
-    const raw = localStorage.getItem(SAVE_KEY);
+    let raw = localStorage.getItem(SAVE_KEY);
+    let legacy = false;
+    if (!raw) {
+      raw = localStorage.getItem(LEGACY_SAVE_KEY);
+      legacy = !!raw;
+    }
     if (!raw) return false;
-    const data = JSON.parse(raw);
+    let data = JSON.parse(raw);
+    if (legacy) {
+      // v1 stored every tile; rebuild it and rewrite as sparse chunks below
+      Game.world = deserializeWorld(data.world);
+      markAllChunksDirty();
+    } else {
+      const { decor, found } = loadWorldChunks();
+      if (data.decorInChunks) data.decor = restoreChunkedDecor(decor, found, data.allChunkKeys);
+    }
+    // Older saves keep the overworld's decor in the blob (or drop the keys of empty chunks); the next
+    // save moves it into the chunks and writes every key
+    if (!data.decorInChunks || !data.allChunkKeys) markAllChunksDirty();
+    data = migrateSaveData(data, raw);
+    Game.savedAt = data.savedAt ?? 0;
     Game.coins = data.coins ?? Game.coins;
     Game.tool = data.tool ?? Game.tool;
     Game.equippedSeed = data.equippedSeed ?? Game.equippedSeed;
+    Game.equippedNodeSeed = data.equippedNodeSeed ?? null;
+    Game.equippedPlaceable = data.equippedPlaceable ?? null;
+    Game.equippedFertilizer = data.equippedFertilizer ?? null;
     Game.stamina = data.stamina ?? Game.stamina ?? { max: 100, current: 100, lastRegenAt: Date.now() };
     if (Game.stamina && typeof Game.stamina.lastRegenAt !== 'number') { Game.stamina.lastRegenAt = Date.now(); }
     Game.inv = data.inv ?? Game.inv;
-    Game.player.x = data.player?.x ?? Game.player.x;
-    Game.player.y = data.player?.y ?? Game.player.y;
+    Game.zones = data.zones ?? {};
+    Game.zoneReturn = data.zoneReturn ?? null;
+    // A save made in another zone resumes there at the end of init (restoreSavedZone); until then the
+    // player stands where they left the overworld
+    const away = data.zone && data.zone !== OVERWORLD;
+    __pendingZone = away ? { zone: data.zone, x: data.player?.x, y: data.player?.y } : null;
+    const ret = away && Game.zoneReturn && Game.zoneReturn.zone === OVERWORLD ? Game.zoneReturn : null;
+    Game.player.x = (away ? ret?.x : data.player?.x) ?? Game.player.x;
+    Game.player.y = (away ? ret?.y : data.player?.y) ?? Game.player.y;
     Game.player.facing = data.player?.facing ?? Game.player.facing;
-    Game.world = deserializeWorld(data.world);
     Game.decor = data.decor ?? Game.decor;
     Game.skills = data.skills ?? Game.skills;
+    Game.craft = data.craft ?? null;
+    Game.loot = data.loot ?? Game.loot;
+    Game.cloud = data.cloud ?? null;
+    Game.weather = data.weather ?? null;
+    Game.pets = { active: null, owned: {}, ...(data.pets || {}) };
+    Game.bunker = { rooms: {}, restedAt: 0, ...(data.bunker || {}) };
+    // Crops keep growing (and water keeps drying) while the game is closed. A save made in another zone
+    // froze the overworld when the player left it, so it catches up from there.
+    const grown = catchUpWorld(data.worldTickAt || Game.savedAt);
+    if (grown > 0) showFloatingText(`Crops grew while you were away (+${grown})`, Game.player.x, Game.player.y, '#a3e635');
     try { ensureSkills(); } catch (e) {}
     // Ensure decor from saves have harvest counters
     ensureDecorHarvestCounters();
 
-    // Ensure per-identity gathered stacks are materialized for UI (from legacy saves)
-    ensureGatherIdentityMigration();
-
     // Migrate currencies: prefer structured currencies; fallback to legacy coins
     Game.currencies = data.currencies ?? Game.currencies ?? { cash: (data.coins ?? Game.coins ?? 50), junk: 0, ada: 0 };
     // Keep legacy numeric coins in sync for compatibility
     Game.coins = Game.currencies.cash;
     // Mirror into Mechanics if available (Mechanics.js is loaded before this file)
     try { if (typeof Mechanics !== 'undefined') Mechanics.currencies = Game.currencies; } catch (e) {}
+
+    if (legacy) {
+      // The v1 blob may be what fills the quota: if the first write fails, drop it and retry from memory
+      const wrote = save();
+      try { localStorage.removeItem(LEGACY_SAVE_KEY); } catch (e) {}
+      if (!wrote) save();
+    }
     return true;
   } catch (e) {
     return false;
   }
 }
 
-function serializeWorld() {
-  const now = performance.now();
-  const rows = [];
+/* ----------------------------- World Persistence (chunked) -----------------------------
+   The overworld's decor and the tiles that differ from the generated baseline are stored in
+   WORLD_CHUNK x WORLD_CHUNK chunks under their own localStorage keys. Code that mutates a
+   tile or a node calls markTileDirty(x, y); save() rewrites just the dirty chunks. Every chunk keeps its
+   key, empty or not, so load() can tell a lost chunk from an empty one (restoreChunkedDecor).
+   Chunk: { t: [tile entries], d: [decor entries] }; chunks from before decor moved in are a bare tile entry array.
+   Tile entry: [localIndex, tileId, walkable, tilled, waterEndEpochMs | 0, [type, stage, growthMs, fertItemId | 0] | 0]
+*/
+const WORLD_CHUNK = 16;
+const WORLD_CHUNK_PREFIX = 'junkora-world-v2:';
+let __worldBaseline = null; // { tileId: Uint8Array, walkable: Uint8Array } from generateWorld()
+const __dirtyChunks = new Set();
+
+// Call right after generateWorld(), before any save is applied
+function captureWorldBaseline() {
+  const tileId = new Uint8Array(WORLD_W * WORLD_H);
+  const walkable = new Uint8Array(WORLD_W * WORLD_H);
   for (let y = 0; y < WORLD_H; y++) {
-    const row = [];
     for (let x = 0; x < WORLD_W; x++) {
-      const t = tileAt(x, y);
-      row.push({
-        i: t.tileId,
-        ti: t.tilled ? 1 : 0,
-        wa: t.watered ? 1 : 0,
-        wr: t.watered ? Math.max(0, Math.floor(t.waterEndAt - now)) : 0, // remaining water ms
-        pl: t.plant ? { ty: t.plant.type, st: t.plant.stage, gm: Math.floor(t.plant.growthMs || 0) } : null,
-        w: t.walkable ? 1 : 0,
-      });
+      const t = Game.world[y][x];
+      tileId[y * WORLD_W + x] = t.tileId;
+      walkable[y * WORLD_W + x] = t.walkable ? 1 : 0;
     }
-    rows.push(row);
   }
-  return rows;
+  __worldBaseline = { tileId, walkable };
 }
 
-function deserializeWorld(rows) {
-  if (!rows) return Game.world;
-  const now = performance.now();
-  const grid = new Array(WORLD_H);
-  for (let y = 0; y < WORLD_H; y++) {
-    grid[y] = new Array(WORLD_W);
-    for (let x = 0; x < WORLD_W; x++) {
-      const r = rows[y][x];
-      const t = makeTile(x, y, r.i);
-      t.tilled = !!r.ti;
-      t.watered = !!r.wa;
-      t.waterEndAt = t.watered ? now + (r.wr || 0) : 0;
-      t.plant = r.pl ? { type: r.pl.ty, stage: r.pl.st, growthMs: r.pl.gm || 0 } : null;
-      t.walkable = !!r.w;
-      grid[y][x] = t;
-    }
+function chunkIdOf(x, y) {
+  return `${Math.floor(x / WORLD_CHUNK)},${Math.floor(y / WORLD_CHUNK)}`;
+}
+
+function markTileDirty(x, y) {
+  // Other zones save their tiles in Game.zones, not as world chunks
+  if (inOverworld() && inBounds(x, y)) __dirtyChunks.add(chunkIdOf(x, y));
+}
+
+function allChunkIds() {
+  const ids = [];
+  for (let cy = 0; cy * WORLD_CHUNK < WORLD_H; cy++) {
+    for (let cx = 0; cx * WORLD_CHUNK < WORLD_W; cx++) ids.push(`${cx},${cy}`);
   }
-  return grid;
+  return ids;
+}
+
+function markAllChunksDirty() {
+  allChunkIds().forEach(id => __dirtyChunks.add(id));
 }
 
-function removePathsFromWorld() {
-  if (!Game.world) return;
+// Chunks with crops partway through a stage (growPlant only marks stage changes)
+function markGrowingChunksDirty() {
+  const grid = overworldGrid();
   for (let y = 0; y < WORLD_H; y++) {
     for (let x = 0; x < WORLD_W; x++) {
-      const t = Game.world[y][x];
-      if (t && t.tileId === TILE.Path) {
-        t.tileId = TILE.Grass;
-        t.walkable = true;
-      }
+      const p = grid[y][x].plant;
+      if (p && p.growthMs > 0) __dirtyChunks.add(chunkIdOf(x, y));
     }
   }
 }
 
-function pruneTreesByHalfOnce() {
-  // Prune approximately half of existing Trees from saves, only once.
-  try {
-    if (localStorage.getItem('junkora-pruned-trees-v1') === '1') return;
-  } catch (e) {}
-  if (!Array.isArray(Game.decor) || Game.decor.length === 0) {
-    try { localStorage.setItem('junkora-pruned-trees-v1', '1'); } catch (e) {}
-    return;
+// Tile state shared by chunk and zone entries: [tileId, walkable, tilled, waterEndEpochMs | 0, plant | 0]
+function encodeTileState(t) {
+  const watered = t.watered && t.waterEndAt > 0;
+  return [
+    t.tileId,
+    t.walkable ? 1 : 0,
+    t.tilled ? 1 : 0,
+    watered ? Math.floor(t.waterEndAt) : 0,
+    t.plant ? [t.plant.type, t.plant.stage, Math.floor(t.plant.growthMs || 0), t.plant.fert || 0] : 0,
+  ];
+}
+
+function applyTileState(t, s) {
+  t.tileId = s[0];
+  t.walkable = !!s[1];
+  t.tilled = !!s[2];
+  // Expired water is kept as-is; catchUpWorld() credits the wet time and then dries the tile
+  t.watered = s[3] > 0;
+  t.waterEndAt = t.watered ? s[3] : 0;
+  t.plant = s[4] ? { type: s[4][0], stage: s[4][1], growthMs: s[4][2] || 0 } : null;
+  if (t.plant && s[4][3]) t.plant.fert = s[4][3];
+}
+
+function encodeTile(t, x, y) {
+  const idx = y * WORLD_W + x;
+  const baseId = __worldBaseline ? __worldBaseline.tileId[idx] : TILE.Grass;
+  const baseWalk = __worldBaseline ? __worldBaseline.walkable[idx] : 1;
+  const walk = t.walkable ? 1 : 0;
+  const watered = t.watered && t.waterEndAt > 0;
+  if (t.tileId === baseId && walk === baseWalk && !t.tilled && !watered && !t.plant) return null;
+  return [(y % WORLD_CHUNK) * WORLD_CHUNK + (x % WORLD_CHUNK), ...encodeTileState(t)];
+}
+
+function applyTileEntry(cx, cy, e) {
+  const x = cx * WORLD_CHUNK + (e[0] % WORLD_CHUNK);
+  const y = cy * WORLD_CHUNK + Math.floor(e[0] / WORLD_CHUNK);
+  const t = overworldGrid()[y] && overworldGrid()[y][x];
+  if (t) applyTileState(t, e.slice(1));
+}
+
+// The overworld's decor grouped by chunk id
+function decorByChunk() {
+  const out = {};
+  for (const d of overworldDecor() || []) {
+    if (!d) continue;
+    const id = chunkIdOf(d.x, d.y);
+    if (!out[id]) out[id] = [];
+    out[id].push(d);
   }
-  let changed = false;
-  const pruned = [];
-  for (const d of Game.decor) {
-    if (d && d.type === 'Trees') {
-      if (Game.rng() < 0.5) {
-        // remove tree; free tile
-        const t = tileAt(d.x, d.y);
-        if (t) t.walkable = true;
-        changed = true;
-        continue;
-      }
+  return out;
+}
+
+function serializeChunk(cx, cy, decor) {
+  const t = [];
+  for (let y = cy * WORLD_CHUNK; y < Math.min(WORLD_H, (cy + 1) * WORLD_CHUNK); y++) {
+    for (let x = cx * WORLD_CHUNK; x < Math.min(WORLD_W, (cx + 1) * WORLD_CHUNK); x++) {
+      const e = encodeTile(overworldGrid()[y][x], x, y);
+      if (e) t.push(e);
     }
-    pruned.push(d);
   }
-  if (changed) {
-    Game.decor = pruned;
-    try { localStorage.setItem('junkora-pruned-trees-v1', '1'); } catch (e) {}
-    // persist immediately
-    save();
-  } else {
-    try { localStorage.setItem('junkora-pruned-trees-v1', '1'); } catch (e) {}
+  return { t, d: decor || [] };
+}
+
+function isEmptyChunk(chunk) {
+  return chunk.t.length === 0 && chunk.d.length === 0;
+}
+
+// Write dirty chunks, empty ones too (see allChunkKeys). Failed chunks stay dirty for the next save.
+function flushWorldChunks() {
+  if (__dirtyChunks.size === 0) return true;
+  let ok = true;
+  const decor = decorByChunk();
+  for (const id of Array.from(__dirtyChunks)) {
+    const [cx, cy] = id.split(',').map(Number);
+    const chunk = serializeChunk(cx, cy, decor[id]);
+    try {
+      localStorage.setItem(WORLD_CHUNK_PREFIX + id, JSON.stringify(chunk));
+      __dirtyChunks.delete(id);
+    } catch (e) {
+      ok = false;
+    }
   }
+  return ok;
 }
 
-function removeDefaultSeedsOnce() {
-  try {
-    if (localStorage.getItem('junkora-removed-default-seeds-v1') === '1') return;
-  } catch (e) {}
-  try {
-    if (Game && Game.inv && Game.inv.seeds) {
-      Game.inv.seeds.turnip = 0;
-      Game.inv.seeds.wheat = 0;
-      Game.inv.seeds.corn = 0;
-      save();
+function chunkTiles(chunk) {
+  return Array.isArray(chunk) ? chunk : (chunk && chunk.t) || [];
+}
+
+// Applies the stored tiles; returns the stored decor and the ids of the chunks that were read
+function loadWorldChunks() {
+  const decor = [];
+  const found = new Set();
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key || !key.startsWith(WORLD_CHUNK_PREFIX)) continue;
+    try {
+      const id = key.slice(WORLD_CHUNK_PREFIX.length);
+      const [cx, cy] = id.split(',').map(Number);
+      const chunk = JSON.parse(localStorage.getItem(key));
+      for (const e of chunkTiles(chunk)) applyTileEntry(cx, cy, e);
+      if (chunk && Array.isArray(chunk.d)) decor.push(...chunk.d);
+      found.add(id);
+    } catch (e) {}
+  }
+  __dirtyChunks.clear();
+  return { decor, found };
+}
+
+// The overworld decor of a save that keeps it in chunks. A chunk that couldn't be read keeps the decor
+// generated for it (Game.decor, still the fresh world here) and is rewritten on the next save. Saves from
+// before allChunkKeys dropped the keys of empty chunks, so there only a world with no chunks at all is
+// taken as lost.
+function restoreChunkedDecor(decor, found, allChunkKeys) {
+  const lost = allChunkKeys ? allChunkIds().filter(id => !found.has(id)) : (found.size === 0 ? allChunkIds() : []);
+  if (lost.length === 0) return decor;
+  console.warn(`World chunks missing from the save (${lost.join(' ')}); regenerating their decor`);
+  const regen = new Set(lost);
+  for (const d of Game.decor || []) {
+    if (d && regen.has(chunkIdOf(d.x, d.y))) decor.push(d);
+  }
+  lost.forEach(id => __dirtyChunks.add(id));
+  return decor;
+}
+
+// Whole-world sparse snapshot (same entries as the chunk keys), for exporting a save in one object
+function serializeWorld() {
+  const chunks = {};
+  const decor = decorByChunk();
+  for (let cy = 0; cy * WORLD_CHUNK < WORLD_H; cy++) {
+    for (let cx = 0; cx * WORLD_CHUNK < WORLD_W; cx++) {
+      const chunk = serializeChunk(cx, cy, decor[`${cx},${cy}`]);
+      if (!isEmptyChunk(chunk)) chunks[`${cx},${cy}`] = chunk;
     }
-  } catch (e) {}
-  try { localStorage.setItem('junkora-removed-default-seeds-v1', '1'); } catch (e) {}
+  }
+  return { v: 3, chunk: WORLD_CHUNK, chunks };
 }
 
-// Migrate any saved decor types to new categories and add 'kind' where missing
-function migrateDecorTypes() {
-  if (!Array.isArray(Game.decor)) return;
+// Applies a snapshot onto the current (baseline) world. Accepts the sparse format or legacy full rows.
+function deserializeWorld(data) {
+  if (!data) return Game.world;
+  if (Array.isArray(data)) return deserializeLegacyWorld(data);
+  for (const [id, chunk] of Object.entries(data.chunks || {})) {
+    const [cx, cy] = id.split(',').map(Number);
+    for (const e of chunkTiles(chunk)) applyTileEntry(cx, cy, e);
+  }
+  return Game.world;
+}
 
-  // Recreate the helper API from generateWorld scope on first call
-  if (!window.__SpriteSheetAPI) {
-    // Rebuild minimal manifest and helpers matching those in generateWorld
-    const manifest = {
-      Trees: ['Apple','Birch','Coconut','Jacaranda','Lemon','Mango','Maple','Oak','Orange','Peach','Pine','Sakura','Willow'],
-      flowers: ['Daisy','Lotus','Orchid','Rose','Sunflower','Tulip'],
-      minerals: ['Adamantite','Amethyst','Basalt','Coal','Copper Ore','Diamond','Emerald','Gold Ore','Granite','Iron Ore','Limestone','Marble','Mooncrystal','Mythril','Obsidian','Opal','rock','Ruby','Sandstone','Sapphire','Silver Ore','Slate','Starstone','Tin Ore','Topaz'],
-    };
+// junkora-save-v1 layout: one object per tile, water as remaining ms
+function deserializeLegacyWorld(rows) {
+  const now = Date.now();
+  const grid = new Array(WORLD_H);
+  for (let y = 0; y < WORLD_H; y++) {
+    grid[y] = new Array(WORLD_W);
+    for (let x = 0; x < WORLD_W; x++) {
+      const r = rows[y][x];
+      const t = makeTile(x, y, r.i);
+      t.tilled = !!r.ti;
+      t.watered = !!r.wa;
+      t.waterEndAt = t.watered ? now + (r.wr || 0) : 0;
+      t.plant = r.pl ? { type: r.pl.ty, stage: r.pl.st, growthMs: r.pl.gm || 0 } : null;
+      t.walkable = !!r.w;
+      grid[y][x] = t;
+    }
+  }
+  return grid;
+}
 
+// Lazy spritesheet cache used by drawDecor (decor type/kind migration lives in migrations.js)
+function ensureSpriteSheetAPI() {
+  if (!window.__SpriteSheetAPI) {
+    // Rebuild minimal helpers matching those in generateWorld
     // shared lazy cache across sessions
     const cache = { Trees: Object.create(null), flowers: Object.create(null), minerals: Object.create(null) };
 
@@ -3466,34 +6987,6 @@ function migrateDecorTypes() {
     }
     window.__SpriteSheetAPI = { request, get };
   }
-
-  for (const d of Game.decor) {
-    if (!d || !d.type) continue;
-    // Map old -> new
-    if (d.type === 'tree') d.type = 'Trees';
-    else if (d.type === 'rock') d.type = 'minerals';
-    else if (d.type === 'flower') d.type = 'flowers';
-
-    // Assign kind if missing
-    if (!d.kind) {
-      const kinds = (d.type === 'Trees')
-        ? ['Apple','Birch','Coconut','Jacaranda','Lemon','Mango','Maple','Oak','Orange','Peach','Pine','Sakura','Willow']
-        : (d.type === 'flowers')
-          ? ['Daisy','Lotus','Orchid','Rose','Sunflower','Tulip']
-          : (d.type === 'minerals')
-            ? ['Adamantite','Amethyst','Basalt','Coal','Copper Ore','Diamond','Emerald','Gold Ore','Granite','Iron Ore','Limestone','Marble','Mooncrystal','Mythril','Obsidian','Opal','rock','Ruby','Sandstone','Sapphire','Silver Ore','Slate','Starstone','Tin Ore','Topaz']
-            : [];
-      if (kinds.length) {
-        const idx = Math.floor(Game.rng() * kinds.length);
-        d.kind = kinds[idx];
-      }
-    }
-
-    // Animation offset if missing
-    if (typeof d.animOffset !== 'number') {
-      d.animOffset = Math.floor(Game.rng() * 1000);
-    }
-  }
 }
 
 /* ----------------------------- Username Handling ----------------------------- */
@@ -3614,6 +7107,30 @@ function setupUsernameModal() {
     });
   } catch (e) {}
 }
+// Stacks changed both here and on another device since the last sync. reconcile() has already applied
+// the merged count; the player keeps it or takes the server's count instead. Runs before invsync starts.
+async function resolveInventoryConflicts(conflicts) {
+  let changed = false;
+  for (const c of conflicts) {
+    const { name, rarity, quality } = CraftingSystem.parseKey(c.key);
+    const useServer = await showConfirmModal({
+      title: 'Inventory Conflict',
+      text: `${name} (${rarity}, ${quality}) changed on this device and on another one. Which count should you keep?`,
+      details: `Last synced: ${c.base} • This device: ${c.local} • Server: ${c.server} • Merged: ${c.merged}`,
+      confirmLabel: `Server (${c.server})`,
+      cancelLabel: `Merged (${c.merged})`,
+    });
+    if (!useServer || c.merged === c.server) continue;
+    if (c.server > 0) Game.inv.gitems[c.key] = c.server;
+    else delete Game.inv.gitems[c.key];
+    changed = true;
+  }
+  if (changed) {
+    updateInventoryUI();
+    save();
+  }
+}
+
 // Supabase initial sync and throttled position updates
 async function syncSupabaseInitial() {
   try {
@@ -3623,11 +7140,28 @@ async function syncSupabaseInitial() {
         username: Game.username,
         wallet_address: (window.JunkoraWallet && window.JunkoraWallet.address) || null
       });
-      // Persist starting coords and balances
-      await DB.saveCoordinates({ x: Game.player.x, y: Game.player.y, z: 0, zone: "overworld" });
-      const cash = (Game.currencies && typeof Game.currencies.cash === "number") ? Game.currencies.cash : (Game.coins ?? 50);
-      const junk = (Game.currencies && typeof Game.currencies.junk === "number") ? Game.currencies.junk : 0;
-      await DB.updateBalances({ cash, junk });
+      try { await DB.checkCatalogConsistency?.(); } catch (e) { console.warn('Catalog check failed:', e); }
+      try { await checkCloudSaveConflict(); } catch (e) { console.warn('Cloud save check failed:', e); }
+      // Trades that closed while away change the server inventory; apply them before the merge below
+      try { await syncTrades(); } catch (e) { console.warn('Trade sync failed:', e); }
+      // Merge gathered stacks with the cloud copy, then keep pushing local deltas
+      try {
+        if (window.InventorySync) {
+          const user = await DB.ensureSession?.();
+          const { conflicts } = await InventorySync.reconcile(Game.inv, { userId: user && user.id });
+          updateInventoryUI();
+          save();
+          if (conflicts.length > 0) await resolveInventoryConflicts(conflicts);
+          InventorySync.start(() => Game.inv, { onFlushed: () => save() });
+        }
+      } catch (e) { console.warn('Inventory reconcile failed:', e); }
+      try { await syncChests(); } catch (e) { console.warn('Chest sync failed:', e); }
+      try { await startWorldSync(); } catch (e) { console.warn('World sync failed:', e); }
+      try { await syncMail(); } catch (e) { console.warn('Mail sync failed:', e); }
+      // Persist starting coords; balances are read, then the device's unbanked cash is deposited (see Server Balances)
+      await queuePositionSync();
+      try { await refreshBank(); } catch (e) { console.warn('Balance load failed:', e); }
+      try { await bankLocalCash(); } catch (e) { console.warn('Cash deposit failed:', e); }
       Game._lastSyncedPos = { x: Game.player.x, y: Game.player.y };
       Game._lastCoordSyncAt = performance.now();
     }
@@ -3644,21 +7178,91 @@ function syncSupabasePositionThrottled() {
     if (x === last.x && y === last.y && (now - Game._lastCoordSyncAt) < 2000) return;
     Game._lastSyncedPos = { x, y };
     Game._lastCoordSyncAt = now;
-    DB.saveCoordinates({ x, y, z: 0, zone: "overworld" }).catch(() => {});
+    queuePositionSync();
   } catch (e) {}
 }
 
+// The server owns positions (state_move): moves are sent in order, one call at a time. Steps within a
+// zone coalesce to the latest; a zone change still sends the last position in the zone being left,
+// since that is where the server lets the player come back. Resolves once the queue is sent.
+let __PosSync = { queue: [], pumping: null };
+
+function queuePositionSync() {
+  if (!window.DB || !window.WorldSync) return Promise.resolve();
+  const move = { world: WorldSync.worldKey(Game.worldGen), zone: Game.zone, x: Game.player.x, y: Game.player.y };
+  const q = __PosSync.queue;
+  const tail = q[q.length - 1];
+  if (tail && tail.world === move.world && tail.zone === move.zone) q[q.length - 1] = move;
+  else q.push(move);
+  if (!__PosSync.pumping) {
+    __PosSync.pumping = pumpPositionSync().finally(() => { __PosSync.pumping = null; });
+  }
+  return __PosSync.pumping;
+}
+
+async function pumpPositionSync() {
+  while (__PosSync.queue.length > 0) {
+    const move = __PosSync.queue.shift();
+    let row;
+    try {
+      row = await DB.saveCoordinates(move);
+    } catch (e) {
+      continue; // offline: the next step sends a fresh position
+    }
+    if (row && (row.pos_x !== move.x || row.pos_y !== move.y)) snapToServerPosition(row);
+  }
+}
+
+// The server refused a move and kept the player elsewhere in this zone (too fast, or an arrival away
+// from the zone's entries): put the player back where it has them
+function snapToServerPosition(row) {
+  if (row.world !== WorldSync.worldKey(Game.worldGen) || row.zone !== Game.zone) return;
+  // Steps still queued for this zone started from the refused position
+  __PosSync.queue = __PosSync.queue.filter(m => m.world !== row.world || m.zone !== row.zone);
+  Game.player.x = row.pos_x;
+  Game.player.y = row.pos_y;
+  Game._lastSyncedPos = { x: row.pos_x, y: row.pos_y };
+  showFloatingText('Position corrected', row.pos_x, row.pos_y, '#ef476f');
+  saveSoon();
+}
+
 /* ----------------------------- Realtime Presence (MMO-lite) ----------------------------- */
-let __Presence = { channel: null, uid: null, lastTrackAt: 0, lastPos: { x: null, y: null } };
+// Each shared zone has its own channel (Zones.channelName); private zones like the bunker have none
+let __Presence = { channel: null, uid: null, started: false, lastTrackAt: 0, lastPos: { x: null, y: null } };
 
 async function initPresence() {
   try {
     if (!window.DB || !DB.supabase) return;
     const user = await DB.ensureSession?.();
     __Presence.uid = user && user.id;
+    __Presence.started = true;
+    window.addEventListener('beforeunload', () => { try { __Presence.channel && __Presence.channel.unsubscribe(); } catch (e) {} });
+    await joinZonePresence();
+    await startChat();
+  } catch (e) {}
+}
+
+function leaveZonePresence() {
+  const ch = __Presence.channel;
+  __Presence.channel = null;
+  Game.others = {};
+  Game.othersView = {};
+  if (ch) {
+    try { ch.unsubscribe(); } catch (e) {}
+  }
+}
+
+// Switch presence to the active zone's channel; called on start and after every zone change
+async function joinZonePresence() {
+  try {
+    if (!window.DB || !DB.supabase) return;
+    leaveZonePresence();
+    loadChatHistory().catch(e => console.warn('Chat history failed:', e));
+    const name = Zones.channelName(Game.zone);
+    if (!name) return;
     const uname = (Game && Game.username) || localStorage.getItem('junkora-username') || 'Wanderer';
 
-    const ch = DB.supabase.channel('presence:overworld', {
+    const ch = DB.supabase.channel(name, {
       config: { presence: { key: __Presence.uid || 'anon' } }
     });
 
@@ -3757,6 +7361,19 @@ async function initPresence() {
       } catch (e) {}
     });
 
+    // Newcomers get the current sky straight away instead of waiting for the next heartbeat
+    ch.on('presence', { event: 'join' }, ({ key }) => {
+      try {
+        if (key && key !== (__Presence.uid || 'anon') && isWeatherAuthority()) broadcastWeather();
+      } catch (e) {}
+    });
+
+    ch.on('broadcast', { event: 'weather' }, ({ payload }) => {
+      try {
+        receiveWeather(payload);
+      } catch (e) {}
+    });
+
     // Real-time movement broadcast handler for immediate smoothing
     ch.on('broadcast', { event: 'movement' }, ({ payload }) => {
       try {
@@ -3810,8 +7427,12 @@ async function initPresence() {
       }
     });
 
+    // The player may have changed zone again while this channel was subscribing
+    if (Zones.channelName(Game.zone) !== name || __Presence.channel) {
+      try { ch.unsubscribe(); } catch (e) {}
+      return;
+    }
     __Presence.channel = ch;
-    window.addEventListener('beforeunload', () => { try { ch.unsubscribe(); } catch (e) {} });
   } catch (e) {}
 }
 
@@ -3848,6 +7469,331 @@ function trackPresenceThrottled() {
   } catch (e) {}
 }
 
+/* ----------------------------- Chat ----------------------------- */
+// Message rules are in chat.js. Messages are only sent through chat_post, which rate-limits them and
+// stores the sender's id and username; everyone receives the stored row over realtime (DB.subscribeChat),
+// so a client can't skip the server's checks or speak as someone else. Local rows are shown within
+// Chat.LOCAL_RADIUS of the speaker's tile; private zones have no local channel, so local talk there stays
+// in our own log. The log is refilled from chat_messages on start and after
+// every zone change; row ids de-duplicate live and history copies.
+const CHAT_BUBBLE_MS = 6000;
+let __Chat = { mode: 'local', channel: null, limiter: Chat.createLimiter(), history: Chat.createHistory(100), bubbles: {} };
+
+function chatSelfId() {
+  return __Presence.uid || 'anon';
+}
+
+function addChatLine(msg, { bubble = true } = {}) {
+  if (!__Chat.history.add(msg)) return;
+  if (bubble && msg.uid && msg.mode !== 'system') {
+    __Chat.bubbles[msg.uid] = { text: msg.body, until: performance.now() + CHAT_BUBBLE_MS };
+  }
+  renderChatLog();
+}
+
+function chatSystemLine(text) {
+  addChatLine({ mode: 'system', body: text, ts: Date.now() });
+}
+
+// Live and history rows both come through here; other clients' filters may differ from ours
+function receiveChat(msg, { history = false } = {}) {
+  if (!msg || !Chat.MODES.includes(msg.mode)) return;
+  const body = Chat.clean(msg.body);
+  if (!body) return;
+  if (msg.mode === 'local') {
+    if (msg.zone !== Game.zone) return;
+    // A private zone's id is the same in every player's copy of it, so stored local rows from one can only
+    // come from someone else's (chat_post refuses them; older rows may remain)
+    if (msg.id && !zoneDef(msg.zone).shared) return;
+    // History shows the zone's recent talk; live messages only reach players within earshot
+    if (!history && msg.uid !== chatSelfId() && !Chat.inRange(msg, Game.player)) return;
+  }
+  addChatLine({ ...msg, body }, { bubble: !history });
+}
+
+async function sendChat(text) {
+  const body = Chat.clean(text);
+  if (!body) return false;
+  if (!__Chat.limiter.take()) {
+    chatSystemLine(`Slow down: wait ${Math.ceil(__Chat.limiter.retryIn() / 1000)}s`);
+    return false;
+  }
+  const mode = __Chat.mode;
+  // Offline, or talking locally in a private zone (the bunker), the message only reaches our own log
+  if (!window.DB || !__Presence.started || (mode === 'local' && !zoneDef(Game.zone).shared)) {
+    receiveChat({ uid: chatSelfId(), username: Game.username || 'Wanderer', mode, zone: Game.zone, x: Game.player.x, y: Game.player.y, body, ts: Date.now() });
+    return true;
+  }
+  try {
+    const row = await DB.postChat({ channel: Chat.channelFor(mode, Game.zone), body, x: Game.player.x, y: Game.player.y });
+    // Shown now rather than when our own realtime copy arrives; the id keeps it from showing twice
+    receiveChat(chatRowToMessage(row));
+    return true;
+  } catch (e) {
+    console.warn('Chat post failed:', e);
+    chatSystemLine((e && e.message) || 'Message not sent');
+    return false;
+  }
+}
+
+function chatRowToMessage(row) {
+  const global = row.channel === 'global';
+  return {
+    id: row.id,
+    uid: row.user_id,
+    username: row.username || 'Player',
+    mode: global ? 'global' : 'local',
+    zone: global ? null : row.channel.slice('local:'.length),
+    x: row.x,
+    y: row.y,
+    body: row.body,
+    ts: Date.parse(row.created_at) || 0,
+  };
+}
+
+// Refill the log with the global channel and the active zone's local channel
+async function loadChatHistory() {
+  if (!window.DB) return;
+  const zone = Game.zone;
+  const channels = ['global'];
+  if (zoneDef(zone).shared) channels.push(Chat.channelFor('local', zone));
+  const rows = await DB.listChat(channels);
+  if (Game.zone !== zone) return;
+  const system = __Chat.history.list().filter(m => m.mode === 'system');
+  __Chat.history.clear();
+  system.forEach(m => __Chat.history.add(m));
+  rows.forEach(row => receiveChat(chatRowToMessage(row), { history: true }));
+  renderChatLog();
+}
+
+async function startChat() {
+  if (!window.DB || !DB.supabase || __Chat.channel) return;
+  __Chat.channel = DB.subscribeChat((row) => {
+    try {
+      receiveChat(chatRowToMessage(row));
+    } catch (e) {}
+  });
+}
+
+function renderChatLog() {
+  const log = document.getElementById('chat-log');
+  if (!log) return;
+  const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 4;
+  log.innerHTML = '';
+  for (const m of __Chat.history.list()) {
+    const li = document.createElement('li');
+    li.className = 'chat-line chat-' + m.mode;
+    if (m.mode !== 'system') {
+      const tag = document.createElement('span');
+      tag.className = 'chat-tag';
+      tag.textContent = m.mode === 'global' ? '[G]' : '[L]';
+      const who = document.createElement('span');
+      who.className = 'chat-name';
+      who.textContent = (m.username || 'Player') + ':';
+      li.append(tag, who, ' ');
+    }
+    li.append(m.body);
+    log.appendChild(li);
+  }
+  if (atBottom) log.scrollTop = log.scrollHeight;
+}
+
+function setChatMode(mode) {
+  __Chat.mode = Chat.MODES.includes(mode) ? mode : 'local';
+  const btn = document.getElementById('chat-mode');
+  if (btn) {
+    btn.textContent = __Chat.mode === 'global' ? 'Global' : 'Local';
+    btn.setAttribute('aria-pressed', String(__Chat.mode === 'global'));
+  }
+  try { localStorage.setItem('junkora-chat-mode', __Chat.mode); } catch (e) {}
+}
+
+function setupChatPanel() {
+  const form = document.getElementById('chat-form');
+  const input = document.getElementById('chat-input');
+  const modeBtn = document.getElementById('chat-mode');
+  if (!form || !input) return;
+  input.maxLength = Chat.MAX_LENGTH;
+  let saved = null;
+  try { saved = localStorage.getItem('junkora-chat-mode'); } catch (e) {}
+  setChatMode(saved || 'local');
+  if (modeBtn) modeBtn.addEventListener('click', () => setChatMode(__Chat.mode === 'global' ? 'local' : 'global'));
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = input.value;
+    input.value = '';
+    input.blur();
+    sendChat(text);
+  });
+  // Typing must not move the player or switch tools
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.code === 'Escape') input.blur();
+  });
+}
+
+function focusChat() {
+  const input = document.getElementById('chat-input');
+  if (input) input.focus();
+}
+
+// Speech bubble above a player's name tag (cx, bottomY in screen pixels)
+function drawChatBubble(uid, cx, bottomY) {
+  const b = __Chat.bubbles[uid];
+  if (!b) return;
+  if (performance.now() > b.until) {
+    delete __Chat.bubbles[uid];
+    return;
+  }
+  const text = b.text.length > 48 ? b.text.slice(0, 47) + '…' : b.text;
+  ctx.font = '12px ui-sans-serif, system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const w = Math.ceil(ctx.measureText(text).width) + 12;
+  const h = 20;
+  const x = Math.floor(cx - w / 2);
+  const y = Math.floor(bottomY - h - 5);
+  ctx.fillStyle = 'rgba(245,247,250,0.95)';
+  ctx.fillRect(x, y, w, h);
+  ctx.beginPath();
+  ctx.moveTo(cx - 4, y + h);
+  ctx.lineTo(cx + 4, y + h);
+  ctx.lineTo(cx, y + h + 5);
+  ctx.closePath();
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+  ctx.fillStyle = '#111418';
+  ctx.fillText(text, cx, y + h / 2 + 1);
+}
+
+/* ----------------------------- Weather ----------------------------- */
+// The sky is one state shared by everyone on the presence channel. The online player with the lowest
+// uid rolls the next state when the current one ends and broadcasts it; everyone else adopts what they
+// hear and only rolls on their own when offline or when no broadcast arrives within the grace window.
+const WEATHER_HEARTBEAT_MS = 15000;  // authority re-broadcasts the current state this often
+const WEATHER_GRACE_MS = 10000;      // followers wait this long past endsAt before rolling locally
+let __Weather = { lastCheckAt: 0, lastBroadcastAt: 0 };
+
+function weatherEffects() {
+  if (typeof WeatherSystem === 'undefined') return { waterDurationMult: 1, gatherTimeMult: 1, autoWater: false };
+  return WeatherSystem.effects(Game.weather && Game.weather.kind);
+}
+
+function waterDurationMs() {
+  return Math.round(WATER_DURATION_MS * weatherEffects().waterDurationMult);
+}
+
+function gatherDurationMs() {
+  return Math.round(GATHER_TIME_MS * weatherEffects().gatherTimeMult * bunkerBonuses().gatherTimeMult);
+}
+
+function isWeatherAuthority() {
+  const ch = __Presence && __Presence.channel;
+  if (!ch) return true;
+  const self = __Presence.uid || 'anon';
+  let keys = [];
+  try { keys = Object.keys(ch.presenceState() || {}); } catch (e) {}
+  if (!keys.includes(self)) keys.push(self);
+  keys.sort();
+  return keys[0] === self;
+}
+
+function setWeather(state) {
+  const prevKind = Game.weather && Game.weather.kind;
+  Game.weather = { kind: state.kind, startedAt: state.startedAt, endsAt: state.endsAt };
+  if (prevKind !== state.kind) {
+    const label = (WeatherSystem.kinds[state.kind] || {}).label || state.kind;
+    showFloatingText(label, Game.player.x, Game.player.y, '#fbbf24');
+    save();
+  }
+}
+
+function broadcastWeather() {
+  const ch = __Presence && __Presence.channel;
+  if (!ch || !Game.weather) return;
+  __Weather.lastBroadcastAt = Date.now();
+  try {
+    ch.send({ type: 'broadcast', event: 'weather', payload: { uid: __Presence.uid || 'anon', ...Game.weather } });
+  } catch (e) {}
+}
+
+function receiveWeather(payload) {
+  if (typeof WeatherSystem === 'undefined' || !payload || !WeatherSystem.isValid(payload)) return;
+  const self = __Presence.uid || 'anon';
+  if (payload.uid === self) return;
+  // Two clients can briefly both think they lead (presence still syncing); the lower uid wins
+  if (isWeatherAuthority() && String(payload.uid) > self) return;
+  const cur = Game.weather;
+  if (cur && cur.kind === payload.kind && cur.startedAt === payload.startedAt && cur.endsAt === payload.endsAt) return;
+  setWeather(payload);
+}
+
+function updateWeather() {
+  if (typeof WeatherSystem === 'undefined') return;
+  const now = Date.now();
+  if (now - __Weather.lastCheckAt < 1000) return;
+  __Weather.lastCheckAt = now;
+
+  if (!WeatherSystem.isValid(Game.weather)) {
+    setWeather(WeatherSystem.initial(now));
+    if (isWeatherAuthority()) broadcastWeather();
+    return;
+  }
+
+  const leader = isWeatherAuthority();
+  if (now >= Game.weather.endsAt) {
+    if (leader || now >= Game.weather.endsAt + WEATHER_GRACE_MS) {
+      setWeather(WeatherSystem.next(Game.weather, now));
+      if (leader) broadcastWeather();
+    }
+    return;
+  }
+  if (leader && now - __Weather.lastBroadcastAt >= WEATHER_HEARTBEAT_MS) broadcastWeather();
+}
+
+function drawWeatherOverlay() {
+  const kind = Game.weather && Game.weather.kind;
+  if (!kind || kind === 'clear') return;
+  const w = canvas.width;
+  const h = canvas.height;
+  const t = performance.now();
+  ctx.save();
+  if (kind === 'acid_rain') {
+    // Sickly green haze with slanted streaks; positions derive from time so no per-drop state is kept
+    ctx.fillStyle = 'rgba(60, 90, 40, 0.18)';
+    ctx.fillRect(0, 0, w, h);
+    ctx.strokeStyle = 'rgba(190, 242, 100, 0.55)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    const drops = Math.floor((w * h) / 9000);
+    for (let i = 0; i < drops; i++) {
+      const x = ((i * 7919) % w + t * 0.12) % w;
+      const y = ((i * 104729) % h + t * 0.9) % h;
+      ctx.moveTo(x, y);
+      ctx.lineTo(x - 4, y + 12);
+    }
+    ctx.stroke();
+  } else if (kind === 'dust_storm') {
+    ctx.fillStyle = 'rgba(150, 110, 60, 0.32)';
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(210, 170, 110, 0.6)';
+    const motes = Math.floor((w * h) / 6000);
+    for (let i = 0; i < motes; i++) {
+      const x = ((i * 7919) % w + t * 0.5) % w;
+      const y = ((i * 104729) % h + Math.sin(t / 400 + i) * 6 + h) % h;
+      ctx.fillRect(x, y, 2, 2);
+    }
+  } else if (kind === 'heat_wave') {
+    // Warm tint that pulses gently
+    const a = 0.12 + 0.04 * Math.sin(t / 700);
+    ctx.fillStyle = `rgba(255, 140, 40, ${a.toFixed(3)})`;
+    ctx.fillRect(0, 0, w, h);
+  }
+  ctx.restore();
+}
+
 /* --------------------------------------------------------------------------- */
 // ----------------------------- Game Loop -------------------------------------
 
@@ -3856,9 +7802,10 @@ function loop(ts) {
   const dt = (ts - lastTime) || 16;
   lastTime = ts;
 
-  tickWorld(dt, ts);
+  tickWorld(Date.now());
   stepPlayer(dt);
   updatePlayerAnim(dt);
+  updatePet();
   updateOtherPlayers(dt);
   draw();
   drawMinimap();
@@ -3869,6 +7816,9 @@ function loop(ts) {
   // Gathering progress + UI
   updateGathering(ts);
   updateGatherUI();
+  updateCrafting();
+  updateRespawns();
+  updateWeather();
 
   Game._autosaveMs += dt;
   if (Game._autosaveMs >= AUTOSAVE_INTERVAL_MS) {
@@ -3882,37 +7832,44 @@ function loop(ts) {
 // ----------------------------- Initialization --------------------------------
 
 function init() {
-  // Build new world or load
+  // Build new world or load (saves store only the tiles that differ from this baseline)
+  Game.worldGen = savedWorldGen();
   generateWorld();
+  captureWorldBaseline();
+  Game._worldReady = true;
   const didLoad = load();
+  if (!didLoad) migrateFreshGame();
+  document.addEventListener('visibilitychange', () => { if (document.hidden) saveOnHide(); });
+  window.addEventListener('pagehide', saveOnHide);
 
-  // Migrate decor to new categories/kinds and wire spritesheets
-  migrateDecorTypes();
-
-  // Ensure any pre-existing path tiles are removed
-  removePathsFromWorld();
-
-  // Prune saved trees by ~50% once
-  pruneTreesByHalfOnce();
-  removeDefaultSeedsOnce();
+  // Wire spritesheets for decor drawing
+  ensureSpriteSheetAPI();
 
   // Ensure a username exists and enable editing in Profile
   ensureUsername();
   setupUsernameEditing();
   setupUsernameModal();
+  setupChatPanel();
 
   // Ensure Prophecy Seller exists on loaded worlds as well (fixed at 128,59)
   try {
     const hasSeller = Array.isArray(Game.decor) && Game.decor.some(d => d && d.type === 'npc' && (d.name === 'Prophecy Seller' || d.role === 'seller'));
     if (!hasSeller && window.Customization && typeof window.Customization.spawnNPC === 'function') {
-      window.Customization.spawnNPC(128, 59, 'Prophecy Seller', { role: 'seller' });
+      window.Customization.spawnNPC(WorldLayout.SELLER.x, WorldLayout.SELLER.y, 'Prophecy Seller', { role: 'seller' });
       save();
     }
   } catch (e) {}
 
+  // Bunker: make sure the overworld hatch exists (legacy room claims migrate with the save)
+  try { ensureBunkerHatch(); } catch (e) {}
+  ensureZoneGates();
+
   // Build minimap base from current world
   try { buildMinimapBase(); } catch (e) {}
 
+  // Back into the zone the save was made in (the overworld above is complete by now)
+  try { restoreSavedZone(); } catch (e) {}
+
   if (!didLoad) {
     save();
   }
@@ -3921,6 +7878,7 @@ function init() {
   updateInventoryUI();
   updateHUD();
   Mechanics.init();
+  applyBunkerBonuses();
   ensureSkills();
   updateSkillsModal();
 
@@ -3957,10 +7915,22 @@ if (window.Preloader && typeof window.Preloader.waitUntilReady === 'function') {
 /*
 Future systems can hook into this structure:
 - Animals: add new entity layer with AI update step and rendering pass
-- Crafting: add recipes and a crafting UI; items can be added to inventory.inv
+- Pets: add species via Pets.register (pets.js); a new bonus key needs a hook in main.js like petStaminaCost() or petGatherFlowers()
+- Crafting: register more recipes via CraftingSystem.register (crafting.js)
+- Crops: add crops and fertilizers via CropRegistry.register / registerFertilizer (crops.js); list new produce in itemlist.js
+- Farm devices: add a kind to devices.js (radius, draw) plus a crafting recipe; its behaviour goes in runDevices()
+- Loot: tune per-kind drop odds and secondary drops via ItemSystem.setLootTable (item.js)
 - Quests: add a quest log and trigger checks on interactFront() or growth events
-- NPCs/Town: add additional maps or off-farm areas; portal tiles into new scenes
-- Weather: influence watering duration or growth speed
+- Bunker: add rooms/levels via BunkerRooms.register (bunker.js); station recipes use `station` + STATION_ROOMS
+- NPCs/Town: add NPCs to a zone's generate() decor
+- World generation: add biomes or mineral tiers in worldgen.js; kinds must exist in ASSET_MANIFEST
+- Zones: add maps via Zones.register (zones.js) with generate() and portals; link them from OVERWORLD_GATES or a decor `portal`
+- Shared world: new gatherable node types go in SHARED_NODE_TYPES (and world_apply's node checks); regenerate supabase_seed_world.sql (tools/gen_world_sql.js) after changing worldgen, zone generators or decor kinds; call shareCell() after player changes to a tile
+- Chat: plug word lists or moderation in with Chat.addFilter (chat.js); new modes need a channel in chat_post's check
+- Mail: server systems send mail with mail_send (admins use mail_grant); claims are mirrored locally in applyMailClaim()
+- Marketplace: listings, bids and settlement are market_* RPCs; every outcome is delivered as mail (mail_send)
+- Trading: offers move through the trade_* RPCs (escrowed server-side); apply any new outcome locally in settleTrade()
+- Weather: add a kind to weather.js (duration, transitions, effects); main.js reads effects via weatherEffects()
 - Time of day (optional): visual lighting only (no day ticks required)
 */
 
@@ -10,6 +10,16 @@ const Mechanics = {
     junk: 0,
     ada: 0
   },
+  // Server account balance (profiles.cash / junk, see main.js Server Balances); the HUD adds it to the
+  // device's currencies so players see one balance
+  bank: {
+    cash: 0,
+    junk: 0
+  },
+  setBank(bank) {
+    this.bank = { cash: bank.cash || 0, junk: bank.junk || 0 };
+    updateCurrenciesUI();
+  },
   drain(amount) {
     this.stamina.current = Math.max(0, this.stamina.current - amount);
     updateStaminaUI();
@@ -141,11 +151,11 @@ function updateStaminaUI() {
 function updateCurrenciesUI() {
   const cashEl = document.getElementById('cash-display');
   if (cashEl) {
-    cashEl.textContent = `Cash: ${Mechanics.currencies.cash}`;
+    cashEl.textContent = `Cash: ${Mechanics.currencies.cash + Mechanics.bank.cash}`;
   }
   const junkEl = document.getElementById('junk-display');
   if (junkEl) {
-    junkEl.textContent = `$JUNK: ${Mechanics.currencies.junk}`;
+    junkEl.textContent = `$JUNK: ${Mechanics.currencies.junk + Mechanics.bank.junk}`;
   }
   const adaEl = document.getElementById('ada-display');
   if (adaEl) {
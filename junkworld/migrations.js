@@ -0,0 +1,258 @@
+/*
+  Save Migrations
+  - The save blob written by save() carries `schemaVersion`. On load, every registered migration with
+    a higher version runs once, in ascending order, against a copy of the blob.
+  - Migrations are plain functions over JSON data, so they can be tested without the game
+    (tools/check_migrations.js runs each one):
+        const { SaveMigrations } = require('./migrations.js');
+        const out = SaveMigrations.run({ schemaVersion: 0, inv: {...}, decor: [...] }, { rng: () => 0.3 });
+  - If any migration throws, run() discards the copy and returns the original blob unchanged
+    (with `error` set), so the caller keeps playing on the pre-migration save.
+
+  Migration shape:
+      {
+        version: 3,                          // unique, ascending
+        name: 'prune-trees-half',
+        legacyFlag?: 'junkora-pruned-trees-v1', // skipped when ctx.legacyFlag(name) is true (pre-schema one-off flags)
+        up(save, ctx) { ... },               // mutate `save` in place
+      }
+
+  Context (all optional; supplied by main.js in the game):
+      ctx.rng()                     -> number in [0, 1)
+      ctx.legacyFlag(name)          -> boolean
+      ctx.legacyValue(name)         -> string | null  (pre-schema localStorage value)
+      ctx.bunkerRooms               -> [slug]  room slugs bunker.js knows
+      ctx.decorKinds                -> { Trees: [...], flowers: [...], minerals: [...] }
+      ctx.crops                     -> { [cropId]: produceName }
+      ctx.tiles                     -> { Grass, Path, Soil } tile ids
+      ctx.world                     -> { width, height, tileAt(x, y) }  read-only view of loaded tiles
+      ctx.setTile(x, y, patch)      -> queue a tile change; returned as result.tileOps, applied only on success
+
+  Public API (global):
+      SaveMigrations.register(migration)
+      SaveMigrations.list()
+      SaveMigrations.latestVersion()
+      SaveMigrations.run(save, ctx?) -> { save, from, to, applied: [name], tileOps: [{ x, y, patch }], error? }
+*/
+
+(function () {
+  const migrations = [];
+
+  function register(m) {
+    if (!m || typeof m.version !== "number" || typeof m.up !== "function") {
+      throw new Error("register(migration): version (number) and up(save, ctx) are required.");
+    }
+    if (migrations.some((x) => x.version === m.version)) {
+      throw new Error(`register(migration): version ${m.version} is already registered.`);
+    }
+    migrations.push({ name: `v${m.version}`, ...m });
+    migrations.sort((a, b) => a.version - b.version);
+    return m;
+  }
+
+  function latestVersion() {
+    return migrations.length ? migrations[migrations.length - 1].version : 0;
+  }
+
+  function run(save, ctx = {}) {
+    const from = (save && typeof save.schemaVersion === "number") ? save.schemaVersion : 0;
+    const result = { save, from, to: from, applied: [], tileOps: [] };
+    const pending = migrations.filter((m) => m.version > from);
+    if (pending.length === 0) return result;
+
+    const work = JSON.parse(JSON.stringify(save || {}));
+    const tileOps = [];
+    const c = {
+      rng: Math.random,
+      legacyFlag: () => false,
+      legacyValue: () => null,
+      ...ctx,
+      setTile(x, y, patch) {
+        tileOps.push({ x, y, patch });
+      },
+    };
+
+    const applied = [];
+    for (const m of pending) {
+      try {
+        if (!(m.legacyFlag && c.legacyFlag(m.legacyFlag))) {
+          m.up(work, c);
+          applied.push(m.name);
+        }
+        work.schemaVersion = m.version;
+      } catch (error) {
+        return { ...result, error: { version: m.version, name: m.name, error } };
+      }
+    }
+    return { save: work, from, to: work.schemaVersion, applied, tileOps };
+  }
+
+  // ----- Game migrations (formerly one-off functions in main.js init) -----
+
+  // Build per-identity stacks (gitems) from the legacy name -> count aggregate
+  register({
+    version: 1,
+    name: "gather-identity-stacks",
+    up(save) {
+      const inv = save.inv || (save.inv = {});
+      if (!inv.gitems) inv.gitems = {};
+      if (Object.keys(inv.gitems).length > 0) return;
+      const meta = inv.itemMeta || {};
+      Object.entries(inv.items || {}).forEach(([name, count]) => {
+        if (!count || count <= 0) return;
+        const m = meta[name];
+        if (m && m.countsByRarity && Object.keys(m.countsByRarity).length > 0) {
+          // Split legacy counts by rarity; quality unknown
+          let sumR = 0;
+          Object.entries(m.countsByRarity).forEach(([rarity, rc]) => {
+            if (!rc || rc <= 0) return;
+            const key = `${name}__${rarity}__Unknown`;
+            inv.gitems[key] = (inv.gitems[key] || 0) + rc;
+            sumR += rc;
+          });
+          // If totals don't add up, put remainder into Unknown/Unknown
+          if (sumR < count) {
+            const key = `${name}__Unknown__Unknown`;
+            inv.gitems[key] = (inv.gitems[key] || 0) + (count - sumR);
+          }
+        } else {
+          const key = `${name}__Unknown__Unknown`;
+          inv.gitems[key] = (inv.gitems[key] || 0) + count;
+        }
+      });
+    },
+  });
+
+  // Old decor types (tree/rock/flower) -> asset categories, with a kind and animation offset
+  register({
+    version: 2,
+    name: "decor-categories",
+    up(save, ctx) {
+      const kindsFor = ctx.decorKinds || {};
+      for (const d of save.decor || []) {
+        if (!d || !d.type) continue;
+        if (d.type === "tree") d.type = "Trees";
+        else if (d.type === "rock") d.type = "minerals";
+        else if (d.type === "flower") d.type = "flowers";
+        const kinds = kindsFor[d.type] || [];
+        if (!d.kind && kinds.length) d.kind = kinds[Math.floor(ctx.rng() * kinds.length)];
+        if (typeof d.animOffset !== "number") d.animOffset = Math.floor(ctx.rng() * 1000);
+      }
+    },
+  });
+
+  // Path tiles were removed from the map; turn any saved ones back into grass
+  register({
+    version: 3,
+    name: "remove-path-tiles",
+    up(save, ctx) {
+      const w = ctx.world;
+      const tiles = ctx.tiles;
+      if (!w || !tiles) return;
+      for (let y = 0; y < w.height; y++) {
+        for (let x = 0; x < w.width; x++) {
+          const t = w.tileAt(x, y);
+          if (t && t.tileId === tiles.Path) ctx.setTile(x, y, { tileId: tiles.Grass, walkable: true });
+        }
+      }
+    },
+  });
+
+  // Thin out roughly half of the saved trees (tree density was halved)
+  register({
+    version: 4,
+    name: "prune-trees-half",
+    legacyFlag: "junkora-pruned-trees-v1",
+    up(save, ctx) {
+      if (!Array.isArray(save.decor)) return;
+      save.decor = save.decor.filter((d) => {
+        if (!d || d.type !== "Trees" || !(ctx.rng() < 0.5)) return true;
+        ctx.setTile(d.x, d.y, { walkable: true });
+        return false;
+      });
+    },
+  });
+
+  // Starter seeds are no longer granted
+  register({
+    version: 5,
+    name: "remove-default-seeds",
+    legacyFlag: "junkora-removed-default-seeds-v1",
+    up(save) {
+      const seeds = save.inv && save.inv.seeds;
+      if (!seeds) return;
+      seeds.turnip = 0;
+      seeds.wheat = 0;
+      seeds.corn = 0;
+    },
+  });
+
+  // Harvested crops moved from inv.crops counts into identity stacks (crops.js rolls rarity/quality)
+  register({
+    version: 6,
+    name: "crop-identity-stacks",
+    up(save, ctx) {
+      const inv = save.inv;
+      if (!inv || !inv.crops) return;
+      const names = ctx.crops || {};
+      if (!inv.gitems) inv.gitems = {};
+      Object.entries(inv.crops).forEach(([type, count]) => {
+        if (!count || count <= 0) return;
+        const name = names[type] || type.charAt(0).toUpperCase() + type.slice(1);
+        const key = `${name}__Unknown__Unknown`;
+        inv.gitems[key] = (inv.gitems[key] || 0) + count;
+      });
+      delete inv.crops;
+    },
+  });
+
+  // Bunker planters moved from bunker.tiles ([x, y, plant]) into the zone save (zones.js tile entries)
+  register({
+    version: 7,
+    name: "bunker-zone-tiles",
+    up(save, ctx) {
+      const b = save.bunker;
+      if (!b || !Array.isArray(b.tiles)) return;
+      const soil = (ctx.tiles && ctx.tiles.Soil) ?? 1;
+      if (!save.zones) save.zones = {};
+      if (!save.zones.bunker) {
+        save.zones.bunker = {
+          tiles: b.tiles.filter((e) => e && e[2]).map(([x, y, plant]) => [x, y, soil, 1, 1, Number.MAX_SAFE_INTEGER, plant]),
+          tickAt: b.tickAt || 0,
+        };
+      }
+      delete b.tiles;
+      delete b.tickAt;
+    },
+  });
+
+  // The old bunker picker stored a room slug in 'junkora-bunker-type'; saves from before bunker rooms
+  // existed get that room at level 1. Saves with `bunker` already have rooms, and a new game (no player
+  // saved yet) has no claim to carry over.
+  register({
+    version: 8,
+    name: "bunker-legacy-claim",
+    up(save, ctx) {
+      if (save.bunker || !save.player) return;
+      const slug = ctx.legacyValue("junkora-bunker-type");
+      save.bunker = { rooms: {}, restedAt: 0 };
+      if (slug && (ctx.bunkerRooms || []).includes(slug)) save.bunker.rooms[slug] = 1;
+    },
+  });
+
+  const SaveMigrations = {
+    register,
+    list() {
+      return migrations.map(({ version, name, legacyFlag }) => ({ version, name, legacyFlag: legacyFlag || null }));
+    },
+    latestVersion,
+    run,
+  };
+
+  if (typeof window !== "undefined") {
+    window.SaveMigrations = SaveMigrations;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { SaveMigrations };
+  }
+})();
@@ -0,0 +1,143 @@
+/*
+  Pets
+  - Companion registry and rules. A player can adopt one pet of each species and have one of them follow
+    at a time; main.js walks it one step behind the player, draws it and applies its bonuses.
+  - Pets eat crops (CropRegistry produce) from the inventory. A meal gives XP (double for a favourite)
+    and keeps the pet fed for FEED_MS more, at most MAX_FED_MS ahead. Bonuses only apply while it is fed.
+  - Species shape:
+      {
+        id: 'scrap_pup',
+        label: 'Scrap Pup',
+        summary: 'Carries your load: some gathers and harvests cost no stamina',
+        shape: 'pup' | 'moth',              // how main.js draws it
+        color: '#c08552', accent: '#5b3a29',
+        favorites: ['corn'],                // crop ids worth double XP
+        bonuses(level) -> { staminaSave?: 0..1, flowerGatherMs?: ms }
+      }
+    staminaSave: chance that a point of gathering/harvest stamina is not spent.
+    flowerGatherMs: the pet gathers a flower next to it this often.
+  - Pet state (saved with the player): { species, name, level, xp, fedUntil }
+
+  Public API (global):
+      Pets.MAX_LEVEL / Pets.FEED_MS / Pets.MAX_FED_MS
+      Pets.register(species)
+      Pets.get(id) / list()
+      Pets.create(speciesId, name?)     -> pet state
+      Pets.xpToNext(level)              -> XP needed to leave `level` (Infinity at MAX_LEVEL)
+      Pets.addXp(pet, amount)           -> levels gained
+      Pets.feed(pet, cropId, now?)      -> { xp, levels } | null when the pet is full
+      Pets.isFed(pet, now?)             -> boolean
+      Pets.bonuses(pet, now?)           -> { staminaSave, flowerGatherMs }  (0 / null when unfed)
+*/
+
+(function () {
+  const MAX_LEVEL = 10;
+  const FEED_MS = 30 * 60 * 1000;      // fed time per crop
+  const MAX_FED_MS = 8 * 60 * 60 * 1000;
+  const MEAL_XP = 5;
+
+  const species = {};
+  const order = [];
+
+  function register(s) {
+    if (!s || !s.id) throw new Error("register(species): species.id is required.");
+    if (typeof s.bonuses !== "function") {
+      throw new Error(`register(species): '${s.id}' needs bonuses(level).`);
+    }
+    const def = { label: s.id, summary: "", shape: "pup", color: "#c08552", accent: "#5b3a29", favorites: [], ...s };
+    if (!species[def.id]) order.push(def.id);
+    species[def.id] = def;
+    return def;
+  }
+
+  function get(id) {
+    return species[id] || null;
+  }
+
+  function create(speciesId, name) {
+    const s = species[speciesId];
+    if (!s) throw new Error(`create(speciesId): unknown species '${speciesId}'.`);
+    return { species: s.id, name: name || s.label, level: 1, xp: 0, fedUntil: 0 };
+  }
+
+  function xpToNext(level) {
+    return level >= MAX_LEVEL ? Infinity : 15 * level;
+  }
+
+  function addXp(pet, amount) {
+    let levels = 0;
+    pet.xp = (pet.xp || 0) + amount;
+    while (pet.xp >= xpToNext(pet.level)) {
+      pet.xp -= xpToNext(pet.level);
+      pet.level += 1;
+      levels += 1;
+    }
+    if (pet.level >= MAX_LEVEL) pet.xp = 0;
+    return levels;
+  }
+
+  function feed(pet, cropId, now = Date.now()) {
+    const s = species[pet.species];
+    const from = Math.max(now, pet.fedUntil || 0);
+    if (from + FEED_MS > now + MAX_FED_MS) return null;
+    pet.fedUntil = from + FEED_MS;
+    const xp = s && s.favorites.includes(cropId) ? MEAL_XP * 2 : MEAL_XP;
+    return { xp, levels: addXp(pet, xp) };
+  }
+
+  function isFed(pet, now = Date.now()) {
+    return !!pet && (pet.fedUntil || 0) > now;
+  }
+
+  function bonuses(pet, now = Date.now()) {
+    const out = { staminaSave: 0, flowerGatherMs: null };
+    const s = pet && species[pet.species];
+    if (!s || !isFed(pet, now)) return out;
+    return { ...out, ...(s.bonuses(Math.min(pet.level, MAX_LEVEL)) || {}) };
+  }
+
+  register({
+    id: "scrap_pup",
+    label: "Scrap Pup",
+    summary: "Carries your load: some gathers and harvests cost no stamina",
+    shape: "pup",
+    color: "#c08552",
+    accent: "#5b3a29",
+    favorites: ["corn", "turnip"],
+    bonuses: (level) => ({ staminaSave: 0.1 + 0.04 * (level - 1) }),
+  });
+  register({
+    id: "bloom_moth",
+    label: "Bloom Moth",
+    summary: "Gathers flowers growing next to it",
+    shape: "moth",
+    color: "#e9d5ff",
+    accent: "#a855f7",
+    favorites: ["tomato", "wheat"],
+    bonuses: (level) => ({ flowerGatherMs: Math.max(15000, 60000 - 5000 * (level - 1)) }),
+  });
+
+  const Pets = {
+    MAX_LEVEL,
+    FEED_MS,
+    MAX_FED_MS,
+    register,
+    get,
+    list() {
+      return order.map((id) => species[id]);
+    },
+    create,
+    xpToNext,
+    addXp,
+    feed,
+    isFed,
+    bonuses,
+  };
+
+  if (typeof window !== "undefined") {
+    window.Pets = Pets;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { Pets };
+  }
+})();
@@ -0,0 +1,116 @@
+/*
+  Shop Prices
+  - What the Prophecy Seller, the inventory SELL buttons and the crop shop pay for a stack:
+        max(1, round(base * rarity multiplier * quality multiplier))
+  - The base comes from the item's ItemList category (crops use their CropRegistry sellPrice); names
+    ItemList doesn't know fall back to the category an ItemSystem gather recorded for them.
+  - tools/gen_seed_sql.js seeds the same bases and multipliers into items.sell_price and shop_mults, so
+    shop_sell pays exactly what the client shows for the stacks the server holds.
+
+  Public API (global):
+      ShopPrices.rarity / quality / unknownRarity / unknownQuality -> multiplier tables (lowercased names)
+      ShopPrices.categoryBase                       -> { trees, flowers, minerals, misc, crafted } base prices
+      ShopPrices.rarityMult(rarity) / qualityMult(quality)
+      ShopPrices.basePrice(name, category?)         -> base price; category is an ItemSystem category hint
+      ShopPrices.price(name, rarity, quality, category?) -> price of one unit
+      ShopPrices.seedSellPrice(crop)                -> what a packet of the crop's seeds sells back for
+*/
+
+(function () {
+  const rarity = {
+    common: 1.0,
+    uncommon: 1.5,
+    rare: 3.0,
+    epic: 6.0, // legacy alias (not used by ItemSystem)
+    legendary: 12.0,
+    mythic: 20.0,
+    godlike: 40.0,
+  };
+  const unknownRarity = 0.75;
+
+  const quality = {
+    // Back-compat (older naming)
+    poor: 0.6,
+    common: 1.0,
+    good: 1.25,
+    excellent: 1.75,
+    pristine: 2.25,
+    // ItemSystem qualities
+    dull: 0.6,
+    normal: 1.0,
+    refined: 1.5,
+    exquisite: 3.0,
+  };
+  const unknownQuality = 1.0;
+
+  const categoryBase = { trees: 12, flowers: 8, minerals: 15, misc: 10, crafted: 30 };
+
+  // ItemSystem / itemMeta category names -> ItemList categories
+  const HINTS = {
+    mineral: "minerals",
+    minerals: "minerals",
+    tree: "trees",
+    wood: "trees",
+    fruit: "trees",
+    flower: "flowers",
+    flowers: "flowers",
+    crafted: "crafted",
+  };
+
+  function rarityMult(r) {
+    const m = rarity[String(r || "Unknown").toLowerCase()];
+    return m != null ? m : unknownRarity;
+  }
+
+  function qualityMult(q) {
+    const m = quality[String(q || "Unknown").toLowerCase()];
+    return m != null ? m : unknownQuality;
+  }
+
+  function listCategory(name) {
+    const list = typeof window !== "undefined" && window.ItemList;
+    if (!list) return null;
+    for (const cat of Object.keys(categoryBase)) {
+      if (list.findByName(cat, name)) return cat;
+    }
+    const tuple = list.findAnyByName(name);
+    if (!tuple) return null;
+    return Object.keys(categoryBase).find((cat) => list[cat].includes(tuple)) || null;
+  }
+
+  function basePrice(name, category) {
+    const crops = typeof window !== "undefined" && window.CropRegistry;
+    const crop = crops && crops.findByName(name);
+    if (crop) return crop.sellPrice;
+    const cat = listCategory(name) || HINTS[String(category || "").toLowerCase()];
+    return categoryBase[cat] || categoryBase.misc;
+  }
+
+  function price(name, r, q, category) {
+    return Math.max(1, Math.round(basePrice(name, category) * rarityMult(r) * qualityMult(q)));
+  }
+
+  function seedSellPrice(crop) {
+    return crop ? Math.max(1, Math.round((crop.seedPrice || 0) * 0.5)) : 2;
+  }
+
+  const ShopPrices = {
+    rarity,
+    quality,
+    unknownRarity,
+    unknownQuality,
+    categoryBase,
+    rarityMult,
+    qualityMult,
+    basePrice,
+    price,
+    seedSellPrice,
+  };
+
+  if (typeof window !== "undefined") {
+    window.ShopPrices = ShopPrices;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { ShopPrices };
+  }
+})();
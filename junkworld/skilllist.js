@@ -0,0 +1,56 @@
+/*
+  Skill List (client skill keys <-> server skills catalog)
+  - Each skill uses the tuple format: [skillID, slug, name]
+  - skillID is the smallint primary key of public.skills; slug is the key used in Game.skills.
+  - Keep ids stable: user_skills rows reference them.
+  - The gather skills (mining, flower, harvesting) level on the server in the shared world: world_apply
+    awards their XP and rolls with their levels, and the client mirrors them when the world syncs (XP
+    earned offline or in other worlds stays in the save and is replaced). The XP curve is seeded into
+    gather_settings by tools/gen_seed_sql.js. Crafting and cooking only level in the save.
+
+  Public API (global):
+      SkillList.skills             -> [[id, slug, name], ...]
+      SkillList.findBySlug(slug)   -> tuple | null
+      SkillList.defaults()         -> { [slug]: { level: 1, exp: 0 } }
+      SkillList.gather             -> slugs of the skills that scale gather odds
+      SkillList.xpCurve            -> { base, perLevel }  XP to level up is base + (level - 1) * perLevel
+      SkillList.expNeededFor(level) -> XP needed to go from `level` to the next
+*/
+
+(function () {
+  const SkillList = {
+    skills: [
+      [1, "mining", "Mining"],          // minerals
+      [7, "crafting", "Crafting"],      // workshop recipes
+      [9, "cooking", "Cooking"],        // bunker kitchen recipes
+      [10, "flower", "Flower Picking"], // flowers
+      [11, "harvesting", "Harvesting"], // trees (fruit/wood) and crop harvests
+    ],
+
+    findBySlug(slug) {
+      return this.skills.find((s) => s[1] === slug) || null;
+    },
+
+    gather: ["mining", "flower", "harvesting"],
+
+    xpCurve: { base: 10, perLevel: 10 },
+
+    expNeededFor(level) {
+      const lv = Math.max(1, Math.floor(level || 1));
+      return this.xpCurve.base + (lv - 1) * this.xpCurve.perLevel;
+    },
+
+    defaults() {
+      const out = {};
+      for (const [, slug] of this.skills) out[slug] = { level: 1, exp: 0 };
+      return out;
+    },
+  };
+
+  if (typeof window !== "undefined") {
+    window.SkillList = SkillList;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { SkillList };
+  }
+})();
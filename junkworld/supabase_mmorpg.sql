@@ -28,7 +28,9 @@ CREATE TABLE IF NOT EXISTS public.profiles (
   updated_at timestamptz NOT NULL DEFAULT now()
 );
 
--- Per-user world position/state (one row per user)
+-- Per-user world position/state (one row per user), written only through state_move so trade_open and
+-- world_apply can rely on it. trail: the last positions [[x, y, ms], ...] in the current zone;
+-- returns: { '<world>/<zone>': [x, y] } where the player last left each shared zone.
 CREATE TABLE IF NOT EXISTS public.user_state (
   id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
   user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES public.profiles(user_id) ON DELETE CASCADE,
@@ -39,6 +41,9 @@ CREATE TABLE IF NOT EXISTS public.user_state (
   updated_at timestamptz NOT NULL DEFAULT now(),
   UNIQUE (user_id)
 );
+ALTER TABLE public.user_state ADD COLUMN IF NOT EXISTS world text;
+ALTER TABLE public.user_state ADD COLUMN IF NOT EXISTS trail jsonb NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE public.user_state ADD COLUMN IF NOT EXISTS returns jsonb NOT NULL DEFAULT '{}'::jsonb;
 
 -- Skills reference (read-only catalog)
 CREATE TABLE IF NOT EXISTS public.skills (
@@ -47,7 +52,8 @@ CREATE TABLE IF NOT EXISTS public.skills (
   name text NOT NULL
 );
 
--- Per-user skill progression
+-- Per-user skill progression of the gather skills (gather_loot.skill), written only by world_apply
+-- (skill_gain); the client's other skills live in its save
 CREATE TABLE IF NOT EXISTS public.user_skills (
   user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES public.profiles(user_id) ON DELETE CASCADE,
   skill_id smallint NOT NULL REFERENCES public.skills(id) ON DELETE CASCADE,
@@ -57,13 +63,23 @@ CREATE TABLE IF NOT EXISTS public.user_skills (
 );
 
 -- Items reference (optional catalog for inventory integrity)
+-- Base rows use ItemList ids as slug. Gathered stacks are rarity/quality-aware
+-- identity rows derived from a base row: slug = '<base>__<rarity>__<quality>'.
 CREATE TABLE IF NOT EXISTS public.items (
   id bigserial PRIMARY KEY,
   slug text NOT NULL UNIQUE,
   name text NOT NULL,
   rarity text,
+  quality text,
+  base_slug text REFERENCES public.items(slug) ON DELETE CASCADE,
   stackable boolean NOT NULL DEFAULT true
 );
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS quality text;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS base_slug text REFERENCES public.items(slug) ON DELETE CASCADE;
+-- ItemList category of base rows (trees | flowers | minerals | misc | crafted | crops); identity rows use their base's
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS category text;
+-- What the shop pays for one plain unit of a base row (ShopPrices.basePrice); identity rows use their base's
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS sell_price int;
 
 -- Per-user inventory (one row per item per user)
 CREATE TABLE IF NOT EXISTS public.user_inventory (
@@ -73,6 +89,17 @@ CREATE TABLE IF NOT EXISTS public.user_inventory (
   PRIMARY KEY (user_id, item_id)
 );
 
+-- Inventory audit trail (written only by the inventory_* functions below)
+CREATE TABLE IF NOT EXISTS public.inventory_audit (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  item_id bigint NOT NULL REFERENCES public.items(id) ON DELETE CASCADE,
+  delta bigint NOT NULL,
+  reason text,
+  counterparty uuid,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
 -- Save slots (JSON blobs for arbitrary game state snapshots)
 CREATE TABLE IF NOT EXISTS public.user_saves (
   user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES public.profiles(user_id) ON DELETE CASCADE,
@@ -82,6 +109,237 @@ CREATE TABLE IF NOT EXISTS public.user_saves (
   PRIMARY KEY (user_id, slot)
 );
 
+-- Player-placed storage chests (placed, filled and removed only through the chest_* functions below)
+-- id is generated by the client so the local decor entry and the server row share it.
+-- Chests are per player: they live in the owner's decor, so two players (or one player's two worlds)
+-- can each have a chest on the same tile. world is WorldSync.worldKey() of the save ('legacy' |
+-- 'biomes:<seed>'); rows from before it existed count as 'legacy'.
+CREATE TABLE IF NOT EXISTS public.player_chests (
+  id uuid PRIMARY KEY,
+  user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  world text NOT NULL DEFAULT 'legacy',
+  zone text NOT NULL DEFAULT 'overworld',
+  x int NOT NULL,
+  y int NOT NULL,
+  capacity smallint NOT NULL DEFAULT 24 CHECK (capacity BETWEEN 1 AND 100),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+ALTER TABLE public.player_chests ADD COLUMN IF NOT EXISTS world text NOT NULL DEFAULT 'legacy';
+-- The first version keyed tiles globally (UNIQUE (zone, x, y)); see idx_player_chests_tile
+ALTER TABLE public.player_chests DROP CONSTRAINT IF EXISTS player_chests_zone_x_y_key;
+
+-- Chest contents (one row per identity stack; capacity counts rows)
+CREATE TABLE IF NOT EXISTS public.chest_items (
+  chest_id uuid NOT NULL REFERENCES public.player_chests(id) ON DELETE CASCADE,
+  item_id bigint NOT NULL REFERENCES public.items(id) ON DELETE CASCADE,
+  quantity bigint NOT NULL CHECK (quantity > 0),
+  PRIMARY KEY (chest_id, item_id)
+);
+
+-- Shared world state (written only through world_apply below). One row per cell of a shared zone
+-- that a player changed: node = gatherable node state (harvest counters, depletion, planted nodes),
+-- tile = the client's encoded tile state, owner = the player whose tilled plot it is (since tile_at).
+-- Cells without a row are as the world key's generator made them.
+CREATE TABLE IF NOT EXISTS public.world_cells (
+  world text NOT NULL,
+  zone text NOT NULL DEFAULT 'overworld',
+  x int NOT NULL,
+  y int NOT NULL,
+  node jsonb,
+  tile jsonb,
+  owner uuid REFERENCES public.profiles(user_id) ON DELETE SET NULL,
+  tile_at timestamptz,
+  updated_by uuid,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (world, zone, x, y)
+);
+
+-- Nodes the world generator places in a shared world, and the node kinds per type. Both are seeded by
+-- supabase_seed_world.sql (tools/gen_world_sql.js) and only read by world_apply, which takes a node's
+-- type and kind from here instead of from the client. Worlds without rows here are not shared.
+CREATE TABLE IF NOT EXISTS public.world_nodes (
+  world text NOT NULL,
+  zone text NOT NULL,
+  x int NOT NULL,
+  y int NOT NULL,
+  type text NOT NULL,
+  kind text NOT NULL,
+  anim_offset int NOT NULL DEFAULT 0,
+  PRIMARY KEY (world, zone, x, y)
+);
+
+CREATE TABLE IF NOT EXISTS public.world_node_kinds (
+  type text NOT NULL,
+  kind text NOT NULL,
+  PRIMARY KEY (type, kind)
+);
+
+-- Where a player may enter each shared zone of a shared world (zone spawns, the new-game spawn and
+-- portal arrivals), seeded by supabase_seed_world.sql. state_move only accepts arrivals near one of
+-- these or near where the player last left the zone.
+CREATE TABLE IF NOT EXISTS public.world_zone_entries (
+  world text NOT NULL,
+  zone text NOT NULL,
+  x int NOT NULL,
+  y int NOT NULL,
+  PRIMARY KEY (world, zone, x, y)
+);
+
+-- What harvesting a node kind yields (seeded by supabase_seed_catalog.sql from item.js loot tables).
+-- rarity: [[name, chance], ...] cascade, rarest first, 'Common' when none hits; quality: [[name, weight], ...];
+-- secondary: [{ slug, rarity, quality, chance, qty }] extra drops, each rolled on its own.
+-- The odds are a level-1 gatherer's; gather_credit scales them by the level of `skill`.
+CREATE TABLE IF NOT EXISTS public.gather_loot (
+  node_type text NOT NULL,
+  kind text NOT NULL,
+  item_slug text NOT NULL REFERENCES public.items(slug) ON DELETE CASCADE,
+  rarity jsonb NOT NULL,
+  quality jsonb NOT NULL,
+  secondary jsonb NOT NULL DEFAULT '[]'::jsonb,
+  PRIMARY KEY (node_type, kind)
+);
+ALTER TABLE public.gather_loot ADD COLUMN IF NOT EXISTS skill text;
+
+-- Gathering tuning (one row, seeded by supabase_seed_catalog.sql): the skill bonus to rare odds
+-- (ItemSystem.skillBonus), the XP curve (SkillList.xpCurve: base + (level - 1) * per_level to level up)
+-- and the harvest rate limit: min_gather_ms is the fastest a gather can finish (GatherSystem.timeMs with
+-- the best weather and a full Armory), gather_burst how many harvests may arrive at once.
+CREATE TABLE IF NOT EXISTS public.gather_settings (
+  id boolean PRIMARY KEY DEFAULT true CHECK (id),
+  skill_per_level float8 NOT NULL,
+  skill_max float8 NOT NULL,
+  xp_base int NOT NULL CHECK (xp_base > 0),
+  xp_per_level int NOT NULL CHECK (xp_per_level >= 0),
+  min_gather_ms int NOT NULL CHECK (min_gather_ms > 0),
+  gather_burst int NOT NULL DEFAULT 3 CHECK (gather_burst >= 1)
+);
+
+-- Per-user harvest rate limit (token bucket, see gather_take); server-side only
+CREATE TABLE IF NOT EXISTS public.gather_clock (
+  user_id uuid PRIMARY KEY REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  tokens float8 NOT NULL,
+  at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Player-to-player trades (written only through the trade_* functions below). Offers are escrowed:
+-- offered stacks and cash leave the offerer's inventory/balance when offered, go to the other side when
+-- both confirm, and go back to the offerer when the trade is cancelled. Offers are
+-- [{ slug, base_slug, name, rarity, quality, qty }]; version counts offer changes, and a confirmation
+-- names the version it agreed to. *_settled marks that a side's client has applied the outcome.
+CREATE TABLE IF NOT EXISTS public.trades (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  a_user uuid NOT NULL REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  b_user uuid NOT NULL REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  a_name text,
+  b_name text,
+  zone text,
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done', 'cancelled')),
+  version int NOT NULL DEFAULT 0,
+  a_items jsonb NOT NULL DEFAULT '[]'::jsonb,
+  b_items jsonb NOT NULL DEFAULT '[]'::jsonb,
+  a_cash bigint NOT NULL DEFAULT 0 CHECK (a_cash >= 0),
+  b_cash bigint NOT NULL DEFAULT 0 CHECK (b_cash >= 0),
+  a_confirmed boolean NOT NULL DEFAULT false,
+  b_confirmed boolean NOT NULL DEFAULT false,
+  a_settled boolean NOT NULL DEFAULT false,
+  b_settled boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  closed_at timestamptz,
+  CHECK (a_user <> b_user)
+);
+
+-- Recent chat (chat.js), written only through chat_post. channel is 'global' or 'local:<zone>';
+-- x/y is where a local message was said. Rows older than two days are pruned by chat_post.
+CREATE TABLE IF NOT EXISTS public.chat_messages (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  username text,
+  channel text NOT NULL,
+  x integer,
+  y integer,
+  body text NOT NULL CHECK (char_length(body) BETWEEN 1 AND 200),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Mail: messages to one player with optional attachments, written only by server functions (market
+-- settlement, daily rewards, admin grants) and claimed through mail_claim. Mail past expires_at can no
+-- longer be claimed and is pruned. items: [{ slug, base_slug, name, rarity, quality, qty }]
+CREATE TABLE IF NOT EXISTS public.mail (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  kind text NOT NULL DEFAULT 'system',
+  subject text NOT NULL,
+  body text,
+  items jsonb NOT NULL DEFAULT '[]'::jsonb,
+  cash bigint NOT NULL DEFAULT 0 CHECK (cash >= 0),
+  junk bigint NOT NULL DEFAULT 0 CHECK (junk >= 0),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  read_at timestamptz,
+  claimed_at timestamptz,
+  expires_at timestamptz NOT NULL DEFAULT now() + interval '30 days'
+);
+ALTER TABLE public.mail ADD COLUMN IF NOT EXISTS expires_at timestamptz NOT NULL DEFAULT now() + interval '30 days';
+
+-- One daily reward per player per (UTC) day; written only by mail_daily_reward
+CREATE TABLE IF NOT EXISTS public.daily_rewards (
+  user_id uuid NOT NULL REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  day date NOT NULL,
+  mail_id uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, day)
+);
+
+-- Marketplace listings (market_* functions only). A listing escrows one stack from the seller; the
+-- highest bid is escrowed from the bidder. Prices are for the whole stack in `currency`. Every outcome
+-- (items bought, proceeds, refunds, unsold stacks) is delivered by mail.
+CREATE TABLE IF NOT EXISTS public.market_listings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  seller uuid NOT NULL REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  seller_name text,
+  item_id bigint NOT NULL REFERENCES public.items(id) ON DELETE CASCADE,
+  slug text NOT NULL,
+  base_slug text,
+  name text NOT NULL,
+  rarity text,
+  quality text,
+  category text,
+  qty bigint NOT NULL CHECK (qty > 0),
+  currency text NOT NULL CHECK (currency IN ('cash', 'junk')),
+  start_price bigint NOT NULL CHECK (start_price > 0),
+  buyout_price bigint CHECK (buyout_price IS NULL OR buyout_price >= start_price),
+  bid bigint,
+  bidder uuid REFERENCES public.profiles(user_id) ON DELETE SET NULL,
+  bidder_name text,
+  bids int NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'sold', 'expired', 'cancelled')),
+  buyer uuid REFERENCES public.profiles(user_id) ON DELETE SET NULL,
+  price bigint,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  closed_at timestamptz
+);
+
+-- Shop price multipliers (seeded by supabase_seed_catalog.sql from prices.js): kind 'rarity' | 'quality',
+-- keyed by lowercased name; the '*' row of a kind is what names without a row get.
+CREATE TABLE IF NOT EXISTS public.shop_mults (
+  kind text NOT NULL CHECK (kind IN ('rarity', 'quality')),
+  name text NOT NULL,
+  mult float8 NOT NULL CHECK (mult > 0),
+  PRIMARY KEY (kind, name)
+);
+
+-- Every change shop_sell, cash_deposit and cash_spend make to a player's cash balance (written only by them)
+CREATE TABLE IF NOT EXISTS public.cash_ledger (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES public.profiles(user_id) ON DELETE CASCADE,
+  delta bigint NOT NULL,
+  reason text NOT NULL CHECK (reason IN ('shop', 'deposit', 'spend')),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
 -- updated_at triggers
 DROP TRIGGER IF EXISTS set_updated_at_profiles ON public.profiles;
 CREATE TRIGGER set_updated_at_profiles
@@ -98,11 +356,47 @@ CREATE TRIGGER set_updated_at_user_saves
 BEFORE UPDATE ON public.user_saves
 FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
 
+DROP TRIGGER IF EXISTS set_updated_at_player_chests ON public.player_chests;
+CREATE TRIGGER set_updated_at_player_chests
+BEFORE UPDATE ON public.player_chests
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS set_updated_at_market_listings ON public.market_listings;
+CREATE TRIGGER set_updated_at_market_listings
+BEFORE UPDATE ON public.market_listings
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS set_updated_at_trades ON public.trades;
+CREATE TRIGGER set_updated_at_trades
+BEFORE UPDATE ON public.trades
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
+DROP TRIGGER IF EXISTS set_updated_at_world_cells ON public.world_cells;
+CREATE TRIGGER set_updated_at_world_cells
+BEFORE UPDATE ON public.world_cells
+FOR EACH ROW EXECUTE FUNCTION public.set_updated_at();
+
 -- Useful indexes
 CREATE INDEX IF NOT EXISTS idx_user_state_user_id ON public.user_state(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_skills_user_id ON public.user_skills(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_inventory_user_id ON public.user_inventory(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_saves_user_id ON public.user_saves(user_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_audit_user_time ON public.inventory_audit(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_cash_ledger_user_time ON public.cash_ledger(user_id, reason, created_at);
+CREATE INDEX IF NOT EXISTS idx_items_base_slug ON public.items(base_slug);
+CREATE INDEX IF NOT EXISTS idx_player_chests_user_id ON public.player_chests(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_player_chests_tile ON public.player_chests(user_id, world, zone, x, y);
+CREATE INDEX IF NOT EXISTS idx_trades_a_user ON public.trades(a_user, status);
+CREATE INDEX IF NOT EXISTS idx_trades_b_user ON public.trades(b_user, status);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_channel ON public.chat_messages(channel, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_user ON public.chat_messages(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_created_at ON public.chat_messages(created_at);
+CREATE INDEX IF NOT EXISTS idx_mail_user_id ON public.mail(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mail_expires_at ON public.mail(expires_at);
+CREATE INDEX IF NOT EXISTS idx_market_listings_active ON public.market_listings(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_market_listings_browse ON public.market_listings(status, category, rarity);
+CREATE INDEX IF NOT EXISTS idx_market_listings_seller ON public.market_listings(seller, status);
+CREATE INDEX IF NOT EXISTS idx_market_listings_bidder ON public.market_listings(bidder, status);
 
 -- Enable RLS on per-user tables
 ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
@@ -110,6 +404,23 @@ ALTER TABLE public.user_state ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_skills ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_inventory ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_saves ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.inventory_audit ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.player_chests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.chest_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.world_cells ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.world_nodes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.world_node_kinds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.world_zone_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.gather_loot ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.gather_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.gather_clock ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.trades ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.chat_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mail ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.daily_rewards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.market_listings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shop_mults ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.cash_ledger ENABLE ROW LEVEL SECURITY;
 
 -- Profiles policies
 DROP POLICY IF EXISTS "Profiles are viewable by owner" ON public.profiles;
@@ -132,68 +443,142 @@ CREATE POLICY "Profiles can be deleted by owner"
   ON public.profiles FOR DELETE
   USING (auth.uid() = user_id);
 
--- User state policies
+-- Balances (cash, junk) belong to the server: only the trade, market, mail and shop/cash functions move them.
+-- Owners may write their name and wallet only (column grants; the policies above still apply).
+REVOKE INSERT, UPDATE ON TABLE public.profiles FROM anon, authenticated;
+GRANT INSERT (user_id, username, wallet_address) ON TABLE public.profiles TO authenticated;
+GRANT UPDATE (user_id, username, wallet_address) ON TABLE public.profiles TO authenticated;
+
+-- User state policies: owners read their row; positions are written only through state_move
 DROP POLICY IF EXISTS "State viewable by owner" ON public.user_state;
 CREATE POLICY "State viewable by owner"
   ON public.user_state FOR SELECT
   USING (auth.uid() = user_id);
 
 DROP POLICY IF EXISTS "State insert by owner" ON public.user_state;
-CREATE POLICY "State insert by owner"
-  ON public.user_state FOR INSERT
-  WITH CHECK (auth.uid() = user_id);
-
 DROP POLICY IF EXISTS "State update by owner" ON public.user_state;
-CREATE POLICY "State update by owner"
-  ON public.user_state FOR UPDATE
-  USING (auth.uid() = user_id);
-
 DROP POLICY IF EXISTS "State delete by owner" ON public.user_state;
-CREATE POLICY "State delete by owner"
-  ON public.user_state FOR DELETE
-  USING (auth.uid() = user_id);
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.user_state FROM anon, authenticated;
 
--- User skills policies
+-- User skills policies: owners read their levels; XP is only gained through world_apply, since
+-- gather_credit rolls with these levels
 DROP POLICY IF EXISTS "User skills viewable by owner" ON public.user_skills;
 CREATE POLICY "User skills viewable by owner"
   ON public.user_skills FOR SELECT
   USING (auth.uid() = user_id);
 
 DROP POLICY IF EXISTS "User skills insert by owner" ON public.user_skills;
-CREATE POLICY "User skills insert by owner"
-  ON public.user_skills FOR INSERT
-  WITH CHECK (auth.uid() = user_id);
-
 DROP POLICY IF EXISTS "User skills update by owner" ON public.user_skills;
-CREATE POLICY "User skills update by owner"
-  ON public.user_skills FOR UPDATE
-  USING (auth.uid() = user_id);
-
 DROP POLICY IF EXISTS "User skills delete by owner" ON public.user_skills;
-CREATE POLICY "User skills delete by owner"
-  ON public.user_skills FOR DELETE
-  USING (auth.uid() = user_id);
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.user_skills FROM anon, authenticated;
 
 -- User inventory policies
+-- Read-only for clients: every mutation goes through the SECURITY DEFINER
+-- inventory_* functions below, so quantities cannot be written directly.
 DROP POLICY IF EXISTS "Inventory viewable by owner" ON public.user_inventory;
 CREATE POLICY "Inventory viewable by owner"
   ON public.user_inventory FOR SELECT
   USING (auth.uid() = user_id);
 
 DROP POLICY IF EXISTS "Inventory insert by owner" ON public.user_inventory;
-CREATE POLICY "Inventory insert by owner"
-  ON public.user_inventory FOR INSERT
-  WITH CHECK (auth.uid() = user_id);
-
 DROP POLICY IF EXISTS "Inventory update by owner" ON public.user_inventory;
-CREATE POLICY "Inventory update by owner"
-  ON public.user_inventory FOR UPDATE
+DROP POLICY IF EXISTS "Inventory delete by owner" ON public.user_inventory;
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.user_inventory FROM anon, authenticated;
+
+-- Inventory audit policies (owner may read their own history)
+DROP POLICY IF EXISTS "Inventory audit viewable by owner" ON public.inventory_audit;
+CREATE POLICY "Inventory audit viewable by owner"
+  ON public.inventory_audit FOR SELECT
   USING (auth.uid() = user_id);
 
-DROP POLICY IF EXISTS "Inventory delete by owner" ON public.user_inventory;
-CREATE POLICY "Inventory delete by owner"
-  ON public.user_inventory FOR DELETE
+-- Cash ledger policies (owner may read their own history; rows come only from the shop/cash functions)
+DROP POLICY IF EXISTS "Cash ledger viewable by owner" ON public.cash_ledger;
+CREATE POLICY "Cash ledger viewable by owner"
+  ON public.cash_ledger FOR SELECT
+  USING (auth.uid() = user_id);
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.cash_ledger FROM anon, authenticated;
+
+-- Storage chest policies (read-only for clients, like user_inventory)
+DROP POLICY IF EXISTS "Chests viewable by owner" ON public.player_chests;
+CREATE POLICY "Chests viewable by owner"
+  ON public.player_chests FOR SELECT
   USING (auth.uid() = user_id);
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.player_chests FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Chest items viewable by owner" ON public.chest_items;
+CREATE POLICY "Chest items viewable by owner"
+  ON public.chest_items FOR SELECT
+  USING (EXISTS (SELECT 1 FROM public.player_chests c WHERE c.id = chest_id AND c.user_id = auth.uid()));
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.chest_items FROM anon, authenticated;
+
+-- Shared world policies: every player sees the same world; writes go through world_apply
+DROP POLICY IF EXISTS "World cells viewable by players" ON public.world_cells;
+CREATE POLICY "World cells viewable by players"
+  ON public.world_cells FOR SELECT
+  TO authenticated
+  USING (true);
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.world_cells FROM anon, authenticated;
+-- Generated nodes are server-side only (no policies: clients generate the same world themselves)
+REVOKE ALL ON TABLE public.world_nodes FROM anon, authenticated;
+REVOKE ALL ON TABLE public.world_node_kinds FROM anon, authenticated;
+REVOKE ALL ON TABLE public.world_zone_entries FROM anon, authenticated;
+REVOKE ALL ON TABLE public.gather_loot FROM anon, authenticated;
+REVOKE ALL ON TABLE public.gather_settings FROM anon, authenticated;
+REVOKE ALL ON TABLE public.gather_clock FROM anon, authenticated;
+REVOKE ALL ON TABLE public.shop_mults FROM anon, authenticated;
+
+-- Trade policies: both parties can read a trade; every change goes through the trade_* functions
+DROP POLICY IF EXISTS "Trades viewable by parties" ON public.trades;
+CREATE POLICY "Trades viewable by parties"
+  ON public.trades FOR SELECT
+  USING (auth.uid() = a_user OR auth.uid() = b_user);
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.trades FROM anon, authenticated;
+
+-- Chat policies: signed-in players read the last day of history; posting goes through chat_post
+DROP POLICY IF EXISTS "Recent chat viewable by players" ON public.chat_messages;
+CREATE POLICY "Recent chat viewable by players"
+  ON public.chat_messages FOR SELECT TO authenticated
+  USING (created_at > now() - interval '1 day');
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.chat_messages FROM anon, authenticated;
+
+-- Mail policies: players read their own mail; everything else goes through server functions
+DROP POLICY IF EXISTS "Users can view own mail" ON public.mail;
+CREATE POLICY "Users can view own mail"
+  ON public.mail FOR SELECT
+  USING (auth.uid() = user_id);
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.mail FROM anon, authenticated;
+DROP POLICY IF EXISTS "Users can view own daily rewards" ON public.daily_rewards;
+CREATE POLICY "Users can view own daily rewards"
+  ON public.daily_rewards FOR SELECT
+  USING (auth.uid() = user_id);
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.daily_rewards FROM anon, authenticated;
+
+-- Market policies: active listings are public to players; closed ones stay visible to the people in them
+DROP POLICY IF EXISTS "Market listings viewable by players" ON public.market_listings;
+CREATE POLICY "Market listings viewable by players"
+  ON public.market_listings FOR SELECT TO authenticated
+  USING (status = 'active' OR auth.uid() IN (seller, bidder, buyer));
+REVOKE INSERT, UPDATE, DELETE ON TABLE public.market_listings FROM anon, authenticated;
+
+-- Realtime: clients follow their world's cells, trades, mail and chat through postgres_changes
+DO $$
+DECLARE
+  v_table text;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    RETURN;
+  END IF;
+  FOREACH v_table IN ARRAY ARRAY['world_cells', 'trades', 'mail', 'chat_messages']
+  LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = v_table
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', v_table);
+    END IF;
+  END LOOP;
+END;
+$$;
 
 -- User saves policies
 DROP POLICY IF EXISTS "Saves viewable by owner" ON public.user_saves;
@@ -216,11 +601,1994 @@ CREATE POLICY "Saves delete by owner"
   ON public.user_saves FOR DELETE
   USING (auth.uid() = user_id);
 
+-- Inventory mutations (atomic, server-authoritative)
+-- inventory_add is internal (no client grant): gathers are credited by world_apply through
+-- gather_credit. Grants are capped per call and per minute (summed from the audit trail).
+CREATE OR REPLACE FUNCTION public.inventory_add(p_slug text, p_delta bigint, p_reason text DEFAULT 'gather')
+RETURNS public.user_inventory
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_item_id bigint;
+  v_recent bigint;
+  v_row public.user_inventory;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_delta IS NULL OR p_delta < 1 OR p_delta > 100 THEN
+    RAISE EXCEPTION 'delta must be between 1 and 100' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT id INTO v_item_id FROM public.items WHERE slug = p_slug;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown item %', p_slug USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COALESCE(sum(delta), 0) INTO v_recent
+  FROM public.inventory_audit
+  WHERE user_id = v_uid AND delta > 0 AND counterparty IS NULL
+    AND created_at > now() - interval '1 minute';
+  IF v_recent + p_delta > 120 THEN
+    RAISE EXCEPTION 'inventory rate limit exceeded' USING ERRCODE = '54000';
+  END IF;
+
+  INSERT INTO public.user_inventory (user_id, item_id, quantity)
+  VALUES (v_uid, v_item_id, p_delta)
+  ON CONFLICT (user_id, item_id)
+  DO UPDATE SET quantity = public.user_inventory.quantity + EXCLUDED.quantity
+  RETURNING * INTO v_row;
+
+  INSERT INTO public.inventory_audit (user_id, item_id, delta, reason)
+  VALUES (v_uid, v_item_id, p_delta, p_reason);
+  RETURN v_row;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.inventory_remove(p_slug text, p_qty bigint, p_reason text DEFAULT 'consume')
+RETURNS public.user_inventory
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_item_id bigint;
+  v_row public.user_inventory;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_qty IS NULL OR p_qty < 1 THEN
+    RAISE EXCEPTION 'quantity must be positive' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT id INTO v_item_id FROM public.items WHERE slug = p_slug;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown item %', p_slug USING ERRCODE = 'P0002';
+  END IF;
+
+  -- Single conditional UPDATE: the row lock makes check-and-decrement atomic
+  UPDATE public.user_inventory
+  SET quantity = quantity - p_qty
+  WHERE user_id = v_uid AND item_id = v_item_id AND quantity >= p_qty
+  RETURNING * INTO v_row;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'insufficient quantity of %', p_slug USING ERRCODE = '23514';
+  END IF;
+
+  INSERT INTO public.inventory_audit (user_id, item_id, delta, reason)
+  VALUES (v_uid, v_item_id, -p_qty, p_reason);
+  RETURN v_row;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.inventory_transfer(p_to uuid, p_slug text, p_qty bigint)
+RETURNS public.user_inventory
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_item_id bigint;
+  v_row public.user_inventory;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_to IS NULL OR p_to = v_uid THEN
+    RAISE EXCEPTION 'invalid recipient' USING ERRCODE = '22023';
+  END IF;
+  IF p_qty IS NULL OR p_qty < 1 THEN
+    RAISE EXCEPTION 'quantity must be positive' USING ERRCODE = '22023';
+  END IF;
+  PERFORM 1 FROM public.profiles WHERE user_id = p_to;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown recipient' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT id INTO v_item_id FROM public.items WHERE slug = p_slug;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown item %', p_slug USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE public.user_inventory
+  SET quantity = quantity - p_qty
+  WHERE user_id = v_uid AND item_id = v_item_id AND quantity >= p_qty
+  RETURNING * INTO v_row;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'insufficient quantity of %', p_slug USING ERRCODE = '23514';
+  END IF;
+
+  INSERT INTO public.user_inventory (user_id, item_id, quantity)
+  VALUES (p_to, v_item_id, p_qty)
+  ON CONFLICT (user_id, item_id)
+  DO UPDATE SET quantity = public.user_inventory.quantity + EXCLUDED.quantity;
+
+  INSERT INTO public.inventory_audit (user_id, item_id, delta, reason, counterparty) VALUES
+    (v_uid, v_item_id, -p_qty, 'transfer', p_to),
+    (p_to, v_item_id, p_qty, 'transfer', v_uid);
+  RETURN v_row;
+END;
+$$;
+
+-- Internal: the identity row of a gathered stack ('<base>__<rarity>__<quality>'), created on demand
+-- from a catalog base row
+CREATE OR REPLACE FUNCTION public.item_identity(p_base public.items, p_rarity text, p_quality text)
+RETURNS text
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_slug text := lower(p_base.slug || '__' || p_rarity || '__' || p_quality);
+BEGIN
+  INSERT INTO public.items (slug, name, rarity, quality, base_slug, stackable)
+  VALUES (v_slug, p_base.name, p_rarity, p_quality, p_base.slug, p_base.stackable)
+  ON CONFLICT (slug) DO NOTHING;
+  RETURN v_slug;
+END;
+$$;
+
+-- Batched sync of gathered identity stacks (invsync.js).
+-- p_changes: [{ base_slug, rarity, quality, delta }, ...]
+-- Only spending syncs this way: a positive delta is rejected, since the server credits
+-- items itself (gather_credit, trades, market, mail) and has no record of a client-side
+-- gain. Identity rows are created on demand from an existing base row, so clients can
+-- only reference catalog items. Each change succeeds or is rejected on its own;
+-- returns [{ slug, base_slug, rarity, quality, delta, status, quantity, error }].
+CREATE OR REPLACE FUNCTION public.inventory_apply_batch(p_changes jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_change jsonb;
+  v_base public.items;
+  v_rarity text;
+  v_quality text;
+  v_delta bigint;
+  v_slug text;
+  v_row public.user_inventory;
+  v_results jsonb := '[]'::jsonb;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF jsonb_typeof(p_changes) <> 'array' OR jsonb_array_length(p_changes) > 200 THEN
+    RAISE EXCEPTION 'changes must be an array of at most 200 entries' USING ERRCODE = '22023';
+  END IF;
+
+  FOR v_change IN SELECT * FROM jsonb_array_elements(p_changes)
+  LOOP
+    v_rarity := v_change->>'rarity';
+    v_quality := v_change->>'quality';
+    v_delta := (v_change->>'delta')::bigint;
+    v_slug := NULL;
+    BEGIN
+      IF v_rarity NOT IN ('Common', 'Uncommon', 'Rare', 'Legendary', 'Mythic', 'Godlike', 'Unknown')
+         OR v_quality NOT IN ('Dull', 'Normal', 'Refined', 'Pristine', 'Exquisite', 'Unknown') THEN
+        RAISE EXCEPTION 'invalid rarity/quality' USING ERRCODE = '22023';
+      END IF;
+
+      SELECT * INTO v_base FROM public.items WHERE slug = v_change->>'base_slug' AND base_slug IS NULL;
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'unknown item %', v_change->>'base_slug' USING ERRCODE = 'P0002';
+      END IF;
+
+      v_slug := public.item_identity(v_base, v_rarity, v_quality);
+
+      IF v_delta > 0 THEN
+        RAISE EXCEPTION 'items are only credited by the server' USING ERRCODE = '42501';
+      ELSIF v_delta < 0 THEN
+        v_row := public.inventory_remove(v_slug, -v_delta, 'sync');
+      ELSE
+        SELECT ui.* INTO v_row FROM public.user_inventory ui
+        JOIN public.items i ON i.id = ui.item_id
+        WHERE ui.user_id = v_uid AND i.slug = v_slug;
+      END IF;
+
+      v_results := v_results || jsonb_build_object(
+        'slug', v_slug, 'base_slug', v_base.slug, 'rarity', v_rarity, 'quality', v_quality,
+        'delta', v_delta, 'status', 'ok', 'quantity', COALESCE(v_row.quantity, 0));
+    EXCEPTION WHEN OTHERS THEN
+      v_results := v_results || jsonb_build_object(
+        'slug', v_slug, 'base_slug', v_change->>'base_slug', 'rarity', v_rarity, 'quality', v_quality,
+        'delta', v_delta, 'status', 'rejected', 'error', SQLERRM);
+    END;
+  END LOOP;
+
+  RETURN v_results;
+END;
+$$;
+
+-- Storage chests. Moves between a chest and the owner's inventory are audited with
+-- reason 'chest' and the chest id as counterparty, so withdrawals do not count
+-- toward inventory_add's per-minute grant limit.
+-- p_world / p_zone: where the chest stands in the owner's save (one chest per tile of each).
+DROP FUNCTION IF EXISTS public.chest_place(uuid, int, int, text);
+CREATE OR REPLACE FUNCTION public.chest_place(p_id uuid, p_x int, p_y int, p_zone text DEFAULT 'overworld', p_world text DEFAULT 'legacy')
+RETURNS public.player_chests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_count int;
+  v_row public.player_chests;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_id IS NULL OR p_x IS NULL OR p_y IS NULL THEN
+    RAISE EXCEPTION 'chest id and position are required' USING ERRCODE = '22023';
+  END IF;
+  IF p_world IS NULL OR p_world !~ '^(legacy|biomes:[0-9]{1,10})$' THEN
+    RAISE EXCEPTION 'invalid world' USING ERRCODE = '22023';
+  END IF;
+  SELECT count(*) INTO v_count FROM public.player_chests WHERE user_id = v_uid;
+  IF v_count >= 50 THEN
+    RAISE EXCEPTION 'chest limit reached' USING ERRCODE = '54000';
+  END IF;
+
+  INSERT INTO public.player_chests (id, user_id, world, zone, x, y)
+  VALUES (p_id, v_uid, p_world, COALESCE(p_zone, 'overworld'), p_x, p_y)
+  RETURNING * INTO v_row;
+  RETURN v_row;
+EXCEPTION WHEN unique_violation THEN
+  RAISE EXCEPTION 'tile already has a chest' USING ERRCODE = '23505';
+END;
+$$;
+
+-- p_qty > 0 deposits from the inventory, p_qty < 0 withdraws into it.
+-- Returns { slug, quantity (inventory), chest_quantity }.
+CREATE OR REPLACE FUNCTION public.chest_move(p_chest uuid, p_slug text, p_qty bigint)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_chest public.player_chests;
+  v_item_id bigint;
+  v_qty bigint := abs(p_qty);
+  v_stacks int;
+  v_inv bigint;
+  v_held bigint;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_qty IS NULL OR p_qty = 0 THEN
+    RAISE EXCEPTION 'quantity must be non-zero' USING ERRCODE = '22023';
+  END IF;
+
+  -- Lock the chest so concurrent moves see a consistent stack count
+  SELECT * INTO v_chest FROM public.player_chests WHERE id = p_chest FOR UPDATE;
+  IF NOT FOUND OR v_chest.user_id <> v_uid THEN
+    RAISE EXCEPTION 'unknown chest' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT id INTO v_item_id FROM public.items WHERE slug = p_slug;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown item %', p_slug USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_qty > 0 THEN
+    PERFORM 1 FROM public.chest_items WHERE chest_id = p_chest AND item_id = v_item_id;
+    IF NOT FOUND THEN
+      SELECT count(*) INTO v_stacks FROM public.chest_items WHERE chest_id = p_chest;
+      IF v_stacks >= v_chest.capacity THEN
+        RAISE EXCEPTION 'chest is full' USING ERRCODE = '53400';
+      END IF;
+    END IF;
+
+    UPDATE public.user_inventory
+    SET quantity = quantity - v_qty
+    WHERE user_id = v_uid AND item_id = v_item_id AND quantity >= v_qty
+    RETURNING quantity INTO v_inv;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'insufficient quantity of %', p_slug USING ERRCODE = '23514';
+    END IF;
+
+    INSERT INTO public.chest_items (chest_id, item_id, quantity)
+    VALUES (p_chest, v_item_id, v_qty)
+    ON CONFLICT (chest_id, item_id)
+    DO UPDATE SET quantity = public.chest_items.quantity + EXCLUDED.quantity
+    RETURNING quantity INTO v_held;
+  ELSE
+    UPDATE public.chest_items
+    SET quantity = quantity - v_qty
+    WHERE chest_id = p_chest AND item_id = v_item_id AND quantity >= v_qty
+    RETURNING quantity INTO v_held;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'chest has too few %', p_slug USING ERRCODE = '23514';
+    END IF;
+    -- quantity > 0 is enforced, so empty stacks are removed (they free a slot)
+    IF v_held = 0 THEN
+      DELETE FROM public.chest_items WHERE chest_id = p_chest AND item_id = v_item_id;
+    END IF;
+
+    INSERT INTO public.user_inventory (user_id, item_id, quantity)
+    VALUES (v_uid, v_item_id, v_qty)
+    ON CONFLICT (user_id, item_id)
+    DO UPDATE SET quantity = public.user_inventory.quantity + EXCLUDED.quantity
+    RETURNING quantity INTO v_inv;
+  END IF;
+
+  INSERT INTO public.inventory_audit (user_id, item_id, delta, reason, counterparty)
+  VALUES (v_uid, v_item_id, -p_qty, 'chest', p_chest);
+  RETURN jsonb_build_object('slug', p_slug, 'quantity', v_inv, 'chest_quantity', v_held);
+END;
+$$;
+
+-- Only empty chests can be picked up
+CREATE OR REPLACE FUNCTION public.chest_remove(p_chest uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  PERFORM 1 FROM public.player_chests WHERE id = p_chest AND user_id = v_uid FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown chest' USING ERRCODE = 'P0002';
+  END IF;
+  PERFORM 1 FROM public.chest_items WHERE chest_id = p_chest;
+  IF FOUND THEN
+    RAISE EXCEPTION 'chest is not empty' USING ERRCODE = '23514';
+  END IF;
+  DELETE FROM public.player_chests WHERE id = p_chest;
+END;
+$$;
+
+-- Move the caller; the only write to user_state. Within one world and zone a move may cover 2 tiles
+-- plus 10 per second since the last one (MOVE_COOLDOWN_MS in main.js allows about 8). Any move may
+-- also land within 2 tiles of an entry of the zone (world_zone_entries) or of where the caller last
+-- left it, which is how zone changes, new games and world switches arrive. Zones without entries (the
+-- private bunker, worlds that aren't shared) take any position. A rejected arrival lands on the zone's
+-- nearest entry; a rejected step stays where it was. Accepted moves extend `trail` (the last 30
+-- seconds, at most 64 positions), which world_apply checks harvests against.
+-- Returns the stored row; the client snaps to it when it differs from what was sent.
+CREATE OR REPLACE FUNCTION public.state_move(p_world text, p_zone text, p_x int, p_y int)
+RETURNS public.user_state
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_now_ms bigint := floor(extract(epoch FROM clock_timestamp()) * 1000)::bigint;
+  v_row public.user_state;
+  v_same boolean;
+  v_ok boolean;
+  v_ret jsonb;
+  v_entry record;
+  v_trail jsonb := '[]'::jsonb;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_world IS NULL OR length(p_world) NOT BETWEEN 1 AND 64 OR p_zone IS NULL OR length(p_zone) NOT BETWEEN 1 AND 32
+     OR p_x NOT BETWEEN 0 AND 1023 OR p_y NOT BETWEEN 0 AND 1023 THEN
+    RAISE EXCEPTION 'invalid position' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO public.user_state (user_id) VALUES (v_uid) ON CONFLICT (user_id) DO NOTHING;
+  SELECT * INTO v_row FROM public.user_state WHERE user_id = v_uid FOR UPDATE;
+
+  -- Rows saved before positions moved server-side carry no world; their zone still counts
+  v_same := COALESCE((v_row.world = p_world OR v_row.world IS NULL) AND v_row.zone = p_zone, false);
+  v_ret := v_row.returns->(p_world || '/' || p_zone);
+  v_ok := NOT EXISTS (SELECT 1 FROM public.world_zone_entries WHERE world = p_world AND zone = p_zone)
+    OR (v_same AND GREATEST(abs(v_row.pos_x - p_x), abs(v_row.pos_y - p_y))
+          <= 2 + 10 * extract(epoch FROM clock_timestamp() - v_row.updated_at))
+    OR (v_ret IS NOT NULL AND GREATEST(abs((v_ret->>0)::int - p_x), abs((v_ret->>1)::int - p_y)) <= 2)
+    OR EXISTS (
+      SELECT 1 FROM public.world_zone_entries
+      WHERE world = p_world AND zone = p_zone AND GREATEST(abs(x - p_x), abs(y - p_y)) <= 2);
+
+  IF NOT v_ok THEN
+    IF v_same THEN
+      RETURN v_row;
+    END IF;
+    SELECT x, y INTO v_entry FROM public.world_zone_entries
+    WHERE world = p_world AND zone = p_zone
+    ORDER BY GREATEST(abs(x - p_x), abs(y - p_y))
+    LIMIT 1;
+    p_x := v_entry.x;
+    p_y := v_entry.y;
+  END IF;
+
+  IF v_same THEN
+    SELECT COALESCE(jsonb_agg(recent.t ORDER BY (recent.t->>2)::bigint), '[]'::jsonb) INTO v_trail
+    FROM (
+      SELECT e.t FROM jsonb_array_elements(v_row.trail) AS e(t)
+      WHERE (e.t->>2)::bigint > v_now_ms - 30000
+      ORDER BY (e.t->>2)::bigint DESC
+      LIMIT 63
+    ) recent;
+  ELSIF v_row.world IS NOT NULL
+        AND EXISTS (SELECT 1 FROM public.world_zone_entries WHERE world = v_row.world AND zone = v_row.zone) THEN
+    -- Leaving a shared zone: coming back to this spot is always allowed
+    v_row.returns := v_row.returns || jsonb_build_object(
+      v_row.world || '/' || v_row.zone, jsonb_build_array(v_row.pos_x::int, v_row.pos_y::int));
+  END IF;
+
+  UPDATE public.user_state SET
+    world = p_world,
+    zone = p_zone,
+    pos_x = p_x,
+    pos_y = p_y,
+    trail = v_trail || jsonb_build_array(jsonb_build_array(p_x, p_y, v_now_ms)),
+    returns = v_row.returns
+  WHERE user_id = v_uid
+  RETURNING * INTO v_row;
+  RETURN v_row;
+END;
+$$;
+
+-- Trades. Escrow moves are audited with reason 'trade' and the trade id as counterparty.
+-- trade_credit/trade_debit are internal (no client grant): they move an offer into or out of a
+-- player's inventory and cash balance.
+CREATE OR REPLACE FUNCTION public.trade_credit(p_user uuid, p_items jsonb, p_cash bigint, p_trade uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_item jsonb;
+  v_item_id bigint;
+BEGIN
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    SELECT id INTO v_item_id FROM public.items WHERE slug = v_item->>'slug';
+    INSERT INTO public.user_inventory (user_id, item_id, quantity)
+    VALUES (p_user, v_item_id, (v_item->>'qty')::bigint)
+    ON CONFLICT (user_id, item_id)
+    DO UPDATE SET quantity = public.user_inventory.quantity + EXCLUDED.quantity;
+    INSERT INTO public.inventory_audit (user_id, item_id, delta, reason, counterparty)
+    VALUES (p_user, v_item_id, (v_item->>'qty')::bigint, 'trade', p_trade);
+  END LOOP;
+  IF p_cash > 0 THEN
+    UPDATE public.profiles SET cash = cash + p_cash WHERE user_id = p_user;
+  END IF;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.trade_debit(p_user uuid, p_items jsonb, p_cash bigint, p_trade uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_item jsonb;
+  v_item_id bigint;
+BEGIN
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    SELECT id INTO v_item_id FROM public.items WHERE slug = v_item->>'slug';
+    UPDATE public.user_inventory
+    SET quantity = quantity - (v_item->>'qty')::bigint
+    WHERE user_id = p_user AND item_id = v_item_id AND quantity >= (v_item->>'qty')::bigint;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'insufficient quantity of %', v_item->>'slug' USING ERRCODE = '23514';
+    END IF;
+    INSERT INTO public.inventory_audit (user_id, item_id, delta, reason, counterparty)
+    VALUES (p_user, v_item_id, -(v_item->>'qty')::bigint, 'trade', p_trade);
+  END LOOP;
+  IF p_cash > 0 THEN
+    UPDATE public.profiles SET cash = cash - p_cash WHERE user_id = p_user AND cash >= p_cash;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'insufficient cash' USING ERRCODE = '23514';
+    END IF;
+  END IF;
+END;
+$$;
+
+-- Internal: cancel a locked open trade, returning each side's escrow
+CREATE OR REPLACE FUNCTION public.trade_refund(p_trade uuid)
+RETURNS public.trades
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_trade public.trades;
+BEGIN
+  SELECT * INTO v_trade FROM public.trades WHERE id = p_trade FOR UPDATE;
+  IF NOT FOUND OR v_trade.status <> 'open' THEN
+    RETURN v_trade;
+  END IF;
+  PERFORM public.trade_credit(v_trade.a_user, v_trade.a_items, v_trade.a_cash, v_trade.id);
+  PERFORM public.trade_credit(v_trade.b_user, v_trade.b_items, v_trade.b_cash, v_trade.id);
+  UPDATE public.trades
+  SET status = 'cancelled', a_confirmed = false, b_confirmed = false, closed_at = now()
+  WHERE id = p_trade
+  RETURNING * INTO v_trade;
+  RETURN v_trade;
+END;
+$$;
+
+-- Open a trade with a player standing near the caller (positions from user_state, which only
+-- state_move writes). Both must be in the same shared zone of the same shared world. Open trades left
+-- untouched for 15 minutes are cancelled first; each player has at most one open trade.
+CREATE OR REPLACE FUNCTION public.trade_open(p_to uuid)
+RETURNS public.trades
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_me public.user_state;
+  v_them public.user_state;
+  v_stale uuid;
+  v_trade public.trades;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_to IS NULL OR p_to = v_uid THEN
+    RAISE EXCEPTION 'invalid trade partner' USING ERRCODE = '22023';
+  END IF;
+  SELECT * INTO v_me FROM public.user_state WHERE user_id = v_uid;
+  SELECT * INTO v_them FROM public.user_state WHERE user_id = p_to;
+  IF v_me.user_id IS NULL OR v_them.user_id IS NULL
+     OR v_me.world IS DISTINCT FROM v_them.world OR v_me.zone IS DISTINCT FROM v_them.zone
+     OR NOT EXISTS (SELECT 1 FROM public.world_zone_entries WHERE world = v_me.world AND zone = v_me.zone)
+     OR GREATEST(abs(v_me.pos_x - v_them.pos_x), abs(v_me.pos_y - v_them.pos_y)) > 6 THEN
+    RAISE EXCEPTION 'too far away to trade' USING ERRCODE = '22023';
+  END IF;
+
+  FOR v_stale IN
+    SELECT id FROM public.trades
+    WHERE status = 'open' AND updated_at < now() - interval '15 minutes'
+      AND (a_user IN (v_uid, p_to) OR b_user IN (v_uid, p_to))
+  LOOP
+    PERFORM public.trade_refund(v_stale);
+  END LOOP;
+  PERFORM 1 FROM public.trades
+  WHERE status = 'open' AND (a_user IN (v_uid, p_to) OR b_user IN (v_uid, p_to));
+  IF FOUND THEN
+    RAISE EXCEPTION 'already trading' USING ERRCODE = '55006';
+  END IF;
+
+  INSERT INTO public.trades (a_user, b_user, a_name, b_name, zone)
+  VALUES (
+    v_uid, p_to,
+    (SELECT username FROM public.profiles WHERE user_id = v_uid),
+    (SELECT username FROM public.profiles WHERE user_id = p_to),
+    v_me.zone)
+  RETURNING * INTO v_trade;
+  RETURN v_trade;
+END;
+$$;
+
+-- Replace the caller's offer. p_items: [{ slug, qty }] (at most 12 stacks). The old offer goes back to
+-- the caller and the new one into escrow; any change clears both confirmations.
+CREATE OR REPLACE FUNCTION public.trade_offer(p_trade uuid, p_items jsonb, p_cash bigint)
+RETURNS public.trades
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_trade public.trades;
+  v_a boolean;
+  v_items jsonb;
+  v_found int;
+  v_wanted int;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) > 12 THEN
+    RAISE EXCEPTION 'items must be an array of at most 12 stacks' USING ERRCODE = '22023';
+  END IF;
+  IF p_cash IS NULL OR p_cash < 0 THEN
+    RAISE EXCEPTION 'cash must not be negative' USING ERRCODE = '22023';
+  END IF;
+  PERFORM 1 FROM jsonb_array_elements(p_items) e WHERE COALESCE((e->>'qty')::bigint, 0) < 1;
+  IF FOUND THEN
+    RAISE EXCEPTION 'quantity must be positive' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_trade FROM public.trades WHERE id = p_trade FOR UPDATE;
+  IF NOT FOUND OR v_uid NOT IN (v_trade.a_user, v_trade.b_user) THEN
+    RAISE EXCEPTION 'unknown trade' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_trade.status <> 'open' THEN
+    RAISE EXCEPTION 'trade is closed' USING ERRCODE = '55000';
+  END IF;
+  v_a := v_trade.a_user = v_uid;
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'slug', i.slug, 'base_slug', i.base_slug, 'name', i.name,
+           'rarity', i.rarity, 'quality', i.quality, 'qty', o.qty) ORDER BY i.slug), '[]'::jsonb),
+         count(*)
+  INTO v_items, v_found
+  FROM (
+    SELECT e->>'slug' AS slug, sum((e->>'qty')::bigint) AS qty
+    FROM jsonb_array_elements(p_items) e
+    GROUP BY 1
+  ) o
+  JOIN public.items i ON i.slug = o.slug;
+  SELECT count(DISTINCT e->>'slug') INTO v_wanted FROM jsonb_array_elements(p_items) e;
+  IF v_found <> v_wanted THEN
+    RAISE EXCEPTION 'unknown item in offer' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_a THEN
+    PERFORM public.trade_credit(v_uid, v_trade.a_items, v_trade.a_cash, v_trade.id);
+  ELSE
+    PERFORM public.trade_credit(v_uid, v_trade.b_items, v_trade.b_cash, v_trade.id);
+  END IF;
+  PERFORM public.trade_debit(v_uid, v_items, p_cash, v_trade.id);
+
+  UPDATE public.trades SET
+    a_items = CASE WHEN v_a THEN v_items ELSE a_items END,
+    a_cash = CASE WHEN v_a THEN p_cash ELSE a_cash END,
+    b_items = CASE WHEN v_a THEN b_items ELSE v_items END,
+    b_cash = CASE WHEN v_a THEN b_cash ELSE p_cash END,
+    version = version + 1,
+    a_confirmed = false,
+    b_confirmed = false
+  WHERE id = p_trade
+  RETURNING * INTO v_trade;
+  RETURN v_trade;
+END;
+$$;
+
+-- Confirm the offers as of p_version. The second confirmation swaps both escrows in one transaction.
+CREATE OR REPLACE FUNCTION public.trade_confirm(p_trade uuid, p_version int)
+RETURNS public.trades
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_trade public.trades;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  SELECT * INTO v_trade FROM public.trades WHERE id = p_trade FOR UPDATE;
+  IF NOT FOUND OR v_uid NOT IN (v_trade.a_user, v_trade.b_user) THEN
+    RAISE EXCEPTION 'unknown trade' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_trade.status <> 'open' THEN
+    RAISE EXCEPTION 'trade is closed' USING ERRCODE = '55000';
+  END IF;
+  IF v_trade.version <> p_version THEN
+    RAISE EXCEPTION 'offer changed' USING ERRCODE = '40001';
+  END IF;
+
+  UPDATE public.trades SET
+    a_confirmed = a_confirmed OR a_user = v_uid,
+    b_confirmed = b_confirmed OR b_user = v_uid
+  WHERE id = p_trade
+  RETURNING * INTO v_trade;
+
+  IF v_trade.a_confirmed AND v_trade.b_confirmed THEN
+    PERFORM public.trade_credit(v_trade.b_user, v_trade.a_items, v_trade.a_cash, v_trade.id);
+    PERFORM public.trade_credit(v_trade.a_user, v_trade.b_items, v_trade.b_cash, v_trade.id);
+    UPDATE public.trades SET status = 'done', closed_at = now()
+    WHERE id = p_trade
+    RETURNING * INTO v_trade;
+  END IF;
+  RETURN v_trade;
+END;
+$$;
+
+-- Either side can back out while the trade is open; both escrows go back
+CREATE OR REPLACE FUNCTION public.trade_cancel(p_trade uuid)
+RETURNS public.trades
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  PERFORM 1 FROM public.trades WHERE id = p_trade AND v_uid IN (a_user, b_user);
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown trade' USING ERRCODE = 'P0002';
+  END IF;
+  RETURN public.trade_refund(p_trade);
+END;
+$$;
+
+-- The caller's client has applied a closed trade's outcome
+CREATE OR REPLACE FUNCTION public.trade_ack(p_trade uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  UPDATE public.trades SET
+    a_settled = a_settled OR a_user = v_uid,
+    b_settled = b_settled OR b_user = v_uid
+  WHERE id = p_trade AND status <> 'open'
+    AND ((a_user = v_uid AND NOT a_settled) OR (b_user = v_uid AND NOT b_settled));
+END;
+$$;
+
+-- Internal: deliver mail with attachments (the attachments are already out of everyone's inventory)
+CREATE OR REPLACE FUNCTION public.mail_send(
+  p_user uuid,
+  p_kind text,
+  p_subject text,
+  p_body text DEFAULT NULL,
+  p_items jsonb DEFAULT '[]'::jsonb,
+  p_cash bigint DEFAULT 0,
+  p_junk bigint DEFAULT 0
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_id uuid;
+BEGIN
+  IF p_user IS NULL THEN
+    RETURN NULL;
+  END IF;
+  DELETE FROM public.mail WHERE user_id = p_user AND expires_at < now();
+  INSERT INTO public.mail (user_id, kind, subject, body, items, cash, junk)
+  VALUES (p_user, COALESCE(p_kind, 'system'), p_subject, p_body, COALESCE(p_items, '[]'::jsonb),
+          GREATEST(COALESCE(p_cash, 0), 0), GREATEST(COALESCE(p_junk, 0), 0))
+  RETURNING id INTO v_id;
+  RETURN v_id;
+END;
+$$;
+
+-- Claim a mail's attachments into the caller's inventory and balances (once, before it expires)
+CREATE OR REPLACE FUNCTION public.mail_claim(p_mail uuid)
+RETURNS public.mail
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_mail public.mail;
+  v_item jsonb;
+  v_item_id bigint;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  SELECT * INTO v_mail FROM public.mail WHERE id = p_mail AND user_id = v_uid FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown mail' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_mail.claimed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'already claimed' USING ERRCODE = '55000';
+  END IF;
+  IF v_mail.expires_at <= now() THEN
+    RAISE EXCEPTION 'mail has expired' USING ERRCODE = '55000';
+  END IF;
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(v_mail.items)
+  LOOP
+    SELECT id INTO v_item_id FROM public.items WHERE slug = v_item->>'slug';
+    IF v_item_id IS NULL THEN
+      RAISE EXCEPTION 'unknown item slug: %', v_item->>'slug' USING ERRCODE = 'P0002';
+    END IF;
+    INSERT INTO public.user_inventory (user_id, item_id, quantity)
+    VALUES (v_uid, v_item_id, (v_item->>'qty')::bigint)
+    ON CONFLICT (user_id, item_id)
+    DO UPDATE SET quantity = public.user_inventory.quantity + EXCLUDED.quantity;
+    INSERT INTO public.inventory_audit (user_id, item_id, delta, reason, counterparty)
+    VALUES (v_uid, v_item_id, (v_item->>'qty')::bigint, 'mail', v_mail.id);
+  END LOOP;
+  IF v_mail.cash > 0 OR v_mail.junk > 0 THEN
+    UPDATE public.profiles SET cash = cash + v_mail.cash, junk = junk + v_mail.junk WHERE user_id = v_uid;
+  END IF;
+
+  UPDATE public.mail SET claimed_at = now(), read_at = COALESCE(read_at, now())
+  WHERE id = p_mail
+  RETURNING * INTO v_mail;
+  RETURN v_mail;
+END;
+$$;
+
+-- Mark the caller's mail as read
+CREATE OR REPLACE FUNCTION public.mail_read(p_ids uuid[])
+RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_n int;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  UPDATE public.mail SET read_at = now()
+  WHERE user_id = v_uid AND id = ANY(p_ids) AND read_at IS NULL;
+  GET DIAGNOSTICS v_n = ROW_COUNT;
+  RETURN v_n;
+END;
+$$;
+
+-- Delete one of the caller's mails; attachments must be claimed first unless the mail has expired
+CREATE OR REPLACE FUNCTION public.mail_delete(p_mail uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_mail public.mail;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  SELECT * INTO v_mail FROM public.mail WHERE id = p_mail AND user_id = v_uid FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+  IF v_mail.claimed_at IS NULL AND v_mail.expires_at > now()
+     AND (jsonb_array_length(v_mail.items) > 0 OR v_mail.cash > 0 OR v_mail.junk > 0) THEN
+    RAISE EXCEPTION 'claim the attachments first' USING ERRCODE = '55000';
+  END IF;
+  DELETE FROM public.mail WHERE id = p_mail;
+END;
+$$;
+
+-- Send today's login reward (once per UTC day). Returns the mail id, or null when already sent today.
+CREATE OR REPLACE FUNCTION public.mail_daily_reward()
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_day date := (now() AT TIME ZONE 'utc')::date;
+  v_mail uuid;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  INSERT INTO public.daily_rewards (user_id, day) VALUES (v_uid, v_day)
+  ON CONFLICT (user_id, day) DO NOTHING;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  v_mail := public.mail_send(v_uid, 'reward', 'Daily reward',
+    'Thanks for scavenging today. Here is something for the road.', '[]'::jsonb, 25, 0);
+  UPDATE public.daily_rewards SET mail_id = v_mail WHERE user_id = v_uid AND day = v_day;
+  RETURN v_mail;
+END;
+$$;
+
+-- Admin grant (service role or the SQL editor only, e.g. from the dashboard or an edge function).
+-- Player sessions are refused even if a grant slips through. p_items: [{ slug, qty }] of catalog slugs.
+CREATE OR REPLACE FUNCTION public.mail_grant(
+  p_user uuid,
+  p_subject text,
+  p_body text DEFAULT NULL,
+  p_items jsonb DEFAULT '[]'::jsonb,
+  p_cash bigint DEFAULT 0,
+  p_junk bigint DEFAULT 0
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_items jsonb;
+  v_found int;
+BEGIN
+  IF auth.role() IN ('anon', 'authenticated') THEN
+    RAISE EXCEPTION 'mail_grant is for admins only' USING ERRCODE = '42501';
+  END IF;
+  IF jsonb_typeof(COALESCE(p_items, '[]'::jsonb)) <> 'array' THEN
+    RAISE EXCEPTION 'items must be an array' USING ERRCODE = '22023';
+  END IF;
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'slug', i.slug, 'base_slug', COALESCE(i.base_slug, i.slug), 'name', i.name,
+           'rarity', i.rarity, 'quality', i.quality, 'qty', (e->>'qty')::bigint)), '[]'::jsonb),
+         count(*)
+  INTO v_items, v_found
+  FROM jsonb_array_elements(COALESCE(p_items, '[]'::jsonb)) e
+  JOIN public.items i ON i.slug = e->>'slug'
+  WHERE (e->>'qty')::bigint > 0;
+  IF v_found <> jsonb_array_length(COALESCE(p_items, '[]'::jsonb)) THEN
+    RAISE EXCEPTION 'unknown item or bad quantity in grant' USING ERRCODE = '22023';
+  END IF;
+  RETURN public.mail_send(p_user, 'admin', p_subject, p_body, v_items, p_cash, p_junk);
+END;
+$$;
+
+-- Internal: move `p_amount` of a listing currency out of a player's balance
+CREATE OR REPLACE FUNCTION public.market_debit(p_user uuid, p_currency text, p_amount bigint)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_currency = 'cash' THEN
+    UPDATE public.profiles SET cash = cash - p_amount WHERE user_id = p_user AND cash >= p_amount;
+  ELSE
+    UPDATE public.profiles SET junk = junk - p_amount WHERE user_id = p_user AND junk >= p_amount;
+  END IF;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'insufficient %', p_currency USING ERRCODE = '23514';
+  END IF;
+END;
+$$;
+
+-- Internal: the listed stack as a mail attachment
+CREATE OR REPLACE FUNCTION public.market_stack(p_listing public.market_listings)
+RETURNS jsonb
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT jsonb_build_array(jsonb_build_object(
+    'slug', p_listing.slug, 'base_slug', p_listing.base_slug, 'name', p_listing.name,
+    'rarity', p_listing.rarity, 'quality', p_listing.quality, 'qty', p_listing.qty));
+$$;
+
+-- Internal: a locked active listing is sold to p_buyer for p_price, which is already escrowed
+CREATE OR REPLACE FUNCTION public.market_finish(p_listing uuid, p_buyer uuid, p_price bigint)
+RETURNS public.market_listings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_l public.market_listings;
+BEGIN
+  UPDATE public.market_listings
+  SET status = 'sold', buyer = p_buyer, price = p_price, closed_at = now()
+  WHERE id = p_listing AND status = 'active'
+  RETURNING * INTO v_l;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'listing is closed' USING ERRCODE = '55000';
+  END IF;
+  PERFORM public.mail_send(p_buyer, 'market', 'Purchase: ' || v_l.name,
+    format('You bought %s x%s for %s %s.', v_l.name, v_l.qty, p_price, v_l.currency),
+    public.market_stack(v_l));
+  PERFORM public.mail_send(v_l.seller, 'market', 'Sold: ' || v_l.name,
+    format('Your %s x%s sold for %s %s.', v_l.name, v_l.qty, p_price, v_l.currency), '[]'::jsonb,
+    CASE WHEN v_l.currency = 'cash' THEN p_price ELSE 0 END,
+    CASE WHEN v_l.currency = 'junk' THEN p_price ELSE 0 END);
+  RETURN v_l;
+END;
+$$;
+
+-- Internal: return a locked listing's current bid to its bidder
+CREATE OR REPLACE FUNCTION public.market_refund_bid(p_listing public.market_listings, p_reason text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_listing.bidder IS NULL OR COALESCE(p_listing.bid, 0) <= 0 THEN
+    RETURN;
+  END IF;
+  PERFORM public.mail_send(p_listing.bidder, 'market', p_reason || ': ' || p_listing.name,
+    format('Your bid of %s %s on %s x%s is returned.', p_listing.bid, p_listing.currency, p_listing.name, p_listing.qty),
+    '[]'::jsonb,
+    CASE WHEN p_listing.currency = 'cash' THEN p_listing.bid ELSE 0 END,
+    CASE WHEN p_listing.currency = 'junk' THEN p_listing.bid ELSE 0 END);
+END;
+$$;
+
+-- Close listings past their end: sold to the highest bidder, or the stack goes back to the seller.
+-- Any player's client may call this (the browser does before listing); at most p_limit per call.
+CREATE OR REPLACE FUNCTION public.market_settle_expired(p_limit int DEFAULT 50)
+RETURNS int
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_l public.market_listings;
+  v_n int := 0;
+BEGIN
+  FOR v_l IN
+    SELECT * FROM public.market_listings
+    WHERE status = 'active' AND expires_at <= now()
+    ORDER BY expires_at
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 50), 1), 200)
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    IF v_l.bidder IS NOT NULL THEN
+      PERFORM public.market_finish(v_l.id, v_l.bidder, v_l.bid);
+    ELSE
+      UPDATE public.market_listings SET status = 'expired', closed_at = now() WHERE id = v_l.id;
+      PERFORM public.mail_send(v_l.seller, 'market', 'Unsold: ' || v_l.name,
+        format('Nobody bought your %s x%s. The stack is returned.', v_l.name, v_l.qty),
+        public.market_stack(v_l));
+    END IF;
+    v_n := v_n + 1;
+  END LOOP;
+  RETURN v_n;
+END;
+$$;
+
+-- List a stack for p_hours (1-72). The stack leaves the seller's inventory now; at most 20 active listings.
+CREATE OR REPLACE FUNCTION public.market_create(
+  p_slug text,
+  p_qty bigint,
+  p_currency text,
+  p_start_price bigint,
+  p_buyout_price bigint DEFAULT NULL,
+  p_hours int DEFAULT 24
+)
+RETURNS public.market_listings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_item public.items;
+  v_category text;
+  v_l public.market_listings;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_qty IS NULL OR p_qty < 1 THEN
+    RAISE EXCEPTION 'quantity must be positive' USING ERRCODE = '22023';
+  END IF;
+  IF p_currency NOT IN ('cash', 'junk') THEN
+    RAISE EXCEPTION 'currency must be cash or junk' USING ERRCODE = '22023';
+  END IF;
+  IF p_start_price IS NULL OR p_start_price < 1 OR (p_buyout_price IS NOT NULL AND p_buyout_price < p_start_price) THEN
+    RAISE EXCEPTION 'invalid price' USING ERRCODE = '22023';
+  END IF;
+  IF p_hours IS NULL OR p_hours < 1 OR p_hours > 72 THEN
+    RAISE EXCEPTION 'duration must be 1-72 hours' USING ERRCODE = '22023';
+  END IF;
+  IF (SELECT count(*) FROM public.market_listings WHERE seller = v_uid AND status = 'active') >= 20 THEN
+    RAISE EXCEPTION 'too many active listings' USING ERRCODE = '53400';
+  END IF;
+
+  SELECT * INTO v_item FROM public.items WHERE slug = p_slug;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown item slug: %', p_slug USING ERRCODE = 'P0002';
+  END IF;
+  SELECT COALESCE(v_item.category, b.category) INTO v_category
+  FROM (SELECT 1) one LEFT JOIN public.items b ON b.slug = v_item.base_slug;
+
+  INSERT INTO public.market_listings (
+    seller, seller_name, item_id, slug, base_slug, name, rarity, quality, category,
+    qty, currency, start_price, buyout_price, expires_at)
+  VALUES (
+    v_uid, (SELECT username FROM public.profiles WHERE user_id = v_uid),
+    v_item.id, v_item.slug, COALESCE(v_item.base_slug, v_item.slug), v_item.name, v_item.rarity, v_item.quality, v_category,
+    p_qty, p_currency, p_start_price, p_buyout_price, now() + make_interval(hours => p_hours))
+  RETURNING * INTO v_l;
+
+  UPDATE public.user_inventory
+  SET quantity = quantity - p_qty
+  WHERE user_id = v_uid AND item_id = v_item.id AND quantity >= p_qty;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'insufficient quantity' USING ERRCODE = '23514';
+  END IF;
+  INSERT INTO public.inventory_audit (user_id, item_id, delta, reason, counterparty)
+  VALUES (v_uid, v_item.id, -p_qty, 'market', v_l.id);
+  RETURN v_l;
+END;
+$$;
+
+-- Bid on a listing. The bid is escrowed and the previous high bid is mailed back; bids reaching the
+-- buyout price buy the stack. A bid in the last two minutes extends the listing to two minutes.
+CREATE OR REPLACE FUNCTION public.market_bid(p_listing uuid, p_amount bigint)
+RETURNS public.market_listings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_l public.market_listings;
+  v_min bigint;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  SELECT * INTO v_l FROM public.market_listings WHERE id = p_listing FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown listing' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_l.status <> 'active' OR v_l.expires_at <= now() THEN
+    RAISE EXCEPTION 'listing has ended' USING ERRCODE = '55000';
+  END IF;
+  IF v_l.seller = v_uid THEN
+    RAISE EXCEPTION 'cannot bid on your own listing' USING ERRCODE = '22023';
+  END IF;
+  IF v_l.bidder = v_uid THEN
+    RAISE EXCEPTION 'you are already the highest bidder' USING ERRCODE = '22023';
+  END IF;
+  v_min := CASE WHEN v_l.bid IS NULL THEN v_l.start_price ELSE v_l.bid + GREATEST(1, ceil(v_l.bid * 0.05)::bigint) END;
+  IF v_l.buyout_price IS NOT NULL THEN
+    v_min := LEAST(v_min, v_l.buyout_price);
+  END IF;
+  IF p_amount IS NULL OR p_amount < v_min THEN
+    RAISE EXCEPTION 'bid must be at least %', v_min USING ERRCODE = '22023';
+  END IF;
+  IF v_l.buyout_price IS NOT NULL AND p_amount >= v_l.buyout_price THEN
+    p_amount := v_l.buyout_price;
+  END IF;
+
+  PERFORM public.market_debit(v_uid, v_l.currency, p_amount);
+  PERFORM public.market_refund_bid(v_l, 'Outbid');
+  IF v_l.buyout_price IS NOT NULL AND p_amount >= v_l.buyout_price THEN
+    RETURN public.market_finish(v_l.id, v_uid, p_amount);
+  END IF;
+
+  UPDATE public.market_listings SET
+    bid = p_amount,
+    bidder = v_uid,
+    bidder_name = (SELECT username FROM public.profiles WHERE user_id = v_uid),
+    bids = bids + 1,
+    expires_at = GREATEST(expires_at, now() + interval '2 minutes')
+  WHERE id = p_listing
+  RETURNING * INTO v_l;
+  RETURN v_l;
+END;
+$$;
+
+-- Buy a listing outright at its buyout price
+CREATE OR REPLACE FUNCTION public.market_buy(p_listing uuid)
+RETURNS public.market_listings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_l public.market_listings;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  SELECT * INTO v_l FROM public.market_listings WHERE id = p_listing FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown listing' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_l.status <> 'active' OR v_l.expires_at <= now() THEN
+    RAISE EXCEPTION 'listing has ended' USING ERRCODE = '55000';
+  END IF;
+  IF v_l.buyout_price IS NULL THEN
+    RAISE EXCEPTION 'listing has no buyout price' USING ERRCODE = '22023';
+  END IF;
+  IF v_l.seller = v_uid THEN
+    RAISE EXCEPTION 'cannot buy your own listing' USING ERRCODE = '22023';
+  END IF;
+  PERFORM public.market_debit(v_uid, v_l.currency, v_l.buyout_price);
+  PERFORM public.market_refund_bid(v_l, 'Bought out');
+  RETURN public.market_finish(v_l.id, v_uid, v_l.buyout_price);
+END;
+$$;
+
+-- Withdraw a listing nobody has bid on; the stack comes back by mail
+CREATE OR REPLACE FUNCTION public.market_cancel(p_listing uuid)
+RETURNS public.market_listings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_l public.market_listings;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  SELECT * INTO v_l FROM public.market_listings WHERE id = p_listing AND seller = v_uid FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown listing' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_l.status <> 'active' THEN
+    RAISE EXCEPTION 'listing is closed' USING ERRCODE = '55000';
+  END IF;
+  IF v_l.bidder IS NOT NULL THEN
+    RAISE EXCEPTION 'listing has bids' USING ERRCODE = '55000';
+  END IF;
+  UPDATE public.market_listings SET status = 'cancelled', closed_at = now()
+  WHERE id = p_listing
+  RETURNING * INTO v_l;
+  PERFORM public.mail_send(v_uid, 'market', 'Withdrawn: ' || v_l.name,
+    format('Your listing of %s x%s was withdrawn.', v_l.name, v_l.qty),
+    public.market_stack(v_l));
+  RETURN v_l;
+END;
+$$;
+
+-- Shop. NPC sales pay into profiles.cash, the one balance players see: the stacks the server holds sell
+-- through shop_sell at the seeded price (prices.js), and device-local earnings (NPC sales of stacks that
+-- only ever lived on the device: offline gathers, crafts, crops) are banked through cash_deposit.
+-- Internal: what the shop pays for one unit of an item row (ShopPrices.price)
+CREATE OR REPLACE FUNCTION public.shop_price(p_item public.items)
+RETURNS bigint
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT GREATEST(1, floor(
+    COALESCE(b.sell_price, 10)
+    * COALESCE(
+        (SELECT mult FROM public.shop_mults WHERE kind = 'rarity' AND name = lower(COALESCE(p_item.rarity, 'unknown'))),
+        (SELECT mult FROM public.shop_mults WHERE kind = 'rarity' AND name = '*'), 1)
+    * COALESCE(
+        (SELECT mult FROM public.shop_mults WHERE kind = 'quality' AND name = lower(COALESCE(p_item.quality, 'unknown'))),
+        (SELECT mult FROM public.shop_mults WHERE kind = 'quality' AND name = '*'), 1)
+    + 0.5))::bigint
+  FROM public.items b
+  WHERE b.slug = COALESCE(p_item.base_slug, p_item.slug);
+$$;
+
+-- Sell stacks out of the caller's inventory to the shop. p_items: [{ slug, qty }]. Returns the cash paid.
+CREATE OR REPLACE FUNCTION public.shop_sell(p_items jsonb)
+RETURNS bigint
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_item jsonb;
+  v_row public.items;
+  v_qty bigint;
+  v_cash bigint := 0;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) > 200 THEN
+    RAISE EXCEPTION 'items must be an array of at most 200 entries' USING ERRCODE = '22023';
+  END IF;
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    v_qty := (v_item->>'qty')::bigint;
+    IF v_qty IS NULL OR v_qty <= 0 THEN
+      RAISE EXCEPTION 'quantity must be positive' USING ERRCODE = '22023';
+    END IF;
+    SELECT * INTO v_row FROM public.items WHERE slug = v_item->>'slug';
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'unknown item %', v_item->>'slug' USING ERRCODE = 'P0002';
+    END IF;
+    UPDATE public.user_inventory
+    SET quantity = quantity - v_qty
+    WHERE user_id = v_uid AND item_id = v_row.id AND quantity >= v_qty;
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'insufficient quantity of %', v_row.slug USING ERRCODE = '23514';
+    END IF;
+    INSERT INTO public.inventory_audit (user_id, item_id, delta, reason)
+    VALUES (v_uid, v_row.id, -v_qty, 'shop');
+    v_cash := v_cash + public.shop_price(v_row) * v_qty;
+  END LOOP;
+  IF v_cash > 0 THEN
+    UPDATE public.profiles SET cash = cash + v_cash WHERE user_id = v_uid;
+    INSERT INTO public.cash_ledger (user_id, delta, reason) VALUES (v_uid, v_cash, 'shop');
+  END IF;
+  RETURN v_cash;
+END;
+$$;
+
+-- Bank device-local earnings. Nothing on the server backs them, so at most 2000 a day (rolling 24 hours)
+-- is accepted; the client keeps the rest pending and deposits it later. Returns the amount banked.
+CREATE OR REPLACE FUNCTION public.cash_deposit(p_amount bigint)
+RETURNS bigint
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_cap CONSTANT bigint := 2000;
+  v_used bigint;
+  v_take bigint;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'amount must be positive' USING ERRCODE = '22023';
+  END IF;
+  -- One deposit at a time per player, so two tabs can't both fit under the cap
+  PERFORM 1 FROM public.profiles WHERE user_id = v_uid FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'profile not found' USING ERRCODE = 'P0002';
+  END IF;
+  SELECT COALESCE(sum(delta), 0) INTO v_used
+  FROM public.cash_ledger
+  WHERE user_id = v_uid AND reason = 'deposit' AND created_at > now() - interval '1 day';
+  v_take := LEAST(p_amount, GREATEST(v_cap - v_used, 0));
+  IF v_take > 0 THEN
+    UPDATE public.profiles SET cash = cash + v_take WHERE user_id = v_uid;
+    INSERT INTO public.cash_ledger (user_id, delta, reason) VALUES (v_uid, v_take, 'deposit');
+  END IF;
+  RETURN v_take;
+END;
+$$;
+
+-- Pay for a shop purchase (seed packets) from the balance. Returns the balance left.
+CREATE OR REPLACE FUNCTION public.cash_spend(p_amount bigint)
+RETURNS bigint
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_cash bigint;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'amount must be positive' USING ERRCODE = '22023';
+  END IF;
+  UPDATE public.profiles SET cash = cash - p_amount
+  WHERE user_id = v_uid AND cash >= p_amount
+  RETURNING cash INTO v_cash;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'insufficient cash' USING ERRCODE = '23514';
+  END IF;
+  INSERT INTO public.cash_ledger (user_id, delta, reason) VALUES (v_uid, -p_amount, 'spend');
+  RETURN v_cash;
+END;
+$$;
+
+-- Store a chat message. This is the only way to chat: clients receive the stored row over realtime
+-- (postgres_changes on chat_messages), so the length check, the rate limit of 5 messages per 10 seconds
+-- per player and the sender's id and profile username can't be skipped or forged.
+CREATE OR REPLACE FUNCTION public.chat_post(p_channel text, p_body text, p_x integer DEFAULT NULL, p_y integer DEFAULT NULL)
+RETURNS public.chat_messages
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_body text := btrim(p_body);
+  v_recent int;
+  v_row public.chat_messages;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_channel IS NULL OR p_channel !~ '^(global|local:[a-z0-9_]{1,40})$' THEN
+    RAISE EXCEPTION 'invalid chat channel' USING ERRCODE = '22023';
+  END IF;
+  -- Local channels are per zone id, which every player's private bunker shares: only the shared zones
+  -- (the ones with seeded entries) have one
+  IF p_channel <> 'global'
+     AND NOT EXISTS (SELECT 1 FROM public.world_zone_entries WHERE zone = substr(p_channel, 7)) THEN
+    RAISE EXCEPTION 'no local chat in this zone' USING ERRCODE = '22023';
+  END IF;
+  IF v_body IS NULL OR char_length(v_body) < 1 OR char_length(v_body) > 200 THEN
+    RAISE EXCEPTION 'message must be 1-200 characters' USING ERRCODE = '22023';
+  END IF;
+  SELECT count(*) INTO v_recent FROM public.chat_messages
+  WHERE user_id = v_uid AND created_at > now() - interval '10 seconds';
+  IF v_recent >= 5 THEN
+    RAISE EXCEPTION 'sending too fast' USING ERRCODE = '53400';
+  END IF;
+
+  DELETE FROM public.chat_messages WHERE created_at < now() - interval '2 days';
+  INSERT INTO public.chat_messages (user_id, username, channel, x, y, body)
+  VALUES (
+    v_uid,
+    (SELECT username FROM public.profiles WHERE user_id = v_uid),
+    p_channel,
+    CASE WHEN p_channel = 'global' THEN NULL ELSE p_x END,
+    CASE WHEN p_channel = 'global' THEN NULL ELSE p_y END,
+    v_body)
+  RETURNING * INTO v_row;
+  RETURN v_row;
+END;
+$$;
+
+-- Internal: roll a stack of a catalog base item from gather_loot odds and credit it to the caller
+-- (reason 'gather', so inventory_add's caps apply). p_mult is the gatherer's skill multiplier, applied
+-- like ItemSystem's skillMultiplier: rare chances scale (capped at 0.95), as do the weights of every
+-- quality above the first. Returns { slug, base_slug, name, rarity, quality, qty }.
+DROP FUNCTION IF EXISTS public.gather_credit_stack(text, jsonb, jsonb, bigint);
+CREATE OR REPLACE FUNCTION public.gather_credit_stack(p_base_slug text, p_rarity jsonb, p_quality jsonb, p_qty bigint, p_mult float8)
+RETURNS jsonb
+LANGUAGE plpgsql
+VOLATILE
+SET search_path = public
+AS $$
+DECLARE
+  v_base public.items;
+  v_step jsonb;
+  v_i bigint;
+  v_rarity text := 'Common';
+  v_quality text;
+  v_total float8;
+  v_roll float8;
+  v_acc float8 := 0;
+  v_slug text;
+BEGIN
+  SELECT * INTO v_base FROM public.items WHERE slug = p_base_slug AND base_slug IS NULL;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown item %', p_base_slug USING ERRCODE = 'P0002';
+  END IF;
+
+  -- Same cascade and weights as ItemSystem.gather (item.js)
+  FOR v_step IN SELECT * FROM jsonb_array_elements(p_rarity)
+  LOOP
+    IF random() < LEAST(0.95, (v_step->>1)::float8 * p_mult) THEN
+      v_rarity := v_step->>0;
+      EXIT;
+    END IF;
+  END LOOP;
+  SELECT sum((q.step->>1)::float8 * CASE WHEN q.i > 1 THEN p_mult ELSE 1 END) INTO v_total
+  FROM jsonb_array_elements(p_quality) WITH ORDINALITY AS q(step, i);
+  v_roll := random() * COALESCE(NULLIF(v_total, 0), 1);
+  FOR v_step, v_i IN SELECT * FROM jsonb_array_elements(p_quality) WITH ORDINALITY
+  LOOP
+    v_quality := v_step->>0;
+    v_acc := v_acc + (v_step->>1)::float8 * CASE WHEN v_i > 1 THEN p_mult ELSE 1 END;
+    EXIT WHEN v_roll < v_acc;
+  END LOOP;
+
+  v_slug := public.item_identity(v_base, v_rarity, v_quality);
+  PERFORM public.inventory_add(v_slug, p_qty, 'gather');
+  RETURN jsonb_build_object(
+    'slug', v_slug, 'base_slug', v_base.slug, 'name', v_base.name,
+    'rarity', v_rarity, 'quality', v_quality, 'qty', p_qty);
+END;
+$$;
+
+-- Internal: the caller's level in a skill (1 until they gain XP in it)
+CREATE OR REPLACE FUNCTION public.skill_level(p_slug text)
+RETURNS int
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT COALESCE((
+    SELECT us.level FROM public.user_skills us JOIN public.skills s ON s.id = us.skill_id
+    WHERE us.user_id = auth.uid() AND s.slug = p_slug), 1);
+$$;
+
+-- Internal: add XP to one of the caller's skills and level it up along SkillList.xpCurve.
+-- Returns { slug, level, xp }.
+CREATE OR REPLACE FUNCTION public.skill_gain(p_slug text, p_xp int)
+RETURNS jsonb
+LANGUAGE plpgsql
+VOLATILE
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_cfg public.gather_settings;
+  v_skill smallint;
+  v_row public.user_skills;
+BEGIN
+  SELECT id INTO v_skill FROM public.skills WHERE slug = p_slug;
+  SELECT * INTO v_cfg FROM public.gather_settings;
+  IF v_skill IS NULL OR v_cfg.id IS NULL THEN
+    RAISE EXCEPTION 'unknown skill %', p_slug USING ERRCODE = 'P0002';
+  END IF;
+  INSERT INTO public.user_skills (user_id, skill_id) VALUES (v_uid, v_skill)
+  ON CONFLICT (user_id, skill_id) DO NOTHING;
+  SELECT * INTO v_row FROM public.user_skills WHERE user_id = v_uid AND skill_id = v_skill FOR UPDATE;
+  v_row.xp := v_row.xp + GREATEST(p_xp, 0);
+  WHILE v_row.xp >= v_cfg.xp_base + (v_row.level - 1) * v_cfg.xp_per_level
+  LOOP
+    v_row.xp := v_row.xp - (v_cfg.xp_base + (v_row.level - 1) * v_cfg.xp_per_level);
+    v_row.level := v_row.level + 1;
+  END LOOP;
+  UPDATE public.user_skills SET level = v_row.level, xp = v_row.xp
+  WHERE user_id = v_uid AND skill_id = v_skill;
+  RETURN jsonb_build_object('slug', p_slug, 'level', v_row.level, 'xp', v_row.xp);
+END;
+$$;
+
+-- Internal: whether the caller stood within p_range tiles of a cell in the last 30 seconds (state_move's
+-- position and trail), in the same world and zone
+CREATE OR REPLACE FUNCTION public.state_near(p_world text, p_zone text, p_x int, p_y int, p_range int)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.user_state s
+    WHERE s.user_id = auth.uid() AND s.world = p_world AND s.zone = p_zone
+      AND (GREATEST(abs(s.pos_x - p_x), abs(s.pos_y - p_y)) <= p_range
+        OR EXISTS (
+          SELECT 1 FROM jsonb_array_elements(s.trail) AS e(t)
+          WHERE GREATEST(abs((e.t->>0)::int - p_x), abs((e.t->>1)::int - p_y)) <= p_range)));
+$$;
+
+-- Internal: take up to p_want harvests from the caller's gather clock, a token bucket that refills one
+-- harvest per min_gather_ms up to gather_burst (gather_settings). Returns how many were taken; raises
+-- when there are none.
+CREATE OR REPLACE FUNCTION public.gather_take(p_want int)
+RETURNS int
+LANGUAGE plpgsql
+VOLATILE
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_cfg public.gather_settings;
+  v_clock public.gather_clock;
+  v_tokens float8;
+  v_take int;
+BEGIN
+  SELECT * INTO v_cfg FROM public.gather_settings;
+  IF v_cfg.id IS NULL THEN
+    RAISE EXCEPTION 'gather settings are not seeded' USING ERRCODE = 'P0002';
+  END IF;
+  INSERT INTO public.gather_clock (user_id, tokens) VALUES (v_uid, v_cfg.gather_burst)
+  ON CONFLICT (user_id) DO NOTHING;
+  SELECT * INTO v_clock FROM public.gather_clock WHERE user_id = v_uid FOR UPDATE;
+  v_tokens := LEAST(v_cfg.gather_burst::float8,
+    v_clock.tokens + extract(epoch FROM clock_timestamp() - v_clock.at) * 1000 / v_cfg.min_gather_ms);
+  v_take := LEAST(p_want, floor(v_tokens)::int);
+  IF v_take < 1 THEN
+    RAISE EXCEPTION 'gathering too fast' USING ERRCODE = '53400';
+  END IF;
+  UPDATE public.gather_clock SET tokens = v_tokens - v_take, at = clock_timestamp() WHERE user_id = v_uid;
+  RETURN v_take;
+END;
+$$;
+
+-- Internal: one harvest of a node kind, credited to the caller: the main drop, then any secondary
+-- drops that hit, all rolled at the caller's level in the kind's skill (ItemSystem.gather does the
+-- same). Returns [{ slug, base_slug, name, rarity, quality, qty }].
+CREATE OR REPLACE FUNCTION public.gather_credit(p_type text, p_kind text)
+RETURNS jsonb
+LANGUAGE plpgsql
+VOLATILE
+SET search_path = public
+AS $$
+DECLARE
+  v_loot public.gather_loot;
+  v_cfg public.gather_settings;
+  v_mult float8;
+  v_drop jsonb;
+  v_out jsonb;
+BEGIN
+  SELECT * INTO v_loot FROM public.gather_loot WHERE node_type = p_type AND kind = p_kind;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown node kind %', p_kind USING ERRCODE = 'P0002';
+  END IF;
+  SELECT * INTO v_cfg FROM public.gather_settings;
+  v_mult := 1 + LEAST(COALESCE(v_cfg.skill_max, 0),
+    COALESCE(v_cfg.skill_per_level, 0) * (public.skill_level(v_loot.skill) - 1));
+  v_out := jsonb_build_array(public.gather_credit_stack(v_loot.item_slug, v_loot.rarity, v_loot.quality, 1, v_mult));
+  FOR v_drop IN SELECT * FROM jsonb_array_elements(v_loot.secondary)
+  LOOP
+    IF random() < (v_drop->>'chance')::float8 THEN
+      v_out := v_out || public.gather_credit_stack(
+        v_drop->>'slug', v_drop->'rarity', v_drop->'quality', COALESCE((v_drop->>'qty')::bigint, 1), v_mult);
+    END IF;
+  END LOOP;
+  RETURN v_out;
+END;
+$$;
+
+-- Internal: harvest counters of a node type (initialHarvestCountersForType in main.js: flowers 1,
+-- Trees 3-5, minerals 1-3). p_want is kept when it is in range, otherwise the count is rolled.
+CREATE OR REPLACE FUNCTION public.world_node_harvests(p_type text, p_want int)
+RETURNS int
+LANGUAGE plpgsql
+VOLATILE
+AS $$
+DECLARE
+  v_lo int := CASE p_type WHEN 'Trees' THEN 3 ELSE 1 END;
+  v_hi int := CASE p_type WHEN 'Trees' THEN 5 WHEN 'minerals' THEN 3 ELSE 1 END;
+BEGIN
+  IF p_want BETWEEN v_lo AND v_hi THEN
+    RETURN p_want;
+  END IF;
+  RETURN v_lo + floor(random() * (v_hi - v_lo + 1))::int;
+END;
+$$;
+
+-- Internal: what an emptied node regrows as ({ kind, maxHarvests }). Planted nodes keep their kind;
+-- others may come back as another kind of their type (RESPAWN_REROLL_CHANCE in main.js).
+CREATE OR REPLACE FUNCTION public.world_regrow(p_node jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+VOLATILE
+SET search_path = public
+AS $$
+DECLARE
+  v_type text := p_node->>'type';
+  v_kind text := p_node->>'kind';
+BEGIN
+  IF p_node->'owner' IS NULL
+     AND random() < CASE v_type WHEN 'flowers' THEN 0.5 WHEN 'minerals' THEN 0.25 ELSE 0 END THEN
+    SELECT kind INTO v_kind FROM public.world_node_kinds WHERE type = v_type ORDER BY random() LIMIT 1;
+  END IF;
+  RETURN jsonb_build_object('kind', v_kind, 'maxHarvests', public.world_node_harvests(v_type, NULL));
+END;
+$$;
+
+-- Shared world (worldsync.js). p_ops: [{ zone, x, y, tile?, node?, harvests?, crops? }, ...]
+-- Only worlds with generated nodes (world_nodes) are shared. A node's type and kind always come from
+-- the server: generated nodes from world_nodes, planted ones from their cell. The client's `node` only
+-- suggests maxHarvests (kept within the type's range), animOffset and the planter's name.
+--   harvests  take that many harvests from the cell's node against the server's counter, so two
+--             players can't both empty one node. The caller must have stood within 2 tiles of the
+--             node lately (state_near; a following pet gathers a tile further out than the player),
+--             and harvests beyond the caller's gather clock (gather_take) are dropped, so a node
+--             can't be emptied from across the map or faster than gathering takes. Each harvest taken
+--             is rolled and credited to the caller's inventory (gather_credit); the stacks come back
+--             as `gathered`. Emptying a node
+--             sets its respawn time (RESPAWN_MS in main.js) and what it regrows as (`regrow`).
+--             Depleted nodes refuse harvests until respawnAt, saplings until they mature.
+--   node      without harvests: plant a Trees/flowers node on a cell the generator left empty; the
+--             server sets the sapling's timer (SAPLING_GROW_MS in main.js) and the owner
+--   tile      the encoded tile state; tilled tiles are claimed by the player, and another player's
+--             claim holds until the tile is untilled or left alone for 7 days
+--   crops     with tile: a crop was harvested from the caller's plot (at most one counts per op, and
+--             only from within 2 tiles and within the gather clock)
+-- Harvests and crops train the caller's skills (skill_gain; 1 XP each like gatherNode and crop
+-- harvests in main.js): a node's gather_loot skill, and Harvesting for crops. The skill's new state
+-- comes back as `skill`.
+-- Each op succeeds or is rejected on its own; returns the resulting cells
+-- [{ zone, x, y, node, tile, owner, tile_at, updated_at, status, gathered, skill, error }].
+CREATE OR REPLACE FUNCTION public.world_apply(p_world text, p_ops jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid := auth.uid();
+  v_now_ms bigint := floor(extract(epoch FROM clock_timestamp()) * 1000)::bigint;
+  v_op jsonb;
+  v_zone text;
+  v_x int;
+  v_y int;
+  v_harvests int;
+  v_cell public.world_cells;
+  v_seed public.world_nodes;
+  v_want jsonb;
+  v_node jsonb;
+  v_node_owner text;
+  v_type text;
+  v_max int;
+  v_left int;
+  v_gathered jsonb;
+  v_skill jsonb;
+  v_results jsonb := '[]'::jsonb;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'not authenticated' USING ERRCODE = '28000';
+  END IF;
+  IF p_world IS NULL OR length(p_world) NOT BETWEEN 1 AND 64 THEN
+    RAISE EXCEPTION 'invalid world' USING ERRCODE = '22023';
+  END IF;
+  IF jsonb_typeof(p_ops) <> 'array' OR jsonb_array_length(p_ops) > 200 THEN
+    RAISE EXCEPTION 'ops must be an array of at most 200 entries' USING ERRCODE = '22023';
+  END IF;
+  PERFORM 1 FROM public.world_nodes WHERE world = p_world LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'unknown world %', p_world USING ERRCODE = 'P0002';
+  END IF;
+
+  FOR v_op IN SELECT * FROM jsonb_array_elements(p_ops)
+  LOOP
+    v_zone := NULL;
+    v_x := NULL;
+    v_y := NULL;
+    v_gathered := '[]'::jsonb;
+    v_skill := NULL;
+    BEGIN
+      v_zone := COALESCE(v_op->>'zone', 'overworld');
+      v_x := (v_op->>'x')::int;
+      v_y := (v_op->>'y')::int;
+      v_harvests := COALESCE((v_op->>'harvests')::int, 0);
+      v_want := v_op->'node';
+      IF v_x NOT BETWEEN 0 AND 1023 OR v_y NOT BETWEEN 0 AND 1023 OR length(v_zone) > 32 THEN
+        RAISE EXCEPTION 'invalid cell' USING ERRCODE = '22023';
+      END IF;
+      IF v_harvests NOT BETWEEN 0 AND 100 OR (v_harvests > 0 AND v_want IS NULL) THEN
+        RAISE EXCEPTION 'invalid harvest' USING ERRCODE = '22023';
+      END IF;
+      IF v_want IS NOT NULL AND jsonb_typeof(v_want) <> 'object' THEN
+        RAISE EXCEPTION 'invalid node' USING ERRCODE = '22023';
+      END IF;
+      IF v_op ? 'tile' AND (jsonb_typeof(v_op->'tile') <> 'array' OR jsonb_array_length(v_op->'tile') <> 5) THEN
+        RAISE EXCEPTION 'invalid tile' USING ERRCODE = '22023';
+      END IF;
+
+      IF v_harvests > 0 THEN
+        IF NOT public.state_near(p_world, v_zone, v_x, v_y, 2) THEN
+          RAISE EXCEPTION 'too far away to harvest' USING ERRCODE = '42501';
+        END IF;
+        v_harvests := public.gather_take(v_harvests);
+      END IF;
+
+      -- Lock the cell (creating it if needed) so concurrent harvests see one counter
+      INSERT INTO public.world_cells (world, zone, x, y, updated_by)
+      VALUES (p_world, v_zone, v_x, v_y, v_uid)
+      ON CONFLICT (world, zone, x, y) DO NOTHING;
+      SELECT * INTO v_cell FROM public.world_cells
+      WHERE world = p_world AND zone = v_zone AND x = v_x AND y = v_y
+      FOR UPDATE;
+      SELECT * INTO v_seed FROM public.world_nodes
+      WHERE world = p_world AND zone = v_zone AND x = v_x AND y = v_y;
+
+      v_node := v_cell.node;
+      v_node_owner := v_node->'owner'->>'id';
+      IF v_harvests > 0 THEN
+        IF v_node_owner IS NOT NULL AND v_node_owner <> v_uid::text THEN
+          RAISE EXCEPTION 'planted by another player' USING ERRCODE = '42501';
+        END IF;
+        IF v_node IS NULL THEN
+          -- First harvest of a generated node
+          IF v_seed.type IS NULL THEN
+            RAISE EXCEPTION 'no node here' USING ERRCODE = 'P0002';
+          END IF;
+          v_max := public.world_node_harvests(v_seed.type, (v_want->>'maxHarvests')::int);
+          v_node := jsonb_build_object(
+            'type', v_seed.type, 'kind', v_seed.kind, 'animOffset', v_seed.anim_offset,
+            'maxHarvests', v_max, 'remainingHarvests', v_max);
+        ELSIF COALESCE((v_node->>'depleted')::boolean, false) THEN
+          IF COALESCE((v_node->>'respawnAt')::bigint, 0) > v_now_ms THEN
+            RAISE EXCEPTION 'node depleted' USING ERRCODE = '23514';
+          END IF;
+          v_max := public.world_node_harvests(v_node->>'type', (v_node->'regrow'->>'maxHarvests')::int);
+          v_node := (v_node - 'respawnAt' - 'regrow') || jsonb_build_object(
+            'kind', COALESCE(v_node->'regrow'->>'kind', v_node->>'kind'),
+            'maxHarvests', v_max, 'remainingHarvests', v_max, 'depleted', false);
+        ELSIF (v_node->'sapling'->>'matureAt')::bigint > v_now_ms THEN
+          RAISE EXCEPTION 'still growing' USING ERRCODE = '23514';
+        END IF;
+        IF COALESCE(v_node->>'type', '') NOT IN ('Trees', 'flowers', 'minerals') THEN
+          RAISE EXCEPTION 'invalid node' USING ERRCODE = '22023';
+        END IF;
+
+        -- Counters written before they were capped fall back into the type's range
+        v_max := public.world_node_harvests(v_node->>'type', (v_node->>'maxHarvests')::int);
+        v_left := LEAST(COALESCE((v_node->>'remainingHarvests')::int, 1), v_max);
+        FOR i IN 1..LEAST(v_left, v_harvests)
+        LOOP
+          v_gathered := v_gathered || public.gather_credit(v_node->>'type', v_node->>'kind');
+        END LOOP;
+        IF LEAST(v_left, v_harvests) > 0 THEN
+          v_skill := public.skill_gain(
+            (SELECT skill FROM public.gather_loot WHERE node_type = v_node->>'type' AND kind = v_node->>'kind'),
+            LEAST(v_left, v_harvests));
+        END IF;
+        v_left := GREATEST(0, v_left - v_harvests);
+        v_node := (v_node - 'sapling') || jsonb_build_object('maxHarvests', v_max, 'remainingHarvests', v_left);
+        IF v_left = 0 THEN
+          v_node := v_node || jsonb_build_object(
+            'depleted', true,
+            'respawnAt', v_now_ms + CASE v_node->>'type' WHEN 'Trees' THEN 600000 WHEN 'minerals' THEN 900000 ELSE 180000 END,
+            'regrow', public.world_regrow(v_node));
+        END IF;
+      ELSIF v_want IS NOT NULL THEN
+        IF v_node IS NOT NULL OR v_seed.type IS NOT NULL THEN
+          RAISE EXCEPTION 'tile already has a node' USING ERRCODE = '23505';
+        END IF;
+        v_type := v_want->>'type';
+        PERFORM 1 FROM public.world_node_kinds WHERE type = v_type AND kind = v_want->>'kind';
+        IF NOT FOUND OR v_type NOT IN ('Trees', 'flowers') THEN
+          RAISE EXCEPTION 'invalid node' USING ERRCODE = '22023';
+        END IF;
+        v_max := public.world_node_harvests(v_type, (v_want->>'maxHarvests')::int);
+        v_node := jsonb_build_object(
+          'type', v_type,
+          'kind', v_want->>'kind',
+          'animOffset', LEAST(GREATEST(COALESCE((v_want->>'animOffset')::int, 0), 0), 999),
+          'maxHarvests', v_max,
+          'remainingHarvests', v_max,
+          'sapling', jsonb_build_object(
+            'plantedAt', v_now_ms,
+            'matureAt', v_now_ms + CASE v_type WHEN 'Trees' THEN 1200000 ELSE 300000 END),
+          'owner', jsonb_build_object('id', v_uid, 'name', left(COALESCE(v_want->'owner'->>'name', ''), 32)));
+      END IF;
+
+      IF v_op ? 'tile' AND v_cell.owner IS NOT NULL AND v_cell.owner <> v_uid
+         AND v_cell.tile_at > now() - interval '7 days' THEN
+        RAISE EXCEPTION 'plot belongs to another player' USING ERRCODE = '42501';
+      END IF;
+
+      UPDATE public.world_cells SET
+        node = v_node,
+        tile = CASE WHEN v_op ? 'tile' THEN v_op->'tile' ELSE tile END,
+        owner = CASE WHEN NOT v_op ? 'tile' THEN owner WHEN v_op->'tile'->>2 = '1' THEN v_uid END,
+        tile_at = CASE WHEN v_op ? 'tile' THEN now() ELSE tile_at END,
+        updated_by = v_uid
+      WHERE world = p_world AND zone = v_zone AND x = v_x AND y = v_y
+      RETURNING * INTO v_cell;
+
+      IF COALESCE((v_op->>'crops')::int, 0) > 0 AND v_op ? 'tile' AND v_cell.owner = v_uid
+         AND public.state_near(p_world, v_zone, v_x, v_y, 2) THEN
+        BEGIN
+          PERFORM public.gather_take(1);
+          v_skill := public.skill_gain('harvesting', 1);
+        EXCEPTION WHEN OTHERS THEN
+          -- Too fast: the tile change still stands, it just trains nothing
+          v_skill := NULL;
+        END;
+      END IF;
+
+      v_results := v_results || ((to_jsonb(v_cell) - 'world' - 'updated_by')
+        || jsonb_build_object('status', 'ok', 'gathered', v_gathered, 'skill', v_skill));
+    EXCEPTION WHEN OTHERS THEN
+      -- Hand back the server's cell so the client can drop its version
+      SELECT * INTO v_cell FROM public.world_cells
+      WHERE world = p_world AND zone = v_zone AND x = v_x AND y = v_y;
+      v_results := v_results || jsonb_build_object(
+        'zone', v_zone, 'x', v_x, 'y', v_y, 'node', v_cell.node, 'tile', v_cell.tile, 'owner', v_cell.owner,
+        'tile_at', v_cell.tile_at, 'updated_at', v_cell.updated_at, 'status', 'rejected', 'error', SQLERRM);
+    END;
+  END LOOP;
+
+  RETURN v_results;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.inventory_add(text, bigint, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.inventory_remove(text, bigint, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.inventory_transfer(uuid, text, bigint) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.inventory_apply_batch(jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.inventory_remove(text, bigint, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.inventory_transfer(uuid, text, bigint) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.inventory_apply_batch(jsonb) TO authenticated;
+-- Items only enter an inventory through server-side rolls (gather_credit) and escrowed moves
+REVOKE EXECUTE ON FUNCTION public.inventory_add(text, bigint, text) FROM anon, authenticated;
+REVOKE ALL ON FUNCTION public.item_identity(public.items, text, text) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.item_identity(public.items, text, text) FROM anon, authenticated;
+REVOKE ALL ON FUNCTION public.chest_place(uuid, int, int, text, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.chest_move(uuid, text, bigint) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.chest_remove(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.chest_place(uuid, int, int, text, text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.chest_move(uuid, text, bigint) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.chest_remove(uuid) TO authenticated;
+REVOKE ALL ON FUNCTION public.state_move(text, text, int, int) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.state_move(text, text, int, int) TO authenticated;
+REVOKE ALL ON FUNCTION public.trade_credit(uuid, jsonb, bigint, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.trade_debit(uuid, jsonb, bigint, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.trade_refund(uuid) FROM PUBLIC;
+-- Internal helpers: Supabase's default privileges grant new functions to anon/authenticated directly,
+-- which REVOKE ... FROM PUBLIC does not undo
+REVOKE EXECUTE ON FUNCTION public.trade_credit(uuid, jsonb, bigint, uuid) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.trade_debit(uuid, jsonb, bigint, uuid) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.trade_refund(uuid) FROM anon, authenticated;
+REVOKE ALL ON FUNCTION public.trade_open(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.trade_offer(uuid, jsonb, bigint) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.trade_confirm(uuid, int) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.trade_cancel(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.trade_ack(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.trade_open(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.trade_offer(uuid, jsonb, bigint) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.trade_confirm(uuid, int) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.trade_cancel(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.trade_ack(uuid) TO authenticated;
+REVOKE ALL ON FUNCTION public.mail_send(uuid, text, text, text, jsonb, bigint, bigint) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.mail_claim(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.mail_read(uuid[]) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.mail_delete(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.mail_daily_reward() FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.mail_grant(uuid, text, text, jsonb, bigint, bigint) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.mail_send(uuid, text, text, text, jsonb, bigint, bigint) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.mail_grant(uuid, text, text, jsonb, bigint, bigint) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.mail_claim(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.mail_read(uuid[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.mail_delete(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.mail_daily_reward() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.mail_grant(uuid, text, text, jsonb, bigint, bigint) TO service_role;
+REVOKE ALL ON FUNCTION public.market_debit(uuid, text, bigint) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.market_finish(uuid, uuid, bigint) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.market_refund_bid(public.market_listings, text) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.market_debit(uuid, text, bigint) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.market_finish(uuid, uuid, bigint) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.market_refund_bid(public.market_listings, text) FROM anon, authenticated;
+REVOKE ALL ON FUNCTION public.market_settle_expired(int) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.market_create(text, bigint, text, bigint, bigint, int) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.market_bid(uuid, bigint) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.market_buy(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.market_cancel(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.market_settle_expired(int) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.market_create(text, bigint, text, bigint, bigint, int) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.market_bid(uuid, bigint) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.market_buy(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.market_cancel(uuid) TO authenticated;
+REVOKE ALL ON FUNCTION public.shop_price(public.items) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.shop_price(public.items) FROM anon, authenticated;
+REVOKE ALL ON FUNCTION public.shop_sell(jsonb) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.cash_deposit(bigint) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.cash_spend(bigint) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.shop_sell(jsonb) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cash_deposit(bigint) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.cash_spend(bigint) TO authenticated;
+REVOKE ALL ON FUNCTION public.chat_post(text, text, integer, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.chat_post(text, text, integer, integer) TO authenticated;
+REVOKE ALL ON FUNCTION public.world_apply(text, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.world_apply(text, jsonb) TO authenticated;
+REVOKE ALL ON FUNCTION public.gather_credit_stack(text, jsonb, jsonb, bigint, float8) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.gather_credit(text, text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.state_near(text, text, int, int, int) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.gather_take(int) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.state_near(text, text, int, int, int) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.gather_take(int) FROM anon, authenticated;
+REVOKE ALL ON FUNCTION public.skill_level(text) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.skill_gain(text, int) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.gather_credit_stack(text, jsonb, jsonb, bigint, float8) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.gather_credit(text, text) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.skill_level(text) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.skill_gain(text, int) FROM anon, authenticated;
+REVOKE ALL ON FUNCTION public.world_node_harvests(text, int) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.world_regrow(jsonb) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.world_node_harvests(text, int) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.world_regrow(jsonb) FROM anon, authenticated;
+
 -- Allow reading of reference catalogs
 GRANT SELECT ON TABLE public.skills TO anon, authenticated;
 GRANT SELECT ON TABLE public.items TO anon, authenticated;
 
 -- Seed skills catalog
+-- The game's own skills and items (ItemList ids) are seeded by supabase_seed_catalog.sql,
+-- generated with `node tools/gen_seed_sql.js supabase_seed_catalog.sql`. Run it after this file.
+-- The shared world's generated nodes are seeded by supabase_seed_world.sql
+-- (`node tools/gen_world_sql.js supabase_seed_world.sql`); world_apply refuses worlds it doesn't list.
 INSERT INTO public.skills (id, slug, name) VALUES
   (1, 'mining', 'Mining'),
   (2, 'woodcutting', 'Woodcutting'),
@@ -249,18 +2617,57 @@ COMMIT;
 -- Notes / Examples:
 -- 1) Create profile (client-side with supabase-js v2):
 --    await supabase.from('profiles').insert({ user_id: user.id, username, wallet_address });
--- 2) Update balances:
---    await supabase.from('profiles').update({ cash: 100, junk: 5 }).eq('user_id', user.id);
--- 3) Save coordinates:
---    await supabase.from('user_state').upsert({ user_id: user.id, pos_x, pos_y, pos_z, zone });
--- 4) Upsert a skill:
---    await supabase.from('user_skills').upsert({ user_id: user.id, skill_id: 1, level: 5, xp: 1200 });
--- 5) Add inventory:
---    const { data: item } = await supabase.from('items').select('id').eq('slug','copper_ore').single();
---    await supabase.from('user_inventory').upsert({ user_id: user.id, item_id: item.id, quantity: 10 });
--- 6) Save slot:
+-- 2) Read balances (cash / junk are moved only by the trade, market, mail and shop/cash functions):
+--    const { data: bank } = await supabase.from('profiles').select('cash, junk').eq('user_id', user.id).single();
+-- 3) Move (the returned row is where the server put the player):
+--    const { data: state } = await supabase.rpc('state_move', { p_world: 'biomes:1247104587', p_zone: 'overworld', p_x: 113, p_y: 60 });
+-- 4) Read skill levels (gained only through world_apply harvests):
+--    const { data: skills } = await supabase.from('user_skills').select('level, xp, skills(slug)').eq('user_id', user.id);
+-- 5) Remove / transfer inventory (direct writes are denied; items are only credited by server-side
+--    gather rolls in world_apply, trades, market and mail; anything else a client holds, such as crafts,
+--    crops and gathers made offline or outside a shared world, stays device-local):
+--    await supabase.rpc('inventory_remove', { p_slug: 'copper_ore', p_qty: 2 });
+--    await supabase.rpc('inventory_transfer', { p_to: otherUserId, p_slug: 'copper_ore', p_qty: 1 });
+-- 6) Storage chests (placed and filled through the RPCs):
+--    await supabase.rpc('chest_place', { p_id: chestId, p_x: 10, p_y: 12, p_zone: 'overworld', p_world: 'biomes:1247104587' });
+--    await supabase.rpc('chest_move', { p_chest: chestId, p_slug: 'copper_ore', p_qty: 5 });   // deposit
+--    await supabase.rpc('chest_move', { p_chest: chestId, p_slug: 'copper_ore', p_qty: -5 });  // withdraw
+--    await supabase.rpc('chest_remove', { p_chest: chestId });
+-- 7) Shared world cells (read the world's rows; changes go through world_apply):
+--    await supabase.from('world_cells').select('zone, x, y, node, tile, owner').eq('world', 'biomes:1247104587');
+--    await supabase.rpc('world_apply', { p_world: 'biomes:1247104587', p_ops: [
+--      { zone: 'overworld', x: 40, y: 12, harvests: 1, node: { maxHarvests: 2 } },   // type and kind come from world_nodes
+--      { zone: 'overworld', x: 41, y: 12, node: { type: 'Trees', kind: 'Apple', owner: { name: 'Wanderer' } } },   // plant
+--    ] });
+-- 8) Trades (offers are escrowed; the second confirmation swaps them):
+--    const { data: trade } = await supabase.rpc('trade_open', { p_to: otherUserId });
+--    await supabase.rpc('trade_offer', { p_trade: trade.id, p_items: [{ slug: 'copper_ore', qty: 5 }], p_cash: 20 });
+--    await supabase.rpc('trade_confirm', { p_trade: trade.id, p_version: 1 });
+--    await supabase.rpc('trade_cancel', { p_trade: trade.id });
+-- 9) Marketplace (stacks and prices escrowed server-side; outcomes arrive by mail):
+--    await supabase.rpc('market_settle_expired');
+--    const { data: listing } = await supabase.rpc('market_create', { p_slug: 'mineral_iron_ore__rare__refined', p_qty: 10,
+--      p_currency: 'cash', p_start_price: 100, p_buyout_price: 250, p_hours: 24 });
+--    await supabase.rpc('market_bid', { p_listing: listing.id, p_amount: 120 });
+--    await supabase.rpc('market_buy', { p_listing: listing.id });
+-- 10) Mailbox (claim moves attachments into inventory and balances):
+--    await supabase.rpc('mail_daily_reward');
+--    const { data: mail } = await supabase.from('mail').select('*').order('created_at', { ascending: false });
+--    await supabase.rpc('mail_claim', { p_mail: mail[0].id });
+--    -- Admin grant (service role): select mail_grant('<user uuid>', 'Sorry!', 'Downtime gift', '[{"slug":"mineral_coal","qty":20}]', 100, 0);
+-- 11) Shop and cash (server-held stacks sell at the seeded price; device-local earnings are banked up to
+--     a daily cap; shop purchases the device's own cash can't cover are paid from the balance):
+--    const { data: paid } = await supabase.rpc('shop_sell', { p_items: [{ slug: 'mineral_coal__common__normal', qty: 3 }] });
+--    const { data: banked } = await supabase.rpc('cash_deposit', { p_amount: 120 });
+--    const { data: balance } = await supabase.rpc('cash_spend', { p_amount: 30 });
+-- 12) Chat (every message is stored by chat_post and arrives live over realtime on chat_messages; local
+--     channels exist only for shared zones):
+--    await supabase.rpc('chat_post', { p_channel: 'local:overworld', p_body: 'hello', p_x: 12, p_y: 40 });
+--    const { data } = await supabase.from('chat_messages').select('*').in('channel', ['global', 'local:overworld'])
+--      .order('created_at', { ascending: false }).limit(50);
+-- 13) Save slot:
 --    await supabase.from('user_saves').upsert({ user_id: user.id, slot: 1, data: { quest: 'intro', step: 2 } });
--- 7) Load all:
+-- 14) Load all:
 --    const [profile, state, skills, inv, saves] = await Promise.all([
 --      supabase.from('profiles').select('*').eq('user_id', user.id).single(),
 --      supabase.from('user_state').select('*').eq('user_id', user.id).single(),
@@ -0,0 +1,175 @@
+-- Generated by tools/gen_seed_sql.js from itemlist.js and skilllist.js. Do not edit by hand.
+BEGIN;
+
+-- Skills catalog
+INSERT INTO public.skills (id, slug, name) VALUES
+  (1, 'mining', 'Mining'),
+  (7, 'crafting', 'Crafting'),
+  (9, 'cooking', 'Cooking'),
+  (10, 'flower', 'Flower Picking'),
+  (11, 'harvesting', 'Harvesting')
+ON CONFLICT (id) DO UPDATE SET slug = EXCLUDED.slug, name = EXCLUDED.name;
+
+-- Items: trees
+INSERT INTO public.items (slug, name, category, stackable, sell_price) VALUES
+  ('tree_fruit_apple', 'Apple', 'trees', true, 12),
+  ('tree_fruit_lemon', 'Lemon', 'trees', true, 12),
+  ('tree_fruit_mango', 'Mango', 'trees', true, 12),
+  ('tree_fruit_orange', 'Orange', 'trees', true, 12),
+  ('tree_fruit_peach', 'Peach', 'trees', true, 12),
+  ('tree_fruit_coconut', 'Coconut', 'trees', true, 12),
+  ('tree_wood_birch_wood', 'Birch Wood', 'trees', true, 12),
+  ('tree_wood_maple_wood', 'Maple Wood', 'trees', true, 12),
+  ('tree_wood_oak_wood', 'Oak Wood', 'trees', true, 12),
+  ('tree_wood_pine_wood', 'Pine Wood', 'trees', true, 12),
+  ('tree_wood_willow_wood', 'Willow Wood', 'trees', true, 12),
+  ('tree_wood_jacaranda_wood', 'Jacaranda Wood', 'trees', true, 12),
+  ('tree_blossom_sakura_blossom', 'Sakura Blossom', 'trees', true, 12)
+ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name, category = EXCLUDED.category, sell_price = EXCLUDED.sell_price;
+
+-- Items: flowers
+INSERT INTO public.items (slug, name, category, stackable, sell_price) VALUES
+  ('flower_petals_daisy_petals', 'Daisy Petals', 'flowers', true, 8),
+  ('flower_petals_lotus_petals', 'Lotus Petals', 'flowers', true, 8),
+  ('flower_petals_orchid_petals', 'Orchid Petals', 'flowers', true, 8),
+  ('flower_petals_rose_petals', 'Rose Petals', 'flowers', true, 8),
+  ('flower_petals_sunflower_petals', 'Sunflower Petals', 'flowers', true, 8),
+  ('flower_petals_tulip_petals', 'Tulip Petals', 'flowers', true, 8)
+ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name, category = EXCLUDED.category, sell_price = EXCLUDED.sell_price;
+
+-- Items: minerals
+INSERT INTO public.items (slug, name, category, stackable, sell_price) VALUES
+  ('mineral_adamantite', 'Adamantite', 'minerals', true, 15),
+  ('mineral_amethyst', 'Amethyst', 'minerals', true, 15),
+  ('mineral_basalt', 'Basalt', 'minerals', true, 15),
+  ('mineral_coal', 'Coal', 'minerals', true, 15),
+  ('mineral_copper_ore', 'Copper Ore', 'minerals', true, 15),
+  ('mineral_diamond', 'Diamond', 'minerals', true, 15),
+  ('mineral_emerald', 'Emerald', 'minerals', true, 15),
+  ('mineral_gold_ore', 'Gold Ore', 'minerals', true, 15),
+  ('mineral_granite', 'Granite', 'minerals', true, 15),
+  ('mineral_iron_ore', 'Iron Ore', 'minerals', true, 15),
+  ('mineral_limestone', 'Limestone', 'minerals', true, 15),
+  ('mineral_marble', 'Marble', 'minerals', true, 15),
+  ('mineral_mooncrystal', 'Mooncrystal', 'minerals', true, 15),
+  ('mineral_mythril', 'Mythril', 'minerals', true, 15),
+  ('mineral_obsidian', 'Obsidian', 'minerals', true, 15),
+  ('mineral_opal', 'Opal', 'minerals', true, 15),
+  ('mineral_rock', 'Rock', 'minerals', true, 15),
+  ('mineral_ruby', 'Ruby', 'minerals', true, 15),
+  ('mineral_sandstone', 'Sandstone', 'minerals', true, 15),
+  ('mineral_sapphire', 'Sapphire', 'minerals', true, 15),
+  ('mineral_silver_ore', 'Silver Ore', 'minerals', true, 15),
+  ('mineral_slate', 'Slate', 'minerals', true, 15),
+  ('mineral_starstone', 'Starstone', 'minerals', true, 15),
+  ('mineral_tin_ore', 'Tin Ore', 'minerals', true, 15),
+  ('mineral_topaz', 'Topaz', 'minerals', true, 15)
+ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name, category = EXCLUDED.category, sell_price = EXCLUDED.sell_price;
+
+-- Items: misc
+INSERT INTO public.items (slug, name, category, stackable, sell_price) VALUES
+  ('misc_seed', 'SEED', 'misc', true, 10)
+ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name, category = EXCLUDED.category, sell_price = EXCLUDED.sell_price;
+
+-- Items: crafted
+INSERT INTO public.items (slug, name, category, stackable, sell_price) VALUES
+  ('crafted_wood_plank', 'Wood Plank', 'crafted', true, 30),
+  ('crafted_iron_ingot', 'Iron Ingot', 'crafted', true, 30),
+  ('crafted_copper_wire', 'Copper Wire', 'crafted', true, 30),
+  ('crafted_petal_tonic', 'Petal Tonic', 'crafted', true, 30),
+  ('crafted_fertilizer', 'Fertilizer', 'crafted', true, 30),
+  ('crafted_sprinkler', 'Sprinkler', 'crafted', true, 30),
+  ('crafted_rain_collector', 'Rain Collector', 'crafted', true, 30),
+  ('crafted_auto_harvester', 'Auto Harvester', 'crafted', true, 30),
+  ('crafted_storage_chest', 'Storage Chest', 'crafted', true, 30),
+  ('crafted_bread', 'Bread', 'crafted', true, 30),
+  ('crafted_tomato_soup', 'Tomato Soup', 'crafted', true, 30),
+  ('crafted_vegetable_stew', 'Vegetable Stew', 'crafted', true, 30),
+  ('crafted_harvest_feast', 'Harvest Feast', 'crafted', true, 30)
+ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name, category = EXCLUDED.category, sell_price = EXCLUDED.sell_price;
+
+-- Items: crops
+INSERT INTO public.items (slug, name, category, stackable, sell_price) VALUES
+  ('crop_turnip', 'Turnip', 'crops', true, 25),
+  ('crop_wheat', 'Wheat', 'crops', true, 20),
+  ('crop_corn', 'Corn', 'crops', true, 40),
+  ('crop_tomato', 'Tomato', 'crops', true, 15)
+ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name, category = EXCLUDED.category, sell_price = EXCLUDED.sell_price;
+
+-- Shop price multipliers
+DELETE FROM public.shop_mults;
+INSERT INTO public.shop_mults (kind, name, mult) VALUES
+  ('rarity', 'common', 1),
+  ('rarity', 'uncommon', 1.5),
+  ('rarity', 'rare', 3),
+  ('rarity', 'epic', 6),
+  ('rarity', 'legendary', 12),
+  ('rarity', 'mythic', 20),
+  ('rarity', 'godlike', 40),
+  ('quality', 'poor', 0.6),
+  ('quality', 'common', 1),
+  ('quality', 'good', 1.25),
+  ('quality', 'excellent', 1.75),
+  ('quality', 'pristine', 2.25),
+  ('quality', 'dull', 0.6),
+  ('quality', 'normal', 1),
+  ('quality', 'refined', 1.5),
+  ('quality', 'exquisite', 3),
+  ('rarity', '*', 0.75),
+  ('quality', '*', 1);
+
+-- Gather settings
+INSERT INTO public.gather_settings (id, skill_per_level, skill_max, xp_base, xp_per_level, min_gather_ms) VALUES
+  (true, 0.03, 1, 10, 10, 1050)
+ON CONFLICT (id) DO UPDATE SET skill_per_level = EXCLUDED.skill_per_level, skill_max = EXCLUDED.skill_max,
+  xp_base = EXCLUDED.xp_base, xp_per_level = EXCLUDED.xp_per_level, min_gather_ms = EXCLUDED.min_gather_ms;
+
+-- Gather loot per node kind
+DELETE FROM public.gather_loot;
+INSERT INTO public.gather_loot (node_type, kind, item_slug, skill, rarity, quality, secondary) VALUES
+  ('Trees', 'Apple', 'tree_fruit_apple', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Birch', 'tree_wood_birch_wood', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Coconut', 'tree_fruit_coconut', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Jacaranda', 'tree_wood_jacaranda_wood', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Lemon', 'tree_fruit_lemon', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Mango', 'tree_fruit_mango', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Maple', 'tree_wood_maple_wood', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Oak', 'tree_wood_oak_wood', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[{"slug":"tree_fruit_apple","rarity":[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]],"quality":[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]],"chance":0.02,"qty":1}]'::jsonb),
+  ('Trees', 'Orange', 'tree_fruit_orange', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Peach', 'tree_fruit_peach', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Pine', 'tree_wood_pine_wood', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Sakura', 'tree_blossom_sakura_blossom', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.12],["Rare",0.3],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('Trees', 'Willow', 'tree_wood_willow_wood', 'harvesting', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('flowers', 'Daisy', 'flower_petals_daisy_petals', 'flower', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('flowers', 'Lotus', 'flower_petals_lotus_petals', 'flower', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.572792],["Normal",0.286396],["Refined",0.114558],["Pristine",0.0214797],["Exquisite",0.00477327]]'::jsonb, '[]'::jsonb),
+  ('flowers', 'Orchid', 'flower_petals_orchid_petals', 'flower', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('flowers', 'Rose', 'flower_petals_rose_petals', 'flower', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('flowers', 'Sunflower', 'flower_petals_sunflower_petals', 'flower', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('flowers', 'Tulip', 'flower_petals_tulip_petals', 'flower', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Adamantite', 'mineral_adamantite', 'mining', '[["Godlike",0.0003],["Mythic",0.02],["Legendary",0.13],["Rare",0.275],["Uncommon",0.5]]'::jsonb, '[["Dull",0.594059],["Normal",0.29703],["Refined",0.0792079],["Pristine",0.0222772],["Exquisite",0.00742574]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Amethyst', 'mineral_amethyst', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Basalt', 'mineral_basalt', 'mining', '[["Godlike",0],["Mythic",0],["Legendary",0.025],["Rare",0.125],["Uncommon",0.375]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Coal', 'mineral_coal', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Copper Ore', 'mineral_copper_ore', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[{"slug":"mineral_tin_ore","rarity":[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]],"quality":[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]],"chance":0.05,"qty":1}]'::jsonb),
+  ('minerals', 'Diamond', 'mineral_diamond', 'mining', '[["Godlike",0.0005],["Mythic",0.03],["Legendary",0.15],["Rare",0.3],["Uncommon",0.5]]'::jsonb, '[["Dull",0.588235],["Normal",0.294118],["Refined",0.0784314],["Pristine",0.0294118],["Exquisite",0.00980392]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Emerald', 'mineral_emerald', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Gold Ore', 'mineral_gold_ore', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[{"slug":"mineral_silver_ore","rarity":[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]],"quality":[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]],"chance":0.04,"qty":1}]'::jsonb),
+  ('minerals', 'Granite', 'mineral_granite', 'mining', '[["Godlike",0],["Mythic",0],["Legendary",0.025],["Rare",0.125],["Uncommon",0.375]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Iron Ore', 'mineral_iron_ore', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[{"slug":"mineral_coal","rarity":[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]],"quality":[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]],"chance":0.08,"qty":1}]'::jsonb),
+  ('minerals', 'Limestone', 'mineral_limestone', 'mining', '[["Godlike",0],["Mythic",0],["Legendary",0.025],["Rare",0.125],["Uncommon",0.375]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Marble', 'mineral_marble', 'mining', '[["Godlike",0],["Mythic",0.005],["Legendary",0.05],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Mooncrystal', 'mineral_mooncrystal', 'mining', '[["Godlike",0.0003],["Mythic",0.02],["Legendary",0.13],["Rare",0.275],["Uncommon",0.5]]'::jsonb, '[["Dull",0.594059],["Normal",0.29703],["Refined",0.0792079],["Pristine",0.0222772],["Exquisite",0.00742574]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Mythril', 'mineral_mythril', 'mining', '[["Godlike",0.0003],["Mythic",0.02],["Legendary",0.13],["Rare",0.275],["Uncommon",0.5]]'::jsonb, '[["Dull",0.594059],["Normal",0.29703],["Refined",0.0792079],["Pristine",0.0222772],["Exquisite",0.00742574]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Obsidian', 'mineral_obsidian', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Opal', 'mineral_opal', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'rock', 'mineral_rock', 'mining', '[["Godlike",0],["Mythic",0],["Legendary",0.025],["Rare",0.125],["Uncommon",0.375]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[{"slug":"mineral_coal","rarity":[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]],"quality":[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]],"chance":0.05,"qty":1}]'::jsonb),
+  ('minerals', 'Ruby', 'mineral_ruby', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Sandstone', 'mineral_sandstone', 'mining', '[["Godlike",0],["Mythic",0],["Legendary",0.025],["Rare",0.125],["Uncommon",0.375]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Sapphire', 'mineral_sapphire', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Silver Ore', 'mineral_silver_ore', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Slate', 'mineral_slate', 'mining', '[["Godlike",0],["Mythic",0],["Legendary",0.025],["Rare",0.125],["Uncommon",0.375]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Starstone', 'mineral_starstone', 'mining', '[["Godlike",0.0003],["Mythic",0.02],["Legendary",0.13],["Rare",0.275],["Uncommon",0.5]]'::jsonb, '[["Dull",0.594059],["Normal",0.29703],["Refined",0.0792079],["Pristine",0.0222772],["Exquisite",0.00742574]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Tin Ore', 'mineral_tin_ore', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb),
+  ('minerals', 'Topaz', 'mineral_topaz', 'mining', '[["Godlike",0.0001],["Mythic",0.01],["Legendary",0.1],["Rare",0.25],["Uncommon",0.5]]'::jsonb, '[["Dull",0.6],["Normal",0.3],["Refined",0.08],["Pristine",0.015],["Exquisite",0.005]]'::jsonb, '[]'::jsonb);
+
+COMMIT;
@@ -0,0 +1,1935 @@
+-- Generated by tools/gen_world_sql.js from worldlayout.js, worldgen.js and zones.js. Do not edit by hand.
+BEGIN;
+
+-- Node kinds per type
+DELETE FROM public.world_node_kinds;
+INSERT INTO public.world_node_kinds (type, kind) VALUES
+  ('Trees', 'Apple'),
+  ('Trees', 'Birch'),
+  ('Trees', 'Coconut'),
+  ('Trees', 'Jacaranda'),
+  ('Trees', 'Lemon'),
+  ('Trees', 'Mango'),
+  ('Trees', 'Maple'),
+  ('Trees', 'Oak'),
+  ('Trees', 'Orange'),
+  ('Trees', 'Peach'),
+  ('Trees', 'Pine'),
+  ('Trees', 'Sakura'),
+  ('Trees', 'Willow'),
+  ('flowers', 'Daisy'),
+  ('flowers', 'Lotus'),
+  ('flowers', 'Orchid'),
+  ('flowers', 'Rose'),
+  ('flowers', 'Sunflower'),
+  ('flowers', 'Tulip'),
+  ('minerals', 'Adamantite'),
+  ('minerals', 'Amethyst'),
+  ('minerals', 'Basalt'),
+  ('minerals', 'Coal'),
+  ('minerals', 'Copper Ore'),
+  ('minerals', 'Diamond'),
+  ('minerals', 'Emerald'),
+  ('minerals', 'Gold Ore'),
+  ('minerals', 'Granite'),
+  ('minerals', 'Iron Ore'),
+  ('minerals', 'Limestone'),
+  ('minerals', 'Marble'),
+  ('minerals', 'Mooncrystal'),
+  ('minerals', 'Mythril'),
+  ('minerals', 'Obsidian'),
+  ('minerals', 'Opal'),
+  ('minerals', 'rock'),
+  ('minerals', 'Ruby'),
+  ('minerals', 'Sandstone'),
+  ('minerals', 'Sapphire'),
+  ('minerals', 'Silver Ore'),
+  ('minerals', 'Slate'),
+  ('minerals', 'Starstone'),
+  ('minerals', 'Tin Ore'),
+  ('minerals', 'Topaz');
+
+-- Zone entries of biomes:1247104587
+DELETE FROM public.world_zone_entries WHERE world = 'biomes:1247104587';
+INSERT INTO public.world_zone_entries (world, zone, x, y) VALUES
+  ('biomes:1247104587', 'overworld', 113, 60),
+  ('biomes:1247104587', 'overworld', 128, 60),
+  ('biomes:1247104587', 'overworld', 255, 60),
+  ('biomes:1247104587', 'scrap_flats', 2, 20),
+  ('biomes:1247104587', 'scrap_flats', 0, 20);
+
+-- Generated nodes of biomes:1247104587
+DELETE FROM public.world_nodes WHERE world = 'biomes:1247104587';
+-- overworld: 1735 nodes
+INSERT INTO public.world_nodes (world, zone, x, y, type, kind, anim_offset) VALUES
+  ('biomes:1247104587', 'overworld', 2, 0, 'flowers', 'Sunflower', 757),
+  ('biomes:1247104587', 'overworld', 16, 0, 'Trees', 'Birch', 494),
+  ('biomes:1247104587', 'overworld', 20, 0, 'Trees', 'Oak', 730),
+  ('biomes:1247104587', 'overworld', 25, 0, 'minerals', 'Iron Ore', 13),
+  ('biomes:1247104587', 'overworld', 61, 0, 'minerals', 'Opal', 558),
+  ('biomes:1247104587', 'overworld', 70, 0, 'minerals', 'Basalt', 194),
+  ('biomes:1247104587', 'overworld', 74, 0, 'minerals', 'Basalt', 480),
+  ('biomes:1247104587', 'overworld', 91, 0, 'Trees', 'Mango', 164),
+  ('biomes:1247104587', 'overworld', 107, 0, 'flowers', 'Orchid', 533),
+  ('biomes:1247104587', 'overworld', 109, 0, 'flowers', 'Orchid', 868),
+  ('biomes:1247104587', 'overworld', 167, 0, 'flowers', 'Lotus', 95),
+  ('biomes:1247104587', 'overworld', 172, 0, 'flowers', 'Lotus', 54),
+  ('biomes:1247104587', 'overworld', 174, 0, 'Trees', 'Apple', 747),
+  ('biomes:1247104587', 'overworld', 175, 0, 'flowers', 'Rose', 20),
+  ('biomes:1247104587', 'overworld', 192, 0, 'flowers', 'Sunflower', 322),
+  ('biomes:1247104587', 'overworld', 196, 0, 'flowers', 'Tulip', 141),
+  ('biomes:1247104587', 'overworld', 216, 0, 'minerals', 'rock', 519),
+  ('biomes:1247104587', 'overworld', 218, 0, 'minerals', 'Basalt', 531),
+  ('biomes:1247104587', 'overworld', 246, 0, 'Trees', 'Willow', 522),
+  ('biomes:1247104587', 'overworld', 4, 1, 'Trees', 'Jacaranda', 527),
+  ('biomes:1247104587', 'overworld', 5, 1, 'Trees', 'Jacaranda', 817),
+  ('biomes:1247104587', 'overworld', 29, 1, 'minerals', 'Marble', 175),
+  ('biomes:1247104587', 'overworld', 41, 1, 'flowers', 'Tulip', 903),
+  ('biomes:1247104587', 'overworld', 100, 1, 'Trees', 'Willow', 591),
+  ('biomes:1247104587', 'overworld', 108, 1, 'flowers', 'Lotus', 298),
+  ('biomes:1247104587', 'overworld', 146, 1, 'flowers', 'Orchid', 796),
+  ('biomes:1247104587', 'overworld', 147, 1, 'flowers', 'Lotus', 514),
+  ('biomes:1247104587', 'overworld', 164, 1, 'Trees', 'Willow', 764),
+  ('biomes:1247104587', 'overworld', 166, 1, 'flowers', 'Orchid', 576),
+  ('biomes:1247104587', 'overworld', 187, 1, 'minerals', 'Slate', 707),
+  ('biomes:1247104587', 'overworld', 194, 1, 'Trees', 'Pine', 977),
+  ('biomes:1247104587', 'overworld', 212, 1, 'minerals', 'Basalt', 7),
+  ('biomes:1247104587', 'overworld', 236, 1, 'flowers', 'Lotus', 358),
+  ('biomes:1247104587', 'overworld', 27, 2, 'minerals', 'Tin Ore', 989),
+  ('biomes:1247104587', 'overworld', 28, 2, 'minerals', 'Obsidian', 918),
+  ('biomes:1247104587', 'overworld', 46, 2, 'flowers', 'Sunflower', 726),
+  ('biomes:1247104587', 'overworld', 60, 2, 'minerals', 'rock', 594),
+  ('biomes:1247104587', 'overworld', 73, 2, 'Trees', 'Pine', 98),
+  ('biomes:1247104587', 'overworld', 94, 2, 'flowers', 'Daisy', 113),
+  ('biomes:1247104587', 'overworld', 107, 2, 'flowers', 'Orchid', 403),
+  ('biomes:1247104587', 'overworld', 113, 2, 'flowers', 'Lotus', 909),
+  ('biomes:1247104587', 'overworld', 126, 2, 'flowers', 'Orchid', 262),
+  ('biomes:1247104587', 'overworld', 128, 2, 'flowers', 'Orchid', 211),
+  ('biomes:1247104587', 'overworld', 133, 2, 'Trees', 'Willow', 8),
+  ('biomes:1247104587', 'overworld', 161, 2, 'flowers', 'Lotus', 15),
+  ('biomes:1247104587', 'overworld', 169, 2, 'flowers', 'Lotus', 444),
+  ('biomes:1247104587', 'overworld', 172, 2, 'flowers', 'Lotus', 99),
+  ('biomes:1247104587', 'overworld', 193, 2, 'flowers', 'Tulip', 214),
+  ('biomes:1247104587', 'overworld', 203, 2, 'Trees', 'Maple', 86),
+  ('biomes:1247104587', 'overworld', 237, 2, 'flowers', 'Orchid', 272),
+  ('biomes:1247104587', 'overworld', 11, 3, 'Trees', 'Mango', 964),
+  ('biomes:1247104587', 'overworld', 16, 3, 'flowers', 'Sunflower', 638),
+  ('biomes:1247104587', 'overworld', 40, 3, 'minerals', 'rock', 554),
+  ('biomes:1247104587', 'overworld', 147, 3, 'Trees', 'Willow', 131),
+  ('biomes:1247104587', 'overworld', 159, 3, 'Trees', 'Willow', 694),
+  ('biomes:1247104587', 'overworld', 187, 3, 'minerals', 'Slate', 811),
+  ('biomes:1247104587', 'overworld', 232, 3, 'flowers', 'Orchid', 20),
+  ('biomes:1247104587', 'overworld', 77, 4, 'minerals', 'Limestone', 486),
+  ('biomes:1247104587', 'overworld', 113, 4, 'flowers', 'Orchid', 600),
+  ('biomes:1247104587', 'overworld', 117, 4, 'flowers', 'Lotus', 969),
+  ('biomes:1247104587', 'overworld', 131, 4, 'flowers', 'Orchid', 778),
+  ('biomes:1247104587', 'overworld', 139, 4, 'minerals', 'rock', 939),
+  ('biomes:1247104587', 'overworld', 165, 4, 'flowers', 'Lotus', 65),
+  ('biomes:1247104587', 'overworld', 178, 4, 'Trees', 'Oak', 872),
+  ('biomes:1247104587', 'overworld', 199, 4, 'flowers', 'Sunflower', 164),
+  ('biomes:1247104587', 'overworld', 206, 4, 'minerals', 'Basalt', 506),
+  ('biomes:1247104587', 'overworld', 210, 4, 'minerals', 'rock', 443),
+  ('biomes:1247104587', 'overworld', 3, 5, 'minerals', 'Diamond', 103),
+  ('biomes:1247104587', 'overworld', 13, 5, 'Trees', 'Lemon', 964),
+  ('biomes:1247104587', 'overworld', 50, 5, 'flowers', 'Rose', 391),
+  ('biomes:1247104587', 'overworld', 68, 5, 'minerals', 'Sandstone', 981),
+  ('biomes:1247104587', 'overworld', 80, 5, 'Trees', 'Pine', 534),
+  ('biomes:1247104587', 'overworld', 114, 5, 'Trees', 'Willow', 364),
+  ('biomes:1247104587', 'overworld', 136, 5, 'Trees', 'Willow', 428),
+  ('biomes:1247104587', 'overworld', 151, 5, 'flowers', 'Lotus', 734),
+  ('biomes:1247104587', 'overworld', 165, 5, 'Trees', 'Willow', 557),
+  ('biomes:1247104587', 'overworld', 176, 5, 'Trees', 'Peach', 952),
+  ('biomes:1247104587', 'overworld', 206, 5, 'minerals', 'rock', 124),
+  ('biomes:1247104587', 'overworld', 248, 5, 'Trees', 'Willow', 684),
+  ('biomes:1247104587', 'overworld', 250, 5, 'flowers', 'Lotus', 265),
+  ('biomes:1247104587', 'overworld', 7, 6, 'Trees', 'Apple', 363),
+  ('biomes:1247104587', 'overworld', 13, 6, 'minerals', 'Sapphire', 905),
+  ('biomes:1247104587', 'overworld', 47, 6, 'Trees', 'Pine', 101),
+  ('biomes:1247104587', 'overworld', 50, 6, 'minerals', 'Coal', 700),
+  ('biomes:1247104587', 'overworld', 73, 6, 'minerals', 'Sandstone', 593),
+  ('biomes:1247104587', 'overworld', 76, 6, 'minerals', 'Marble', 661),
+  ('biomes:1247104587', 'overworld', 78, 6, 'minerals', 'Amethyst', 580),
+  ('biomes:1247104587', 'overworld', 88, 6, 'flowers', 'Daisy', 143),
+  ('biomes:1247104587', 'overworld', 92, 6, 'Trees', 'Jacaranda', 65),
+  ('biomes:1247104587', 'overworld', 163, 6, 'flowers', 'Lotus', 390),
+  ('biomes:1247104587', 'overworld', 176, 6, 'Trees', 'Orange', 556),
+  ('biomes:1247104587', 'overworld', 189, 6, 'minerals', 'Slate', 395),
+  ('biomes:1247104587', 'overworld', 190, 6, 'minerals', 'Limestone', 664),
+  ('biomes:1247104587', 'overworld', 192, 6, 'flowers', 'Orchid', 680),
+  ('biomes:1247104587', 'overworld', 45, 7, 'Trees', 'Birch', 214),
+  ('biomes:1247104587', 'overworld', 53, 7, 'Trees', 'Oak', 882),
+  ('biomes:1247104587', 'overworld', 73, 7, 'minerals', 'Slate', 808),
+  ('biomes:1247104587', 'overworld', 120, 7, 'minerals', 'Slate', 649),
+  ('biomes:1247104587', 'overworld', 165, 7, 'Trees', 'Willow', 922),
+  ('biomes:1247104587', 'overworld', 167, 7, 'flowers', 'Lotus', 880),
+  ('biomes:1247104587', 'overworld', 182, 7, 'minerals', 'Basalt', 730),
+  ('biomes:1247104587', 'overworld', 201, 7, 'Trees', 'Pine', 74),
+  ('biomes:1247104587', 'overworld', 203, 7, 'Trees', 'Pine', 665),
+  ('biomes:1247104587', 'overworld', 230, 7, 'Trees', 'Willow', 145),
+  ('biomes:1247104587', 'overworld', 240, 7, 'Trees', 'Willow', 555),
+  ('biomes:1247104587', 'overworld', 245, 7, 'flowers', 'Orchid', 139),
+  ('biomes:1247104587', 'overworld', 247, 7, 'minerals', 'Coal', 607),
+  ('biomes:1247104587', 'overworld', 253, 7, 'Trees', 'Willow', 868),
+  ('biomes:1247104587', 'overworld', 28, 8, 'flowers', 'Rose', 292),
+  ('biomes:1247104587', 'overworld', 67, 8, 'minerals', 'Limestone', 762),
+  ('biomes:1247104587', 'overworld', 75, 8, 'flowers', 'Tulip', 764),
+  ('biomes:1247104587', 'overworld', 82, 8, 'flowers', 'Sunflower', 452),
+  ('biomes:1247104587', 'overworld', 99, 8, 'flowers', 'Tulip', 989),
+  ('biomes:1247104587', 'overworld', 105, 8, 'flowers', 'Orchid', 142),
+  ('biomes:1247104587', 'overworld', 111, 8, 'Trees', 'Willow', 91),
+  ('biomes:1247104587', 'overworld', 122, 8, 'flowers', 'Daisy', 985),
+  ('biomes:1247104587', 'overworld', 144, 8, 'Trees', 'Willow', 265),
+  ('biomes:1247104587', 'overworld', 168, 8, 'Trees', 'Willow', 111),
+  ('biomes:1247104587', 'overworld', 177, 8, 'Trees', 'Pine', 554),
+  ('biomes:1247104587', 'overworld', 188, 8, 'minerals', 'rock', 695),
+  ('biomes:1247104587', 'overworld', 193, 8, 'minerals', 'Slate', 550),
+  ('biomes:1247104587', 'overworld', 194, 8, 'minerals', 'Granite', 653),
+  ('biomes:1247104587', 'overworld', 206, 8, 'minerals', 'Limestone', 823),
+  ('biomes:1247104587', 'overworld', 225, 8, 'Trees', 'Pine', 62),
+  ('biomes:1247104587', 'overworld', 254, 8, 'flowers', 'Lotus', 242),
+  ('biomes:1247104587', 'overworld', 0, 9, 'Trees', 'Willow', 769),
+  ('biomes:1247104587', 'overworld', 4, 9, 'Trees', 'Willow', 128),
+  ('biomes:1247104587', 'overworld', 6, 9, 'minerals', 'Limestone', 439),
+  ('biomes:1247104587', 'overworld', 10, 9, 'minerals', 'rock', 145),
+  ('biomes:1247104587', 'overworld', 11, 9, 'Trees', 'Orange', 638),
+  ('biomes:1247104587', 'overworld', 21, 9, 'Trees', 'Maple', 723),
+  ('biomes:1247104587', 'overworld', 53, 9, 'flowers', 'Orchid', 202),
+  ('biomes:1247104587', 'overworld', 77, 9, 'flowers', 'Tulip', 142),
+  ('biomes:1247104587', 'overworld', 100, 9, 'Trees', 'Mango', 29),
+  ('biomes:1247104587', 'overworld', 128, 9, 'Trees', 'Willow', 308),
+  ('biomes:1247104587', 'overworld', 138, 9, 'flowers', 'Orchid', 91),
+  ('biomes:1247104587', 'overworld', 140, 9, 'flowers', 'Lotus', 816),
+  ('biomes:1247104587', 'overworld', 147, 9, 'Trees', 'Willow', 412),
+  ('biomes:1247104587', 'overworld', 188, 9, 'minerals', 'Mythril', 339),
+  ('biomes:1247104587', 'overworld', 200, 9, 'minerals', 'Marble', 511),
+  ('biomes:1247104587', 'overworld', 201, 9, 'minerals', 'Silver Ore', 892),
+  ('biomes:1247104587', 'overworld', 228, 9, 'minerals', 'Limestone', 376),
+  ('biomes:1247104587', 'overworld', 237, 9, 'flowers', 'Orchid', 186),
+  ('biomes:1247104587', 'overworld', 243, 9, 'Trees', 'Willow', 349),
+  ('biomes:1247104587', 'overworld', 12, 10, 'Trees', 'Coconut', 261),
+  ('biomes:1247104587', 'overworld', 20, 10, 'flowers', 'Orchid', 366),
+  ('biomes:1247104587', 'overworld', 71, 10, 'Trees', 'Maple', 432),
+  ('biomes:1247104587', 'overworld', 99, 10, 'Trees', 'Lemon', 704),
+  ('biomes:1247104587', 'overworld', 125, 10, 'flowers', 'Rose', 717),
+  ('biomes:1247104587', 'overworld', 142, 10, 'flowers', 'Orchid', 663),
+  ('biomes:1247104587', 'overworld', 144, 10, 'flowers', 'Orchid', 524),
+  ('biomes:1247104587', 'overworld', 162, 10, 'flowers', 'Lotus', 121),
+  ('biomes:1247104587', 'overworld', 183, 10, 'minerals', 'rock', 872),
+  ('biomes:1247104587', 'overworld', 190, 10, 'minerals', 'rock', 773),
+  ('biomes:1247104587', 'overworld', 200, 10, 'minerals', 'Granite', 16),
+  ('biomes:1247104587', 'overworld', 203, 10, 'minerals', 'Ruby', 781),
+  ('biomes:1247104587', 'overworld', 209, 10, 'minerals', 'Sandstone', 266),
+  ('biomes:1247104587', 'overworld', 211, 10, 'minerals', 'Silver Ore', 873),
+  ('biomes:1247104587', 'overworld', 238, 10, 'Trees', 'Willow', 362),
+  ('biomes:1247104587', 'overworld', 18, 11, 'flowers', 'Daisy', 430),
+  ('biomes:1247104587', 'overworld', 49, 11, 'flowers', 'Orchid', 265),
+  ('biomes:1247104587', 'overworld', 52, 11, 'flowers', 'Tulip', 523),
+  ('biomes:1247104587', 'overworld', 69, 11, 'Trees', 'Pine', 772),
+  ('biomes:1247104587', 'overworld', 74, 11, 'Trees', 'Mango', 484),
+  ('biomes:1247104587', 'overworld', 92, 11, 'Trees', 'Willow', 883),
+  ('biomes:1247104587', 'overworld', 93, 11, 'flowers', 'Lotus', 715),
+  ('biomes:1247104587', 'overworld', 103, 11, 'flowers', 'Lotus', 986),
+  ('biomes:1247104587', 'overworld', 112, 11, 'flowers', 'Orchid', 773),
+  ('biomes:1247104587', 'overworld', 113, 11, 'minerals', 'rock', 709),
+  ('biomes:1247104587', 'overworld', 114, 11, 'flowers', 'Rose', 707),
+  ('biomes:1247104587', 'overworld', 116, 11, 'Trees', 'Jacaranda', 773),
+  ('biomes:1247104587', 'overworld', 119, 11, 'Trees', 'Jacaranda', 326),
+  ('biomes:1247104587', 'overworld', 122, 11, 'minerals', 'rock', 605),
+  ('biomes:1247104587', 'overworld', 131, 11, 'flowers', 'Orchid', 544),
+  ('biomes:1247104587', 'overworld', 142, 11, 'Trees', 'Willow', 240),
+  ('biomes:1247104587', 'overworld', 174, 11, 'flowers', 'Tulip', 608),
+  ('biomes:1247104587', 'overworld', 176, 11, 'Trees', 'Sakura', 350),
+  ('biomes:1247104587', 'overworld', 200, 11, 'minerals', 'Sapphire', 326),
+  ('biomes:1247104587', 'overworld', 234, 11, 'flowers', 'Orchid', 535),
+  ('biomes:1247104587', 'overworld', 237, 11, 'flowers', 'Lotus', 660),
+  ('biomes:1247104587', 'overworld', 18, 12, 'Trees', 'Mango', 867),
+  ('biomes:1247104587', 'overworld', 68, 12, 'minerals', 'rock', 786),
+  ('biomes:1247104587', 'overworld', 78, 12, 'flowers', 'Daisy', 325),
+  ('biomes:1247104587', 'overworld', 81, 12, 'Trees', 'Apple', 23),
+  ('biomes:1247104587', 'overworld', 83, 12, 'flowers', 'Rose', 218),
+  ('biomes:1247104587', 'overworld', 107, 12, 'flowers', 'Lotus', 507),
+  ('biomes:1247104587', 'overworld', 118, 12, 'Trees', 'Jacaranda', 548),
+  ('biomes:1247104587', 'overworld', 123, 12, 'flowers', 'Daisy', 197),
+  ('biomes:1247104587', 'overworld', 140, 12, 'flowers', 'Orchid', 933),
+  ('biomes:1247104587', 'overworld', 161, 12, 'flowers', 'Orchid', 165),
+  ('biomes:1247104587', 'overworld', 185, 12, 'minerals', 'Basalt', 874),
+  ('biomes:1247104587', 'overworld', 190, 12, 'flowers', 'Sunflower', 885),
+  ('biomes:1247104587', 'overworld', 198, 12, 'minerals', 'Basalt', 907),
+  ('biomes:1247104587', 'overworld', 215, 12, 'minerals', 'Granite', 391),
+  ('biomes:1247104587', 'overworld', 228, 12, 'Trees', 'Coconut', 776),
+  ('biomes:1247104587', 'overworld', 239, 12, 'Trees', 'Willow', 934),
+  ('biomes:1247104587', 'overworld', 255, 12, 'flowers', 'Lotus', 68),
+  ('biomes:1247104587', 'overworld', 18, 13, 'Trees', 'Lemon', 667),
+  ('biomes:1247104587', 'overworld', 51, 13, 'flowers', 'Daisy', 77),
+  ('biomes:1247104587', 'overworld', 72, 13, 'flowers', 'Sunflower', 854),
+  ('biomes:1247104587', 'overworld', 73, 13, 'Trees', 'Lemon', 454),
+  ('biomes:1247104587', 'overworld', 81, 13, 'Trees', 'Lemon', 674),
+  ('biomes:1247104587', 'overworld', 109, 13, 'flowers', 'Lotus', 790),
+  ('biomes:1247104587', 'overworld', 113, 13, 'flowers', 'Sunflower', 880),
+  ('biomes:1247104587', 'overworld', 115, 13, 'flowers', 'Sunflower', 9),
+  ('biomes:1247104587', 'overworld', 145, 13, 'Trees', 'Willow', 766),
+  ('biomes:1247104587', 'overworld', 182, 13, 'minerals', 'Obsidian', 693),
+  ('biomes:1247104587', 'overworld', 195, 13, 'minerals', 'Limestone', 228),
+  ('biomes:1247104587', 'overworld', 225, 13, 'flowers', 'Tulip', 656),
+  ('biomes:1247104587', 'overworld', 227, 13, 'Trees', 'Mango', 613),
+  ('biomes:1247104587', 'overworld', 235, 13, 'flowers', 'Lotus', 902),
+  ('biomes:1247104587', 'overworld', 253, 13, 'flowers', 'Lotus', 694),
+  ('biomes:1247104587', 'overworld', 11, 14, 'Trees', 'Orange', 328),
+  ('biomes:1247104587', 'overworld', 15, 14, 'flowers', 'Sunflower', 986),
+  ('biomes:1247104587', 'overworld', 62, 14, 'Trees', 'Sakura', 336),
+  ('biomes:1247104587', 'overworld', 64, 14, 'minerals', 'Gold Ore', 464),
+  ('biomes:1247104587', 'overworld', 67, 14, 'flowers', 'Sunflower', 167),
+  ('biomes:1247104587', 'overworld', 69, 14, 'flowers', 'Rose', 380),
+  ('biomes:1247104587', 'overworld', 73, 14, 'Trees', 'Orange', 15),
+  ('biomes:1247104587', 'overworld', 90, 14, 'flowers', 'Lotus', 712),
+  ('biomes:1247104587', 'overworld', 94, 14, 'flowers', 'Lotus', 851),
+  ('biomes:1247104587', 'overworld', 99, 14, 'minerals', 'Marble', 8),
+  ('biomes:1247104587', 'overworld', 100, 14, 'Trees', 'Willow', 493),
+  ('biomes:1247104587', 'overworld', 121, 14, 'Trees', 'Peach', 723),
+  ('biomes:1247104587', 'overworld', 124, 14, 'Trees', 'Apple', 70),
+  ('biomes:1247104587', 'overworld', 125, 14, 'Trees', 'Jacaranda', 4),
+  ('biomes:1247104587', 'overworld', 139, 14, 'flowers', 'Orchid', 598),
+  ('biomes:1247104587', 'overworld', 162, 14, 'flowers', 'Daisy', 268),
+  ('biomes:1247104587', 'overworld', 178, 14, 'Trees', 'Maple', 182),
+  ('biomes:1247104587', 'overworld', 181, 14, 'minerals', 'rock', 824),
+  ('biomes:1247104587', 'overworld', 194, 14, 'minerals', 'Limestone', 879),
+  ('biomes:1247104587', 'overworld', 201, 14, 'minerals', 'Basalt', 456),
+  ('biomes:1247104587', 'overworld', 210, 14, 'minerals', 'Obsidian', 698),
+  ('biomes:1247104587', 'overworld', 248, 14, 'flowers', 'Lotus', 127),
+  ('biomes:1247104587', 'overworld', 249, 14, 'minerals', 'Diamond', 720),
+  ('biomes:1247104587', 'overworld', 3, 15, 'flowers', 'Orchid', 67),
+  ('biomes:1247104587', 'overworld', 10, 15, 'Trees', 'Sakura', 671),
+  ('biomes:1247104587', 'overworld', 50, 15, 'flowers', 'Daisy', 324),
+  ('biomes:1247104587', 'overworld', 55, 15, 'Trees', 'Peach', 616),
+  ('biomes:1247104587', 'overworld', 67, 15, 'Trees', 'Sakura', 797),
+  ('biomes:1247104587', 'overworld', 68, 15, 'flowers', 'Tulip', 348),
+  ('biomes:1247104587', 'overworld', 75, 15, 'flowers', 'Sunflower', 533),
+  ('biomes:1247104587', 'overworld', 80, 15, 'flowers', 'Orchid', 484),
+  ('biomes:1247104587', 'overworld', 93, 15, 'minerals', 'rock', 449),
+  ('biomes:1247104587', 'overworld', 121, 15, 'flowers', 'Tulip', 941),
+  ('biomes:1247104587', 'overworld', 126, 15, 'flowers', 'Daisy', 846),
+  ('biomes:1247104587', 'overworld', 130, 15, 'flowers', 'Orchid', 356),
+  ('biomes:1247104587', 'overworld', 134, 15, 'flowers', 'Orchid', 29),
+  ('biomes:1247104587', 'overworld', 153, 15, 'minerals', 'Limestone', 664),
+  ('biomes:1247104587', 'overworld', 156, 15, 'Trees', 'Apple', 776),
+  ('biomes:1247104587', 'overworld', 160, 15, 'flowers', 'Daisy', 64),
+  ('biomes:1247104587', 'overworld', 183, 15, 'Trees', 'Pine', 955),
+  ('biomes:1247104587', 'overworld', 197, 15, 'minerals', 'Slate', 119),
+  ('biomes:1247104587', 'overworld', 201, 15, 'minerals', 'Limestone', 201),
+  ('biomes:1247104587', 'overworld', 203, 15, 'minerals', 'Limestone', 241),
+  ('biomes:1247104587', 'overworld', 204, 15, 'minerals', 'Limestone', 386),
+  ('biomes:1247104587', 'overworld', 208, 15, 'minerals', 'Slate', 460),
+  ('biomes:1247104587', 'overworld', 222, 15, 'minerals', 'Basalt', 386),
+  ('biomes:1247104587', 'overworld', 229, 15, 'flowers', 'Daisy', 99),
+  ('biomes:1247104587', 'overworld', 238, 15, 'flowers', 'Lotus', 831),
+  ('biomes:1247104587', 'overworld', 1, 16, 'Trees', 'Willow', 993),
+  ('biomes:1247104587', 'overworld', 2, 16, 'flowers', 'Lotus', 497),
+  ('biomes:1247104587', 'overworld', 48, 16, 'Trees', 'Pine', 778),
+  ('biomes:1247104587', 'overworld', 66, 16, 'Trees', 'Peach', 22),
+  ('biomes:1247104587', 'overworld', 84, 16, 'Trees', 'Willow', 138),
+  ('biomes:1247104587', 'overworld', 85, 16, 'flowers', 'Orchid', 975),
+  ('biomes:1247104587', 'overworld', 111, 16, 'flowers', 'Rose', 596),
+  ('biomes:1247104587', 'overworld', 138, 16, 'flowers', 'Orchid', 782),
+  ('biomes:1247104587', 'overworld', 151, 16, 'Trees', 'Mango', 424),
+  ('biomes:1247104587', 'overworld', 152, 16, 'flowers', 'Sunflower', 297),
+  ('biomes:1247104587', 'overworld', 153, 16, 'Trees', 'Sakura', 422),
+  ('biomes:1247104587', 'overworld', 162, 16, 'Trees', 'Apple', 950),
+  ('biomes:1247104587', 'overworld', 186, 16, 'minerals', 'Gold Ore', 266),
+  ('biomes:1247104587', 'overworld', 191, 16, 'flowers', 'Sunflower', 331),
+  ('biomes:1247104587', 'overworld', 242, 16, 'Trees', 'Willow', 921),
+  ('biomes:1247104587', 'overworld', 251, 16, 'flowers', 'Orchid', 293),
+  ('biomes:1247104587', 'overworld', 0, 17, 'flowers', 'Orchid', 219),
+  ('biomes:1247104587', 'overworld', 21, 17, 'flowers', 'Tulip', 34),
+  ('biomes:1247104587', 'overworld', 49, 17, 'flowers', 'Daisy', 112),
+  ('biomes:1247104587', 'overworld', 64, 17, 'Trees', 'Orange', 1),
+  ('biomes:1247104587', 'overworld', 65, 17, 'flowers', 'Rose', 302),
+  ('biomes:1247104587', 'overworld', 67, 17, 'Trees', 'Orange', 630),
+  ('biomes:1247104587', 'overworld', 72, 17, 'Trees', 'Coconut', 863),
+  ('biomes:1247104587', 'overworld', 75, 17, 'flowers', 'Orchid', 4),
+  ('biomes:1247104587', 'overworld', 187, 17, 'minerals', 'Gold Ore', 884),
+  ('biomes:1247104587', 'overworld', 204, 17, 'flowers', 'Sunflower', 44),
+  ('biomes:1247104587', 'overworld', 238, 17, 'flowers', 'Lotus', 203),
+  ('biomes:1247104587', 'overworld', 240, 17, 'Trees', 'Willow', 936),
+  ('biomes:1247104587', 'overworld', 15, 18, 'flowers', 'Orchid', 948),
+  ('biomes:1247104587', 'overworld', 24, 18, 'Trees', 'Sakura', 951),
+  ('biomes:1247104587', 'overworld', 61, 18, 'minerals', 'Opal', 770),
+  ('biomes:1247104587', 'overworld', 74, 18, 'Trees', 'Willow', 720),
+  ('biomes:1247104587', 'overworld', 107, 18, 'Trees', 'Willow', 476),
+  ('biomes:1247104587', 'overworld', 111, 18, 'Trees', 'Jacaranda', 700),
+  ('biomes:1247104587', 'overworld', 121, 18, 'Trees', 'Peach', 918),
+  ('biomes:1247104587', 'overworld', 126, 18, 'Trees', 'Orange', 463),
+  ('biomes:1247104587', 'overworld', 130, 18, 'flowers', 'Orchid', 629),
+  ('biomes:1247104587', 'overworld', 211, 18, 'minerals', 'Granite', 485),
+  ('biomes:1247104587', 'overworld', 222, 18, 'minerals', 'Diamond', 577),
+  ('biomes:1247104587', 'overworld', 230, 18, 'flowers', 'Sunflower', 479),
+  ('biomes:1247104587', 'overworld', 238, 18, 'flowers', 'Orchid', 736),
+  ('biomes:1247104587', 'overworld', 240, 18, 'Trees', 'Willow', 522),
+  ('biomes:1247104587', 'overworld', 6, 19, 'flowers', 'Orchid', 194),
+  ('biomes:1247104587', 'overworld', 16, 19, 'flowers', 'Lotus', 462),
+  ('biomes:1247104587', 'overworld', 27, 19, 'Trees', 'Oak', 534),
+  ('biomes:1247104587', 'overworld', 61, 19, 'Trees', 'Coconut', 76),
+  ('biomes:1247104587', 'overworld', 72, 19, 'Trees', 'Jacaranda', 954),
+  ('biomes:1247104587', 'overworld', 86, 19, 'Trees', 'Willow', 807),
+  ('biomes:1247104587', 'overworld', 104, 19, 'Trees', 'Willow', 973),
+  ('biomes:1247104587', 'overworld', 114, 19, 'flowers', 'Sunflower', 177),
+  ('biomes:1247104587', 'overworld', 138, 19, 'flowers', 'Lotus', 78),
+  ('biomes:1247104587', 'overworld', 143, 19, 'flowers', 'Orchid', 665),
+  ('biomes:1247104587', 'overworld', 154, 19, 'minerals', 'rock', 437),
+  ('biomes:1247104587', 'overworld', 214, 19, 'minerals', 'Topaz', 148),
+  ('biomes:1247104587', 'overworld', 221, 19, 'minerals', 'Gold Ore', 881),
+  ('biomes:1247104587', 'overworld', 229, 19, 'minerals', 'Gold Ore', 67),
+  ('biomes:1247104587', 'overworld', 233, 19, 'Trees', 'Willow', 540),
+  ('biomes:1247104587', 'overworld', 240, 19, 'flowers', 'Orchid', 476),
+  ('biomes:1247104587', 'overworld', 244, 19, 'flowers', 'Lotus', 144),
+  ('biomes:1247104587', 'overworld', 245, 19, 'flowers', 'Orchid', 97),
+  ('biomes:1247104587', 'overworld', 11, 20, 'Trees', 'Willow', 581),
+  ('biomes:1247104587', 'overworld', 25, 20, 'minerals', 'Granite', 696),
+  ('biomes:1247104587', 'overworld', 43, 20, 'minerals', 'Emerald', 774),
+  ('biomes:1247104587', 'overworld', 45, 20, 'minerals', 'Marble', 842),
+  ('biomes:1247104587', 'overworld', 66, 20, 'flowers', 'Daisy', 70),
+  ('biomes:1247104587', 'overworld', 72, 20, 'flowers', 'Sunflower', 448),
+  ('biomes:1247104587', 'overworld', 76, 20, 'flowers', 'Orchid', 602),
+  ('biomes:1247104587', 'overworld', 93, 20, 'minerals', 'Coal', 224),
+  ('biomes:1247104587', 'overworld', 100, 20, 'flowers', 'Orchid', 165),
+  ('biomes:1247104587', 'overworld', 107, 20, 'Trees', 'Willow', 82),
+  ('biomes:1247104587', 'overworld', 111, 20, 'flowers', 'Rose', 791),
+  ('biomes:1247104587', 'overworld', 113, 20, 'flowers', 'Sunflower', 281),
+  ('biomes:1247104587', 'overworld', 118, 20, 'Trees', 'Apple', 7),
+  ('biomes:1247104587', 'overworld', 122, 20, 'Trees', 'Lemon', 414),
+  ('biomes:1247104587', 'overworld', 123, 20, 'Trees', 'Jacaranda', 406),
+  ('biomes:1247104587', 'overworld', 124, 20, 'flowers', 'Rose', 777),
+  ('biomes:1247104587', 'overworld', 137, 20, 'flowers', 'Lotus', 370),
+  ('biomes:1247104587', 'overworld', 139, 20, 'minerals', 'Obsidian', 471),
+  ('biomes:1247104587', 'overworld', 146, 20, 'flowers', 'Orchid', 990),
+  ('biomes:1247104587', 'overworld', 156, 20, 'flowers', 'Sunflower', 93),
+  ('biomes:1247104587', 'overworld', 187, 20, 'minerals', 'Silver Ore', 212),
+  ('biomes:1247104587', 'overworld', 202, 20, 'minerals', 'Sandstone', 841),
+  ('biomes:1247104587', 'overworld', 204, 20, 'minerals', 'Sandstone', 362),
+  ('biomes:1247104587', 'overworld', 209, 20, 'minerals', 'Marble', 644),
+  ('biomes:1247104587', 'overworld', 214, 20, 'Trees', 'Pine', 5),
+  ('biomes:1247104587', 'overworld', 232, 20, 'flowers', 'Lotus', 166),
+  ('biomes:1247104587', 'overworld', 233, 20, 'flowers', 'Lotus', 364),
+  ('biomes:1247104587', 'overworld', 2, 21, 'minerals', 'Ruby', 772),
+  ('biomes:1247104587', 'overworld', 21, 21, 'Trees', 'Willow', 106),
+  ('biomes:1247104587', 'overworld', 29, 21, 'Trees', 'Oak', 977),
+  ('biomes:1247104587', 'overworld', 33, 21, 'minerals', 'rock', 75),
+  ('biomes:1247104587', 'overworld', 36, 21, 'minerals', 'Gold Ore', 202),
+  ('biomes:1247104587', 'overworld', 38, 21, 'flowers', 'Daisy', 418),
+  ('biomes:1247104587', 'overworld', 101, 21, 'Trees', 'Willow', 470),
+  ('biomes:1247104587', 'overworld', 112, 21, 'Trees', 'Jacaranda', 958),
+  ('biomes:1247104587', 'overworld', 119, 21, 'flowers', 'Sunflower', 743),
+  ('biomes:1247104587', 'overworld', 159, 21, 'flowers', 'Daisy', 375),
+  ('biomes:1247104587', 'overworld', 180, 21, 'Trees', 'Oak', 290),
+  ('biomes:1247104587', 'overworld', 191, 21, 'flowers', 'Sunflower', 508),
+  ('biomes:1247104587', 'overworld', 194, 21, 'minerals', 'Sandstone', 336),
+  ('biomes:1247104587', 'overworld', 196, 21, 'Trees', 'Pine', 645),
+  ('biomes:1247104587', 'overworld', 205, 21, 'flowers', 'Sunflower', 903),
+  ('biomes:1247104587', 'overworld', 247, 21, 'flowers', 'Orchid', 396),
+  ('biomes:1247104587', 'overworld', 18, 22, 'flowers', 'Lotus', 676),
+  ('biomes:1247104587', 'overworld', 40, 22, 'Trees', 'Willow', 238),
+  ('biomes:1247104587', 'overworld', 68, 22, 'flowers', 'Daisy', 403),
+  ('biomes:1247104587', 'overworld', 86, 22, 'Trees', 'Willow', 15),
+  ('biomes:1247104587', 'overworld', 123, 22, 'Trees', 'Mango', 961),
+  ('biomes:1247104587', 'overworld', 124, 22, 'Trees', 'Sakura', 597),
+  ('biomes:1247104587', 'overworld', 128, 22, 'Trees', 'Sakura', 809),
+  ('biomes:1247104587', 'overworld', 145, 22, 'minerals', 'Coal', 282),
+  ('biomes:1247104587', 'overworld', 157, 22, 'Trees', 'Birch', 441),
+  ('biomes:1247104587', 'overworld', 185, 22, 'minerals', 'Slate', 990),
+  ('biomes:1247104587', 'overworld', 210, 22, 'flowers', 'Sunflower', 805),
+  ('biomes:1247104587', 'overworld', 225, 22, 'flowers', 'Sunflower', 310),
+  ('biomes:1247104587', 'overworld', 238, 22, 'flowers', 'Orchid', 265),
+  ('biomes:1247104587', 'overworld', 251, 22, 'flowers', 'Sunflower', 334),
+  ('biomes:1247104587', 'overworld', 0, 23, 'Trees', 'Apple', 18),
+  ('biomes:1247104587', 'overworld', 25, 23, 'minerals', 'Limestone', 270),
+  ('biomes:1247104587', 'overworld', 27, 23, 'flowers', 'Tulip', 70),
+  ('biomes:1247104587', 'overworld', 47, 23, 'minerals', 'Opal', 279),
+  ('biomes:1247104587', 'overworld', 67, 23, 'flowers', 'Sunflower', 750),
+  ('biomes:1247104587', 'overworld', 68, 23, 'minerals', 'rock', 801),
+  ('biomes:1247104587', 'overworld', 71, 23, 'Trees', 'Lemon', 957),
+  ('biomes:1247104587', 'overworld', 92, 23, 'flowers', 'Lotus', 758),
+  ('biomes:1247104587', 'overworld', 108, 23, 'Trees', 'Peach', 940),
+  ('biomes:1247104587', 'overworld', 113, 23, 'Trees', 'Lemon', 225),
+  ('biomes:1247104587', 'overworld', 123, 23, 'flowers', 'Tulip', 875),
+  ('biomes:1247104587', 'overworld', 130, 23, 'flowers', 'Lotus', 129),
+  ('biomes:1247104587', 'overworld', 132, 23, 'flowers', 'Orchid', 371),
+  ('biomes:1247104587', 'overworld', 183, 23, 'minerals', 'Gold Ore', 25),
+  ('biomes:1247104587', 'overworld', 187, 23, 'minerals', 'Limestone', 948),
+  ('biomes:1247104587', 'overworld', 193, 23, 'minerals', 'Emerald', 696),
+  ('biomes:1247104587', 'overworld', 202, 23, 'minerals', 'Obsidian', 963),
+  ('biomes:1247104587', 'overworld', 226, 23, 'flowers', 'Rose', 637),
+  ('biomes:1247104587', 'overworld', 234, 23, 'flowers', 'Orchid', 262),
+  ('biomes:1247104587', 'overworld', 247, 23, 'Trees', 'Willow', 201),
+  ('biomes:1247104587', 'overworld', 18, 24, 'Trees', 'Willow', 188),
+  ('biomes:1247104587', 'overworld', 39, 24, 'flowers', 'Lotus', 293),
+  ('biomes:1247104587', 'overworld', 42, 24, 'Trees', 'Willow', 888),
+  ('biomes:1247104587', 'overworld', 47, 24, 'minerals', 'rock', 446),
+  ('biomes:1247104587', 'overworld', 53, 24, 'Trees', 'Oak', 44),
+  ('biomes:1247104587', 'overworld', 190, 24, 'flowers', 'Sunflower', 198),
+  ('biomes:1247104587', 'overworld', 202, 24, 'minerals', 'Sandstone', 937),
+  ('biomes:1247104587', 'overworld', 221, 24, 'flowers', 'Sunflower', 221),
+  ('biomes:1247104587', 'overworld', 247, 24, 'Trees', 'Willow', 874),
+  ('biomes:1247104587', 'overworld', 25, 25, 'Trees', 'Oak', 388),
+  ('biomes:1247104587', 'overworld', 115, 25, 'flowers', 'Rose', 969),
+  ('biomes:1247104587', 'overworld', 123, 25, 'flowers', 'Rose', 938),
+  ('biomes:1247104587', 'overworld', 126, 25, 'flowers', 'Rose', 0),
+  ('biomes:1247104587', 'overworld', 145, 25, 'Trees', 'Willow', 462),
+  ('biomes:1247104587', 'overworld', 148, 25, 'flowers', 'Rose', 486),
+  ('biomes:1247104587', 'overworld', 185, 25, 'Trees', 'Pine', 896),
+  ('biomes:1247104587', 'overworld', 205, 25, 'minerals', 'Diamond', 128),
+  ('biomes:1247104587', 'overworld', 226, 25, 'minerals', 'Marble', 889),
+  ('biomes:1247104587', 'overworld', 227, 25, 'flowers', 'Orchid', 810),
+  ('biomes:1247104587', 'overworld', 250, 25, 'minerals', 'Tin Ore', 919),
+  ('biomes:1247104587', 'overworld', 2, 26, 'Trees', 'Coconut', 522),
+  ('biomes:1247104587', 'overworld', 15, 26, 'Trees', 'Willow', 751),
+  ('biomes:1247104587', 'overworld', 70, 26, 'flowers', 'Lotus', 649),
+  ('biomes:1247104587', 'overworld', 85, 26, 'minerals', 'Gold Ore', 930),
+  ('biomes:1247104587', 'overworld', 114, 26, 'Trees', 'Coconut', 606),
+  ('biomes:1247104587', 'overworld', 150, 26, 'flowers', 'Tulip', 802),
+  ('biomes:1247104587', 'overworld', 173, 26, 'flowers', 'Daisy', 78),
+  ('biomes:1247104587', 'overworld', 186, 26, 'minerals', 'Slate', 964),
+  ('biomes:1247104587', 'overworld', 204, 26, 'flowers', 'Sunflower', 270),
+  ('biomes:1247104587', 'overworld', 206, 26, 'minerals', 'Limestone', 346),
+  ('biomes:1247104587', 'overworld', 6, 27, 'flowers', 'Sunflower', 897),
+  ('biomes:1247104587', 'overworld', 43, 27, 'flowers', 'Lotus', 76),
+  ('biomes:1247104587', 'overworld', 51, 27, 'Trees', 'Oak', 355),
+  ('biomes:1247104587', 'overworld', 91, 27, 'flowers', 'Orchid', 252),
+  ('biomes:1247104587', 'overworld', 99, 27, 'flowers', 'Lotus', 713),
+  ('biomes:1247104587', 'overworld', 100, 27, 'Trees', 'Willow', 756),
+  ('biomes:1247104587', 'overworld', 110, 27, 'flowers', 'Tulip', 870),
+  ('biomes:1247104587', 'overworld', 118, 27, 'Trees', 'Lemon', 20),
+  ('biomes:1247104587', 'overworld', 122, 27, 'flowers', 'Rose', 41),
+  ('biomes:1247104587', 'overworld', 123, 27, 'flowers', 'Daisy', 292),
+  ('biomes:1247104587', 'overworld', 124, 27, 'Trees', 'Sakura', 864),
+  ('biomes:1247104587', 'overworld', 131, 27, 'Trees', 'Orange', 197),
+  ('biomes:1247104587', 'overworld', 138, 27, 'minerals', 'Coal', 324),
+  ('biomes:1247104587', 'overworld', 140, 27, 'flowers', 'Orchid', 756),
+  ('biomes:1247104587', 'overworld', 170, 27, 'flowers', 'Orchid', 108),
+  ('biomes:1247104587', 'overworld', 206, 27, 'minerals', 'Diamond', 671),
+  ('biomes:1247104587', 'overworld', 207, 27, 'minerals', 'Limestone', 303),
+  ('biomes:1247104587', 'overworld', 223, 27, 'flowers', 'Sunflower', 698),
+  ('biomes:1247104587', 'overworld', 41, 28, 'Trees', 'Willow', 636),
+  ('biomes:1247104587', 'overworld', 70, 28, 'minerals', 'Coal', 774),
+  ('biomes:1247104587', 'overworld', 74, 28, 'minerals', 'Obsidian', 755),
+  ('biomes:1247104587', 'overworld', 77, 28, 'flowers', 'Orchid', 116),
+  ('biomes:1247104587', 'overworld', 82, 28, 'flowers', 'Orchid', 730),
+  ('biomes:1247104587', 'overworld', 114, 28, 'flowers', 'Sunflower', 769),
+  ('biomes:1247104587', 'overworld', 118, 28, 'flowers', 'Sunflower', 584),
+  ('biomes:1247104587', 'overworld', 154, 28, 'Trees', 'Jacaranda', 10),
+  ('biomes:1247104587', 'overworld', 183, 28, 'minerals', 'Basalt', 733),
+  ('biomes:1247104587', 'overworld', 185, 28, 'minerals', 'Sandstone', 706),
+  ('biomes:1247104587', 'overworld', 190, 28, 'flowers', 'Sunflower', 931),
+  ('biomes:1247104587', 'overworld', 195, 28, 'minerals', 'Silver Ore', 991),
+  ('biomes:1247104587', 'overworld', 206, 28, 'minerals', 'Granite', 174),
+  ('biomes:1247104587', 'overworld', 216, 28, 'minerals', 'rock', 389),
+  ('biomes:1247104587', 'overworld', 225, 28, 'minerals', 'Diamond', 130),
+  ('biomes:1247104587', 'overworld', 239, 28, 'Trees', 'Willow', 126),
+  ('biomes:1247104587', 'overworld', 19, 29, 'flowers', 'Orchid', 339),
+  ('biomes:1247104587', 'overworld', 30, 29, 'minerals', 'rock', 734),
+  ('biomes:1247104587', 'overworld', 90, 29, 'Trees', 'Peach', 254),
+  ('biomes:1247104587', 'overworld', 115, 29, 'flowers', 'Daisy', 807),
+  ('biomes:1247104587', 'overworld', 116, 29, 'Trees', 'Orange', 581),
+  ('biomes:1247104587', 'overworld', 147, 29, 'flowers', 'Tulip', 607),
+  ('biomes:1247104587', 'overworld', 154, 29, 'Trees', 'Apple', 771),
+  ('biomes:1247104587', 'overworld', 191, 29, 'minerals', 'Sandstone', 603),
+  ('biomes:1247104587', 'overworld', 192, 29, 'minerals', 'Slate', 924),
+  ('biomes:1247104587', 'overworld', 195, 29, 'Trees', 'Pine', 17),
+  ('biomes:1247104587', 'overworld', 203, 29, 'minerals', 'Opal', 135),
+  ('biomes:1247104587', 'overworld', 216, 29, 'minerals', 'Marble', 355),
+  ('biomes:1247104587', 'overworld', 228, 29, 'flowers', 'Tulip', 993),
+  ('biomes:1247104587', 'overworld', 231, 29, 'Trees', 'Apple', 406),
+  ('biomes:1247104587', 'overworld', 0, 30, 'flowers', 'Sunflower', 963),
+  ('biomes:1247104587', 'overworld', 16, 30, 'Trees', 'Willow', 637),
+  ('biomes:1247104587', 'overworld', 25, 30, 'flowers', 'Daisy', 435),
+  ('biomes:1247104587', 'overworld', 35, 30, 'flowers', 'Sunflower', 954),
+  ('biomes:1247104587', 'overworld', 55, 30, 'flowers', 'Orchid', 214),
+  ('biomes:1247104587', 'overworld', 72, 30, 'flowers', 'Orchid', 444),
+  ('biomes:1247104587', 'overworld', 84, 30, 'minerals', 'rock', 643),
+  ('biomes:1247104587', 'overworld', 121, 30, 'Trees', 'Orange', 264),
+  ('biomes:1247104587', 'overworld', 125, 30, 'Trees', 'Lemon', 789),
+  ('biomes:1247104587', 'overworld', 126, 30, 'Trees', 'Jacaranda', 698),
+  ('biomes:1247104587', 'overworld', 134, 30, 'Trees', 'Apple', 637),
+  ('biomes:1247104587', 'overworld', 136, 30, 'Trees', 'Lemon', 401),
+  ('biomes:1247104587', 'overworld', 176, 30, 'minerals', 'rock', 861),
+  ('biomes:1247104587', 'overworld', 188, 30, 'minerals', 'Amethyst', 136),
+  ('biomes:1247104587', 'overworld', 200, 30, 'minerals', 'Ruby', 721),
+  ('biomes:1247104587', 'overworld', 204, 30, 'minerals', 'Sandstone', 762),
+  ('biomes:1247104587', 'overworld', 233, 30, 'Trees', 'Jacaranda', 381),
+  ('biomes:1247104587', 'overworld', 17, 31, 'flowers', 'Orchid', 484),
+  ('biomes:1247104587', 'overworld', 37, 31, 'flowers', 'Lotus', 709),
+  ('biomes:1247104587', 'overworld', 44, 31, 'minerals', 'Amethyst', 135),
+  ('biomes:1247104587', 'overworld', 67, 31, 'flowers', 'Lotus', 263),
+  ('biomes:1247104587', 'overworld', 83, 31, 'flowers', 'Orchid', 742),
+  ('biomes:1247104587', 'overworld', 92, 31, 'flowers', 'Tulip', 205),
+  ('biomes:1247104587', 'overworld', 97, 31, 'Trees', 'Lemon', 802),
+  ('biomes:1247104587', 'overworld', 112, 31, 'flowers', 'Tulip', 939),
+  ('biomes:1247104587', 'overworld', 116, 31, 'Trees', 'Orange', 842),
+  ('biomes:1247104587', 'overworld', 126, 31, 'minerals', 'Limestone', 475),
+  ('biomes:1247104587', 'overworld', 137, 31, 'Trees', 'Sakura', 972),
+  ('biomes:1247104587', 'overworld', 138, 31, 'Trees', 'Peach', 367),
+  ('biomes:1247104587', 'overworld', 143, 31, 'Trees', 'Peach', 940),
+  ('biomes:1247104587', 'overworld', 186, 31, 'minerals', 'Silver Ore', 326),
+  ('biomes:1247104587', 'overworld', 188, 31, 'minerals', 'Silver Ore', 420),
+  ('biomes:1247104587', 'overworld', 233, 31, 'flowers', 'Sunflower', 336),
+  ('biomes:1247104587', 'overworld', 236, 31, 'Trees', 'Willow', 777),
+  ('biomes:1247104587', 'overworld', 237, 31, 'flowers', 'Orchid', 644),
+  ('biomes:1247104587', 'overworld', 2, 32, 'Trees', 'Sakura', 5),
+  ('biomes:1247104587', 'overworld', 19, 32, 'Trees', 'Willow', 364),
+  ('biomes:1247104587', 'overworld', 28, 32, 'flowers', 'Sunflower', 606),
+  ('biomes:1247104587', 'overworld', 54, 32, 'Trees', 'Willow', 705),
+  ('biomes:1247104587', 'overworld', 62, 32, 'flowers', 'Lotus', 171),
+  ('biomes:1247104587', 'overworld', 92, 32, 'Trees', 'Lemon', 397),
+  ('biomes:1247104587', 'overworld', 97, 32, 'Trees', 'Apple', 710),
+  ('biomes:1247104587', 'overworld', 103, 32, 'Trees', 'Mango', 546),
+  ('biomes:1247104587', 'overworld', 130, 32, 'Trees', 'Sakura', 333),
+  ('biomes:1247104587', 'overworld', 133, 32, 'Trees', 'Apple', 248),
+  ('biomes:1247104587', 'overworld', 145, 32, 'flowers', 'Tulip', 905),
+  ('biomes:1247104587', 'overworld', 149, 32, 'flowers', 'Rose', 330),
+  ('biomes:1247104587', 'overworld', 150, 32, 'Trees', 'Coconut', 634),
+  ('biomes:1247104587', 'overworld', 187, 32, 'minerals', 'Opal', 758),
+  ('biomes:1247104587', 'overworld', 189, 32, 'minerals', 'rock', 154),
+  ('biomes:1247104587', 'overworld', 216, 32, 'minerals', 'rock', 286),
+  ('biomes:1247104587', 'overworld', 227, 32, 'minerals', 'Gold Ore', 643),
+  ('biomes:1247104587', 'overworld', 245, 32, 'flowers', 'Tulip', 779),
+  ('biomes:1247104587', 'overworld', 5, 33, 'Trees', 'Orange', 728),
+  ('biomes:1247104587', 'overworld', 21, 33, 'minerals', 'Coal', 976),
+  ('biomes:1247104587', 'overworld', 23, 33, 'flowers', 'Lotus', 591),
+  ('biomes:1247104587', 'overworld', 33, 33, 'minerals', 'Coal', 840),
+  ('biomes:1247104587', 'overworld', 64, 33, 'flowers', 'Orchid', 84),
+  ('biomes:1247104587', 'overworld', 81, 33, 'minerals', 'rock', 430),
+  ('biomes:1247104587', 'overworld', 83, 33, 'flowers', 'Orchid', 109),
+  ('biomes:1247104587', 'overworld', 102, 33, 'Trees', 'Coconut', 627),
+  ('biomes:1247104587', 'overworld', 105, 33, 'Trees', 'Mango', 588),
+  ('biomes:1247104587', 'overworld', 152, 33, 'Trees', 'Jacaranda', 343),
+  ('biomes:1247104587', 'overworld', 155, 33, 'Trees', 'Lemon', 321),
+  ('biomes:1247104587', 'overworld', 192, 33, 'Trees', 'Pine', 867),
+  ('biomes:1247104587', 'overworld', 198, 33, 'minerals', 'Basalt', 580),
+  ('biomes:1247104587', 'overworld', 224, 33, 'minerals', 'Diamond', 534),
+  ('biomes:1247104587', 'overworld', 20, 34, 'Trees', 'Willow', 153),
+  ('biomes:1247104587', 'overworld', 89, 34, 'Trees', 'Lemon', 322),
+  ('biomes:1247104587', 'overworld', 92, 34, 'Trees', 'Sakura', 400),
+  ('biomes:1247104587', 'overworld', 99, 34, 'flowers', 'Daisy', 284),
+  ('biomes:1247104587', 'overworld', 112, 34, 'flowers', 'Daisy', 809),
+  ('biomes:1247104587', 'overworld', 131, 34, 'flowers', 'Rose', 741),
+  ('biomes:1247104587', 'overworld', 132, 34, 'Trees', 'Peach', 456),
+  ('biomes:1247104587', 'overworld', 135, 34, 'flowers', 'Daisy', 751),
+  ('biomes:1247104587', 'overworld', 141, 34, 'minerals', 'Limestone', 722),
+  ('biomes:1247104587', 'overworld', 151, 34, 'Trees', 'Sakura', 684),
+  ('biomes:1247104587', 'overworld', 187, 34, 'minerals', 'Sandstone', 265),
+  ('biomes:1247104587', 'overworld', 204, 34, 'minerals', 'Slate', 977),
+  ('biomes:1247104587', 'overworld', 205, 34, 'minerals', 'Silver Ore', 421),
+  ('biomes:1247104587', 'overworld', 206, 34, 'minerals', 'Granite', 512),
+  ('biomes:1247104587', 'overworld', 215, 34, 'minerals', 'Granite', 3),
+  ('biomes:1247104587', 'overworld', 231, 34, 'flowers', 'Sunflower', 921),
+  ('biomes:1247104587', 'overworld', 235, 34, 'Trees', 'Mango', 61),
+  ('biomes:1247104587', 'overworld', 237, 34, 'flowers', 'Sunflower', 986),
+  ('biomes:1247104587', 'overworld', 245, 34, 'flowers', 'Daisy', 247),
+  ('biomes:1247104587', 'overworld', 247, 34, 'flowers', 'Daisy', 396),
+  ('biomes:1247104587', 'overworld', 11, 35, 'Trees', 'Coconut', 132),
+  ('biomes:1247104587', 'overworld', 15, 35, 'minerals', 'Gold Ore', 569),
+  ('biomes:1247104587', 'overworld', 40, 35, 'flowers', 'Orchid', 188),
+  ('biomes:1247104587', 'overworld', 50, 35, 'flowers', 'Lotus', 139),
+  ('biomes:1247104587', 'overworld', 76, 35, 'Trees', 'Willow', 551),
+  ('biomes:1247104587', 'overworld', 84, 35, 'Trees', 'Willow', 51),
+  ('biomes:1247104587', 'overworld', 92, 35, 'flowers', 'Tulip', 397),
+  ('biomes:1247104587', 'overworld', 94, 35, 'Trees', 'Birch', 56),
+  ('biomes:1247104587', 'overworld', 98, 35, 'flowers', 'Daisy', 458),
+  ('biomes:1247104587', 'overworld', 114, 35, 'Trees', 'Jacaranda', 349),
+  ('biomes:1247104587', 'overworld', 134, 35, 'Trees', 'Coconut', 962),
+  ('biomes:1247104587', 'overworld', 138, 35, 'flowers', 'Rose', 232),
+  ('biomes:1247104587', 'overworld', 151, 35, 'Trees', 'Jacaranda', 624),
+  ('biomes:1247104587', 'overworld', 157, 35, 'Trees', 'Peach', 65),
+  ('biomes:1247104587', 'overworld', 187, 35, 'flowers', 'Sunflower', 664),
+  ('biomes:1247104587', 'overworld', 191, 35, 'minerals', 'Obsidian', 432),
+  ('biomes:1247104587', 'overworld', 206, 35, 'minerals', 'Starstone', 141),
+  ('biomes:1247104587', 'overworld', 210, 35, 'minerals', 'Granite', 499),
+  ('biomes:1247104587', 'overworld', 1, 36, 'flowers', 'Sunflower', 532),
+  ('biomes:1247104587', 'overworld', 13, 36, 'flowers', 'Tulip', 447),
+  ('biomes:1247104587', 'overworld', 17, 36, 'flowers', 'Lotus', 279),
+  ('biomes:1247104587', 'overworld', 69, 36, 'flowers', 'Lotus', 527),
+  ('biomes:1247104587', 'overworld', 75, 36, 'flowers', 'Lotus', 915),
+  ('biomes:1247104587', 'overworld', 82, 36, 'flowers', 'Orchid', 307),
+  ('biomes:1247104587', 'overworld', 86, 36, 'flowers', 'Sunflower', 829),
+  ('biomes:1247104587', 'overworld', 92, 36, 'Trees', 'Maple', 922),
+  ('biomes:1247104587', 'overworld', 127, 36, 'flowers', 'Lotus', 762),
+  ('biomes:1247104587', 'overworld', 141, 36, 'flowers', 'Daisy', 79),
+  ('biomes:1247104587', 'overworld', 150, 36, 'flowers', 'Sunflower', 847),
+  ('biomes:1247104587', 'overworld', 153, 36, 'Trees', 'Orange', 138),
+  ('biomes:1247104587', 'overworld', 193, 36, 'minerals', 'Basalt', 405),
+  ('biomes:1247104587', 'overworld', 219, 36, 'flowers', 'Sunflower', 188),
+  ('biomes:1247104587', 'overworld', 63, 37, 'Trees', 'Willow', 167),
+  ('biomes:1247104587', 'overworld', 66, 37, 'flowers', 'Lotus', 663),
+  ('biomes:1247104587', 'overworld', 102, 37, 'minerals', 'Obsidian', 838),
+  ('biomes:1247104587', 'overworld', 104, 37, 'minerals', 'Opal', 339),
+  ('biomes:1247104587', 'overworld', 114, 37, 'Trees', 'Orange', 426),
+  ('biomes:1247104587', 'overworld', 132, 37, 'Trees', 'Peach', 786),
+  ('biomes:1247104587', 'overworld', 134, 37, 'flowers', 'Daisy', 953),
+  ('biomes:1247104587', 'overworld', 144, 37, 'Trees', 'Sakura', 888),
+  ('biomes:1247104587', 'overworld', 205, 37, 'minerals', 'Starstone', 584),
+  ('biomes:1247104587', 'overworld', 237, 37, 'flowers', 'Tulip', 710),
+  ('biomes:1247104587', 'overworld', 238, 37, 'flowers', 'Sunflower', 485),
+  ('biomes:1247104587', 'overworld', 241, 37, 'flowers', 'Tulip', 305),
+  ('biomes:1247104587', 'overworld', 242, 37, 'flowers', 'Sunflower', 75),
+  ('biomes:1247104587', 'overworld', 244, 37, 'flowers', 'Daisy', 125),
+  ('biomes:1247104587', 'overworld', 247, 37, 'flowers', 'Daisy', 548),
+  ('biomes:1247104587', 'overworld', 248, 37, 'flowers', 'Rose', 805),
+  ('biomes:1247104587', 'overworld', 3, 38, 'flowers', 'Tulip', 904),
+  ('biomes:1247104587', 'overworld', 12, 38, 'flowers', 'Daisy', 680),
+  ('biomes:1247104587', 'overworld', 15, 38, 'Trees', 'Sakura', 524),
+  ('biomes:1247104587', 'overworld', 16, 38, 'flowers', 'Lotus', 326),
+  ('biomes:1247104587', 'overworld', 18, 38, 'flowers', 'Orchid', 398),
+  ('biomes:1247104587', 'overworld', 20, 38, 'Trees', 'Willow', 754),
+  ('biomes:1247104587', 'overworld', 106, 38, 'flowers', 'Sunflower', 124),
+  ('biomes:1247104587', 'overworld', 111, 38, 'Trees', 'Peach', 121),
+  ('biomes:1247104587', 'overworld', 113, 38, 'flowers', 'Tulip', 713),
+  ('biomes:1247104587', 'overworld', 115, 38, 'flowers', 'Orchid', 824),
+  ('biomes:1247104587', 'overworld', 129, 38, 'flowers', 'Lotus', 646),
+  ('biomes:1247104587', 'overworld', 136, 38, 'Trees', 'Sakura', 55),
+  ('biomes:1247104587', 'overworld', 143, 38, 'Trees', 'Lemon', 502),
+  ('biomes:1247104587', 'overworld', 146, 38, 'minerals', 'Limestone', 996),
+  ('biomes:1247104587', 'overworld', 157, 38, 'Trees', 'Mango', 234),
+  ('biomes:1247104587', 'overworld', 158, 38, 'Trees', 'Orange', 417),
+  ('biomes:1247104587', 'overworld', 233, 38, 'flowers', 'Orchid', 91),
+  ('biomes:1247104587', 'overworld', 255, 38, 'minerals', 'rock', 910),
+  ('biomes:1247104587', 'overworld', 55, 39, 'flowers', 'Lotus', 668),
+  ('biomes:1247104587', 'overworld', 112, 39, 'Trees', 'Mango', 691),
+  ('biomes:1247104587', 'overworld', 125, 39, 'flowers', 'Lotus', 798),
+  ('biomes:1247104587', 'overworld', 128, 39, 'Trees', 'Willow', 280),
+  ('biomes:1247104587', 'overworld', 133, 39, 'Trees', 'Apple', 954),
+  ('biomes:1247104587', 'overworld', 147, 39, 'flowers', 'Orchid', 98),
+  ('biomes:1247104587', 'overworld', 157, 39, 'Trees', 'Peach', 552),
+  ('biomes:1247104587', 'overworld', 198, 39, 'minerals', 'Ruby', 475),
+  ('biomes:1247104587', 'overworld', 209, 39, 'minerals', 'Gold Ore', 852),
+  ('biomes:1247104587', 'overworld', 215, 39, 'minerals', 'Basalt', 291),
+  ('biomes:1247104587', 'overworld', 226, 39, 'minerals', 'Sapphire', 157),
+  ('biomes:1247104587', 'overworld', 230, 39, 'flowers', 'Rose', 775),
+  ('biomes:1247104587', 'overworld', 235, 39, 'Trees', 'Apple', 66),
+  ('biomes:1247104587', 'overworld', 255, 39, 'Trees', 'Birch', 38),
+  ('biomes:1247104587', 'overworld', 13, 40, 'Trees', 'Coconut', 45),
+  ('biomes:1247104587', 'overworld', 57, 40, 'Trees', 'Willow', 193),
+  ('biomes:1247104587', 'overworld', 79, 40, 'Trees', 'Willow', 449),
+  ('biomes:1247104587', 'overworld', 81, 40, 'flowers', 'Lotus', 95),
+  ('biomes:1247104587', 'overworld', 88, 40, 'flowers', 'Rose', 33),
+  ('biomes:1247104587', 'overworld', 131, 40, 'flowers', 'Orchid', 201),
+  ('biomes:1247104587', 'overworld', 132, 40, 'Trees', 'Willow', 150),
+  ('biomes:1247104587', 'overworld', 136, 40, 'Trees', 'Coconut', 168),
+  ('biomes:1247104587', 'overworld', 137, 40, 'Trees', 'Jacaranda', 439),
+  ('biomes:1247104587', 'overworld', 148, 40, 'minerals', 'Coal', 602),
+  ('biomes:1247104587', 'overworld', 183, 40, 'minerals', 'Marble', 642),
+  ('biomes:1247104587', 'overworld', 189, 40, 'minerals', 'Sandstone', 983),
+  ('biomes:1247104587', 'overworld', 210, 40, 'minerals', 'rock', 37),
+  ('biomes:1247104587', 'overworld', 226, 40, 'minerals', 'Mooncrystal', 417),
+  ('biomes:1247104587', 'overworld', 43, 41, 'Trees', 'Willow', 378),
+  ('biomes:1247104587', 'overworld', 74, 41, 'flowers', 'Lotus', 167),
+  ('biomes:1247104587', 'overworld', 77, 41, 'flowers', 'Orchid', 883),
+  ('biomes:1247104587', 'overworld', 103, 41, 'minerals', 'Sandstone', 161),
+  ('biomes:1247104587', 'overworld', 109, 41, 'Trees', 'Oak', 506),
+  ('biomes:1247104587', 'overworld', 128, 41, 'Trees', 'Willow', 657),
+  ('biomes:1247104587', 'overworld', 139, 41, 'Trees', 'Jacaranda', 683),
+  ('biomes:1247104587', 'overworld', 153, 41, 'Trees', 'Orange', 84),
+  ('biomes:1247104587', 'overworld', 185, 41, 'minerals', 'Basalt', 688),
+  ('biomes:1247104587', 'overworld', 215, 41, 'flowers', 'Tulip', 30),
+  ('biomes:1247104587', 'overworld', 226, 41, 'minerals', 'Amethyst', 225),
+  ('biomes:1247104587', 'overworld', 13, 42, 'minerals', 'Limestone', 378),
+  ('biomes:1247104587', 'overworld', 20, 42, 'flowers', 'Orchid', 939),
+  ('biomes:1247104587', 'overworld', 49, 42, 'flowers', 'Orchid', 315),
+  ('biomes:1247104587', 'overworld', 68, 42, 'Trees', 'Willow', 849),
+  ('biomes:1247104587', 'overworld', 70, 42, 'minerals', 'Coal', 281),
+  ('biomes:1247104587', 'overworld', 116, 42, 'Trees', 'Willow', 677),
+  ('biomes:1247104587', 'overworld', 129, 42, 'flowers', 'Lotus', 232),
+  ('biomes:1247104587', 'overworld', 133, 42, 'flowers', 'Rose', 632),
+  ('biomes:1247104587', 'overworld', 134, 42, 'Trees', 'Sakura', 588),
+  ('biomes:1247104587', 'overworld', 196, 42, 'minerals', 'Limestone', 959),
+  ('biomes:1247104587', 'overworld', 199, 42, 'minerals', 'Emerald', 34),
+  ('biomes:1247104587', 'overworld', 201, 42, 'minerals', 'Limestone', 515),
+  ('biomes:1247104587', 'overworld', 218, 42, 'flowers', 'Tulip', 505),
+  ('biomes:1247104587', 'overworld', 234, 42, 'flowers', 'Daisy', 403),
+  ('biomes:1247104587', 'overworld', 235, 42, 'flowers', 'Daisy', 993),
+  ('biomes:1247104587', 'overworld', 250, 42, 'minerals', 'Copper Ore', 833),
+  ('biomes:1247104587', 'overworld', 2, 43, 'Trees', 'Oak', 141),
+  ('biomes:1247104587', 'overworld', 5, 43, 'minerals', 'rock', 547),
+  ('biomes:1247104587', 'overworld', 8, 43, 'flowers', 'Sunflower', 659),
+  ('biomes:1247104587', 'overworld', 100, 43, 'flowers', 'Sunflower', 266),
+  ('biomes:1247104587', 'overworld', 103, 43, 'minerals', 'Granite', 610),
+  ('biomes:1247104587', 'overworld', 111, 43, 'Trees', 'Apple', 495),
+  ('biomes:1247104587', 'overworld', 117, 43, 'Trees', 'Willow', 291),
+  ('biomes:1247104587', 'overworld', 141, 43, 'Trees', 'Orange', 515),
+  ('biomes:1247104587', 'overworld', 143, 43, 'Trees', 'Lemon', 279),
+  ('biomes:1247104587', 'overworld', 193, 43, 'minerals', 'Granite', 782),
+  ('biomes:1247104587', 'overworld', 207, 43, 'flowers', 'Tulip', 976),
+  ('biomes:1247104587', 'overworld', 238, 43, 'Trees', 'Apple', 542),
+  ('biomes:1247104587', 'overworld', 239, 43, 'flowers', 'Tulip', 766),
+  ('biomes:1247104587', 'overworld', 51, 44, 'minerals', 'Coal', 674),
+  ('biomes:1247104587', 'overworld', 52, 44, 'flowers', 'Orchid', 591),
+  ('biomes:1247104587', 'overworld', 92, 44, 'minerals', 'Coal', 803),
+  ('biomes:1247104587', 'overworld', 93, 44, 'Trees', 'Pine', 242),
+  ('biomes:1247104587', 'overworld', 101, 44, 'minerals', 'Basalt', 747),
+  ('biomes:1247104587', 'overworld', 103, 44, 'minerals', 'rock', 268),
+  ('biomes:1247104587', 'overworld', 104, 44, 'minerals', 'Basalt', 779),
+  ('biomes:1247104587', 'overworld', 117, 44, 'Trees', 'Willow', 911),
+  ('biomes:1247104587', 'overworld', 124, 44, 'flowers', 'Orchid', 889),
+  ('biomes:1247104587', 'overworld', 129, 44, 'flowers', 'Lotus', 502),
+  ('biomes:1247104587', 'overworld', 136, 44, 'Trees', 'Jacaranda', 7),
+  ('biomes:1247104587', 'overworld', 231, 44, 'minerals', 'Marble', 952),
+  ('biomes:1247104587', 'overworld', 242, 44, 'flowers', 'Tulip', 135),
+  ('biomes:1247104587', 'overworld', 2, 45, 'flowers', 'Sunflower', 562),
+  ('biomes:1247104587', 'overworld', 69, 45, 'flowers', 'Lotus', 991),
+  ('biomes:1247104587', 'overworld', 102, 45, 'minerals', 'rock', 586),
+  ('biomes:1247104587', 'overworld', 126, 45, 'Trees', 'Willow', 479),
+  ('biomes:1247104587', 'overworld', 138, 45, 'Trees', 'Mango', 542),
+  ('biomes:1247104587', 'overworld', 149, 45, 'flowers', 'Tulip', 46),
+  ('biomes:1247104587', 'overworld', 156, 45, 'Trees', 'Apple', 628),
+  ('biomes:1247104587', 'overworld', 206, 45, 'Trees', 'Oak', 908),
+  ('biomes:1247104587', 'overworld', 214, 45, 'flowers', 'Daisy', 103),
+  ('biomes:1247104587', 'overworld', 244, 45, 'Trees', 'Pine', 395),
+  ('biomes:1247104587', 'overworld', 10, 46, 'flowers', 'Tulip', 101),
+  ('biomes:1247104587', 'overworld', 11, 46, 'Trees', 'Orange', 894),
+  ('biomes:1247104587', 'overworld', 110, 46, 'Trees', 'Coconut', 889),
+  ('biomes:1247104587', 'overworld', 155, 46, 'Trees', 'Mango', 243),
+  ('biomes:1247104587', 'overworld', 191, 46, 'flowers', 'Sunflower', 324),
+  ('biomes:1247104587', 'overworld', 199, 46, 'minerals', 'Marble', 669),
+  ('biomes:1247104587', 'overworld', 203, 46, 'minerals', 'Sandstone', 403),
+  ('biomes:1247104587', 'overworld', 242, 46, 'flowers', 'Orchid', 60),
+  ('biomes:1247104587', 'overworld', 244, 46, 'Trees', 'Maple', 527),
+  ('biomes:1247104587', 'overworld', 248, 46, 'minerals', 'Coal', 737),
+  ('biomes:1247104587', 'overworld', 252, 46, 'minerals', 'Coal', 478),
+  ('biomes:1247104587', 'overworld', 255, 46, 'flowers', 'Daisy', 763),
+  ('biomes:1247104587', 'overworld', 4, 47, 'Trees', 'Pine', 716),
+  ('biomes:1247104587', 'overworld', 9, 47, 'Trees', 'Orange', 541),
+  ('biomes:1247104587', 'overworld', 11, 47, 'Trees', 'Peach', 305),
+  ('biomes:1247104587', 'overworld', 51, 47, 'flowers', 'Lotus', 331),
+  ('biomes:1247104587', 'overworld', 54, 47, 'minerals', 'rock', 813),
+  ('biomes:1247104587', 'overworld', 108, 47, 'Trees', 'Coconut', 256),
+  ('biomes:1247104587', 'overworld', 181, 47, 'minerals', 'Basalt', 181),
+  ('biomes:1247104587', 'overworld', 193, 47, 'minerals', 'Granite', 401),
+  ('biomes:1247104587', 'overworld', 200, 47, 'minerals', 'Emerald', 164),
+  ('biomes:1247104587', 'overworld', 204, 47, 'flowers', 'Rose', 223),
+  ('biomes:1247104587', 'overworld', 205, 47, 'flowers', 'Tulip', 639),
+  ('biomes:1247104587', 'overworld', 98, 48, 'Trees', 'Sakura', 922),
+  ('biomes:1247104587', 'overworld', 109, 48, 'Trees', 'Coconut', 40),
+  ('biomes:1247104587', 'overworld', 151, 48, 'Trees', 'Peach', 404),
+  ('biomes:1247104587', 'overworld', 165, 48, 'flowers', 'Tulip', 656),
+  ('biomes:1247104587', 'overworld', 173, 48, 'flowers', 'Tulip', 692),
+  ('biomes:1247104587', 'overworld', 178, 48, 'minerals', 'Limestone', 628),
+  ('biomes:1247104587', 'overworld', 184, 48, 'minerals', 'Granite', 984),
+  ('biomes:1247104587', 'overworld', 185, 48, 'minerals', 'rock', 182),
+  ('biomes:1247104587', 'overworld', 205, 48, 'flowers', 'Sunflower', 485),
+  ('biomes:1247104587', 'overworld', 210, 48, 'flowers', 'Rose', 256),
+  ('biomes:1247104587', 'overworld', 223, 48, 'Trees', 'Pine', 393),
+  ('biomes:1247104587', 'overworld', 229, 48, 'flowers', 'Orchid', 985),
+  ('biomes:1247104587', 'overworld', 231, 48, 'flowers', 'Orchid', 411),
+  ('biomes:1247104587', 'overworld', 245, 48, 'flowers', 'Tulip', 267),
+  ('biomes:1247104587', 'overworld', 1, 49, 'minerals', 'rock', 72),
+  ('biomes:1247104587', 'overworld', 5, 49, 'Trees', 'Orange', 724),
+  ('biomes:1247104587', 'overworld', 52, 49, 'flowers', 'Lotus', 91),
+  ('biomes:1247104587', 'overworld', 84, 49, 'Trees', 'Lemon', 639),
+  ('biomes:1247104587', 'overworld', 97, 49, 'Trees', 'Mango', 485),
+  ('biomes:1247104587', 'overworld', 109, 49, 'flowers', 'Sunflower', 476),
+  ('biomes:1247104587', 'overworld', 149, 49, 'Trees', 'Mango', 85),
+  ('biomes:1247104587', 'overworld', 165, 49, 'Trees', 'Orange', 887),
+  ('biomes:1247104587', 'overworld', 167, 49, 'Trees', 'Lemon', 881),
+  ('biomes:1247104587', 'overworld', 171, 49, 'flowers', 'Tulip', 177),
+  ('biomes:1247104587', 'overworld', 1, 50, 'Trees', 'Sakura', 397),
+  ('biomes:1247104587', 'overworld', 2, 50, 'flowers', 'Tulip', 239),
+  ('biomes:1247104587', 'overworld', 10, 50, 'Trees', 'Lemon', 436),
+  ('biomes:1247104587', 'overworld', 13, 50, 'flowers', 'Tulip', 667),
+  ('biomes:1247104587', 'overworld', 14, 50, 'flowers', 'Tulip', 700),
+  ('biomes:1247104587', 'overworld', 82, 50, 'Trees', 'Peach', 791),
+  ('biomes:1247104587', 'overworld', 94, 50, 'Trees', 'Jacaranda', 377),
+  ('biomes:1247104587', 'overworld', 150, 50, 'flowers', 'Rose', 65),
+  ('biomes:1247104587', 'overworld', 162, 50, 'Trees', 'Willow', 783),
+  ('biomes:1247104587', 'overworld', 199, 50, 'minerals', 'Ruby', 734),
+  ('biomes:1247104587', 'overworld', 209, 50, 'Trees', 'Maple', 313),
+  ('biomes:1247104587', 'overworld', 213, 50, 'flowers', 'Orchid', 226),
+  ('biomes:1247104587', 'overworld', 238, 50, 'flowers', 'Tulip', 269),
+  ('biomes:1247104587', 'overworld', 12, 51, 'flowers', 'Daisy', 344),
+  ('biomes:1247104587', 'overworld', 14, 51, 'Trees', 'Lemon', 111),
+  ('biomes:1247104587', 'overworld', 17, 51, 'Trees', 'Apple', 533),
+  ('biomes:1247104587', 'overworld', 53, 51, 'Trees', 'Willow', 863),
+  ('biomes:1247104587', 'overworld', 64, 51, 'flowers', 'Orchid', 153),
+  ('biomes:1247104587', 'overworld', 72, 51, 'Trees', 'Willow', 171),
+  ('biomes:1247104587', 'overworld', 82, 51, 'Trees', 'Sakura', 943),
+  ('biomes:1247104587', 'overworld', 89, 51, 'Trees', 'Mango', 442),
+  ('biomes:1247104587', 'overworld', 90, 51, 'flowers', 'Sunflower', 78),
+  ('biomes:1247104587', 'overworld', 98, 51, 'Trees', 'Sakura', 56),
+  ('biomes:1247104587', 'overworld', 145, 51, 'Trees', 'Coconut', 707),
+  ('biomes:1247104587', 'overworld', 177, 51, 'Trees', 'Pine', 157),
+  ('biomes:1247104587', 'overworld', 189, 51, 'minerals', 'Gold Ore', 528),
+  ('biomes:1247104587', 'overworld', 208, 51, 'flowers', 'Tulip', 853),
+  ('biomes:1247104587', 'overworld', 212, 51, 'flowers', 'Orchid', 162),
+  ('biomes:1247104587', 'overworld', 230, 51, 'minerals', 'rock', 595),
+  ('biomes:1247104587', 'overworld', 237, 51, 'flowers', 'Tulip', 559),
+  ('biomes:1247104587', 'overworld', 1, 52, 'Trees', 'Lemon', 718),
+  ('biomes:1247104587', 'overworld', 3, 52, 'flowers', 'Daisy', 930),
+  ('biomes:1247104587', 'overworld', 9, 52, 'Trees', 'Lemon', 865),
+  ('biomes:1247104587', 'overworld', 20, 52, 'Trees', 'Coconut', 765),
+  ('biomes:1247104587', 'overworld', 72, 52, 'minerals', 'rock', 971),
+  ('biomes:1247104587', 'overworld', 83, 52, 'Trees', 'Apple', 566),
+  ('biomes:1247104587', 'overworld', 101, 52, 'Trees', 'Apple', 749),
+  ('biomes:1247104587', 'overworld', 155, 52, 'flowers', 'Sunflower', 437),
+  ('biomes:1247104587', 'overworld', 156, 52, 'flowers', 'Rose', 561),
+  ('biomes:1247104587', 'overworld', 165, 52, 'Trees', 'Lemon', 191),
+  ('biomes:1247104587', 'overworld', 168, 52, 'Trees', 'Lemon', 666),
+  ('biomes:1247104587', 'overworld', 188, 52, 'minerals', 'Sandstone', 303),
+  ('biomes:1247104587', 'overworld', 206, 52, 'Trees', 'Birch', 997),
+  ('biomes:1247104587', 'overworld', 238, 52, 'flowers', 'Tulip', 376),
+  ('biomes:1247104587', 'overworld', 3, 53, 'flowers', 'Sunflower', 938),
+  ('biomes:1247104587', 'overworld', 7, 53, 'Trees', 'Lemon', 478),
+  ('biomes:1247104587', 'overworld', 10, 53, 'Trees', 'Coconut', 597),
+  ('biomes:1247104587', 'overworld', 42, 53, 'flowers', 'Orchid', 216),
+  ('biomes:1247104587', 'overworld', 47, 53, 'flowers', 'Rose', 712),
+  ('biomes:1247104587', 'overworld', 48, 53, 'flowers', 'Rose', 940),
+  ('biomes:1247104587', 'overworld', 60, 53, 'Trees', 'Mango', 433),
+  ('biomes:1247104587', 'overworld', 81, 53, 'Trees', 'Lemon', 659),
+  ('biomes:1247104587', 'overworld', 84, 53, 'flowers', 'Sunflower', 676),
+  ('biomes:1247104587', 'overworld', 103, 53, 'Trees', 'Lemon', 422),
+  ('biomes:1247104587', 'overworld', 145, 53, 'minerals', 'Limestone', 439),
+  ('biomes:1247104587', 'overworld', 147, 53, 'Trees', 'Orange', 975),
+  ('biomes:1247104587', 'overworld', 160, 53, 'Trees', 'Willow', 283),
+  ('biomes:1247104587', 'overworld', 165, 53, 'Trees', 'Coconut', 123),
+  ('biomes:1247104587', 'overworld', 166, 53, 'flowers', 'Rose', 485),
+  ('biomes:1247104587', 'overworld', 178, 53, 'minerals', 'Sandstone', 600),
+  ('biomes:1247104587', 'overworld', 188, 53, 'minerals', 'Slate', 706),
+  ('biomes:1247104587', 'overworld', 197, 53, 'minerals', 'Sandstone', 468),
+  ('biomes:1247104587', 'overworld', 208, 53, 'Trees', 'Birch', 190),
+  ('biomes:1247104587', 'overworld', 209, 53, 'minerals', 'Coal', 260),
+  ('biomes:1247104587', 'overworld', 232, 53, 'flowers', 'Sunflower', 503),
+  ('biomes:1247104587', 'overworld', 233, 53, 'flowers', 'Tulip', 773),
+  ('biomes:1247104587', 'overworld', 254, 53, 'flowers', 'Rose', 527),
+  ('biomes:1247104587', 'overworld', 11, 54, 'Trees', 'Peach', 978),
+  ('biomes:1247104587', 'overworld', 17, 54, 'Trees', 'Sakura', 91),
+  ('biomes:1247104587', 'overworld', 39, 54, 'minerals', 'Iron Ore', 378),
+  ('biomes:1247104587', 'overworld', 60, 54, 'Trees', 'Peach', 300),
+  ('biomes:1247104587', 'overworld', 67, 54, 'Trees', 'Orange', 888),
+  ('biomes:1247104587', 'overworld', 79, 54, 'Trees', 'Orange', 454),
+  ('biomes:1247104587', 'overworld', 85, 54, 'flowers', 'Tulip', 290),
+  ('biomes:1247104587', 'overworld', 97, 54, 'Trees', 'Coconut', 609),
+  ('biomes:1247104587', 'overworld', 155, 54, 'Trees', 'Jacaranda', 410),
+  ('biomes:1247104587', 'overworld', 158, 54, 'flowers', 'Lotus', 982),
+  ('biomes:1247104587', 'overworld', 178, 54, 'minerals', 'Gold Ore', 103),
+  ('biomes:1247104587', 'overworld', 179, 54, 'minerals', 'Basalt', 336),
+  ('biomes:1247104587', 'overworld', 232, 54, 'Trees', 'Oak', 615),
+  ('biomes:1247104587', 'overworld', 17, 55, 'flowers', 'Daisy', 376),
+  ('biomes:1247104587', 'overworld', 19, 55, 'Trees', 'Coconut', 318),
+  ('biomes:1247104587', 'overworld', 86, 55, 'flowers', 'Rose', 415),
+  ('biomes:1247104587', 'overworld', 99, 55, 'minerals', 'Limestone', 124),
+  ('biomes:1247104587', 'overworld', 110, 55, 'flowers', 'Daisy', 618),
+  ('biomes:1247104587', 'overworld', 145, 55, 'Trees', 'Jacaranda', 524),
+  ('biomes:1247104587', 'overworld', 154, 55, 'Trees', 'Apple', 939),
+  ('biomes:1247104587', 'overworld', 195, 55, 'minerals', 'Ruby', 15),
+  ('biomes:1247104587', 'overworld', 228, 55, 'flowers', 'Daisy', 270),
+  ('biomes:1247104587', 'overworld', 239, 55, 'flowers', 'Sunflower', 910),
+  ('biomes:1247104587', 'overworld', 243, 55, 'Trees', 'Pine', 805),
+  ('biomes:1247104587', 'overworld', 246, 55, 'flowers', 'Daisy', 977),
+  ('biomes:1247104587', 'overworld', 254, 55, 'minerals', 'Amethyst', 233),
+  ('biomes:1247104587', 'overworld', 39, 56, 'minerals', 'Obsidian', 388),
+  ('biomes:1247104587', 'overworld', 59, 56, 'Trees', 'Sakura', 745),
+  ('biomes:1247104587', 'overworld', 70, 56, 'flowers', 'Tulip', 165),
+  ('biomes:1247104587', 'overworld', 99, 56, 'flowers', 'Tulip', 57),
+  ('biomes:1247104587', 'overworld', 102, 56, 'minerals', 'rock', 533),
+  ('biomes:1247104587', 'overworld', 162, 56, 'flowers', 'Lotus', 138),
+  ('biomes:1247104587', 'overworld', 163, 56, 'Trees', 'Willow', 484),
+  ('biomes:1247104587', 'overworld', 193, 56, 'minerals', 'Basalt', 695),
+  ('biomes:1247104587', 'overworld', 203, 56, 'flowers', 'Rose', 0),
+  ('biomes:1247104587', 'overworld', 225, 56, 'minerals', 'Iron Ore', 286),
+  ('biomes:1247104587', 'overworld', 234, 56, 'flowers', 'Rose', 141),
+  ('biomes:1247104587', 'overworld', 238, 56, 'Trees', 'Pine', 916),
+  ('biomes:1247104587', 'overworld', 242, 56, 'Trees', 'Pine', 780),
+  ('biomes:1247104587', 'overworld', 253, 56, 'Trees', 'Oak', 798),
+  ('biomes:1247104587', 'overworld', 254, 56, 'Trees', 'Birch', 745),
+  ('biomes:1247104587', 'overworld', 14, 57, 'Trees', 'Apple', 368),
+  ('biomes:1247104587', 'overworld', 16, 57, 'Trees', 'Apple', 418),
+  ('biomes:1247104587', 'overworld', 44, 57, 'Trees', 'Maple', 798),
+  ('biomes:1247104587', 'overworld', 60, 57, 'Trees', 'Lemon', 867),
+  ('biomes:1247104587', 'overworld', 70, 57, 'flowers', 'Sunflower', 334),
+  ('biomes:1247104587', 'overworld', 79, 57, 'Trees', 'Jacaranda', 379),
+  ('biomes:1247104587', 'overworld', 97, 57, 'flowers', 'Orchid', 95),
+  ('biomes:1247104587', 'overworld', 171, 57, 'Trees', 'Jacaranda', 837),
+  ('biomes:1247104587', 'overworld', 195, 57, 'flowers', 'Sunflower', 456),
+  ('biomes:1247104587', 'overworld', 196, 57, 'flowers', 'Orchid', 119),
+  ('biomes:1247104587', 'overworld', 197, 57, 'flowers', 'Tulip', 386),
+  ('biomes:1247104587', 'overworld', 227, 57, 'Trees', 'Birch', 530),
+  ('biomes:1247104587', 'overworld', 230, 57, 'flowers', 'Daisy', 370),
+  ('biomes:1247104587', 'overworld', 238, 57, 'Trees', 'Pine', 839),
+  ('biomes:1247104587', 'overworld', 17, 58, 'Trees', 'Mango', 861),
+  ('biomes:1247104587', 'overworld', 36, 58, 'minerals', 'Tin Ore', 117),
+  ('biomes:1247104587', 'overworld', 62, 58, 'Trees', 'Sakura', 245),
+  ('biomes:1247104587', 'overworld', 67, 58, 'Trees', 'Peach', 880),
+  ('biomes:1247104587', 'overworld', 77, 58, 'Trees', 'Coconut', 589),
+  ('biomes:1247104587', 'overworld', 104, 58, 'Trees', 'Pine', 736),
+  ('biomes:1247104587', 'overworld', 148, 58, 'Trees', 'Apple', 218),
+  ('biomes:1247104587', 'overworld', 167, 58, 'Trees', 'Lemon', 192),
+  ('biomes:1247104587', 'overworld', 168, 58, 'Trees', 'Jacaranda', 420),
+  ('biomes:1247104587', 'overworld', 191, 58, 'minerals', 'Limestone', 109),
+  ('biomes:1247104587', 'overworld', 192, 58, 'minerals', 'Slate', 207),
+  ('biomes:1247104587', 'overworld', 195, 58, 'minerals', 'Opal', 823),
+  ('biomes:1247104587', 'overworld', 243, 58, 'Trees', 'Birch', 454),
+  ('biomes:1247104587', 'overworld', 244, 58, 'flowers', 'Rose', 576),
+  ('biomes:1247104587', 'overworld', 247, 58, 'Trees', 'Maple', 314),
+  ('biomes:1247104587', 'overworld', 12, 59, 'flowers', 'Sunflower', 620),
+  ('biomes:1247104587', 'overworld', 36, 59, 'minerals', 'rock', 264),
+  ('biomes:1247104587', 'overworld', 38, 59, 'Trees', 'Oak', 633),
+  ('biomes:1247104587', 'overworld', 45, 59, 'Trees', 'Mango', 758),
+  ('biomes:1247104587', 'overworld', 47, 59, 'Trees', 'Jacaranda', 638),
+  ('biomes:1247104587', 'overworld', 48, 59, 'flowers', 'Lotus', 153),
+  ('biomes:1247104587', 'overworld', 62, 59, 'Trees', 'Sakura', 140),
+  ('biomes:1247104587', 'overworld', 66, 59, 'Trees', 'Sakura', 685),
+  ('biomes:1247104587', 'overworld', 105, 59, 'Trees', 'Pine', 853),
+  ('biomes:1247104587', 'overworld', 153, 59, 'Trees', 'Jacaranda', 26),
+  ('biomes:1247104587', 'overworld', 154, 59, 'flowers', 'Tulip', 730),
+  ('biomes:1247104587', 'overworld', 155, 59, 'Trees', 'Apple', 349),
+  ('biomes:1247104587', 'overworld', 204, 59, 'flowers', 'Orchid', 665),
+  ('biomes:1247104587', 'overworld', 208, 59, 'minerals', 'Silver Ore', 454),
+  ('biomes:1247104587', 'overworld', 217, 59, 'minerals', 'Iron Ore', 479),
+  ('biomes:1247104587', 'overworld', 223, 59, 'minerals', 'Copper Ore', 587),
+  ('biomes:1247104587', 'overworld', 236, 59, 'Trees', 'Maple', 159),
+  ('biomes:1247104587', 'overworld', 248, 59, 'Trees', 'Oak', 187),
+  ('biomes:1247104587', 'overworld', 10, 60, 'minerals', 'Obsidian', 89),
+  ('biomes:1247104587', 'overworld', 18, 60, 'Trees', 'Mango', 217),
+  ('biomes:1247104587', 'overworld', 43, 60, 'Trees', 'Sakura', 320),
+  ('biomes:1247104587', 'overworld', 68, 60, 'Trees', 'Sakura', 484),
+  ('biomes:1247104587', 'overworld', 75, 60, 'Trees', 'Coconut', 527),
+  ('biomes:1247104587', 'overworld', 89, 60, 'minerals', 'Coal', 604),
+  ('biomes:1247104587', 'overworld', 150, 60, 'flowers', 'Daisy', 593),
+  ('biomes:1247104587', 'overworld', 170, 60, 'flowers', 'Tulip', 249),
+  ('biomes:1247104587', 'overworld', 175, 60, 'flowers', 'Rose', 596),
+  ('biomes:1247104587', 'overworld', 178, 60, 'minerals', 'Slate', 218),
+  ('biomes:1247104587', 'overworld', 233, 60, 'flowers', 'Sunflower', 110),
+  ('biomes:1247104587', 'overworld', 17, 61, 'flowers', 'Daisy', 16),
+  ('biomes:1247104587', 'overworld', 20, 61, 'minerals', 'Limestone', 28),
+  ('biomes:1247104587', 'overworld', 45, 61, 'minerals', 'Silver Ore', 96),
+  ('biomes:1247104587', 'overworld', 67, 61, 'Trees', 'Peach', 889),
+  ('biomes:1247104587', 'overworld', 97, 61, 'Trees', 'Maple', 753),
+  ('biomes:1247104587', 'overworld', 98, 61, 'flowers', 'Rose', 755),
+  ('biomes:1247104587', 'overworld', 102, 61, 'Trees', 'Maple', 107),
+  ('biomes:1247104587', 'overworld', 105, 61, 'flowers', 'Daisy', 838),
+  ('biomes:1247104587', 'overworld', 161, 61, 'Trees', 'Apple', 260),
+  ('biomes:1247104587', 'overworld', 173, 61, 'flowers', 'Rose', 941),
+  ('biomes:1247104587', 'overworld', 174, 61, 'flowers', 'Rose', 72),
+  ('biomes:1247104587', 'overworld', 187, 61, 'flowers', 'Sunflower', 798),
+  ('biomes:1247104587', 'overworld', 207, 61, 'minerals', 'Gold Ore', 221),
+  ('biomes:1247104587', 'overworld', 208, 61, 'minerals', 'Amethyst', 794),
+  ('biomes:1247104587', 'overworld', 216, 61, 'minerals', 'rock', 856),
+  ('biomes:1247104587', 'overworld', 241, 61, 'Trees', 'Oak', 31),
+  ('biomes:1247104587', 'overworld', 13, 62, 'Trees', 'Apple', 237),
+  ('biomes:1247104587', 'overworld', 16, 62, 'minerals', 'Limestone', 93),
+  ('biomes:1247104587', 'overworld', 19, 62, 'flowers', 'Rose', 222),
+  ('biomes:1247104587', 'overworld', 36, 62, 'Trees', 'Maple', 325),
+  ('biomes:1247104587', 'overworld', 46, 62, 'Trees', 'Peach', 762),
+  ('biomes:1247104587', 'overworld', 49, 62, 'Trees', 'Mango', 246),
+  ('biomes:1247104587', 'overworld', 63, 62, 'flowers', 'Tulip', 777),
+  ('biomes:1247104587', 'overworld', 69, 62, 'flowers', 'Rose', 911),
+  ('biomes:1247104587', 'overworld', 75, 62, 'Trees', 'Sakura', 753),
+  ('biomes:1247104587', 'overworld', 149, 62, 'minerals', 'Limestone', 186),
+  ('biomes:1247104587', 'overworld', 162, 62, 'Trees', 'Orange', 944),
+  ('biomes:1247104587', 'overworld', 176, 62, 'Trees', 'Maple', 837),
+  ('biomes:1247104587', 'overworld', 233, 62, 'flowers', 'Daisy', 349),
+  ('biomes:1247104587', 'overworld', 237, 62, 'flowers', 'Daisy', 303),
+  ('biomes:1247104587', 'overworld', 12, 63, 'Trees', 'Coconut', 635),
+  ('biomes:1247104587', 'overworld', 49, 63, 'minerals', 'rock', 151),
+  ('biomes:1247104587', 'overworld', 60, 63, 'flowers', 'Tulip', 908),
+  ('biomes:1247104587', 'overworld', 67, 63, 'flowers', 'Tulip', 596),
+  ('biomes:1247104587', 'overworld', 103, 63, 'minerals', 'rock', 891),
+  ('biomes:1247104587', 'overworld', 148, 63, 'Trees', 'Jacaranda', 379),
+  ('biomes:1247104587', 'overworld', 155, 63, 'Trees', 'Mango', 319),
+  ('biomes:1247104587', 'overworld', 162, 63, 'flowers', 'Daisy', 942),
+  ('biomes:1247104587', 'overworld', 246, 63, 'flowers', 'Tulip', 631),
+  ('biomes:1247104587', 'overworld', 0, 64, 'flowers', 'Orchid', 397),
+  ('biomes:1247104587', 'overworld', 14, 64, 'flowers', 'Sunflower', 436),
+  ('biomes:1247104587', 'overworld', 25, 64, 'Trees', 'Mango', 986),
+  ('biomes:1247104587', 'overworld', 29, 64, 'Trees', 'Mango', 976),
+  ('biomes:1247104587', 'overworld', 34, 64, 'flowers', 'Rose', 218),
+  ('biomes:1247104587', 'overworld', 50, 64, 'Trees', 'Apple', 323),
+  ('biomes:1247104587', 'overworld', 61, 64, 'Trees', 'Mango', 343),
+  ('biomes:1247104587', 'overworld', 72, 64, 'Trees', 'Coconut', 712),
+  ('biomes:1247104587', 'overworld', 79, 64, 'flowers', 'Tulip', 342),
+  ('biomes:1247104587', 'overworld', 148, 64, 'Trees', 'Jacaranda', 501),
+  ('biomes:1247104587', 'overworld', 152, 64, 'Trees', 'Coconut', 330),
+  ('biomes:1247104587', 'overworld', 153, 64, 'flowers', 'Rose', 233),
+  ('biomes:1247104587', 'overworld', 160, 64, 'Trees', 'Mango', 729),
+  ('biomes:1247104587', 'overworld', 170, 64, 'Trees', 'Mango', 91),
+  ('biomes:1247104587', 'overworld', 208, 64, 'minerals', 'Adamantite', 21),
+  ('biomes:1247104587', 'overworld', 209, 64, 'flowers', 'Sunflower', 35),
+  ('biomes:1247104587', 'overworld', 3, 65, 'Trees', 'Willow', 139),
+  ('biomes:1247104587', 'overworld', 10, 65, 'flowers', 'Orchid', 632),
+  ('biomes:1247104587', 'overworld', 12, 65, 'Trees', 'Coconut', 396),
+  ('biomes:1247104587', 'overworld', 23, 65, 'Trees', 'Apple', 521),
+  ('biomes:1247104587', 'overworld', 30, 65, 'Trees', 'Mango', 908),
+  ('biomes:1247104587', 'overworld', 46, 65, 'Trees', 'Apple', 468),
+  ('biomes:1247104587', 'overworld', 49, 65, 'Trees', 'Jacaranda', 217),
+  ('biomes:1247104587', 'overworld', 51, 65, 'Trees', 'Orange', 86),
+  ('biomes:1247104587', 'overworld', 60, 65, 'Trees', 'Sakura', 789),
+  ('biomes:1247104587', 'overworld', 73, 65, 'Trees', 'Lemon', 487),
+  ('biomes:1247104587', 'overworld', 90, 65, 'flowers', 'Sunflower', 816),
+  ('biomes:1247104587', 'overworld', 151, 65, 'Trees', 'Jacaranda', 430),
+  ('biomes:1247104587', 'overworld', 152, 65, 'Trees', 'Lemon', 973),
+  ('biomes:1247104587', 'overworld', 159, 65, 'Trees', 'Sakura', 402),
+  ('biomes:1247104587', 'overworld', 168, 65, 'flowers', 'Rose', 500),
+  ('biomes:1247104587', 'overworld', 171, 65, 'flowers', 'Tulip', 512),
+  ('biomes:1247104587', 'overworld', 186, 65, 'minerals', 'Granite', 773),
+  ('biomes:1247104587', 'overworld', 232, 65, 'Trees', 'Maple', 838),
+  ('biomes:1247104587', 'overworld', 234, 65, 'flowers', 'Daisy', 663),
+  ('biomes:1247104587', 'overworld', 29, 66, 'flowers', 'Tulip', 39),
+  ('biomes:1247104587', 'overworld', 35, 66, 'Trees', 'Birch', 307),
+  ('biomes:1247104587', 'overworld', 41, 66, 'flowers', 'Tulip', 708),
+  ('biomes:1247104587', 'overworld', 46, 66, 'flowers', 'Daisy', 454),
+  ('biomes:1247104587', 'overworld', 53, 66, 'minerals', 'rock', 143),
+  ('biomes:1247104587', 'overworld', 73, 66, 'flowers', 'Daisy', 657),
+  ('biomes:1247104587', 'overworld', 150, 66, 'Trees', 'Jacaranda', 825),
+  ('biomes:1247104587', 'overworld', 178, 66, 'minerals', 'Topaz', 377),
+  ('biomes:1247104587', 'overworld', 217, 66, 'minerals', 'Tin Ore', 430),
+  ('biomes:1247104587', 'overworld', 219, 66, 'flowers', 'Daisy', 214),
+  ('biomes:1247104587', 'overworld', 224, 66, 'minerals', 'Opal', 164),
+  ('biomes:1247104587', 'overworld', 17, 67, 'Trees', 'Apple', 533),
+  ('biomes:1247104587', 'overworld', 19, 67, 'Trees', 'Peach', 75),
+  ('biomes:1247104587', 'overworld', 35, 67, 'flowers', 'Sunflower', 414),
+  ('biomes:1247104587', 'overworld', 45, 67, 'Trees', 'Apple', 670),
+  ('biomes:1247104587', 'overworld', 66, 67, 'Trees', 'Peach', 553),
+  ('biomes:1247104587', 'overworld', 69, 67, 'minerals', 'Obsidian', 665),
+  ('biomes:1247104587', 'overworld', 87, 67, 'flowers', 'Orchid', 22),
+  ('biomes:1247104587', 'overworld', 154, 67, 'Trees', 'Apple', 603),
+  ('biomes:1247104587', 'overworld', 169, 67, 'flowers', 'Rose', 409),
+  ('biomes:1247104587', 'overworld', 176, 67, 'minerals', 'Slate', 518),
+  ('biomes:1247104587', 'overworld', 181, 67, 'minerals', 'Obsidian', 950),
+  ('biomes:1247104587', 'overworld', 182, 67, 'Trees', 'Pine', 267),
+  ('biomes:1247104587', 'overworld', 217, 67, 'flowers', 'Sunflower', 797),
+  ('biomes:1247104587', 'overworld', 14, 68, 'Trees', 'Mango', 13),
+  ('biomes:1247104587', 'overworld', 31, 68, 'flowers', 'Rose', 902),
+  ('biomes:1247104587', 'overworld', 54, 68, 'Trees', 'Apple', 339),
+  ('biomes:1247104587', 'overworld', 65, 68, 'flowers', 'Tulip', 91),
+  ('biomes:1247104587', 'overworld', 69, 68, 'Trees', 'Maple', 523),
+  ('biomes:1247104587', 'overworld', 73, 68, 'Trees', 'Oak', 893),
+  ('biomes:1247104587', 'overworld', 146, 68, 'flowers', 'Orchid', 752),
+  ('biomes:1247104587', 'overworld', 184, 68, 'minerals', 'rock', 782),
+  ('biomes:1247104587', 'overworld', 193, 68, 'flowers', 'Orchid', 220),
+  ('biomes:1247104587', 'overworld', 210, 68, 'minerals', 'Silver Ore', 598),
+  ('biomes:1247104587', 'overworld', 227, 68, 'minerals', 'Copper Ore', 665),
+  ('biomes:1247104587', 'overworld', 241, 68, 'minerals', 'Granite', 986),
+  ('biomes:1247104587', 'overworld', 23, 69, 'Trees', 'Peach', 524),
+  ('biomes:1247104587', 'overworld', 45, 69, 'flowers', 'Rose', 745),
+  ('biomes:1247104587', 'overworld', 46, 69, 'Trees', 'Orange', 797),
+  ('biomes:1247104587', 'overworld', 53, 69, 'flowers', 'Daisy', 233),
+  ('biomes:1247104587', 'overworld', 94, 69, 'flowers', 'Orchid', 816),
+  ('biomes:1247104587', 'overworld', 152, 69, 'flowers', 'Rose', 183),
+  ('biomes:1247104587', 'overworld', 177, 69, 'minerals', 'Basalt', 453),
+  ('biomes:1247104587', 'overworld', 179, 69, 'minerals', 'Silver Ore', 165),
+  ('biomes:1247104587', 'overworld', 15, 70, 'flowers', 'Tulip', 539),
+  ('biomes:1247104587', 'overworld', 25, 70, 'flowers', 'Sunflower', 164),
+  ('biomes:1247104587', 'overworld', 40, 70, 'Trees', 'Coconut', 155),
+  ('biomes:1247104587', 'overworld', 43, 70, 'Trees', 'Orange', 716),
+  ('biomes:1247104587', 'overworld', 162, 70, 'Trees', 'Maple', 188),
+  ('biomes:1247104587', 'overworld', 163, 70, 'flowers', 'Daisy', 448),
+  ('biomes:1247104587', 'overworld', 165, 70, 'flowers', 'Sunflower', 300),
+  ('biomes:1247104587', 'overworld', 192, 70, 'flowers', 'Rose', 315),
+  ('biomes:1247104587', 'overworld', 195, 70, 'flowers', 'Tulip', 428),
+  ('biomes:1247104587', 'overworld', 203, 70, 'minerals', 'Tin Ore', 37),
+  ('biomes:1247104587', 'overworld', 232, 70, 'minerals', 'rock', 409),
+  ('biomes:1247104587', 'overworld', 241, 70, 'Trees', 'Birch', 480),
+  ('biomes:1247104587', 'overworld', 252, 70, 'minerals', 'Limestone', 224),
+  ('biomes:1247104587', 'overworld', 75, 71, 'Trees', 'Pine', 736),
+  ('biomes:1247104587', 'overworld', 83, 71, 'flowers', 'Orchid', 666),
+  ('biomes:1247104587', 'overworld', 152, 71, 'flowers', 'Tulip', 422),
+  ('biomes:1247104587', 'overworld', 163, 71, 'flowers', 'Rose', 472),
+  ('biomes:1247104587', 'overworld', 187, 71, 'flowers', 'Orchid', 736),
+  ('biomes:1247104587', 'overworld', 190, 71, 'Trees', 'Pine', 24),
+  ('biomes:1247104587', 'overworld', 210, 71, 'minerals', 'rock', 351),
+  ('biomes:1247104587', 'overworld', 219, 71, 'minerals', 'Coal', 683),
+  ('biomes:1247104587', 'overworld', 235, 71, 'Trees', 'Pine', 487),
+  ('biomes:1247104587', 'overworld', 242, 71, 'flowers', 'Daisy', 444),
+  ('biomes:1247104587', 'overworld', 243, 71, 'minerals', 'Granite', 91),
+  ('biomes:1247104587', 'overworld', 6, 72, 'flowers', 'Lotus', 75),
+  ('biomes:1247104587', 'overworld', 19, 72, 'flowers', 'Rose', 504),
+  ('biomes:1247104587', 'overworld', 24, 72, 'Trees', 'Coconut', 30),
+  ('biomes:1247104587', 'overworld', 36, 72, 'Trees', 'Apple', 219),
+  ('biomes:1247104587', 'overworld', 42, 72, 'Trees', 'Mango', 668),
+  ('biomes:1247104587', 'overworld', 44, 72, 'flowers', 'Daisy', 415),
+  ('biomes:1247104587', 'overworld', 54, 72, 'flowers', 'Sunflower', 865),
+  ('biomes:1247104587', 'overworld', 90, 72, 'flowers', 'Orchid', 236),
+  ('biomes:1247104587', 'overworld', 99, 72, 'Trees', 'Pine', 405),
+  ('biomes:1247104587', 'overworld', 153, 72, 'Trees', 'Sakura', 742),
+  ('biomes:1247104587', 'overworld', 189, 72, 'flowers', 'Sunflower', 138),
+  ('biomes:1247104587', 'overworld', 222, 72, 'minerals', 'Copper Ore', 805),
+  ('biomes:1247104587', 'overworld', 7, 73, 'flowers', 'Orchid', 445),
+  ('biomes:1247104587', 'overworld', 11, 73, 'Trees', 'Birch', 188),
+  ('biomes:1247104587', 'overworld', 41, 73, 'minerals', 'Granite', 164),
+  ('biomes:1247104587', 'overworld', 52, 73, 'flowers', 'Tulip', 619),
+  ('biomes:1247104587', 'overworld', 55, 73, 'flowers', 'Tulip', 757),
+  ('biomes:1247104587', 'overworld', 57, 73, 'flowers', 'Rose', 602),
+  ('biomes:1247104587', 'overworld', 93, 73, 'flowers', 'Tulip', 689),
+  ('biomes:1247104587', 'overworld', 94, 73, 'flowers', 'Orchid', 742),
+  ('biomes:1247104587', 'overworld', 97, 73, 'flowers', 'Rose', 615),
+  ('biomes:1247104587', 'overworld', 109, 73, 'minerals', 'Coal', 363),
+  ('biomes:1247104587', 'overworld', 123, 73, 'minerals', 'Copper Ore', 45),
+  ('biomes:1247104587', 'overworld', 136, 73, 'Trees', 'Pine', 300),
+  ('biomes:1247104587', 'overworld', 137, 73, 'flowers', 'Lotus', 582),
+  ('biomes:1247104587', 'overworld', 153, 73, 'minerals', 'rock', 326),
+  ('biomes:1247104587', 'overworld', 166, 73, 'flowers', 'Orchid', 347),
+  ('biomes:1247104587', 'overworld', 182, 73, 'flowers', 'Orchid', 643),
+  ('biomes:1247104587', 'overworld', 244, 73, 'flowers', 'Orchid', 590),
+  ('biomes:1247104587', 'overworld', 15, 74, 'minerals', 'Marble', 220),
+  ('biomes:1247104587', 'overworld', 29, 74, 'flowers', 'Daisy', 409),
+  ('biomes:1247104587', 'overworld', 35, 74, 'flowers', 'Sunflower', 992),
+  ('biomes:1247104587', 'overworld', 37, 74, 'flowers', 'Rose', 547),
+  ('biomes:1247104587', 'overworld', 75, 74, 'flowers', 'Rose', 844),
+  ('biomes:1247104587', 'overworld', 119, 74, 'Trees', 'Pine', 568),
+  ('biomes:1247104587', 'overworld', 122, 74, 'flowers', 'Sunflower', 630),
+  ('biomes:1247104587', 'overworld', 167, 74, 'flowers', 'Tulip', 748),
+  ('biomes:1247104587', 'overworld', 211, 74, 'minerals', 'Copper Ore', 707),
+  ('biomes:1247104587', 'overworld', 244, 74, 'flowers', 'Tulip', 387),
+  ('biomes:1247104587', 'overworld', 253, 74, 'minerals', 'Gold Ore', 860),
+  ('biomes:1247104587', 'overworld', 6, 75, 'flowers', 'Orchid', 622),
+  ('biomes:1247104587', 'overworld', 7, 75, 'flowers', 'Lotus', 247),
+  ('biomes:1247104587', 'overworld', 84, 75, 'flowers', 'Daisy', 678),
+  ('biomes:1247104587', 'overworld', 110, 75, 'minerals', 'Tin Ore', 636),
+  ('biomes:1247104587', 'overworld', 132, 75, 'flowers', 'Rose', 424),
+  ('biomes:1247104587', 'overworld', 135, 75, 'Trees', 'Birch', 201),
+  ('biomes:1247104587', 'overworld', 166, 75, 'Trees', 'Birch', 442),
+  ('biomes:1247104587', 'overworld', 187, 75, 'flowers', 'Rose', 417),
+  ('biomes:1247104587', 'overworld', 228, 75, 'minerals', 'Iron Ore', 308),
+  ('biomes:1247104587', 'overworld', 245, 75, 'flowers', 'Orchid', 170),
+  ('biomes:1247104587', 'overworld', 249, 75, 'minerals', 'Ruby', 35),
+  ('biomes:1247104587', 'overworld', 254, 75, 'Trees', 'Maple', 146),
+  ('biomes:1247104587', 'overworld', 11, 76, 'Trees', 'Willow', 874),
+  ('biomes:1247104587', 'overworld', 26, 76, 'flowers', 'Tulip', 393),
+  ('biomes:1247104587', 'overworld', 35, 76, 'flowers', 'Daisy', 585),
+  ('biomes:1247104587', 'overworld', 39, 76, 'Trees', 'Oak', 338),
+  ('biomes:1247104587', 'overworld', 72, 76, 'flowers', 'Sunflower', 419),
+  ('biomes:1247104587', 'overworld', 90, 76, 'flowers', 'Daisy', 973),
+  ('biomes:1247104587', 'overworld', 130, 76, 'flowers', 'Sunflower', 107),
+  ('biomes:1247104587', 'overworld', 136, 76, 'Trees', 'Oak', 834),
+  ('biomes:1247104587', 'overworld', 167, 76, 'Trees', 'Birch', 88),
+  ('biomes:1247104587', 'overworld', 171, 76, 'flowers', 'Rose', 102),
+  ('biomes:1247104587', 'overworld', 190, 76, 'flowers', 'Tulip', 793),
+  ('biomes:1247104587', 'overworld', 210, 76, 'minerals', 'Copper Ore', 555),
+  ('biomes:1247104587', 'overworld', 239, 76, 'Trees', 'Mango', 386),
+  ('biomes:1247104587', 'overworld', 13, 77, 'flowers', 'Lotus', 755),
+  ('biomes:1247104587', 'overworld', 16, 77, 'flowers', 'Orchid', 647),
+  ('biomes:1247104587', 'overworld', 87, 77, 'flowers', 'Orchid', 957),
+  ('biomes:1247104587', 'overworld', 101, 77, 'flowers', 'Daisy', 866),
+  ('biomes:1247104587', 'overworld', 152, 77, 'flowers', 'Orchid', 330),
+  ('biomes:1247104587', 'overworld', 164, 77, 'flowers', 'Sunflower', 272),
+  ('biomes:1247104587', 'overworld', 166, 77, 'flowers', 'Daisy', 317),
+  ('biomes:1247104587', 'overworld', 173, 77, 'Trees', 'Birch', 514),
+  ('biomes:1247104587', 'overworld', 219, 77, 'minerals', 'rock', 531),
+  ('biomes:1247104587', 'overworld', 233, 77, 'minerals', 'Adamantite', 61),
+  ('biomes:1247104587', 'overworld', 248, 77, 'flowers', 'Orchid', 842),
+  ('biomes:1247104587', 'overworld', 250, 77, 'flowers', 'Rose', 199),
+  ('biomes:1247104587', 'overworld', 13, 78, 'Trees', 'Willow', 868),
+  ('biomes:1247104587', 'overworld', 28, 78, 'Trees', 'Maple', 636),
+  ('biomes:1247104587', 'overworld', 30, 78, 'flowers', 'Daisy', 575),
+  ('biomes:1247104587', 'overworld', 58, 78, 'flowers', 'Daisy', 864),
+  ('biomes:1247104587', 'overworld', 72, 78, 'flowers', 'Rose', 661),
+  ('biomes:1247104587', 'overworld', 76, 78, 'flowers', 'Tulip', 521),
+  ('biomes:1247104587', 'overworld', 87, 78, 'flowers', 'Rose', 916),
+  ('biomes:1247104587', 'overworld', 108, 78, 'minerals', 'Gold Ore', 83),
+  ('biomes:1247104587', 'overworld', 121, 78, 'minerals', 'rock', 569),
+  ('biomes:1247104587', 'overworld', 126, 78, 'flowers', 'Sunflower', 332),
+  ('biomes:1247104587', 'overworld', 150, 78, 'Trees', 'Maple', 341),
+  ('biomes:1247104587', 'overworld', 157, 78, 'flowers', 'Rose', 256),
+  ('biomes:1247104587', 'overworld', 159, 78, 'flowers', 'Rose', 773),
+  ('biomes:1247104587', 'overworld', 172, 78, 'minerals', 'Obsidian', 290),
+  ('biomes:1247104587', 'overworld', 179, 78, 'minerals', 'rock', 15),
+  ('biomes:1247104587', 'overworld', 180, 78, 'flowers', 'Sunflower', 438),
+  ('biomes:1247104587', 'overworld', 211, 78, 'minerals', 'Gold Ore', 336),
+  ('biomes:1247104587', 'overworld', 37, 79, 'flowers', 'Rose', 517),
+  ('biomes:1247104587', 'overworld', 45, 79, 'flowers', 'Daisy', 613),
+  ('biomes:1247104587', 'overworld', 51, 79, 'flowers', 'Orchid', 833),
+  ('biomes:1247104587', 'overworld', 57, 79, 'flowers', 'Rose', 851),
+  ('biomes:1247104587', 'overworld', 63, 79, 'Trees', 'Birch', 270),
+  ('biomes:1247104587', 'overworld', 69, 79, 'Trees', 'Oak', 786),
+  ('biomes:1247104587', 'overworld', 84, 79, 'flowers', 'Sunflower', 512),
+  ('biomes:1247104587', 'overworld', 99, 79, 'flowers', 'Sunflower', 660),
+  ('biomes:1247104587', 'overworld', 132, 79, 'flowers', 'Rose', 892),
+  ('biomes:1247104587', 'overworld', 149, 79, 'flowers', 'Sunflower', 170),
+  ('biomes:1247104587', 'overworld', 173, 79, 'minerals', 'Obsidian', 141),
+  ('biomes:1247104587', 'overworld', 185, 79, 'flowers', 'Rose', 324),
+  ('biomes:1247104587', 'overworld', 186, 79, 'flowers', 'Daisy', 447),
+  ('biomes:1247104587', 'overworld', 238, 79, 'flowers', 'Sunflower', 355),
+  ('biomes:1247104587', 'overworld', 242, 79, 'flowers', 'Daisy', 651),
+  ('biomes:1247104587', 'overworld', 243, 79, 'flowers', 'Rose', 744),
+  ('biomes:1247104587', 'overworld', 22, 80, 'flowers', 'Orchid', 802),
+  ('biomes:1247104587', 'overworld', 38, 80, 'Trees', 'Pine', 312),
+  ('biomes:1247104587', 'overworld', 50, 80, 'flowers', 'Orchid', 142),
+  ('biomes:1247104587', 'overworld', 52, 80, 'flowers', 'Sunflower', 844),
+  ('biomes:1247104587', 'overworld', 56, 80, 'flowers', 'Rose', 95),
+  ('biomes:1247104587', 'overworld', 80, 80, 'Trees', 'Oak', 586),
+  ('biomes:1247104587', 'overworld', 94, 80, 'minerals', 'Limestone', 758),
+  ('biomes:1247104587', 'overworld', 103, 80, 'minerals', 'rock', 254),
+  ('biomes:1247104587', 'overworld', 173, 80, 'Trees', 'Pine', 296),
+  ('biomes:1247104587', 'overworld', 179, 80, 'Trees', 'Pine', 645),
+  ('biomes:1247104587', 'overworld', 191, 80, 'flowers', 'Orchid', 457),
+  ('biomes:1247104587', 'overworld', 204, 80, 'minerals', 'rock', 756),
+  ('biomes:1247104587', 'overworld', 238, 80, 'Trees', 'Sakura', 234),
+  ('biomes:1247104587', 'overworld', 242, 80, 'Trees', 'Mango', 392),
+  ('biomes:1247104587', 'overworld', 246, 80, 'flowers', 'Rose', 534),
+  ('biomes:1247104587', 'overworld', 73, 81, 'Trees', 'Maple', 801),
+  ('biomes:1247104587', 'overworld', 91, 81, 'flowers', 'Orchid', 426),
+  ('biomes:1247104587', 'overworld', 96, 81, 'flowers', 'Sunflower', 732),
+  ('biomes:1247104587', 'overworld', 119, 81, 'minerals', 'Coal', 737),
+  ('biomes:1247104587', 'overworld', 131, 81, 'Trees', 'Oak', 663),
+  ('biomes:1247104587', 'overworld', 148, 81, 'flowers', 'Daisy', 631),
+  ('biomes:1247104587', 'overworld', 153, 81, 'flowers', 'Orchid', 738),
+  ('biomes:1247104587', 'overworld', 159, 81, 'minerals', 'Coal', 196),
+  ('biomes:1247104587', 'overworld', 165, 81, 'flowers', 'Orchid', 534),
+  ('biomes:1247104587', 'overworld', 201, 81, 'minerals', 'rock', 522),
+  ('biomes:1247104587', 'overworld', 205, 81, 'minerals', 'rock', 999),
+  ('biomes:1247104587', 'overworld', 209, 81, 'minerals', 'Iron Ore', 137),
+  ('biomes:1247104587', 'overworld', 241, 81, 'Trees', 'Peach', 295),
+  ('biomes:1247104587', 'overworld', 23, 82, 'Trees', 'Willow', 854),
+  ('biomes:1247104587', 'overworld', 24, 82, 'flowers', 'Orchid', 262),
+  ('biomes:1247104587', 'overworld', 81, 82, 'Trees', 'Oak', 185),
+  ('biomes:1247104587', 'overworld', 82, 82, 'flowers', 'Orchid', 257),
+  ('biomes:1247104587', 'overworld', 105, 82, 'flowers', 'Daisy', 815),
+  ('biomes:1247104587', 'overworld', 129, 82, 'Trees', 'Oak', 327),
+  ('biomes:1247104587', 'overworld', 134, 82, 'flowers', 'Orchid', 368),
+  ('biomes:1247104587', 'overworld', 162, 82, 'minerals', 'rock', 190),
+  ('biomes:1247104587', 'overworld', 164, 82, 'Trees', 'Oak', 145),
+  ('biomes:1247104587', 'overworld', 190, 82, 'flowers', 'Tulip', 833),
+  ('biomes:1247104587', 'overworld', 230, 82, 'flowers', 'Tulip', 839),
+  ('biomes:1247104587', 'overworld', 234, 82, 'flowers', 'Tulip', 24),
+  ('biomes:1247104587', 'overworld', 16, 83, 'flowers', 'Lotus', 656),
+  ('biomes:1247104587', 'overworld', 30, 83, 'flowers', 'Sunflower', 275),
+  ('biomes:1247104587', 'overworld', 33, 83, 'Trees', 'Mango', 944),
+  ('biomes:1247104587', 'overworld', 88, 83, 'Trees', 'Birch', 900),
+  ('biomes:1247104587', 'overworld', 100, 83, 'minerals', 'Coal', 809),
+  ('biomes:1247104587', 'overworld', 107, 83, 'minerals', 'Gold Ore', 331),
+  ('biomes:1247104587', 'overworld', 114, 83, 'minerals', 'Copper Ore', 967),
+  ('biomes:1247104587', 'overworld', 115, 83, 'minerals', 'Coal', 915),
+  ('biomes:1247104587', 'overworld', 125, 83, 'Trees', 'Maple', 466),
+  ('biomes:1247104587', 'overworld', 168, 83, 'minerals', 'Marble', 669),
+  ('biomes:1247104587', 'overworld', 190, 83, 'Trees', 'Birch', 835),
+  ('biomes:1247104587', 'overworld', 203, 83, 'minerals', 'Tin Ore', 553),
+  ('biomes:1247104587', 'overworld', 227, 83, 'minerals', 'Silver Ore', 849),
+  ('biomes:1247104587', 'overworld', 26, 84, 'flowers', 'Rose', 843),
+  ('biomes:1247104587', 'overworld', 44, 84, 'minerals', 'Limestone', 998),
+  ('biomes:1247104587', 'overworld', 73, 84, 'flowers', 'Daisy', 724),
+  ('biomes:1247104587', 'overworld', 75, 84, 'Trees', 'Oak', 120),
+  ('biomes:1247104587', 'overworld', 77, 84, 'flowers', 'Tulip', 524),
+  ('biomes:1247104587', 'overworld', 78, 84, 'flowers', 'Tulip', 712),
+  ('biomes:1247104587', 'overworld', 99, 84, 'minerals', 'Tin Ore', 87),
+  ('biomes:1247104587', 'overworld', 115, 84, 'flowers', 'Daisy', 354),
+  ('biomes:1247104587', 'overworld', 122, 84, 'flowers', 'Rose', 375),
+  ('biomes:1247104587', 'overworld', 166, 84, 'Trees', 'Pine', 856),
+  ('biomes:1247104587', 'overworld', 181, 84, 'flowers', 'Daisy', 386),
+  ('biomes:1247104587', 'overworld', 182, 84, 'flowers', 'Sunflower', 63),
+  ('biomes:1247104587', 'overworld', 204, 84, 'Trees', 'Pine', 885),
+  ('biomes:1247104587', 'overworld', 222, 84, 'flowers', 'Daisy', 329),
+  ('biomes:1247104587', 'overworld', 228, 84, 'flowers', 'Sunflower', 39),
+  ('biomes:1247104587', 'overworld', 16, 85, 'Trees', 'Willow', 641),
+  ('biomes:1247104587', 'overworld', 17, 85, 'Trees', 'Willow', 396),
+  ('biomes:1247104587', 'overworld', 18, 85, 'minerals', 'Slate', 339),
+  ('biomes:1247104587', 'overworld', 35, 85, 'Trees', 'Orange', 890),
+  ('biomes:1247104587', 'overworld', 40, 85, 'flowers', 'Rose', 115),
+  ('biomes:1247104587', 'overworld', 45, 85, 'flowers', 'Tulip', 735),
+  ('biomes:1247104587', 'overworld', 50, 85, 'flowers', 'Daisy', 492),
+  ('biomes:1247104587', 'overworld', 53, 85, 'Trees', 'Oak', 829),
+  ('biomes:1247104587', 'overworld', 62, 85, 'Trees', 'Maple', 284),
+  ('biomes:1247104587', 'overworld', 85, 85, 'minerals', 'Granite', 434),
+  ('biomes:1247104587', 'overworld', 110, 85, 'minerals', 'rock', 409),
+  ('biomes:1247104587', 'overworld', 154, 85, 'Trees', 'Oak', 298),
+  ('biomes:1247104587', 'overworld', 192, 85, 'flowers', 'Daisy', 139),
+  ('biomes:1247104587', 'overworld', 207, 85, 'minerals', 'Tin Ore', 492),
+  ('biomes:1247104587', 'overworld', 222, 85, 'flowers', 'Daisy', 655),
+  ('biomes:1247104587', 'overworld', 223, 85, 'flowers', 'Sunflower', 45),
+  ('biomes:1247104587', 'overworld', 228, 85, 'flowers', 'Sunflower', 181),
+  ('biomes:1247104587', 'overworld', 21, 86, 'flowers', 'Orchid', 235),
+  ('biomes:1247104587', 'overworld', 43, 86, 'Trees', 'Pine', 266),
+  ('biomes:1247104587', 'overworld', 46, 86, 'flowers', 'Sunflower', 550),
+  ('biomes:1247104587', 'overworld', 69, 86, 'Trees', 'Oak', 447),
+  ('biomes:1247104587', 'overworld', 79, 86, 'flowers', 'Tulip', 897),
+  ('biomes:1247104587', 'overworld', 124, 86, 'flowers', 'Tulip', 688),
+  ('biomes:1247104587', 'overworld', 129, 86, 'flowers', 'Rose', 137),
+  ('biomes:1247104587', 'overworld', 132, 86, 'Trees', 'Apple', 160),
+  ('biomes:1247104587', 'overworld', 133, 86, 'Trees', 'Orange', 695),
+  ('biomes:1247104587', 'overworld', 157, 86, 'flowers', 'Rose', 527),
+  ('biomes:1247104587', 'overworld', 183, 86, 'flowers', 'Daisy', 610),
+  ('biomes:1247104587', 'overworld', 191, 86, 'Trees', 'Maple', 111),
+  ('biomes:1247104587', 'overworld', 197, 86, 'minerals', 'Marble', 929),
+  ('biomes:1247104587', 'overworld', 206, 86, 'minerals', 'Copper Ore', 43),
+  ('biomes:1247104587', 'overworld', 222, 86, 'Trees', 'Pine', 579),
+  ('biomes:1247104587', 'overworld', 239, 86, 'flowers', 'Rose', 462),
+  ('biomes:1247104587', 'overworld', 30, 87, 'flowers', 'Tulip', 17),
+  ('biomes:1247104587', 'overworld', 38, 87, 'flowers', 'Daisy', 457),
+  ('biomes:1247104587', 'overworld', 70, 87, 'Trees', 'Oak', 865),
+  ('biomes:1247104587', 'overworld', 118, 87, 'minerals', 'Tin Ore', 95),
+  ('biomes:1247104587', 'overworld', 135, 87, 'flowers', 'Sunflower', 773),
+  ('biomes:1247104587', 'overworld', 138, 87, 'Trees', 'Apple', 743),
+  ('biomes:1247104587', 'overworld', 151, 87, 'flowers', 'Orchid', 125),
+  ('biomes:1247104587', 'overworld', 153, 87, 'flowers', 'Daisy', 75),
+  ('biomes:1247104587', 'overworld', 162, 87, 'Trees', 'Pine', 145),
+  ('biomes:1247104587', 'overworld', 195, 87, 'minerals', 'Limestone', 508),
+  ('biomes:1247104587', 'overworld', 236, 87, 'Trees', 'Pine', 307),
+  ('biomes:1247104587', 'overworld', 242, 87, 'flowers', 'Rose', 68),
+  ('biomes:1247104587', 'overworld', 11, 88, 'Trees', 'Willow', 756),
+  ('biomes:1247104587', 'overworld', 32, 88, 'Trees', 'Mango', 573),
+  ('biomes:1247104587', 'overworld', 39, 88, 'Trees', 'Orange', 951),
+  ('biomes:1247104587', 'overworld', 69, 88, 'flowers', 'Sunflower', 36),
+  ('biomes:1247104587', 'overworld', 72, 88, 'flowers', 'Orchid', 339),
+  ('biomes:1247104587', 'overworld', 122, 88, 'flowers', 'Daisy', 22),
+  ('biomes:1247104587', 'overworld', 133, 88, 'Trees', 'Sakura', 798),
+  ('biomes:1247104587', 'overworld', 141, 88, 'Trees', 'Jacaranda', 736),
+  ('biomes:1247104587', 'overworld', 154, 88, 'flowers', 'Tulip', 484),
+  ('biomes:1247104587', 'overworld', 157, 88, 'Trees', 'Oak', 719),
+  ('biomes:1247104587', 'overworld', 158, 88, 'Trees', 'Maple', 112),
+  ('biomes:1247104587', 'overworld', 167, 88, 'flowers', 'Tulip', 296),
+  ('biomes:1247104587', 'overworld', 179, 88, 'minerals', 'Limestone', 262),
+  ('biomes:1247104587', 'overworld', 197, 88, 'flowers', 'Rose', 980),
+  ('biomes:1247104587', 'overworld', 200, 88, 'Trees', 'Birch', 635),
+  ('biomes:1247104587', 'overworld', 207, 88, 'Trees', 'Birch', 686),
+  ('biomes:1247104587', 'overworld', 223, 88, 'Trees', 'Oak', 54),
+  ('biomes:1247104587', 'overworld', 235, 88, 'minerals', 'Ruby', 187),
+  ('biomes:1247104587', 'overworld', 247, 88, 'minerals', 'Silver Ore', 247),
+  ('biomes:1247104587', 'overworld', 250, 88, 'minerals', 'Limestone', 236),
+  ('biomes:1247104587', 'overworld', 19, 89, 'Trees', 'Willow', 115),
+  ('biomes:1247104587', 'overworld', 30, 89, 'flowers', 'Lotus', 152),
+  ('biomes:1247104587', 'overworld', 72, 89, 'flowers', 'Daisy', 308),
+  ('biomes:1247104587', 'overworld', 81, 89, 'flowers', 'Sunflower', 182),
+  ('biomes:1247104587', 'overworld', 82, 89, 'flowers', 'Sunflower', 186),
+  ('biomes:1247104587', 'overworld', 101, 89, 'minerals', 'Copper Ore', 478),
+  ('biomes:1247104587', 'overworld', 134, 89, 'Trees', 'Peach', 536),
+  ('biomes:1247104587', 'overworld', 150, 89, 'minerals', 'Limestone', 384),
+  ('biomes:1247104587', 'overworld', 177, 89, 'Trees', 'Birch', 473),
+  ('biomes:1247104587', 'overworld', 242, 89, 'minerals', 'Topaz', 593),
+  ('biomes:1247104587', 'overworld', 248, 89, 'minerals', 'rock', 287),
+  ('biomes:1247104587', 'overworld', 253, 89, 'minerals', 'Gold Ore', 562),
+  ('biomes:1247104587', 'overworld', 13, 90, 'Trees', 'Willow', 253),
+  ('biomes:1247104587', 'overworld', 18, 90, 'minerals', 'Slate', 5),
+  ('biomes:1247104587', 'overworld', 26, 90, 'flowers', 'Orchid', 956),
+  ('biomes:1247104587', 'overworld', 30, 90, 'Trees', 'Willow', 743),
+  ('biomes:1247104587', 'overworld', 47, 90, 'Trees', 'Pine', 406),
+  ('biomes:1247104587', 'overworld', 72, 90, 'flowers', 'Orchid', 728),
+  ('biomes:1247104587', 'overworld', 76, 90, 'Trees', 'Birch', 136),
+  ('biomes:1247104587', 'overworld', 83, 90, 'Trees', 'Pine', 97),
+  ('biomes:1247104587', 'overworld', 84, 90, 'flowers', 'Rose', 696),
+  ('biomes:1247104587', 'overworld', 87, 90, 'minerals', 'rock', 847),
+  ('biomes:1247104587', 'overworld', 107, 90, 'minerals', 'Iron Ore', 920),
+  ('biomes:1247104587', 'overworld', 138, 90, 'Trees', 'Coconut', 260),
+  ('biomes:1247104587', 'overworld', 150, 90, 'flowers', 'Tulip', 609),
+  ('biomes:1247104587', 'overworld', 151, 90, 'Trees', 'Birch', 194),
+  ('biomes:1247104587', 'overworld', 160, 90, 'flowers', 'Sunflower', 576),
+  ('biomes:1247104587', 'overworld', 171, 90, 'minerals', 'Basalt', 796),
+  ('biomes:1247104587', 'overworld', 209, 90, 'flowers', 'Tulip', 362),
+  ('biomes:1247104587', 'overworld', 214, 90, 'minerals', 'Opal', 191),
+  ('biomes:1247104587', 'overworld', 237, 90, 'minerals', 'Obsidian', 24),
+  ('biomes:1247104587', 'overworld', 248, 90, 'Trees', 'Pine', 183),
+  ('biomes:1247104587', 'overworld', 251, 90, 'minerals', 'Granite', 11),
+  ('biomes:1247104587', 'overworld', 18, 91, 'flowers', 'Lotus', 276),
+  ('biomes:1247104587', 'overworld', 33, 91, 'minerals', 'Coal', 114),
+  ('biomes:1247104587', 'overworld', 43, 91, 'Trees', 'Pine', 535),
+  ('biomes:1247104587', 'overworld', 48, 91, 'minerals', 'Marble', 844),
+  ('biomes:1247104587', 'overworld', 52, 91, 'flowers', 'Sunflower', 739),
+  ('biomes:1247104587', 'overworld', 54, 91, 'minerals', 'Gold Ore', 296),
+  ('biomes:1247104587', 'overworld', 97, 91, 'minerals', 'Iron Ore', 459),
+  ('biomes:1247104587', 'overworld', 135, 91, 'Trees', 'Coconut', 214),
+  ('biomes:1247104587', 'overworld', 136, 91, 'flowers', 'Tulip', 34),
+  ('biomes:1247104587', 'overworld', 153, 91, 'flowers', 'Daisy', 849),
+  ('biomes:1247104587', 'overworld', 161, 91, 'flowers', 'Sunflower', 368),
+  ('biomes:1247104587', 'overworld', 166, 91, 'flowers', 'Orchid', 137),
+  ('biomes:1247104587', 'overworld', 191, 91, 'flowers', 'Tulip', 493),
+  ('biomes:1247104587', 'overworld', 210, 91, 'Trees', 'Maple', 743),
+  ('biomes:1247104587', 'overworld', 212, 91, 'flowers', 'Orchid', 749),
+  ('biomes:1247104587', 'overworld', 36, 92, 'Trees', 'Jacaranda', 685),
+  ('biomes:1247104587', 'overworld', 121, 92, 'minerals', 'Tin Ore', 202),
+  ('biomes:1247104587', 'overworld', 137, 92, 'Trees', 'Mango', 960),
+  ('biomes:1247104587', 'overworld', 141, 92, 'minerals', 'rock', 905),
+  ('biomes:1247104587', 'overworld', 155, 92, 'Trees', 'Pine', 949),
+  ('biomes:1247104587', 'overworld', 162, 92, 'minerals', 'Sapphire', 540),
+  ('biomes:1247104587', 'overworld', 170, 92, 'flowers', 'Rose', 920),
+  ('biomes:1247104587', 'overworld', 176, 92, 'flowers', 'Sunflower', 343),
+  ('biomes:1247104587', 'overworld', 184, 92, 'Trees', 'Maple', 339),
+  ('biomes:1247104587', 'overworld', 189, 92, 'Trees', 'Pine', 708),
+  ('biomes:1247104587', 'overworld', 204, 92, 'flowers', 'Daisy', 5),
+  ('biomes:1247104587', 'overworld', 210, 92, 'Trees', 'Oak', 239),
+  ('biomes:1247104587', 'overworld', 228, 92, 'minerals', 'Granite', 207),
+  ('biomes:1247104587', 'overworld', 230, 92, 'flowers', 'Sunflower', 876),
+  ('biomes:1247104587', 'overworld', 255, 92, 'minerals', 'Starstone', 583),
+  ('biomes:1247104587', 'overworld', 9, 93, 'flowers', 'Orchid', 95),
+  ('biomes:1247104587', 'overworld', 45, 93, 'Trees', 'Maple', 528),
+  ('biomes:1247104587', 'overworld', 55, 93, 'flowers', 'Orchid', 807),
+  ('biomes:1247104587', 'overworld', 84, 93, 'flowers', 'Orchid', 623),
+  ('biomes:1247104587', 'overworld', 127, 93, 'flowers', 'Orchid', 36),
+  ('biomes:1247104587', 'overworld', 202, 93, 'Trees', 'Orange', 806),
+  ('biomes:1247104587', 'overworld', 208, 93, 'flowers', 'Sunflower', 720),
+  ('biomes:1247104587', 'overworld', 217, 93, 'flowers', 'Daisy', 635),
+  ('biomes:1247104587', 'overworld', 231, 93, 'minerals', 'Limestone', 920),
+  ('biomes:1247104587', 'overworld', 234, 93, 'minerals', 'Topaz', 600),
+  ('biomes:1247104587', 'overworld', 32, 94, 'Trees', 'Willow', 835),
+  ('biomes:1247104587', 'overworld', 44, 94, 'flowers', 'Orchid', 310),
+  ('biomes:1247104587', 'overworld', 68, 94, 'Trees', 'Birch', 739),
+  ('biomes:1247104587', 'overworld', 84, 94, 'minerals', 'Granite', 303),
+  ('biomes:1247104587', 'overworld', 88, 94, 'minerals', 'Copper Ore', 921),
+  ('biomes:1247104587', 'overworld', 101, 94, 'minerals', 'rock', 688),
+  ('biomes:1247104587', 'overworld', 126, 94, 'flowers', 'Daisy', 643),
+  ('biomes:1247104587', 'overworld', 132, 94, 'flowers', 'Rose', 976),
+  ('biomes:1247104587', 'overworld', 147, 94, 'flowers', 'Orchid', 162),
+  ('biomes:1247104587', 'overworld', 157, 94, 'Trees', 'Maple', 492),
+  ('biomes:1247104587', 'overworld', 158, 94, 'flowers', 'Rose', 620),
+  ('biomes:1247104587', 'overworld', 160, 94, 'Trees', 'Maple', 420),
+  ('biomes:1247104587', 'overworld', 168, 94, 'Trees', 'Maple', 437),
+  ('biomes:1247104587', 'overworld', 183, 94, 'Trees', 'Birch', 125),
+  ('biomes:1247104587', 'overworld', 31, 95, 'flowers', 'Lotus', 628),
+  ('biomes:1247104587', 'overworld', 34, 95, 'flowers', 'Orchid', 52),
+  ('biomes:1247104587', 'overworld', 64, 95, 'flowers', 'Orchid', 650),
+  ('biomes:1247104587', 'overworld', 68, 95, 'flowers', 'Sunflower', 470),
+  ('biomes:1247104587', 'overworld', 75, 95, 'Trees', 'Oak', 597),
+  ('biomes:1247104587', 'overworld', 108, 95, 'flowers', 'Sunflower', 791),
+  ('biomes:1247104587', 'overworld', 116, 95, 'minerals', 'Gold Ore', 561),
+  ('biomes:1247104587', 'overworld', 153, 95, 'flowers', 'Daisy', 786),
+  ('biomes:1247104587', 'overworld', 238, 95, 'minerals', 'Marble', 551),
+  ('biomes:1247104587', 'overworld', 248, 95, 'minerals', 'Diamond', 15),
+  ('biomes:1247104587', 'overworld', 6, 96, 'flowers', 'Lotus', 820),
+  ('biomes:1247104587', 'overworld', 31, 96, 'Trees', 'Willow', 236),
+  ('biomes:1247104587', 'overworld', 77, 96, 'flowers', 'Orchid', 586),
+  ('biomes:1247104587', 'overworld', 83, 96, 'flowers', 'Rose', 486),
+  ('biomes:1247104587', 'overworld', 88, 96, 'minerals', 'Tin Ore', 365),
+  ('biomes:1247104587', 'overworld', 89, 96, 'flowers', 'Daisy', 188),
+  ('biomes:1247104587', 'overworld', 96, 96, 'minerals', 'rock', 731),
+  ('biomes:1247104587', 'overworld', 102, 96, 'flowers', 'Sunflower', 759),
+  ('biomes:1247104587', 'overworld', 104, 96, 'minerals', 'rock', 499),
+  ('biomes:1247104587', 'overworld', 111, 96, 'minerals', 'Coal', 624),
+  ('biomes:1247104587', 'overworld', 142, 96, 'flowers', 'Daisy', 479),
+  ('biomes:1247104587', 'overworld', 143, 96, 'Trees', 'Birch', 48),
+  ('biomes:1247104587', 'overworld', 172, 96, 'Trees', 'Oak', 947),
+  ('biomes:1247104587', 'overworld', 175, 96, 'flowers', 'Daisy', 945),
+  ('biomes:1247104587', 'overworld', 194, 96, 'Trees', 'Lemon', 864),
+  ('biomes:1247104587', 'overworld', 199, 96, 'Trees', 'Apple', 542),
+  ('biomes:1247104587', 'overworld', 212, 96, 'flowers', 'Orchid', 45),
+  ('biomes:1247104587', 'overworld', 246, 96, 'minerals', 'Sandstone', 25),
+  ('biomes:1247104587', 'overworld', 252, 96, 'minerals', 'Granite', 704),
+  ('biomes:1247104587', 'overworld', 30, 97, 'Trees', 'Pine', 809),
+  ('biomes:1247104587', 'overworld', 61, 97, 'flowers', 'Daisy', 975),
+  ('biomes:1247104587', 'overworld', 93, 97, 'minerals', 'Iron Ore', 924),
+  ('biomes:1247104587', 'overworld', 112, 97, 'flowers', 'Daisy', 355),
+  ('biomes:1247104587', 'overworld', 176, 97, 'Trees', 'Oak', 873),
+  ('biomes:1247104587', 'overworld', 183, 97, 'Trees', 'Birch', 842),
+  ('biomes:1247104587', 'overworld', 185, 97, 'Trees', 'Oak', 63),
+  ('biomes:1247104587', 'overworld', 193, 97, 'Trees', 'Pine', 699),
+  ('biomes:1247104587', 'overworld', 202, 97, 'flowers', 'Daisy', 267),
+  ('biomes:1247104587', 'overworld', 232, 97, 'minerals', 'Limestone', 844),
+  ('biomes:1247104587', 'overworld', 238, 97, 'minerals', 'Gold Ore', 900),
+  ('biomes:1247104587', 'overworld', 18, 98, 'flowers', 'Lotus', 969),
+  ('biomes:1247104587', 'overworld', 45, 98, 'Trees', 'Pine', 958),
+  ('biomes:1247104587', 'overworld', 79, 98, 'flowers', 'Orchid', 924),
+  ('biomes:1247104587', 'overworld', 87, 98, 'Trees', 'Maple', 59),
+  ('biomes:1247104587', 'overworld', 146, 98, 'flowers', 'Rose', 654),
+  ('biomes:1247104587', 'overworld', 163, 98, 'Trees', 'Birch', 415),
+  ('biomes:1247104587', 'overworld', 170, 98, 'flowers', 'Rose', 897),
+  ('biomes:1247104587', 'overworld', 238, 98, 'minerals', 'Diamond', 398),
+  ('biomes:1247104587', 'overworld', 247, 98, 'minerals', 'Diamond', 92),
+  ('biomes:1247104587', 'overworld', 92, 99, 'minerals', 'rock', 395),
+  ('biomes:1247104587', 'overworld', 97, 99, 'Trees', 'Pine', 343),
+  ('biomes:1247104587', 'overworld', 104, 99, 'minerals', 'Coal', 658),
+  ('biomes:1247104587', 'overworld', 144, 99, 'Trees', 'Birch', 88),
+  ('biomes:1247104587', 'overworld', 145, 99, 'flowers', 'Daisy', 639),
+  ('biomes:1247104587', 'overworld', 148, 99, 'Trees', 'Oak', 447),
+  ('biomes:1247104587', 'overworld', 171, 99, 'flowers', 'Tulip', 597),
+  ('biomes:1247104587', 'overworld', 187, 99, 'Trees', 'Oak', 536),
+  ('biomes:1247104587', 'overworld', 198, 99, 'flowers', 'Daisy', 706),
+  ('biomes:1247104587', 'overworld', 251, 99, 'minerals', 'Limestone', 490),
+  ('biomes:1247104587', 'overworld', 73, 100, 'flowers', 'Sunflower', 683),
+  ('biomes:1247104587', 'overworld', 74, 100, 'Trees', 'Oak', 469),
+  ('biomes:1247104587', 'overworld', 103, 100, 'minerals', 'Coal', 404),
+  ('biomes:1247104587', 'overworld', 129, 100, 'Trees', 'Birch', 468),
+  ('biomes:1247104587', 'overworld', 141, 100, 'flowers', 'Rose', 501),
+  ('biomes:1247104587', 'overworld', 149, 100, 'flowers', 'Rose', 702),
+  ('biomes:1247104587', 'overworld', 199, 100, 'flowers', 'Daisy', 813),
+  ('biomes:1247104587', 'overworld', 227, 100, 'minerals', 'rock', 931),
+  ('biomes:1247104587', 'overworld', 240, 100, 'minerals', 'Sandstone', 95),
+  ('biomes:1247104587', 'overworld', 18, 101, 'Trees', 'Willow', 954),
+  ('biomes:1247104587', 'overworld', 21, 101, 'Trees', 'Willow', 549),
+  ('biomes:1247104587', 'overworld', 35, 101, 'minerals', 'Copper Ore', 758),
+  ('biomes:1247104587', 'overworld', 51, 101, 'flowers', 'Tulip', 594),
+  ('biomes:1247104587', 'overworld', 77, 101, 'flowers', 'Orchid', 314),
+  ('biomes:1247104587', 'overworld', 106, 101, 'minerals', 'Coal', 180),
+  ('biomes:1247104587', 'overworld', 147, 101, 'Trees', 'Oak', 745),
+  ('biomes:1247104587', 'overworld', 151, 101, 'flowers', 'Daisy', 944),
+  ('biomes:1247104587', 'overworld', 158, 101, 'flowers', 'Orchid', 4),
+  ('biomes:1247104587', 'overworld', 161, 101, 'flowers', 'Rose', 648),
+  ('biomes:1247104587', 'overworld', 198, 101, 'flowers', 'Tulip', 379),
+  ('biomes:1247104587', 'overworld', 240, 101, 'minerals', 'Emerald', 791),
+  ('biomes:1247104587', 'overworld', 8, 102, 'minerals', 'Topaz', 70),
+  ('biomes:1247104587', 'overworld', 28, 102, 'flowers', 'Daisy', 263),
+  ('biomes:1247104587', 'overworld', 36, 102, 'minerals', 'Obsidian', 283),
+  ('biomes:1247104587', 'overworld', 49, 102, 'flowers', 'Rose', 841),
+  ('biomes:1247104587', 'overworld', 51, 102, 'flowers', 'Rose', 883),
+  ('biomes:1247104587', 'overworld', 97, 102, 'minerals', 'Coal', 179),
+  ('biomes:1247104587', 'overworld', 101, 102, 'minerals', 'rock', 406),
+  ('biomes:1247104587', 'overworld', 103, 102, 'minerals', 'Copper Ore', 991),
+  ('biomes:1247104587', 'overworld', 133, 102, 'Trees', 'Pine', 61),
+  ('biomes:1247104587', 'overworld', 134, 102, 'flowers', 'Orchid', 464),
+  ('biomes:1247104587', 'overworld', 167, 102, 'flowers', 'Rose', 297),
+  ('biomes:1247104587', 'overworld', 191, 102, 'flowers', 'Tulip', 466),
+  ('biomes:1247104587', 'overworld', 198, 102, 'flowers', 'Daisy', 467),
+  ('biomes:1247104587', 'overworld', 203, 102, 'minerals', 'Limestone', 98),
+  ('biomes:1247104587', 'overworld', 210, 102, 'Trees', 'Pine', 462),
+  ('biomes:1247104587', 'overworld', 236, 102, 'flowers', 'Sunflower', 722),
+  ('biomes:1247104587', 'overworld', 244, 102, 'minerals', 'Emerald', 489),
+  ('biomes:1247104587', 'overworld', 17, 103, 'flowers', 'Orchid', 900),
+  ('biomes:1247104587', 'overworld', 19, 103, 'Trees', 'Willow', 825),
+  ('biomes:1247104587', 'overworld', 21, 103, 'flowers', 'Lotus', 21),
+  ('biomes:1247104587', 'overworld', 91, 103, 'flowers', 'Orchid', 603),
+  ('biomes:1247104587', 'overworld', 103, 103, 'minerals', 'Tin Ore', 46),
+  ('biomes:1247104587', 'overworld', 122, 103, 'minerals', 'Coal', 781),
+  ('biomes:1247104587', 'overworld', 135, 103, 'Trees', 'Maple', 229),
+  ('biomes:1247104587', 'overworld', 159, 103, 'minerals', 'rock', 147),
+  ('biomes:1247104587', 'overworld', 169, 103, 'flowers', 'Sunflower', 431),
+  ('biomes:1247104587', 'overworld', 174, 103, 'flowers', 'Daisy', 913),
+  ('biomes:1247104587', 'overworld', 177, 103, 'Trees', 'Maple', 533),
+  ('biomes:1247104587', 'overworld', 183, 103, 'flowers', 'Rose', 462),
+  ('biomes:1247104587', 'overworld', 228, 103, 'minerals', 'Starstone', 63),
+  ('biomes:1247104587', 'overworld', 229, 103, 'minerals', 'Limestone', 351),
+  ('biomes:1247104587', 'overworld', 230, 103, 'minerals', 'Gold Ore', 17),
+  ('biomes:1247104587', 'overworld', 238, 103, 'minerals', 'rock', 543),
+  ('biomes:1247104587', 'overworld', 241, 103, 'flowers', 'Sunflower', 139),
+  ('biomes:1247104587', 'overworld', 246, 103, 'minerals', 'Ruby', 58),
+  ('biomes:1247104587', 'overworld', 255, 103, 'minerals', 'Basalt', 187),
+  ('biomes:1247104587', 'overworld', 6, 104, 'Trees', 'Pine', 634),
+  ('biomes:1247104587', 'overworld', 31, 104, 'minerals', 'Mythril', 792),
+  ('biomes:1247104587', 'overworld', 87, 104, 'flowers', 'Lotus', 805),
+  ('biomes:1247104587', 'overworld', 119, 104, 'Trees', 'Willow', 232),
+  ('biomes:1247104587', 'overworld', 136, 104, 'Trees', 'Oak', 5),
+  ('biomes:1247104587', 'overworld', 138, 104, 'Trees', 'Orange', 488),
+  ('biomes:1247104587', 'overworld', 161, 104, 'flowers', 'Tulip', 682),
+  ('biomes:1247104587', 'overworld', 163, 104, 'flowers', 'Tulip', 135),
+  ('biomes:1247104587', 'overworld', 164, 104, 'flowers', 'Rose', 234),
+  ('biomes:1247104587', 'overworld', 169, 104, 'flowers', 'Sunflower', 282),
+  ('biomes:1247104587', 'overworld', 172, 104, 'flowers', 'Daisy', 196),
+  ('biomes:1247104587', 'overworld', 185, 104, 'flowers', 'Orchid', 989),
+  ('biomes:1247104587', 'overworld', 188, 104, 'minerals', 'Marble', 272),
+  ('biomes:1247104587', 'overworld', 194, 104, 'Trees', 'Lemon', 415),
+  ('biomes:1247104587', 'overworld', 207, 104, 'flowers', 'Daisy', 855),
+  ('biomes:1247104587', 'overworld', 226, 104, 'minerals', 'Marble', 800),
+  ('biomes:1247104587', 'overworld', 246, 104, 'minerals', 'Basalt', 74),
+  ('biomes:1247104587', 'overworld', 7, 105, 'minerals', 'Tin Ore', 342),
+  ('biomes:1247104587', 'overworld', 8, 105, 'flowers', 'Sunflower', 837),
+  ('biomes:1247104587', 'overworld', 67, 105, 'flowers', 'Orchid', 917),
+  ('biomes:1247104587', 'overworld', 106, 105, 'flowers', 'Daisy', 118),
+  ('biomes:1247104587', 'overworld', 129, 105, 'minerals', 'Tin Ore', 725),
+  ('biomes:1247104587', 'overworld', 148, 105, 'flowers', 'Tulip', 716),
+  ('biomes:1247104587', 'overworld', 149, 105, 'flowers', 'Sunflower', 128),
+  ('biomes:1247104587', 'overworld', 183, 105, 'flowers', 'Rose', 467),
+  ('biomes:1247104587', 'overworld', 189, 105, 'flowers', 'Rose', 46),
+  ('biomes:1247104587', 'overworld', 202, 105, 'flowers', 'Rose', 241),
+  ('biomes:1247104587', 'overworld', 203, 105, 'flowers', 'Sunflower', 990),
+  ('biomes:1247104587', 'overworld', 206, 105, 'Trees', 'Sakura', 696),
+  ('biomes:1247104587', 'overworld', 212, 105, 'flowers', 'Daisy', 585),
+  ('biomes:1247104587', 'overworld', 219, 105, 'minerals', 'Marble', 623),
+  ('biomes:1247104587', 'overworld', 242, 105, 'minerals', 'Slate', 919),
+  ('biomes:1247104587', 'overworld', 243, 105, 'minerals', 'Obsidian', 281),
+  ('biomes:1247104587', 'overworld', 248, 105, 'minerals', 'Gold Ore', 239),
+  ('biomes:1247104587', 'overworld', 4, 106, 'flowers', 'Orchid', 126),
+  ('biomes:1247104587', 'overworld', 8, 106, 'minerals', 'Mythril', 335),
+  ('biomes:1247104587', 'overworld', 35, 106, 'Trees', 'Pine', 874),
+  ('biomes:1247104587', 'overworld', 47, 106, 'Trees', 'Pine', 382),
+  ('biomes:1247104587', 'overworld', 48, 106, 'Trees', 'Maple', 421),
+  ('biomes:1247104587', 'overworld', 49, 106, 'flowers', 'Sunflower', 337),
+  ('biomes:1247104587', 'overworld', 122, 106, 'Trees', 'Willow', 27),
+  ('biomes:1247104587', 'overworld', 125, 106, 'flowers', 'Orchid', 963),
+  ('biomes:1247104587', 'overworld', 151, 106, 'Trees', 'Birch', 465),
+  ('biomes:1247104587', 'overworld', 163, 106, 'flowers', 'Orchid', 836),
+  ('biomes:1247104587', 'overworld', 193, 106, 'Trees', 'Jacaranda', 23),
+  ('biomes:1247104587', 'overworld', 199, 106, 'flowers', 'Daisy', 195),
+  ('biomes:1247104587', 'overworld', 250, 106, 'minerals', 'Emerald', 292),
+  ('biomes:1247104587', 'overworld', 253, 106, 'minerals', 'Silver Ore', 72),
+  ('biomes:1247104587', 'overworld', 24, 107, 'minerals', 'Copper Ore', 140),
+  ('biomes:1247104587', 'overworld', 27, 107, 'minerals', 'Silver Ore', 424),
+  ('biomes:1247104587', 'overworld', 34, 107, 'minerals', 'rock', 637),
+  ('biomes:1247104587', 'overworld', 42, 107, 'minerals', 'Iron Ore', 470),
+  ('biomes:1247104587', 'overworld', 104, 107, 'Trees', 'Willow', 609),
+  ('biomes:1247104587', 'overworld', 139, 107, 'Trees', 'Peach', 359),
+  ('biomes:1247104587', 'overworld', 174, 107, 'flowers', 'Orchid', 676),
+  ('biomes:1247104587', 'overworld', 204, 107, 'Trees', 'Apple', 41),
+  ('biomes:1247104587', 'overworld', 206, 107, 'Trees', 'Sakura', 594),
+  ('biomes:1247104587', 'overworld', 220, 107, 'minerals', 'Diamond', 385),
+  ('biomes:1247104587', 'overworld', 230, 107, 'minerals', 'Diamond', 410),
+  ('biomes:1247104587', 'overworld', 26, 108, 'minerals', 'Obsidian', 847),
+  ('biomes:1247104587', 'overworld', 189, 108, 'flowers', 'Sunflower', 245),
+  ('biomes:1247104587', 'overworld', 217, 108, 'Trees', 'Pine', 553),
+  ('biomes:1247104587', 'overworld', 228, 108, 'minerals', 'Obsidian', 83),
+  ('biomes:1247104587', 'overworld', 229, 108, 'minerals', 'Ruby', 18),
+  ('biomes:1247104587', 'overworld', 255, 108, 'minerals', 'Opal', 487),
+  ('biomes:1247104587', 'overworld', 9, 109, 'minerals', 'Iron Ore', 888),
+  ('biomes:1247104587', 'overworld', 47, 109, 'minerals', 'Limestone', 768),
+  ('biomes:1247104587', 'overworld', 113, 109, 'minerals', 'Silver Ore', 620),
+  ('biomes:1247104587', 'overworld', 130, 109, 'flowers', 'Lotus', 59),
+  ('biomes:1247104587', 'overworld', 144, 109, 'flowers', 'Rose', 33),
+  ('biomes:1247104587', 'overworld', 148, 109, 'Trees', 'Pine', 757),
+  ('biomes:1247104587', 'overworld', 155, 109, 'minerals', 'Limestone', 454),
+  ('biomes:1247104587', 'overworld', 156, 109, 'flowers', 'Tulip', 295),
+  ('biomes:1247104587', 'overworld', 162, 109, 'flowers', 'Daisy', 115),
+  ('biomes:1247104587', 'overworld', 168, 109, 'flowers', 'Orchid', 311),
+  ('biomes:1247104587', 'overworld', 182, 109, 'flowers', 'Tulip', 128),
+  ('biomes:1247104587', 'overworld', 189, 109, 'Trees', 'Orange', 703),
+  ('biomes:1247104587', 'overworld', 190, 109, 'flowers', 'Daisy', 71),
+  ('biomes:1247104587', 'overworld', 195, 109, 'Trees', 'Jacaranda', 942),
+  ('biomes:1247104587', 'overworld', 198, 109, 'flowers', 'Sunflower', 470),
+  ('biomes:1247104587', 'overworld', 199, 109, 'flowers', 'Tulip', 938),
+  ('biomes:1247104587', 'overworld', 205, 109, 'flowers', 'Sunflower', 9),
+  ('biomes:1247104587', 'overworld', 210, 109, 'flowers', 'Daisy', 729),
+  ('biomes:1247104587', 'overworld', 236, 109, 'minerals', 'Marble', 68),
+  ('biomes:1247104587', 'overworld', 4, 110, 'Trees', 'Oak', 496),
+  ('biomes:1247104587', 'overworld', 7, 110, 'minerals', 'Silver Ore', 99),
+  ('biomes:1247104587', 'overworld', 9, 110, 'flowers', 'Daisy', 194),
+  ('biomes:1247104587', 'overworld', 10, 110, 'minerals', 'Silver Ore', 906),
+  ('biomes:1247104587', 'overworld', 15, 110, 'minerals', 'Obsidian', 552),
+  ('biomes:1247104587', 'overworld', 42, 110, 'flowers', 'Sunflower', 85),
+  ('biomes:1247104587', 'overworld', 134, 110, 'flowers', 'Orchid', 96),
+  ('biomes:1247104587', 'overworld', 156, 110, 'Trees', 'Oak', 407),
+  ('biomes:1247104587', 'overworld', 209, 110, 'Trees', 'Mango', 623),
+  ('biomes:1247104587', 'overworld', 212, 110, 'Trees', 'Maple', 485),
+  ('biomes:1247104587', 'overworld', 230, 110, 'minerals', 'Diamond', 960),
+  ('biomes:1247104587', 'overworld', 240, 110, 'flowers', 'Sunflower', 264),
+  ('biomes:1247104587', 'overworld', 241, 110, 'minerals', 'rock', 209),
+  ('biomes:1247104587', 'overworld', 245, 110, 'minerals', 'Sandstone', 171),
+  ('biomes:1247104587', 'overworld', 35, 111, 'flowers', 'Sunflower', 89),
+  ('biomes:1247104587', 'overworld', 101, 111, 'minerals', 'Coal', 29),
+  ('biomes:1247104587', 'overworld', 113, 111, 'minerals', 'Obsidian', 44),
+  ('biomes:1247104587', 'overworld', 130, 111, 'Trees', 'Willow', 814),
+  ('biomes:1247104587', 'overworld', 133, 111, 'Trees', 'Willow', 624),
+  ('biomes:1247104587', 'overworld', 149, 111, 'flowers', 'Tulip', 360),
+  ('biomes:1247104587', 'overworld', 184, 111, 'flowers', 'Tulip', 660),
+  ('biomes:1247104587', 'overworld', 189, 111, 'Trees', 'Apple', 279),
+  ('biomes:1247104587', 'overworld', 212, 111, 'Trees', 'Maple', 716),
+  ('biomes:1247104587', 'overworld', 217, 111, 'minerals', 'Silver Ore', 688),
+  ('biomes:1247104587', 'overworld', 218, 111, 'minerals', 'Limestone', 686),
+  ('biomes:1247104587', 'overworld', 249, 111, 'minerals', 'Mythril', 62),
+  ('biomes:1247104587', 'overworld', 253, 111, 'Trees', 'Pine', 774),
+  ('biomes:1247104587', 'overworld', 6, 112, 'flowers', 'Daisy', 131),
+  ('biomes:1247104587', 'overworld', 120, 112, 'Trees', 'Willow', 535),
+  ('biomes:1247104587', 'overworld', 181, 112, 'Trees', 'Maple', 384),
+  ('biomes:1247104587', 'overworld', 186, 112, 'flowers', 'Sunflower', 831),
+  ('biomes:1247104587', 'overworld', 189, 112, 'Trees', 'Orange', 887),
+  ('biomes:1247104587', 'overworld', 203, 112, 'Trees', 'Mango', 539),
+  ('biomes:1247104587', 'overworld', 233, 112, 'minerals', 'Silver Ore', 725),
+  ('biomes:1247104587', 'overworld', 245, 112, 'minerals', 'Obsidian', 877),
+  ('biomes:1247104587', 'overworld', 7, 113, 'Trees', 'Maple', 659),
+  ('biomes:1247104587', 'overworld', 42, 113, 'flowers', 'Rose', 356),
+  ('biomes:1247104587', 'overworld', 45, 113, 'flowers', 'Daisy', 575),
+  ('biomes:1247104587', 'overworld', 156, 113, 'flowers', 'Rose', 501),
+  ('biomes:1247104587', 'overworld', 163, 113, 'flowers', 'Daisy', 145),
+  ('biomes:1247104587', 'overworld', 165, 113, 'Trees', 'Maple', 681),
+  ('biomes:1247104587', 'overworld', 191, 113, 'Trees', 'Mango', 110),
+  ('biomes:1247104587', 'overworld', 192, 113, 'Trees', 'Orange', 635),
+  ('biomes:1247104587', 'overworld', 195, 113, 'Trees', 'Mango', 600),
+  ('biomes:1247104587', 'overworld', 197, 113, 'Trees', 'Jacaranda', 414),
+  ('biomes:1247104587', 'overworld', 213, 113, 'minerals', 'rock', 937),
+  ('biomes:1247104587', 'overworld', 231, 113, 'minerals', 'Granite', 249),
+  ('biomes:1247104587', 'overworld', 5, 114, 'flowers', 'Tulip', 813),
+  ('biomes:1247104587', 'overworld', 20, 114, 'flowers', 'Daisy', 904),
+  ('biomes:1247104587', 'overworld', 37, 114, 'flowers', 'Sunflower', 797),
+  ('biomes:1247104587', 'overworld', 127, 114, 'Trees', 'Willow', 5),
+  ('biomes:1247104587', 'overworld', 141, 114, 'flowers', 'Rose', 558),
+  ('biomes:1247104587', 'overworld', 150, 114, 'flowers', 'Sunflower', 992),
+  ('biomes:1247104587', 'overworld', 154, 114, 'Trees', 'Oak', 299),
+  ('biomes:1247104587', 'overworld', 177, 114, 'flowers', 'Rose', 887),
+  ('biomes:1247104587', 'overworld', 178, 114, 'Trees', 'Pine', 138),
+  ('biomes:1247104587', 'overworld', 193, 114, 'Trees', 'Peach', 86),
+  ('biomes:1247104587', 'overworld', 247, 114, 'minerals', 'Gold Ore', 106),
+  ('biomes:1247104587', 'overworld', 251, 114, 'minerals', 'Basalt', 776),
+  ('biomes:1247104587', 'overworld', 27, 115, 'minerals', 'Opal', 628),
+  ('biomes:1247104587', 'overworld', 40, 115, 'flowers', 'Orchid', 464),
+  ('biomes:1247104587', 'overworld', 133, 115, 'flowers', 'Orchid', 986),
+  ('biomes:1247104587', 'overworld', 150, 115, 'flowers', 'Rose', 72),
+  ('biomes:1247104587', 'overworld', 160, 115, 'flowers', 'Sunflower', 966),
+  ('biomes:1247104587', 'overworld', 164, 115, 'flowers', 'Sunflower', 116),
+  ('biomes:1247104587', 'overworld', 165, 115, 'flowers', 'Sunflower', 95),
+  ('biomes:1247104587', 'overworld', 182, 115, 'Trees', 'Pine', 988),
+  ('biomes:1247104587', 'overworld', 186, 115, 'Trees', 'Maple', 941),
+  ('biomes:1247104587', 'overworld', 210, 115, 'minerals', 'Obsidian', 378),
+  ('biomes:1247104587', 'overworld', 212, 115, 'flowers', 'Sunflower', 33),
+  ('biomes:1247104587', 'overworld', 219, 115, 'minerals', 'Slate', 882),
+  ('biomes:1247104587', 'overworld', 221, 115, 'flowers', 'Sunflower', 709),
+  ('biomes:1247104587', 'overworld', 222, 115, 'minerals', 'Starstone', 11),
+  ('biomes:1247104587', 'overworld', 35, 116, 'Trees', 'Oak', 941),
+  ('biomes:1247104587', 'overworld', 110, 116, 'flowers', 'Orchid', 777),
+  ('biomes:1247104587', 'overworld', 166, 116, 'Trees', 'Maple', 217),
+  ('biomes:1247104587', 'overworld', 180, 116, 'flowers', 'Tulip', 115),
+  ('biomes:1247104587', 'overworld', 216, 116, 'minerals', 'Sandstone', 498),
+  ('biomes:1247104587', 'overworld', 219, 116, 'minerals', 'Sandstone', 343),
+  ('biomes:1247104587', 'overworld', 222, 116, 'flowers', 'Sunflower', 15),
+  ('biomes:1247104587', 'overworld', 228, 116, 'minerals', 'Slate', 645),
+  ('biomes:1247104587', 'overworld', 233, 116, 'minerals', 'Ruby', 519),
+  ('biomes:1247104587', 'overworld', 237, 116, 'minerals', 'Adamantite', 558),
+  ('biomes:1247104587', 'overworld', 6, 117, 'minerals', 'Coal', 830),
+  ('biomes:1247104587', 'overworld', 23, 117, 'flowers', 'Tulip', 934),
+  ('biomes:1247104587', 'overworld', 33, 117, 'flowers', 'Orchid', 729),
+  ('biomes:1247104587', 'overworld', 35, 117, 'flowers', 'Sunflower', 552),
+  ('biomes:1247104587', 'overworld', 77, 117, 'flowers', 'Sunflower', 312),
+  ('biomes:1247104587', 'overworld', 78, 117, 'Trees', 'Oak', 56),
+  ('biomes:1247104587', 'overworld', 120, 117, 'Trees', 'Willow', 968),
+  ('biomes:1247104587', 'overworld', 135, 117, 'flowers', 'Daisy', 288),
+  ('biomes:1247104587', 'overworld', 138, 117, 'flowers', 'Tulip', 954),
+  ('biomes:1247104587', 'overworld', 143, 117, 'Trees', 'Maple', 547),
+  ('biomes:1247104587', 'overworld', 156, 117, 'flowers', 'Rose', 486),
+  ('biomes:1247104587', 'overworld', 158, 117, 'minerals', 'Granite', 234),
+  ('biomes:1247104587', 'overworld', 169, 117, 'minerals', 'Limestone', 613),
+  ('biomes:1247104587', 'overworld', 189, 117, 'flowers', 'Rose', 564),
+  ('biomes:1247104587', 'overworld', 193, 117, 'Trees', 'Mango', 956),
+  ('biomes:1247104587', 'overworld', 220, 117, 'minerals', 'Obsidian', 420),
+  ('biomes:1247104587', 'overworld', 223, 117, 'minerals', 'Limestone', 326),
+  ('biomes:1247104587', 'overworld', 0, 118, 'Trees', 'Birch', 456),
+  ('biomes:1247104587', 'overworld', 33, 118, 'minerals', 'Obsidian', 538),
+  ('biomes:1247104587', 'overworld', 115, 118, 'flowers', 'Orchid', 954),
+  ('biomes:1247104587', 'overworld', 124, 118, 'minerals', 'Marble', 385),
+  ('biomes:1247104587', 'overworld', 154, 118, 'minerals', 'Granite', 925),
+  ('biomes:1247104587', 'overworld', 166, 118, 'flowers', 'Orchid', 889),
+  ('biomes:1247104587', 'overworld', 181, 118, 'Trees', 'Maple', 519),
+  ('biomes:1247104587', 'overworld', 184, 118, 'flowers', 'Daisy', 899),
+  ('biomes:1247104587', 'overworld', 199, 118, 'flowers', 'Sunflower', 151),
+  ('biomes:1247104587', 'overworld', 216, 118, 'minerals', 'Adamantite', 150),
+  ('biomes:1247104587', 'overworld', 221, 118, 'minerals', 'Limestone', 991),
+  ('biomes:1247104587', 'overworld', 236, 118, 'minerals', 'Emerald', 52),
+  ('biomes:1247104587', 'overworld', 243, 118, 'minerals', 'Slate', 745),
+  ('biomes:1247104587', 'overworld', 248, 118, 'minerals', 'Limestone', 814),
+  ('biomes:1247104587', 'overworld', 250, 118, 'minerals', 'Adamantite', 138),
+  ('biomes:1247104587', 'overworld', 3, 119, 'flowers', 'Orchid', 3),
+  ('biomes:1247104587', 'overworld', 18, 119, 'Trees', 'Maple', 537),
+  ('biomes:1247104587', 'overworld', 24, 119, 'minerals', 'Marble', 74),
+  ('biomes:1247104587', 'overworld', 79, 119, 'Trees', 'Maple', 700),
+  ('biomes:1247104587', 'overworld', 105, 119, 'flowers', 'Orchid', 213),
+  ('biomes:1247104587', 'overworld', 109, 119, 'flowers', 'Lotus', 941),
+  ('biomes:1247104587', 'overworld', 111, 119, 'flowers', 'Lotus', 151),
+  ('biomes:1247104587', 'overworld', 139, 119, 'flowers', 'Sunflower', 607),
+  ('biomes:1247104587', 'overworld', 155, 119, 'Trees', 'Maple', 377),
+  ('biomes:1247104587', 'overworld', 156, 119, 'flowers', 'Sunflower', 444),
+  ('biomes:1247104587', 'overworld', 184, 119, 'minerals', 'Coal', 858),
+  ('biomes:1247104587', 'overworld', 195, 119, 'flowers', 'Tulip', 397),
+  ('biomes:1247104587', 'overworld', 196, 119, 'flowers', 'Orchid', 724),
+  ('biomes:1247104587', 'overworld', 211, 119, 'minerals', 'Obsidian', 743),
+  ('biomes:1247104587', 'overworld', 231, 119, 'minerals', 'Sapphire', 783),
+  ('biomes:1247104587', 'overworld', 245, 119, 'Trees', 'Pine', 40);
+-- scrap_flats: 132 nodes
+INSERT INTO public.world_nodes (world, zone, x, y, type, kind, anim_offset) VALUES
+  ('biomes:1247104587', 'scrap_flats', 23, 2, 'minerals', 'Copper Ore', 374),
+  ('biomes:1247104587', 'scrap_flats', 11, 2, 'minerals', 'Slate', 14),
+  ('biomes:1247104587', 'scrap_flats', 34, 35, 'minerals', 'Silver Ore', 853),
+  ('biomes:1247104587', 'scrap_flats', 39, 10, 'minerals', 'Basalt', 557),
+  ('biomes:1247104587', 'scrap_flats', 54, 36, 'minerals', 'Coal', 863),
+  ('biomes:1247104587', 'scrap_flats', 11, 29, 'minerals', 'Coal', 451),
+  ('biomes:1247104587', 'scrap_flats', 15, 33, 'minerals', 'Basalt', 743),
+  ('biomes:1247104587', 'scrap_flats', 10, 2, 'minerals', 'Silver Ore', 47),
+  ('biomes:1247104587', 'scrap_flats', 28, 36, 'minerals', 'Silver Ore', 385),
+  ('biomes:1247104587', 'scrap_flats', 45, 19, 'minerals', 'Basalt', 839),
+  ('biomes:1247104587', 'scrap_flats', 58, 30, 'minerals', 'rock', 503),
+  ('biomes:1247104587', 'scrap_flats', 48, 17, 'minerals', 'Coal', 371),
+  ('biomes:1247104587', 'scrap_flats', 56, 38, 'minerals', 'Gold Ore', 379),
+  ('biomes:1247104587', 'scrap_flats', 29, 17, 'minerals', 'rock', 831),
+  ('biomes:1247104587', 'scrap_flats', 51, 12, 'flowers', 'Sunflower', 617),
+  ('biomes:1247104587', 'scrap_flats', 35, 13, 'minerals', 'Copper Ore', 605),
+  ('biomes:1247104587', 'scrap_flats', 28, 9, 'minerals', 'rock', 144),
+  ('biomes:1247104587', 'scrap_flats', 24, 4, 'minerals', 'Tin Ore', 971),
+  ('biomes:1247104587', 'scrap_flats', 26, 26, 'minerals', 'Slate', 82),
+  ('biomes:1247104587', 'scrap_flats', 23, 29, 'minerals', 'Gold Ore', 251),
+  ('biomes:1247104587', 'scrap_flats', 50, 7, 'minerals', 'Gold Ore', 34),
+  ('biomes:1247104587', 'scrap_flats', 17, 22, 'minerals', 'Iron Ore', 42),
+  ('biomes:1247104587', 'scrap_flats', 15, 35, 'minerals', 'Copper Ore', 616),
+  ('biomes:1247104587', 'scrap_flats', 61, 26, 'minerals', 'rock', 266),
+  ('biomes:1247104587', 'scrap_flats', 23, 16, 'minerals', 'Gold Ore', 897),
+  ('biomes:1247104587', 'scrap_flats', 15, 2, 'minerals', 'Slate', 786),
+  ('biomes:1247104587', 'scrap_flats', 1, 34, 'minerals', 'Copper Ore', 789),
+  ('biomes:1247104587', 'scrap_flats', 53, 10, 'minerals', 'Tin Ore', 693),
+  ('biomes:1247104587', 'scrap_flats', 41, 11, 'minerals', 'Basalt', 380),
+  ('biomes:1247104587', 'scrap_flats', 43, 8, 'minerals', 'Iron Ore', 618),
+  ('biomes:1247104587', 'scrap_flats', 61, 2, 'minerals', 'rock', 471),
+  ('biomes:1247104587', 'scrap_flats', 55, 12, 'minerals', 'Silver Ore', 647),
+  ('biomes:1247104587', 'scrap_flats', 33, 3, 'minerals', 'Basalt', 949),
+  ('biomes:1247104587', 'scrap_flats', 21, 22, 'minerals', 'Gold Ore', 461),
+  ('biomes:1247104587', 'scrap_flats', 29, 8, 'minerals', 'rock', 918),
+  ('biomes:1247104587', 'scrap_flats', 57, 26, 'minerals', 'Copper Ore', 172),
+  ('biomes:1247104587', 'scrap_flats', 17, 36, 'minerals', 'Tin Ore', 866),
+  ('biomes:1247104587', 'scrap_flats', 49, 32, 'minerals', 'Silver Ore', 73),
+  ('biomes:1247104587', 'scrap_flats', 24, 13, 'minerals', 'Iron Ore', 119),
+  ('biomes:1247104587', 'scrap_flats', 10, 21, 'flowers', 'Daisy', 257),
+  ('biomes:1247104587', 'scrap_flats', 45, 9, 'minerals', 'rock', 595),
+  ('biomes:1247104587', 'scrap_flats', 2, 9, 'minerals', 'rock', 593),
+  ('biomes:1247104587', 'scrap_flats', 24, 26, 'minerals', 'rock', 516),
+  ('biomes:1247104587', 'scrap_flats', 41, 37, 'minerals', 'rock', 452),
+  ('biomes:1247104587', 'scrap_flats', 11, 19, 'minerals', 'Coal', 452),
+  ('biomes:1247104587', 'scrap_flats', 39, 9, 'minerals', 'Tin Ore', 785),
+  ('biomes:1247104587', 'scrap_flats', 4, 37, 'minerals', 'Iron Ore', 618),
+  ('biomes:1247104587', 'scrap_flats', 40, 32, 'minerals', 'rock', 574),
+  ('biomes:1247104587', 'scrap_flats', 32, 4, 'minerals', 'Gold Ore', 749),
+  ('biomes:1247104587', 'scrap_flats', 36, 28, 'minerals', 'Silver Ore', 138),
+  ('biomes:1247104587', 'scrap_flats', 2, 10, 'minerals', 'Coal', 48),
+  ('biomes:1247104587', 'scrap_flats', 39, 28, 'minerals', 'Tin Ore', 710),
+  ('biomes:1247104587', 'scrap_flats', 32, 16, 'minerals', 'Coal', 514),
+  ('biomes:1247104587', 'scrap_flats', 25, 3, 'minerals', 'Copper Ore', 892),
+  ('biomes:1247104587', 'scrap_flats', 54, 19, 'minerals', 'Tin Ore', 994),
+  ('biomes:1247104587', 'scrap_flats', 14, 9, 'minerals', 'Slate', 883),
+  ('biomes:1247104587', 'scrap_flats', 28, 32, 'minerals', 'rock', 200),
+  ('biomes:1247104587', 'scrap_flats', 28, 20, 'minerals', 'Slate', 528),
+  ('biomes:1247104587', 'scrap_flats', 46, 22, 'minerals', 'rock', 591),
+  ('biomes:1247104587', 'scrap_flats', 55, 32, 'minerals', 'Silver Ore', 647),
+  ('biomes:1247104587', 'scrap_flats', 2, 11, 'minerals', 'Tin Ore', 495),
+  ('biomes:1247104587', 'scrap_flats', 41, 8, 'minerals', 'Silver Ore', 845),
+  ('biomes:1247104587', 'scrap_flats', 36, 23, 'minerals', 'Gold Ore', 119),
+  ('biomes:1247104587', 'scrap_flats', 32, 5, 'minerals', 'Basalt', 451),
+  ('biomes:1247104587', 'scrap_flats', 1, 17, 'minerals', 'rock', 280),
+  ('biomes:1247104587', 'scrap_flats', 11, 25, 'minerals', 'rock', 588),
+  ('biomes:1247104587', 'scrap_flats', 21, 35, 'minerals', 'Gold Ore', 229),
+  ('biomes:1247104587', 'scrap_flats', 28, 7, 'minerals', 'Tin Ore', 528),
+  ('biomes:1247104587', 'scrap_flats', 27, 18, 'minerals', 'Basalt', 1),
+  ('biomes:1247104587', 'scrap_flats', 60, 19, 'minerals', 'Iron Ore', 909),
+  ('biomes:1247104587', 'scrap_flats', 49, 29, 'minerals', 'rock', 45),
+  ('biomes:1247104587', 'scrap_flats', 44, 5, 'minerals', 'Iron Ore', 533),
+  ('biomes:1247104587', 'scrap_flats', 41, 31, 'minerals', 'Silver Ore', 278),
+  ('biomes:1247104587', 'scrap_flats', 45, 7, 'minerals', 'Gold Ore', 483),
+  ('biomes:1247104587', 'scrap_flats', 26, 29, 'minerals', 'Copper Ore', 492),
+  ('biomes:1247104587', 'scrap_flats', 21, 26, 'flowers', 'Daisy', 82),
+  ('biomes:1247104587', 'scrap_flats', 17, 20, 'minerals', 'Silver Ore', 737),
+  ('biomes:1247104587', 'scrap_flats', 40, 14, 'minerals', 'Silver Ore', 977),
+  ('biomes:1247104587', 'scrap_flats', 55, 8, 'minerals', 'Silver Ore', 961),
+  ('biomes:1247104587', 'scrap_flats', 20, 18, 'minerals', 'Iron Ore', 549),
+  ('biomes:1247104587', 'scrap_flats', 46, 24, 'minerals', 'Basalt', 188),
+  ('biomes:1247104587', 'scrap_flats', 53, 34, 'minerals', 'Copper Ore', 48),
+  ('biomes:1247104587', 'scrap_flats', 43, 35, 'minerals', 'Tin Ore', 967),
+  ('biomes:1247104587', 'scrap_flats', 11, 27, 'minerals', 'Slate', 476),
+  ('biomes:1247104587', 'scrap_flats', 19, 19, 'minerals', 'Tin Ore', 165),
+  ('biomes:1247104587', 'scrap_flats', 44, 15, 'minerals', 'rock', 135),
+  ('biomes:1247104587', 'scrap_flats', 43, 28, 'minerals', 'Basalt', 975),
+  ('biomes:1247104587', 'scrap_flats', 54, 24, 'minerals', 'Iron Ore', 534),
+  ('biomes:1247104587', 'scrap_flats', 16, 3, 'minerals', 'Iron Ore', 768),
+  ('biomes:1247104587', 'scrap_flats', 50, 37, 'minerals', 'Basalt', 802),
+  ('biomes:1247104587', 'scrap_flats', 44, 26, 'minerals', 'Coal', 213),
+  ('biomes:1247104587', 'scrap_flats', 61, 16, 'flowers', 'Sunflower', 892),
+  ('biomes:1247104587', 'scrap_flats', 56, 28, 'minerals', 'Slate', 668),
+  ('biomes:1247104587', 'scrap_flats', 41, 17, 'minerals', 'Iron Ore', 830),
+  ('biomes:1247104587', 'scrap_flats', 40, 30, 'minerals', 'Copper Ore', 110),
+  ('biomes:1247104587', 'scrap_flats', 31, 18, 'minerals', 'Silver Ore', 840),
+  ('biomes:1247104587', 'scrap_flats', 32, 17, 'minerals', 'Copper Ore', 806),
+  ('biomes:1247104587', 'scrap_flats', 53, 22, 'minerals', 'Silver Ore', 135),
+  ('biomes:1247104587', 'scrap_flats', 16, 26, 'minerals', 'Iron Ore', 635),
+  ('biomes:1247104587', 'scrap_flats', 38, 27, 'minerals', 'rock', 438),
+  ('biomes:1247104587', 'scrap_flats', 16, 9, 'minerals', 'Copper Ore', 748),
+  ('biomes:1247104587', 'scrap_flats', 51, 32, 'minerals', 'Basalt', 783),
+  ('biomes:1247104587', 'scrap_flats', 22, 32, 'minerals', 'Slate', 560),
+  ('biomes:1247104587', 'scrap_flats', 14, 32, 'minerals', 'Iron Ore', 983),
+  ('biomes:1247104587', 'scrap_flats', 3, 10, 'minerals', 'Slate', 423),
+  ('biomes:1247104587', 'scrap_flats', 55, 17, 'minerals', 'Basalt', 2),
+  ('biomes:1247104587', 'scrap_flats', 10, 22, 'minerals', 'Iron Ore', 319),
+  ('biomes:1247104587', 'scrap_flats', 26, 24, 'minerals', 'rock', 934),
+  ('biomes:1247104587', 'scrap_flats', 32, 25, 'minerals', 'Slate', 194),
+  ('biomes:1247104587', 'scrap_flats', 62, 23, 'flowers', 'Daisy', 651),
+  ('biomes:1247104587', 'scrap_flats', 58, 6, 'minerals', 'rock', 325),
+  ('biomes:1247104587', 'scrap_flats', 1, 23, 'minerals', 'Gold Ore', 51),
+  ('biomes:1247104587', 'scrap_flats', 16, 35, 'minerals', 'Silver Ore', 796),
+  ('biomes:1247104587', 'scrap_flats', 37, 6, 'minerals', 'Iron Ore', 309),
+  ('biomes:1247104587', 'scrap_flats', 34, 32, 'minerals', 'Slate', 80),
+  ('biomes:1247104587', 'scrap_flats', 38, 20, 'minerals', 'Silver Ore', 244),
+  ('biomes:1247104587', 'scrap_flats', 48, 38, 'minerals', 'rock', 193),
+  ('biomes:1247104587', 'scrap_flats', 7, 32, 'minerals', 'Coal', 301),
+  ('biomes:1247104587', 'scrap_flats', 6, 4, 'minerals', 'rock', 926),
+  ('biomes:1247104587', 'scrap_flats', 56, 31, 'minerals', 'Iron Ore', 598),
+  ('biomes:1247104587', 'scrap_flats', 29, 12, 'minerals', 'Coal', 79),
+  ('biomes:1247104587', 'scrap_flats', 13, 25, 'minerals', 'Gold Ore', 758),
+  ('biomes:1247104587', 'scrap_flats', 27, 27, 'minerals', 'Copper Ore', 411),
+  ('biomes:1247104587', 'scrap_flats', 22, 1, 'minerals', 'Coal', 542),
+  ('biomes:1247104587', 'scrap_flats', 28, 16, 'minerals', 'Iron Ore', 697),
+  ('biomes:1247104587', 'scrap_flats', 20, 14, 'minerals', 'Gold Ore', 872),
+  ('biomes:1247104587', 'scrap_flats', 29, 28, 'minerals', 'rock', 58),
+  ('biomes:1247104587', 'scrap_flats', 10, 13, 'minerals', 'Copper Ore', 987),
+  ('biomes:1247104587', 'scrap_flats', 16, 7, 'flowers', 'Daisy', 138),
+  ('biomes:1247104587', 'scrap_flats', 52, 16, 'minerals', 'Copper Ore', 719),
+  ('biomes:1247104587', 'scrap_flats', 23, 13, 'minerals', 'Iron Ore', 556),
+  ('biomes:1247104587', 'scrap_flats', 52, 21, 'minerals', 'rock', 89);
+
+COMMIT;
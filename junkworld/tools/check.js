@@ -0,0 +1,44 @@
+/*
+  Minimal runner for the tools/check_*.js scripts (plain node, no test framework).
+  - check(name, fn) registers a check; run() runs them in order, prints one line each and sets a
+    non-zero exit code if any failed. fn may be async.
+  - The game modules are browser scripts that publish themselves on `window`; load() requires them
+    from the repo root onto a shared `global.window`, in the order given.
+
+  Usage (from a check script):
+      const { check, run, load } = require("./check.js");
+      const { Chat } = load(["chat.js"]);
+      check("drops empty text", () => assert.equal(Chat.clean("  "), null));
+      run();
+*/
+
+const path = require("path");
+
+const checks = [];
+
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+function load(files) {
+  if (!global.window) global.window = {};
+  for (const file of files) require(path.join(__dirname, "..", file));
+  return global.window;
+}
+
+async function run() {
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok    ${name}`);
+    } catch (e) {
+      failed++;
+      console.error(`FAIL  ${name}\n${(e && e.stack) || e}`);
+    }
+  }
+  console.log(`${checks.length - failed}/${checks.length} passed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+module.exports = { check, run, load };
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/*
+  Chat rule checks (chat.js).
+  - Chat.clean: trimming, control characters, the length cap, the profanity mask and the filter chain.
+  - Chat.createLimiter: the burst, refill and retryIn, driven with explicit timestamps.
+  - The small helpers main.js relies on: channelFor, inRange and createHistory.
+
+  Usage:
+      node tools/check_chat.js   # exits non-zero if any check fails
+*/
+
+const assert = require("assert/strict");
+const { check, run, load } = require("./check.js");
+
+const { Chat } = load(["chat.js"]);
+
+check("clean trims, blanks control characters and drops empty text", () => {
+  assert.equal(Chat.clean("  hi there \n"), "hi there");
+  assert.equal(Chat.clean("a\u0007b\tc"), "a b c");
+  assert.equal(Chat.clean("   "), null);
+  assert.equal(Chat.clean(""), null);
+  assert.equal(Chat.clean(null), null);
+  assert.equal(Chat.clean(undefined), null);
+});
+
+check("clean caps text at MAX_LENGTH", () => {
+  assert.equal(Chat.clean("x".repeat(Chat.MAX_LENGTH + 50)).length, Chat.MAX_LENGTH);
+});
+
+check("clean masks listed words and their endings, keeping the first letter", () => {
+  assert.equal(Chat.clean("oh shit"), "oh s***");
+  assert.equal(Chat.clean("Fucking rocks"), "F****** rocks");
+  assert.equal(Chat.maskProfanity("bastards everywhere"), "b******* everywhere");
+});
+
+check("clean leaves words that only contain a listed word alone", () => {
+  assert.equal(Chat.clean("Scunthorpe shitake"), "Scunthorpe shitake");
+});
+
+check("filters run in order and can rewrite or drop a message", () => {
+  const shout = (t) => t.toUpperCase();
+  const dropJunk = (t) => (/junk/i.test(t) ? null : t);
+  Chat.addFilter(shout);
+  Chat.addFilter(dropJunk);
+  Chat.addFilter(shout);
+  try {
+    assert.equal(Chat.clean("hello shit"), "HELLO S***");
+    assert.equal(Chat.clean("sell my junk"), null);
+  } finally {
+    Chat.removeFilter(shout);
+    Chat.removeFilter(dropJunk);
+  }
+  assert.equal(Chat.clean("hello"), "hello");
+});
+
+check("a filter that leaves only whitespace drops the message", () => {
+  const blank = () => "   ";
+  Chat.addFilter(blank);
+  try {
+    assert.equal(Chat.clean("hello"), null);
+  } finally {
+    Chat.removeFilter(blank);
+  }
+});
+
+check("addFilter rejects non-functions", () => {
+  assert.throws(() => Chat.addFilter("nope"), /must be a function/);
+});
+
+check("the limiter allows a burst, then refuses until a token refills", () => {
+  const limit = Chat.createLimiter({ burst: 3, refillMs: 1000 });
+  const t = 10000;
+  assert.deepEqual([limit.take(t), limit.take(t), limit.take(t), limit.take(t)], [true, true, true, false]);
+  assert.equal(limit.retryIn(t), 1000);
+  assert.equal(limit.retryIn(t + 400), 600);
+  assert.equal(limit.take(t + 999), false);
+  assert.equal(limit.take(t + 1000), true);
+  assert.equal(limit.take(t + 1000), false);
+});
+
+check("the limiter refills at most `burst` tokens after a long pause", () => {
+  const limit = Chat.createLimiter({ burst: 2, refillMs: 500 });
+  limit.take(1000);
+  limit.take(1000);
+  const later = 1000 + 60000;
+  assert.equal(limit.retryIn(later), 0);
+  assert.deepEqual([limit.take(later), limit.take(later), limit.take(later)], [true, true, false]);
+});
+
+check("the limiter defaults to a burst of four every two seconds", () => {
+  const limit = Chat.createLimiter();
+  const t = 5000;
+  for (let i = 0; i < 4; i++) assert.equal(limit.take(t), true);
+  assert.equal(limit.take(t), false);
+  assert.equal(limit.retryIn(t), 2000);
+});
+
+check("channelFor and inRange", () => {
+  assert.equal(Chat.channelFor("global", "overworld"), "global");
+  assert.equal(Chat.channelFor("local", "overworld"), "local:overworld");
+  assert.equal(Chat.inRange({ x: 0, y: 0 }, { x: Chat.LOCAL_RADIUS, y: -Chat.LOCAL_RADIUS }), true);
+  assert.equal(Chat.inRange({ x: 0, y: 0 }, { x: Chat.LOCAL_RADIUS + 1, y: 0 }), false);
+  assert.equal(Chat.inRange({ x: 0, y: 0 }, { x: 3, y: 0 }, 2), false);
+  assert.equal(Chat.inRange(null, { x: 0, y: 0 }), false);
+});
+
+check("history keeps the newest messages in timestamp order, once per id", () => {
+  const h = Chat.createHistory(3);
+  assert.equal(h.add({ id: 1, ts: 10, body: "a" }), true);
+  assert.equal(h.add({ id: 3, ts: 30, body: "c" }), true);
+  assert.equal(h.add({ id: 2, ts: 20, body: "b" }), true);
+  assert.equal(h.add({ id: 2, ts: 20, body: "b" }), false);
+  assert.equal(h.add({ ts: 40, body: "local echo" }), true);
+  assert.deepEqual(h.list().map((m) => m.body), ["b", "c", "local echo"]);
+  // An id that fell off the end can be added again
+  assert.equal(h.add({ id: 1, ts: 50, body: "a again" }), true);
+  h.clear();
+  assert.deepEqual(h.list(), []);
+});
+
+run();
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/*
+  Crafting recipe checks (crafting.js, on top of itemlist.js and item.js).
+  - CraftingSystem.check: skill gates, missing materials, any-of inputs, minimum rarity and inputs
+    that compete for the same stacks.
+  - CraftingSystem.consume: lowest rarity/quality spent first, the output's inherited tier and
+    'Unknown' stacks only counting for inputs without a minimum.
+
+  Usage:
+      node tools/check_crafting.js   # exits non-zero if any check fails
+*/
+
+const assert = require("assert/strict");
+const { check, run, load } = require("./check.js");
+
+const { CraftingSystem } = load(["itemlist.js", "item.js", "crafting.js"]);
+
+const SKILLED = { crafting: { level: 3 } };
+
+check("the default recipes are registered in order", () => {
+  assert.deepEqual(CraftingSystem.list().map((r) => r.id), [
+    "wood_plank",
+    "copper_wire",
+    "fertilizer",
+    "iron_ingot",
+    "petal_tonic",
+    "sprinkler",
+    "rain_collector",
+    "auto_harvester",
+    "storage_chest",
+  ]);
+  assert.equal(CraftingSystem.get("nope"), null);
+  assert.throws(() => CraftingSystem.check("nope", {}, SKILLED), /Unknown recipe/);
+});
+
+check("a recipe needs every input in full", () => {
+  const gitems = { "Iron Ore__Common__Dull": 1, "Coal__Common__Dull": 5 };
+  const chk = CraftingSystem.check("iron_ingot", gitems, SKILLED);
+  assert.equal(chk.ok, false);
+  assert.equal(chk.reason, "Missing materials");
+  assert.equal(chk.missing.length, 1);
+  assert.equal(chk.missing[0].input.itemID, "mineral_iron_ore");
+  assert.equal(chk.missing[0].have, 1);
+  gitems["Iron Ore__Rare__Normal"] = 1;
+  assert.deepEqual(CraftingSystem.check("iron_ingot", gitems, SKILLED), { ok: true, reason: "", missing: [] });
+});
+
+check("a recipe above the player's skill level is refused even with materials", () => {
+  const gitems = { "Iron Ore__Common__Dull": 2, "Coal__Common__Dull": 1 };
+  const chk = CraftingSystem.check("iron_ingot", gitems, { crafting: { level: 1 } });
+  assert.equal(chk.ok, false);
+  assert.equal(chk.reason, "Requires crafting Lv 2");
+  assert.deepEqual(chk.missing, []);
+  // No skills at all counts as level 1
+  assert.equal(CraftingSystem.check("iron_ingot", gitems, null).ok, false);
+  assert.equal(CraftingSystem.check("wood_plank", { "Oak Wood__Common__Dull": 2 }, null).ok, true);
+});
+
+check("any-of inputs add up across accepted items", () => {
+  const gitems = { "Oak Wood__Common__Dull": 1, "Pine Wood__Uncommon__Normal": 1, "Coal__Common__Dull": 9 };
+  assert.equal(CraftingSystem.check("wood_plank", gitems, SKILLED).ok, true);
+  const out = CraftingSystem.consume("wood_plank", gitems);
+  assert.equal(out.name, "Wood Plank");
+  assert.deepEqual([gitems["Oak Wood__Common__Dull"], gitems["Pine Wood__Uncommon__Normal"]], [0, 0]);
+  assert.equal(gitems["Coal__Common__Dull"], 9);
+});
+
+check("empty and unrelated stacks don't count", () => {
+  const gitems = { "Oak Wood__Common__Dull": 0, "Oak Wood__Rare__Dull": -3, "Rose Petals__Common__Dull": 5 };
+  const chk = CraftingSystem.check("wood_plank", gitems, SKILLED);
+  assert.equal(chk.ok, false);
+  assert.equal(chk.missing[0].have, 0);
+});
+
+check("consume spends the lowest rarity, then the lowest quality, first", () => {
+  const gitems = {
+    "Copper Ore__Rare__Dull": 1,
+    "Copper Ore__Common__Refined": 1,
+    "Copper Ore__Common__Dull": 1,
+  };
+  CraftingSystem.consume("copper_wire", gitems);
+  assert.deepEqual(gitems, { "Copper Ore__Rare__Dull": 1, "Copper Ore__Common__Refined": 1, "Copper Ore__Common__Dull": 0 });
+  CraftingSystem.consume("copper_wire", gitems);
+  assert.equal(gitems["Copper Ore__Common__Refined"], 0);
+  assert.equal(gitems["Copper Ore__Rare__Dull"], 1);
+});
+
+check("the output takes the lowest rarity and the lowest quality among what was spent", () => {
+  const gitems = { "Iron Ore__Rare__Dull": 1, "Iron Ore__Legendary__Exquisite": 1, "Coal__Uncommon__Refined": 1 };
+  const out = CraftingSystem.consume("iron_ingot", gitems);
+  assert.deepEqual(out, {
+    key: "Iron Ingot__Uncommon__Dull",
+    name: "Iron Ingot",
+    rarity: "Uncommon",
+    quality: "Dull",
+    qty: 1,
+  });
+  const wire = CraftingSystem.consume("copper_wire", { "Copper Ore__Mythic__Pristine": 1 });
+  assert.deepEqual([wire.key, wire.qty], ["Copper Wire__Mythic__Pristine", 2]);
+});
+
+check("consume refuses when materials are missing and leaves the stacks alone", () => {
+  const gitems = { "Iron Ore__Common__Dull": 2 };
+  assert.throws(() => CraftingSystem.consume("iron_ingot", gitems), /missing materials for 'iron_ingot'/);
+  assert.deepEqual(gitems, { "Iron Ore__Common__Dull": 2 });
+});
+
+check("minRarity skips stacks below it", () => {
+  const gitems = { "Rose Petals__Common__Exquisite": 5, "Rose Petals__Uncommon__Dull": 2 };
+  const chk = CraftingSystem.check("petal_tonic", gitems, SKILLED);
+  assert.equal(chk.ok, false);
+  assert.equal(chk.missing[0].have, 2);
+  gitems["Rose Petals__Rare__Normal"] = 1;
+  const out = CraftingSystem.consume("petal_tonic", gitems);
+  assert.deepEqual([out.rarity, out.quality], ["Uncommon", "Dull"]);
+  assert.equal(gitems["Rose Petals__Common__Exquisite"], 5);
+});
+
+check("Unknown stacks satisfy inputs without a minimum and craft at the base tier", () => {
+  const out = CraftingSystem.consume("copper_wire", { "Copper Ore__Unknown__Unknown": 1 });
+  assert.deepEqual([out.rarity, out.quality], ["Common", "Dull"]);
+  const mixed = CraftingSystem.consume("iron_ingot", { "Iron Ore__Unknown__Unknown": 2, "Coal__Rare__Refined": 1 });
+  assert.deepEqual([mixed.rarity, mixed.quality], ["Common", "Dull"]);
+});
+
+check("Unknown stacks don't satisfy inputs with a minimum", () => {
+  const chk = CraftingSystem.check("petal_tonic", { "Rose Petals__Unknown__Unknown": 10 }, SKILLED);
+  assert.equal(chk.ok, false);
+  assert.equal(chk.missing[0].have, 0);
+});
+
+check("inputs that accept the same item don't count one stack twice", () => {
+  CraftingSystem.register({
+    id: "check_double_coal",
+    inputs: [
+      { itemID: "mineral_coal", qty: 2 },
+      { itemID: ["mineral_coal", "mineral_iron_ore"], qty: 2 },
+    ],
+    output: { itemID: "crafted_fertilizer" },
+  });
+  const gitems = { "Coal__Common__Dull": 3 };
+  const chk = CraftingSystem.check("check_double_coal", gitems, SKILLED);
+  assert.equal(chk.ok, false);
+  assert.equal(chk.missing.length, 1);
+  assert.equal(chk.missing[0].have, 1);
+  gitems["Iron Ore__Common__Normal"] = 1;
+  assert.equal(CraftingSystem.check("check_double_coal", gitems, SKILLED).ok, true);
+  CraftingSystem.consume("check_double_coal", gitems);
+  assert.deepEqual(gitems, { "Coal__Common__Dull": 0, "Iron Ore__Common__Normal": 0 });
+});
+
+check("register fills defaults and replaces a recipe with the same id in place", () => {
+  const r = CraftingSystem.register({ id: "check_defaults", inputs: [{ itemID: "mineral_coal" }], output: { itemID: "crafted_fertilizer" } });
+  assert.deepEqual([r.name, r.craftMs, r.skill, r.inputs[0].qty, r.output.qty], ["check_defaults", 3000, null, 1, 1]);
+  const at = CraftingSystem.list().findIndex((x) => x.id === "check_defaults");
+  CraftingSystem.register({ id: "check_defaults", name: "Again", inputs: [{ itemID: "mineral_coal" }], output: { itemID: "crafted_fertilizer" } });
+  assert.equal(CraftingSystem.list()[at].name, "Again");
+  assert.equal(CraftingSystem.list().filter((x) => x.id === "check_defaults").length, 1);
+  assert.throws(() => CraftingSystem.register({ id: "x", inputs: [], output: { itemID: "y" } }), /at least one input/);
+  assert.throws(() => CraftingSystem.register({ id: "x", inputs: [{ itemID: "y" }] }), /output itemID/);
+});
+
+run();
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/*
+  Save migration checks (migrations.js).
+  - Runs each game migration (v1–v8) from the version before it on a small save blob and checks what
+    it changed, then run()'s bookkeeping: versions, legacy flags, tile ops and rollback on error.
+
+  Usage:
+      node tools/check_migrations.js   # exits non-zero if any check fails
+*/
+
+const assert = require("assert/strict");
+const { check, run, load } = require("./check.js");
+
+const { SaveMigrations } = load(["migrations.js"]);
+
+// Run every migration after `from` on `save`
+function migrate(from, save, ctx = {}) {
+  const out = SaveMigrations.run({ ...save, schemaVersion: from }, { rng: () => 0.25, ...ctx });
+  assert.equal(out.error, undefined, out.error && String(out.error.error));
+  return out;
+}
+
+check("the game registers v1–v8 in order", () => {
+  assert.deepEqual(SaveMigrations.list().map((m) => m.version), [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.equal(SaveMigrations.latestVersion(), 8);
+});
+
+check("v1 splits legacy item counts into identity stacks by rarity", () => {
+  const { save } = migrate(0, {
+    inv: {
+      items: { Coal: 5, Rose: 2, Gone: 0 },
+      itemMeta: { Coal: { countsByRarity: { Common: 3, Rare: 1 } } },
+    },
+  });
+  assert.deepEqual(save.inv.gitems, {
+    Coal__Common__Unknown: 3,
+    Coal__Rare__Unknown: 1,
+    Coal__Unknown__Unknown: 1,
+    Rose__Unknown__Unknown: 2,
+  });
+});
+
+check("v1 leaves existing identity stacks alone", () => {
+  const { save } = migrate(0, { inv: { items: { Coal: 5 }, gitems: { Coal__Rare__Normal: 1 } } });
+  assert.deepEqual(save.inv.gitems, { Coal__Rare__Normal: 1 });
+});
+
+check("v2 maps old decor types to categories and fills kind and animOffset", () => {
+  const { save } = migrate(1, {
+    decor: [
+      { type: "tree", x: 1, y: 1 },
+      { type: "rock", x: 2, y: 1, kind: "Coal" },
+      { type: "flower", x: 3, y: 1, animOffset: 7 },
+    ],
+  }, { rng: () => 0.75, decorKinds: { Trees: ["Oak", "Pine"], minerals: ["Rock"], flowers: ["Rose"] } });
+  assert.deepEqual(save.decor.map((d) => [d.type, d.kind, d.animOffset]), [
+    ["Trees", "Pine", 750],
+    ["minerals", "Coal", 750],
+    ["flowers", "Rose", 7],
+  ]);
+});
+
+check("v3 queues path tiles back to grass", () => {
+  const tiles = { Grass: 0, Path: 4, Soil: 1 };
+  const grid = [[{ tileId: 0 }, { tileId: 4 }], [{ tileId: 4 }, { tileId: 1 }]];
+  const out = migrate(2, {}, { tiles, world: { width: 2, height: 2, tileAt: (x, y) => grid[y][x] } });
+  assert.deepEqual(out.tileOps, [
+    { x: 1, y: 0, patch: { tileId: 0, walkable: true } },
+    { x: 0, y: 1, patch: { tileId: 0, walkable: true } },
+  ]);
+});
+
+check("v4 prunes trees where the roll is under a half and frees their tiles", () => {
+  const rolls = [0.1, 0.9];
+  const out = migrate(3, {
+    decor: [
+      { type: "Trees", x: 1, y: 1 },
+      { type: "minerals", x: 2, y: 2 },
+      { type: "Trees", x: 3, y: 3 },
+    ],
+  }, { rng: () => rolls.shift() });
+  assert.deepEqual(out.save.decor.map((d) => d.x), [2, 3]);
+  assert.deepEqual(out.tileOps, [{ x: 1, y: 1, patch: { walkable: true } }]);
+});
+
+check("v4 and v5 are skipped for saves that already ran their legacy one-offs", () => {
+  const out = migrate(3, {
+    decor: [{ type: "Trees", x: 1, y: 1 }],
+    inv: { seeds: { turnip: 3 } },
+  }, { rng: () => 0, legacyFlag: () => true });
+  assert.equal(out.save.decor.length, 1);
+  assert.equal(out.save.inv.seeds.turnip, 3);
+  assert.ok(!out.applied.includes("prune-trees-half"));
+  assert.ok(!out.applied.includes("remove-default-seeds"));
+  assert.equal(out.to, 8);
+});
+
+check("v5 removes the starter seeds", () => {
+  const { save } = migrate(4, { inv: { seeds: { turnip: 3, wheat: 2, corn: 1, tomato: 4 } } });
+  assert.deepEqual(save.inv.seeds, { turnip: 0, wheat: 0, corn: 0, tomato: 4 });
+});
+
+check("v6 moves crop counts into identity stacks under their produce name", () => {
+  const { save } = migrate(5, {
+    inv: { crops: { turnip: 2, beet: 1 }, gitems: { Turnip__Unknown__Unknown: 1 } },
+  }, { crops: { turnip: "Turnip" } });
+  assert.equal(save.inv.crops, undefined);
+  assert.deepEqual(save.inv.gitems, { Turnip__Unknown__Unknown: 3, Beet__Unknown__Unknown: 1 });
+});
+
+check("v7 moves bunker planters into the bunker zone save", () => {
+  const plant = { type: "wheat", stage: 1, growthMs: 10 };
+  const { save } = migrate(6, {
+    bunker: { rooms: { garden: 1 }, tiles: [[2, 3, plant], [4, 4, null]], tickAt: 123 },
+  }, { tiles: { Soil: 9 } });
+  assert.deepEqual(save.bunker, { rooms: { garden: 1 } });
+  assert.deepEqual(save.zones.bunker, {
+    tiles: [[2, 3, 9, 1, 1, Number.MAX_SAFE_INTEGER, plant]],
+    tickAt: 123,
+  });
+});
+
+check("v7 keeps a bunker zone that is already saved", () => {
+  const zone = { tiles: [], tickAt: 5 };
+  const { save } = migrate(6, { bunker: { tiles: [[1, 1, {}]] }, zones: { bunker: zone } });
+  assert.deepEqual(save.zones.bunker, zone);
+  assert.equal(save.bunker.tiles, undefined);
+});
+
+check("v8 carries a legacy bunker claim into rooms", () => {
+  const ctx = { legacyValue: (k) => (k === "junkora-bunker-type" ? "garden" : null), bunkerRooms: ["garden"] };
+  const { save } = migrate(7, { player: { x: 1, y: 1 } }, ctx);
+  assert.deepEqual(save.bunker, { rooms: { garden: 1 }, restedAt: 0 });
+});
+
+check("v8 ignores unknown claims, new games and saves that already have a bunker", () => {
+  const ctx = { legacyValue: () => "vault", bunkerRooms: ["garden"] };
+  assert.deepEqual(migrate(7, { player: {} }, ctx).save.bunker, { rooms: {}, restedAt: 0 });
+  assert.equal(migrate(7, {}, ctx).save.bunker, undefined);
+  const bunker = { rooms: { armory: 2 }, restedAt: 9 };
+  assert.deepEqual(migrate(7, { player: {}, bunker }, ctx).save.bunker, bunker);
+});
+
+check("run() on a current save changes nothing", () => {
+  const save = { schemaVersion: 8, inv: {} };
+  const out = SaveMigrations.run(save);
+  assert.equal(out.save, save);
+  assert.deepEqual(out.applied, []);
+});
+
+check("run() works on a copy and reports what it applied", () => {
+  const save = { schemaVersion: 4, inv: { seeds: { turnip: 1 } } };
+  const out = SaveMigrations.run(save);
+  assert.equal(save.inv.seeds.turnip, 1);
+  assert.equal(out.save.schemaVersion, 8);
+  assert.deepEqual([out.from, out.to], [4, 8]);
+  assert.deepEqual(out.applied, ["remove-default-seeds", "crop-identity-stacks", "bunker-zone-tiles", "bunker-legacy-claim"]);
+});
+
+// Registers a throwing migration, so it runs last
+check("a migration that throws rolls the whole run back", () => {
+  SaveMigrations.register({
+    version: 99,
+    name: "always-fails",
+    up() {
+      throw new Error("boom");
+    },
+  });
+  const save = { schemaVersion: 4, inv: { seeds: { turnip: 1 } } };
+  const out = SaveMigrations.run(save);
+  assert.equal(out.save, save);
+  assert.equal(out.to, 4);
+  assert.equal(out.error.version, 99);
+  assert.equal(out.error.error.message, "boom");
+});
+
+run();
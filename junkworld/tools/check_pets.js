@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/*
+  Pet rule checks (pets.js).
+  - Pets.feed: fed time stacking up to MAX_FED_MS, meal XP (double for favourites) and level-ups.
+  - Pets.bonuses: nothing while unfed, then each built-in species' bonus curve by level.
+
+  Usage:
+      node tools/check_pets.js   # exits non-zero if any check fails
+*/
+
+const assert = require("assert/strict");
+const { check, run, load } = require("./check.js");
+
+const { Pets } = load(["pets.js"]);
+
+const NOW = 1_000_000;
+
+check("a new pet starts unfed at level 1", () => {
+  const pet = Pets.create("scrap_pup");
+  assert.deepEqual(pet, { species: "scrap_pup", name: "Scrap Pup", level: 1, xp: 0, fedUntil: 0 });
+  assert.equal(Pets.create("bloom_moth", "Dusty").name, "Dusty");
+  assert.throws(() => Pets.create("dragon"), /unknown species/);
+});
+
+check("feeding keeps a pet fed for FEED_MS from now, or from when it would get hungry", () => {
+  const pet = Pets.create("scrap_pup");
+  Pets.feed(pet, "beet", NOW);
+  assert.equal(pet.fedUntil, NOW + Pets.FEED_MS);
+  Pets.feed(pet, "beet", NOW + 1000);
+  assert.equal(pet.fedUntil, NOW + 2 * Pets.FEED_MS);
+  // A long-hungry pet starts over from now
+  const later = NOW + 10 * Pets.MAX_FED_MS;
+  Pets.feed(pet, "beet", later);
+  assert.equal(pet.fedUntil, later + Pets.FEED_MS);
+});
+
+check("a full pet refuses food and gains nothing", () => {
+  const pet = Pets.create("scrap_pup");
+  const meals = Pets.MAX_FED_MS / Pets.FEED_MS;
+  for (let i = 0; i < meals; i++) assert.notEqual(Pets.feed(pet, "beet", NOW), null);
+  assert.equal(pet.fedUntil, NOW + Pets.MAX_FED_MS);
+  const before = { ...pet };
+  assert.equal(Pets.feed(pet, "beet", NOW), null);
+  assert.deepEqual(pet, before);
+  // Room for one more meal once FEED_MS has passed
+  assert.notEqual(Pets.feed(pet, "beet", NOW + Pets.FEED_MS), null);
+});
+
+check("favourite crops give double XP", () => {
+  const pup = Pets.create("scrap_pup");
+  assert.deepEqual(Pets.feed(pup, "beet", NOW), { xp: 5, levels: 0 });
+  assert.deepEqual(Pets.feed(pup, "corn", NOW), { xp: 10, levels: 1 });
+  assert.deepEqual([pup.level, pup.xp], [2, 0]);
+  const moth = Pets.create("bloom_moth");
+  assert.equal(Pets.feed(moth, "corn", NOW).xp, 5);
+  assert.equal(Pets.feed(moth, "wheat", NOW).xp, 10);
+});
+
+check("XP carries over levels and stops at MAX_LEVEL", () => {
+  const pet = Pets.create("scrap_pup");
+  assert.equal(Pets.addXp(pet, 15 + 30 + 7), 2);
+  assert.deepEqual([pet.level, pet.xp], [3, 7]);
+  Pets.addXp(pet, 100000);
+  assert.deepEqual([pet.level, pet.xp], [Pets.MAX_LEVEL, 0]);
+  assert.equal(Pets.xpToNext(Pets.MAX_LEVEL), Infinity);
+  assert.equal(Pets.feed(pet, "corn", NOW).levels, 0);
+  assert.equal(pet.xp, 0);
+});
+
+check("bonuses are empty while the pet is unfed", () => {
+  const empty = { staminaSave: 0, flowerGatherMs: null };
+  const pet = Pets.create("scrap_pup");
+  assert.deepEqual(Pets.bonuses(pet, NOW), empty);
+  Pets.feed(pet, "beet", NOW);
+  assert.deepEqual(Pets.bonuses(pet, NOW + Pets.FEED_MS), empty);
+  assert.deepEqual(Pets.bonuses(null, NOW), empty);
+  assert.deepEqual(Pets.bonuses({ species: "dragon", level: 1, fedUntil: NOW + 1 }, NOW), empty);
+});
+
+check("a fed Scrap Pup saves stamina, more with each level", () => {
+  const pet = Pets.create("scrap_pup");
+  Pets.feed(pet, "beet", NOW);
+  const save = (level) => Pets.bonuses({ ...pet, level }, NOW).staminaSave;
+  assert.equal(save(1), 0.1);
+  assert.ok(Math.abs(save(5) - 0.26) < 1e-9);
+  assert.ok(Math.abs(save(Pets.MAX_LEVEL) - 0.46) < 1e-9);
+  // Saved levels past the cap count as MAX_LEVEL
+  assert.equal(save(99), save(Pets.MAX_LEVEL));
+  assert.equal(Pets.bonuses(pet, NOW).flowerGatherMs, null);
+});
+
+check("a fed Bloom Moth gathers flowers faster with each level, down to 15 s", () => {
+  const pet = Pets.create("bloom_moth");
+  Pets.feed(pet, "wheat", NOW);
+  const every = (level) => Pets.bonuses({ ...pet, level }, NOW).flowerGatherMs;
+  assert.equal(every(1), 60000);
+  assert.equal(every(4), 45000);
+  assert.equal(every(Pets.MAX_LEVEL), 15000);
+  assert.equal(Pets.bonuses(pet, NOW).staminaSave, 0);
+});
+
+run();
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/*
+  Seed SQL generator for the items/skills catalog.
+  - Reads the client catalog (itemlist.js, skilllist.js) and emits idempotent upserts,
+    so the server knows every slug the client can gather, craft or level.
+  - Also emits the gather loot of every node kind (item.js loot tables at skill level 1, plus the
+    skill that scales them), which world_apply rolls when it credits a harvest, and the gather settings
+    (ItemSystem.skillBonus, SkillList.xpCurve, and the harvest rate limit from GatherSystem.timeMs) it
+    levels, scales and throttles with.
+  - And the shop's prices (prices.js): each base item's sell_price and the rarity/quality multipliers in
+    shop_mults, which shop_sell pays with.
+  - Re-running after editing the lists updates names and categories in place; ids/slugs never change.
+
+  Usage:
+      node tools/gen_seed_sql.js                            # print to stdout
+      node tools/gen_seed_sql.js supabase_seed_catalog.sql  # write file
+  Apply the output after supabase_mmorpg.sql (SQL editor or psql).
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+global.window = {};
+for (const file of [
+  "itemlist.js",
+  "skilllist.js",
+  "item.js",
+  "crops.js",
+  "prices.js",
+  "gather.js",
+  "weather.js",
+  "bunker.js",
+  "worldgen.js",
+]) {
+  require(path.join(__dirname, "..", file));
+}
+const { ItemList, SkillList, ItemSystem, ShopPrices, GatherSystem, WeatherSystem, BunkerRooms, WorldGen } = global.window;
+
+function lit(v) {
+  return "'" + String(v).replace(/'/g, "''") + "'";
+}
+
+function json(v) {
+  return lit(JSON.stringify(v)) + "::jsonb";
+}
+
+// Node type -> ItemSystem category, and the node name main.js gathers with (gatherNode)
+const NODE_CATEGORY = { Trees: "tree", flowers: "flower", minerals: "mineral" };
+const nodeName = (type, kind) => (type === "Trees" ? `${kind} Tree` : kind);
+
+// The fastest a gather can finish (main.js gatherTimeMs): the quickest weather and every bunker room at
+// its top level
+function minGatherMs() {
+  const weather = Math.min(...Object.values(WeatherSystem.kinds).map((k) => k.effects.gatherTimeMult));
+  const top = {};
+  for (const room of BunkerRooms.list()) top[room.slug] = BunkerRooms.maxLevel(room.slug);
+  return Math.floor(GatherSystem.timeMs * weather * BunkerRooms.bonuses(top).gatherTimeMult);
+}
+
+// What gathering `name` yields: catalog slug plus the base odds of its rarity cascade and qualities
+function lootFor(category, name) {
+  const item = ItemSystem.gather(category, name, { rng: () => 0.99 }).name;
+  const tuple = ItemList.findAnyByName(item);
+  if (!tuple) throw new Error(`No ItemList entry for '${item}' (gathered from '${name}')`);
+  const odds = ItemSystem.oddsFor(category, name, 1);
+  const round = (p) => +p.toPrecision(6);
+  return {
+    slug: tuple[0],
+    skill: ItemSystem.skillFor(category, name),
+    rarity: odds.rarity.filter((r) => r.name !== "Common").map((r) => [r.name, round(r.chance)]),
+    quality: odds.quality.map((q) => [q.name, round(q.weight)]),
+  };
+}
+
+function build() {
+  const out = [];
+  out.push("-- Generated by tools/gen_seed_sql.js from itemlist.js and skilllist.js. Do not edit by hand.");
+  out.push("BEGIN;");
+  out.push("");
+
+  out.push("-- Skills catalog");
+  out.push("INSERT INTO public.skills (id, slug, name) VALUES");
+  out.push(SkillList.skills.map(([id, slug, name]) => `  (${id}, ${lit(slug)}, ${lit(name)})`).join(",\n"));
+  out.push("ON CONFLICT (id) DO UPDATE SET slug = EXCLUDED.slug, name = EXCLUDED.name;");
+  out.push("");
+
+  // Base rows only; rarity/quality identity rows are created on demand by inventory_apply_batch
+  for (const cat of ["trees", "flowers", "minerals", "misc", "crafted", "crops"]) {
+    const rows = ItemList[cat];
+    if (!rows || rows.length === 0) continue;
+    out.push(`-- Items: ${cat}`);
+    out.push("INSERT INTO public.items (slug, name, category, stackable, sell_price) VALUES");
+    out.push(
+      rows
+        .map(([id, name]) => `  (${lit(id)}, ${lit(name)}, ${lit(cat)}, true, ${ShopPrices.basePrice(name)})`)
+        .join(",\n")
+    );
+    out.push(
+      "ON CONFLICT (slug) DO UPDATE SET name = EXCLUDED.name, category = EXCLUDED.category, sell_price = EXCLUDED.sell_price;"
+    );
+    out.push("");
+  }
+
+  out.push("-- Shop price multipliers");
+  out.push("DELETE FROM public.shop_mults;");
+  out.push("INSERT INTO public.shop_mults (kind, name, mult) VALUES");
+  const mults = [];
+  for (const kind of ["rarity", "quality"]) {
+    for (const [name, mult] of Object.entries(ShopPrices[kind])) mults.push(`  (${lit(kind)}, ${lit(name)}, ${mult})`);
+  }
+  mults.push(`  ('rarity', '*', ${ShopPrices.unknownRarity})`, `  ('quality', '*', ${ShopPrices.unknownQuality})`);
+  out.push(mults.join(",\n") + ";");
+  out.push("");
+
+  out.push("-- Gather settings");
+  out.push(
+    "INSERT INTO public.gather_settings (id, skill_per_level, skill_max, xp_base, xp_per_level, min_gather_ms) VALUES"
+  );
+  out.push(
+    `  (true, ${ItemSystem.skillBonus.perLevel}, ${ItemSystem.skillBonus.max}, ` +
+      `${SkillList.xpCurve.base}, ${SkillList.xpCurve.perLevel}, ${minGatherMs()})`
+  );
+  out.push(
+    "ON CONFLICT (id) DO UPDATE SET skill_per_level = EXCLUDED.skill_per_level, skill_max = EXCLUDED.skill_max,\n" +
+      "  xp_base = EXCLUDED.xp_base, xp_per_level = EXCLUDED.xp_per_level, min_gather_ms = EXCLUDED.min_gather_ms;"
+  );
+  out.push("");
+
+  // Level-1 odds; gather_credit scales them by the gatherer's level in the loot's skill
+  out.push("-- Gather loot per node kind");
+  out.push("DELETE FROM public.gather_loot;");
+  out.push("INSERT INTO public.gather_loot (node_type, kind, item_slug, skill, rarity, quality, secondary) VALUES");
+  const loot = [];
+  for (const [type, kinds] of Object.entries(WorldGen.decorKinds)) {
+    const category = NODE_CATEGORY[type];
+    for (const kind of kinds) {
+      const main = lootFor(category, nodeName(type, kind));
+      const table = ItemSystem.getLootTable(kind);
+      const secondary = ((table && table.secondary) || []).map((drop) => {
+        const dCat = String(drop.category || category).toLowerCase();
+        const { skill, ...stack } = lootFor(dCat, drop.name); // secondaries roll at the node's level
+        return { ...stack, chance: drop.chance || 0, qty: drop.qty || 1 };
+      });
+      loot.push(
+        `  (${lit(type)}, ${lit(kind)}, ${lit(main.slug)}, ${lit(main.skill)}, ` +
+          `${json(main.rarity)}, ${json(main.quality)}, ${json(secondary)})`
+      );
+    }
+  }
+  out.push(loot.join(",\n") + ";");
+  out.push("");
+
+  out.push("COMMIT;");
+  return out.join("\n") + "\n";
+}
+
+const sql = build();
+const target = process.argv[2];
+if (target) {
+  fs.writeFileSync(path.resolve(process.cwd(), target), sql);
+  console.error(`Wrote ${target}`);
+} else {
+  process.stdout.write(sql);
+}
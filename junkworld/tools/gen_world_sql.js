@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/*
+  Seed SQL generator for the shared world's nodes.
+  - Rebuilds the shared world (WorldLayout.SHARED_WORLD_SEED) and every shared zone with the client generators
+    (worldgen.js, zones.js) and emits their gatherable nodes, so world_apply can check a harvested or
+    planted cell against what the generator put there instead of trusting the client's node.
+  - Also emits the node kinds per type (WorldGen.decorKinds), which world_apply allows for planted
+    nodes and respawn rerolls, and each shared zone's entries (spawns and portal arrivals), where
+    state_move lets a player arrive.
+  - Re-running replaces the world's rows; run it again whenever the generators or worldlayout.js change.
+
+  Usage:
+      node tools/gen_world_sql.js                          # print to stdout
+      node tools/gen_world_sql.js supabase_seed_world.sql  # write file
+  Apply the output after supabase_mmorpg.sql (SQL editor or psql).
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+global.window = {};
+for (const file of ["item.js", "worldlayout.js", "worldgen.js", "zones.js", "worldsync.js"]) {
+  require(path.join(__dirname, "..", file));
+}
+const { ItemSystem, WorldLayout, WorldGen, Zones, WorldSync } = global.window;
+
+function overworldNodes(seed) {
+  return WorldGen.generate(WorldLayout.generateOptions(seed, WorldGen.decorKinds, ItemSystem.mulberry32(seed))).decor;
+}
+
+// Where a player may enter each shared zone (state_move): its spawn, the arrival tile of every static
+// portal into it (portalArrival in main.js) and, on the overworld, where a new game starts
+function zoneEntries() {
+  const out = [];
+  const add = (zone, p) => {
+    if (p && !out.some((e) => e.zone === zone && e.x === p.x && e.y === p.y)) out.push({ zone, x: p.x, y: p.y });
+  };
+  add("overworld", WorldLayout.SPAWN);
+  for (const z of Zones.list()) {
+    if (!z.shared) continue;
+    add(z.id, z.spawn);
+    for (const from of Zones.list()) {
+      for (const portal of from.portals.filter((p) => p.to === z.id)) {
+        add(z.id, portal.arrive || z.portals.find((p) => p.to === from.id));
+      }
+    }
+  }
+  return out;
+}
+
+function lit(v) {
+  return "'" + String(v).replace(/'/g, "''") + "'";
+}
+
+function build() {
+  const world = WorldSync.worldKey({ generator: "biomes", seed: WorldLayout.SHARED_WORLD_SEED });
+  const zones = [{ id: "overworld", decor: overworldNodes(WorldLayout.SHARED_WORLD_SEED) }];
+  for (const z of Zones.list()) {
+    if (!z.shared || typeof z.generate !== "function") continue;
+    zones.push({ id: z.id, decor: z.generate(ItemSystem.mulberry32(WorldLayout.zoneSeed(z.id)), {}).decor });
+  }
+
+  const out = [];
+  out.push("-- Generated by tools/gen_world_sql.js from worldlayout.js, worldgen.js and zones.js. Do not edit by hand.");
+  out.push("BEGIN;");
+  out.push("");
+
+  out.push("-- Node kinds per type");
+  out.push("DELETE FROM public.world_node_kinds;");
+  out.push("INSERT INTO public.world_node_kinds (type, kind) VALUES");
+  const kinds = [];
+  for (const [type, list] of Object.entries(WorldGen.decorKinds)) {
+    for (const kind of list) kinds.push(`  (${lit(type)}, ${lit(kind)})`);
+  }
+  out.push(kinds.join(",\n") + ";");
+  out.push("");
+
+  out.push(`-- Zone entries of ${world}`);
+  out.push(`DELETE FROM public.world_zone_entries WHERE world = ${lit(world)};`);
+  out.push("INSERT INTO public.world_zone_entries (world, zone, x, y) VALUES");
+  out.push(zoneEntries().map((e) => `  (${lit(world)}, ${lit(e.zone)}, ${e.x}, ${e.y})`).join(",\n") + ";");
+  out.push("");
+
+  out.push(`-- Generated nodes of ${world}`);
+  out.push(`DELETE FROM public.world_nodes WHERE world = ${lit(world)};`);
+  for (const z of zones) {
+    const nodes = z.decor.filter((d) => WorldGen.decorKinds[d.type]);
+    if (nodes.length === 0) continue;
+    out.push(`-- ${z.id}: ${nodes.length} nodes`);
+    out.push("INSERT INTO public.world_nodes (world, zone, x, y, type, kind, anim_offset) VALUES");
+    out.push(
+      nodes
+        .map((d) => `  (${lit(world)}, ${lit(z.id)}, ${d.x}, ${d.y}, ${lit(d.type)}, ${lit(d.kind)}, ${d.animOffset | 0})`)
+        .join(",\n") + ";"
+    );
+  }
+  out.push("");
+
+  out.push("COMMIT;");
+  return out.join("\n") + "\n";
+}
+
+const sql = build();
+const target = process.argv[2];
+if (target) {
+  fs.writeFileSync(path.resolve(process.cwd(), target), sql);
+  console.error(`Wrote ${target}`);
+} else {
+  process.stdout.write(sql);
+}
@@ -0,0 +1,101 @@
+/*
+  Weather System
+  - State machine over sky kinds (clear, acid rain, dust storm, heat wave). Each kind has a duration
+    range, weighted transitions to the next kind, and gameplay effects read by main.js.
+  - State is { kind, startedAt, endsAt } in wall-clock ms (Date.now), so the same state means the same
+    sky on every client; main.js shares it over the presence channel.
+
+  Public API (global):
+      WeatherSystem.kinds                   -> { [kind]: { label, minMs, maxMs, next, effects } }
+      WeatherSystem.effects(kind)           -> { waterDurationMult, gatherTimeMult, autoWater }
+      WeatherSystem.initial(now, rng?)      -> state (starts clear)
+      WeatherSystem.next(state, now, rng?)  -> state following `state`
+      WeatherSystem.isValid(state)          -> boolean
+*/
+
+(function () {
+  const MIN = 60 * 1000;
+
+  const kinds = {
+    clear: {
+      label: "Clear skies",
+      minMs: 4 * MIN,
+      maxMs: 8 * MIN,
+      next: { acid_rain: 3, dust_storm: 2, heat_wave: 2, clear: 1 },
+      effects: { waterDurationMult: 1, gatherTimeMult: 1, autoWater: false },
+    },
+    acid_rain: {
+      label: "Acid rain",
+      minMs: 2 * MIN,
+      maxMs: 4 * MIN,
+      next: { clear: 3, dust_storm: 1 },
+      // Rain keeps every tilled tile watered
+      effects: { waterDurationMult: 1, gatherTimeMult: 1.2, autoWater: true },
+    },
+    dust_storm: {
+      label: "Dust storm",
+      minMs: 1.5 * MIN,
+      maxMs: 3 * MIN,
+      next: { clear: 2, heat_wave: 1 },
+      effects: { waterDurationMult: 1, gatherTimeMult: 1.6, autoWater: false },
+    },
+    heat_wave: {
+      label: "Heat wave",
+      minMs: 3 * MIN,
+      maxMs: 5 * MIN,
+      next: { clear: 2, dust_storm: 1 },
+      effects: { waterDurationMult: 0.5, gatherTimeMult: 1, autoWater: false },
+    },
+  };
+
+  function effects(kind) {
+    return (kinds[kind] || kinds.clear).effects;
+  }
+
+  function durationFor(kind, rng) {
+    const k = kinds[kind] || kinds.clear;
+    return Math.round(k.minMs + rng() * (k.maxMs - k.minMs));
+  }
+
+  function pickWeighted(weights, rng) {
+    const entries = Object.entries(weights).filter(([k, w]) => kinds[k] && w > 0);
+    const total = entries.reduce((a, [, w]) => a + w, 0);
+    let roll = rng() * total;
+    for (const [k, w] of entries) {
+      roll -= w;
+      if (roll < 0) return k;
+    }
+    return entries.length ? entries[entries.length - 1][0] : "clear";
+  }
+
+  function initial(now, rng = Math.random) {
+    return { kind: "clear", startedAt: now, endsAt: now + durationFor("clear", rng) };
+  }
+
+  function next(state, now, rng = Math.random) {
+    const prev = state && kinds[state.kind] ? state.kind : "clear";
+    const kind = pickWeighted(kinds[prev].next, rng);
+    // Chain from the previous end so clients that catch up late land on the same boundaries
+    const startedAt = state && typeof state.endsAt === "number" && state.endsAt <= now ? Math.max(state.endsAt, now - MIN) : now;
+    return { kind, startedAt, endsAt: startedAt + durationFor(kind, rng) };
+  }
+
+  function isValid(state) {
+    return !!state && !!kinds[state.kind] && typeof state.startedAt === "number" && typeof state.endsAt === "number" && state.endsAt > state.startedAt;
+  }
+
+  const WeatherSystem = {
+    kinds,
+    effects,
+    initial,
+    next,
+    isValid,
+  };
+
+  if (typeof window !== "undefined") {
+    window.WeatherSystem = WeatherSystem;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { WeatherSystem };
+  }
+})();
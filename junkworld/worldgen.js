@@ -0,0 +1,308 @@
+/*
+  World Generation
+  - Seeded overworld terrain: smooth value noise picks a biome for every tile, carves lakes and rivers,
+    and places decor (Trees / flowers / minerals) whose kinds come from each biome's palette.
+  - Everything derives from the world seed, so the same seed rebuilds the same world (saves keep only the
+    tiles and decor that changed). main.js stores the seed in the save as `worldGen`; saves made before
+    seeded worlds keep the original fixed layout.
+  - Mineral rarity scales with distance from spawn: common ore near the farm, gems and legendary crystals
+    towards the edges of the map.
+  - Biome shape:
+      {
+        id: 'orchard',
+        label: 'Orchards',
+        ground: 'grass',               // tile kind under the biome (zones.js kinds)
+        density: 0.1,                  // decor per tile
+        weights: { Trees: 0.6, flowers: 0.35, minerals: 0.05 },
+        kinds: { Trees: [...], flowers: [...], minerals: [...] },   // preferred kinds (common minerals)
+        rubble: 0,                     // share of tiles that are impassable scrap heaps / boulders
+        pools: 0,                      // share of tiles that are standing water
+        rarityBoost: 0,                // added to the distance factor for mineral tiers
+      }
+
+  Public API (global):
+      WorldGen.decorKinds                            -> { Trees, flowers, minerals } every node kind there is art for
+      WorldGen.biomes / getBiome(id)
+      WorldGen.mineralTiers                          -> [{ kinds, weight(distance01) }]
+      WorldGen.biomeAt(seed, x, y)                   -> biome
+      WorldGen.pickMineral(rng, distance01, biome?)  -> mineral kind
+      WorldGen.generate({ seed, width, height, spawn, clear?, kinds?, rng? })
+          -> { tiles: [[kind]], decor: [{ x, y, type, kind, animOffset }] }
+         clear: [{ x, y, w, h }] areas kept dry, open and free of decor (farm, spawn, NPCs, gates)
+         kinds: { Trees, flowers, minerals } available asset kinds (ASSET_MANIFEST); biome picks are
+                limited to these
+*/
+
+(function () {
+  // Decor variants per category (per the assets folder); shared by worldgen, save migration, respawn and
+  // the server's seed tables (tools/gen_world_sql.js)
+  const decorKinds = {
+    Trees: ["Apple", "Birch", "Coconut", "Jacaranda", "Lemon", "Mango", "Maple", "Oak", "Orange", "Peach", "Pine", "Sakura", "Willow"],
+    flowers: ["Daisy", "Lotus", "Orchid", "Rose", "Sunflower", "Tulip"],
+    minerals: [
+      "Adamantite", "Amethyst", "Basalt", "Coal", "Copper Ore", "Diamond", "Emerald", "Gold Ore", "Granite", "Iron Ore",
+      "Limestone", "Marble", "Mooncrystal", "Mythril", "Obsidian", "Opal", "rock", "Ruby", "Sandstone", "Sapphire",
+      "Silver Ore", "Slate", "Starstone", "Tin Ore", "Topaz",
+    ],
+  };
+
+  const biomes = [
+    {
+      id: "wasteland",
+      label: "Wasteland",
+      ground: "grass",
+      density: 0.06,
+      weights: { Trees: 0.3, flowers: 0.6, minerals: 0.1 },
+      kinds: {
+        Trees: ["Oak", "Birch", "Maple", "Pine"],
+        flowers: ["Daisy", "Rose", "Tulip", "Sunflower", "Orchid"],
+        minerals: ["rock", "Granite", "Limestone", "Coal"],
+      },
+    },
+    {
+      id: "orchard",
+      label: "Orchards",
+      ground: "grass",
+      density: 0.1,
+      weights: { Trees: 0.6, flowers: 0.35, minerals: 0.05 },
+      kinds: {
+        Trees: ["Apple", "Lemon", "Mango", "Orange", "Peach", "Coconut", "Sakura", "Jacaranda"],
+        flowers: ["Daisy", "Tulip", "Rose", "Sunflower"],
+        minerals: ["rock", "Limestone"],
+      },
+    },
+    {
+      id: "toxic_swamp",
+      label: "Toxic Swamp",
+      ground: "grass",
+      density: 0.07,
+      weights: { Trees: 0.4, flowers: 0.5, minerals: 0.1 },
+      kinds: {
+        Trees: ["Willow"],
+        flowers: ["Lotus", "Orchid"],
+        minerals: ["Coal", "Slate", "rock"],
+      },
+      pools: 0.18,
+    },
+    {
+      id: "scrapyard",
+      label: "Scrapyard",
+      ground: "path",
+      density: 0.06,
+      weights: { Trees: 0.05, flowers: 0.15, minerals: 0.8 },
+      kinds: {
+        Trees: ["Pine"],
+        flowers: ["Sunflower", "Daisy"],
+        minerals: ["rock", "Iron Ore", "Copper Ore", "Tin Ore", "Coal"],
+      },
+      rubble: 0.12,
+    },
+    {
+      id: "badlands",
+      label: "Rocky Badlands",
+      ground: "grass",
+      density: 0.08,
+      weights: { Trees: 0.05, flowers: 0.1, minerals: 0.85 },
+      kinds: {
+        Trees: ["Pine"],
+        flowers: ["Sunflower"],
+        minerals: ["rock", "Granite", "Basalt", "Sandstone", "Limestone", "Slate"],
+      },
+      rubble: 0.06,
+      rarityBoost: 0.15,
+    },
+  ].map((b) => ({ rubble: 0, pools: 0, rarityBoost: 0, ...b }));
+  const byId = {};
+  for (const b of biomes) byId[b.id] = b;
+
+  // Tier 0 uses the biome's own mineral palette; the rarer tiers only open up away from spawn
+  const mineralTiers = [
+    { kinds: ["rock", "Coal", "Granite", "Limestone", "Sandstone", "Basalt", "Slate", "Copper Ore", "Tin Ore", "Iron Ore"], weight: () => 1 },
+    { kinds: ["Silver Ore", "Gold Ore", "Marble", "Obsidian"], weight: (d) => 0.05 + 0.5 * d },
+    { kinds: ["Amethyst", "Topaz", "Opal", "Emerald", "Ruby", "Sapphire"], weight: (d) => Math.max(0, d - 0.25) * 0.5 },
+    { kinds: ["Diamond", "Mythril", "Adamantite"], weight: (d) => Math.max(0, d - 0.5) * 0.4 },
+    { kinds: ["Mooncrystal", "Starstone"], weight: (d) => Math.max(0, d - 0.75) * 0.4 },
+  ];
+
+  // ----- Noise -----
+  function hash2(seed, x, y) {
+    let h = (seed ^ Math.imul(x, 374761393) ^ Math.imul(y, 668265263)) >>> 0;
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+  }
+
+  const smooth = (t) => t * t * (3 - 2 * t);
+
+  // Value noise in [0, 1) with `scale` tiles per cell
+  function valueNoise(seed, x, y, scale) {
+    const fx = x / scale;
+    const fy = y / scale;
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const sx = smooth(fx - x0);
+    const sy = smooth(fy - y0);
+    const a = hash2(seed, x0, y0);
+    const b = hash2(seed, x0 + 1, y0);
+    const c = hash2(seed, x0, y0 + 1);
+    const d = hash2(seed, x0 + 1, y0 + 1);
+    return (a + (b - a) * sx) + ((c + (d - c) * sx) - (a + (b - a) * sx)) * sy;
+  }
+
+  // Three octaves, renormalised back to [0, 1)
+  function fbm(seed, x, y, scale) {
+    return (valueNoise(seed, x, y, scale) * 4 + valueNoise(seed + 1, x, y, scale / 2) * 2 + valueNoise(seed + 2, x, y, scale / 4)) / 7;
+  }
+
+  // Each noise layer gets its own seed so they don't line up
+  const layer = (seed, n) => (seed + Math.imul(n, 0x9e3779b1)) >>> 0;
+
+  function biomeAt(seed, x, y) {
+    const wet = fbm(layer(seed, 1), x, y, 40);
+    const ruin = fbm(layer(seed, 2), x, y, 36);
+    if (wet > 0.6) return byId.toxic_swamp;
+    if (ruin > 0.6) return byId.scrapyard;
+    if (ruin < 0.4 && wet < 0.45) return byId.badlands;
+    if (wet > 0.5 && ruin < 0.5) return byId.orchard;
+    return byId.wasteland;
+  }
+
+  function pickFrom(list, rng) {
+    return list[Math.floor(rng() * list.length) % list.length];
+  }
+
+  function pickMineral(rng, distance01, biome) {
+    const d = Math.min(1, Math.max(0, distance01 + ((biome && biome.rarityBoost) || 0)));
+    const weights = mineralTiers.map((t) => t.weight(d));
+    let r = rng() * weights.reduce((a, w) => a + w, 0);
+    let tier = 0;
+    while (tier < weights.length - 1 && r >= weights[tier]) r -= weights[tier++];
+    const common = biome && biome.kinds.minerals && biome.kinds.minerals.length ? biome.kinds.minerals : mineralTiers[0].kinds;
+    return pickFrom(tier === 0 ? common : mineralTiers[tier].kinds, rng);
+  }
+
+  function inAny(rects, x, y, pad = 0) {
+    return rects.some((r) => x >= r.x - pad && y >= r.y - pad && x < r.x + r.w + pad && y < r.y + r.h + pad);
+  }
+
+  // ----- Generation -----
+  function generate(opts) {
+    const { seed, width, height } = opts;
+    const spawn = opts.spawn || { x: Math.floor(width / 2), y: Math.floor(height / 2) };
+    const clear = opts.clear || [];
+    const rng = opts.rng || Math.random;
+    const available = opts.kinds || null;
+
+    const tiles = [];
+    const biomeGrid = [];
+    for (let y = 0; y < height; y++) {
+      const row = [];
+      const brow = [];
+      for (let x = 0; x < width; x++) {
+        const b = biomeAt(seed, x, y);
+        brow.push(b);
+        let kind = b.ground;
+        const lake = fbm(layer(seed, 3), x, y, 28);
+        const detail = hash2(layer(seed, 4), x, y);
+        if (lake < 0.27) kind = "water";
+        else if (b.pools && valueNoise(layer(seed, 5), x, y, 3) < b.pools) kind = "water";
+        else if (b.rubble && detail < b.rubble) kind = "rubble";
+        row.push(kind);
+      }
+      tiles.push(row);
+      biomeGrid.push(brow);
+    }
+
+    // Rivers run north to south, one either side of the farm, meandering with low-frequency noise.
+    // Every 24 rows a two-tile bridge keeps the map connected.
+    const bands = [
+      [Math.floor(width * 0.1), Math.floor(width * 0.3)],
+      [Math.floor(width * 0.7), Math.floor(width * 0.9)],
+    ];
+    bands.forEach(([lo, hi], i) => {
+      const base = lo + Math.floor(rng() * (hi - lo));
+      const bridgeOffset = Math.floor(rng() * 24);
+      for (let y = 0; y < height; y++) {
+        const cx = base + Math.round((valueNoise(layer(seed, 6 + i), 0, y, 20) - 0.5) * 16);
+        const bridge = (y + bridgeOffset) % 24 < 2;
+        for (let x = cx - 1; x <= cx + 1; x++) {
+          if (x < 0 || x >= width) continue;
+          tiles[y][x] = bridge ? "path" : "water";
+        }
+      }
+    });
+
+    // Keep the reserved areas (plus a one-tile margin) dry and open
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (inAny(clear, x, y, 1) && (tiles[y][x] === "water" || tiles[y][x] === "rubble")) tiles[y][x] = "grass";
+      }
+    }
+
+    const nearWater = (x, y) => {
+      for (let j = -1; j <= 1; j++) {
+        for (let i = -1; i <= 1; i++) {
+          const row = tiles[y + j];
+          if (row && row[x + i] === "water") return true;
+        }
+      }
+      return false;
+    };
+
+    const palette = (biome, type) => {
+      const all = (available && available[type]) || [];
+      const preferred = (biome.kinds[type] || []).filter((k) => !available || all.includes(k));
+      return preferred.length ? preferred : all;
+    };
+
+    const maxDist = Math.max(
+      Math.hypot(spawn.x, spawn.y),
+      Math.hypot(width - spawn.x, spawn.y),
+      Math.hypot(spawn.x, height - spawn.y),
+      Math.hypot(width - spawn.x, height - spawn.y)
+    );
+
+    const decor = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const b = biomeGrid[y][x];
+        const ground = tiles[y][x];
+        if (ground === "water" || ground === "rubble") continue;
+        if (rng() >= b.density) continue;
+        if (inAny(clear, x, y, 1) || nearWater(x, y)) continue;
+        const r = rng();
+        const type = r < b.weights.Trees ? "Trees" : r < b.weights.Trees + b.weights.flowers ? "flowers" : "minerals";
+        let kind;
+        if (type === "minerals") {
+          const dist = Math.hypot(x - spawn.x, y - spawn.y) / maxDist;
+          kind = pickMineral(rng, dist, { ...b, kinds: { minerals: palette(b, "minerals") } });
+        } else {
+          const list = palette(b, type);
+          if (!list.length) continue;
+          kind = pickFrom(list, rng);
+        }
+        decor.push({ x, y, type, kind, animOffset: Math.floor(rng() * 1000) });
+      }
+    }
+
+    return { tiles, decor };
+  }
+
+  const WorldGen = {
+    decorKinds,
+    biomes,
+    getBiome(id) {
+      return byId[id] || null;
+    },
+    mineralTiers,
+    biomeAt,
+    pickMineral,
+    generate,
+  };
+
+  if (typeof window !== "undefined") {
+    window.WorldGen = WorldGen;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { WorldGen };
+  }
+})();
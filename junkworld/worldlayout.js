@@ -0,0 +1,71 @@
+/*
+  World Layout
+  - The fixed inputs of the overworld: its size, the shared world's seed, the farm plot, the new-game
+    spawn, the Prophecy Seller and the static gates, plus the seed every other zone generates from.
+  - main.js (generateWorld, buildZone), zones.js (the overworld zone) and the seed tools
+    (tools/gen_world_sql.js) all read them from here, so the server's generated nodes are built from
+    exactly the inputs the client generates its terrain from.
+
+  Public API (global):
+      WorldLayout.SHARED_WORLD_SEED                -> seed new games generate (and share through world_cells)
+      WorldLayout.WORLD_W / WORLD_H                -> overworld size in tiles
+      WorldLayout.FARM                             -> { x, y, w, h } soil plot in the middle of the map
+      WorldLayout.SPAWN                            -> { x, y } where a new seeded game starts, west of the farm
+      WorldLayout.SELLER                           -> { x, y } the Prophecy Seller
+      WorldLayout.OVERWORLD_GATES                  -> [{ x, y, to }] static portals on the overworld
+      WorldLayout.generateOptions(seed, kinds, rng) -> WorldGen.generate() options for a seeded overworld
+      WorldLayout.zoneSeed(id)                     -> uint32 seed of a zone's generate()
+*/
+
+(function () {
+  const SHARED_WORLD_SEED = 0x4a554e4b;
+  const WORLD_W = 256;
+  const WORLD_H = 120;
+  const FARM = { x: Math.floor(WORLD_W / 2 - 12), y: Math.floor(WORLD_H / 2 - 8), w: 24, h: 16 };
+  const SPAWN = { x: FARM.x - 3, y: FARM.y + Math.floor(FARM.h / 2) };
+  const SELLER = { x: 128, y: 59 };
+  const OVERWORLD_GATES = [{ x: WORLD_W - 1, y: 60, to: "scrap_flats" }]; // east edge of the map
+
+  // Farm (with room for the hatch and spawn), the Prophecy Seller and the zone gates stay open
+  function generateOptions(seed, kinds, rng) {
+    return {
+      seed,
+      width: WORLD_W,
+      height: WORLD_H,
+      spawn: SPAWN,
+      clear: [
+        { x: FARM.x - 4, y: FARM.y - 4, w: FARM.w + 8, h: FARM.h + 8 },
+        { x: SELLER.x - 2, y: SELLER.y - 2, w: 5, h: 5 },
+        ...OVERWORLD_GATES.map((g) => ({ x: g.x - 2, y: g.y - 2, w: 3, h: 5 })),
+      ],
+      kinds,
+      rng,
+    };
+  }
+
+  // FNV-1a of the zone id, so a revisit rebuilds the same map
+  function zoneSeed(id) {
+    let h = 2166136261;
+    for (let i = 0; i < id.length; i++) h = Math.imul(h ^ id.charCodeAt(i), 16777619);
+    return h >>> 0;
+  }
+
+  const WorldLayout = {
+    SHARED_WORLD_SEED,
+    WORLD_W,
+    WORLD_H,
+    FARM,
+    SPAWN,
+    SELLER,
+    OVERWORLD_GATES,
+    generateOptions,
+    zoneSeed,
+  };
+
+  if (typeof window !== "undefined") {
+    window.WorldLayout = WorldLayout;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { WorldLayout };
+  }
+})();
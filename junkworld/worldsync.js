@@ -0,0 +1,238 @@
+/*
+  World Sync
+  - Shares one world between players. Gatherable node state (harvest counters, depletion, planted
+    nodes) and player-made tile state (tilled, watered, planted soil) of shared zones live in Supabase
+    world_cells, keyed by world (worldKey()), zone and tile. Tiles without a row are as generated.
+  - Gameplay code calls mark(zone, x, y, op) after a player changes a cell. Marks for one cell coalesce
+    and flush() reads the cell's current state through the `snapshot` callback, so only the latest state
+    is sent. 'harvest' marks count harvests, which the server applies as an atomic decrement against its
+    own counter (two players can't both take a node's last harvest). The server also rolls and credits
+    the items of each harvest it applies; they come back as the row's `gathered` stacks (onGathered).
+    'crop' marks send the tile and tell the server a crop was harvested there. Harvests and crops train
+    the player's skills on the server; the skill's new state comes back as the row's `skill` (onSkill).
+  - Time-driven changes (growth, drying, respawn timers) are never sent: every client runs them from the
+    same shared timestamps. The server owns node content: it takes type and kind from its generated
+    layout (or the planted cell), caps the counters, and sets respawnAt plus `regrow` (the kind and
+    maxHarvests an emptied node comes back with).
+  - Server rows are cached per cell; changes from other players arrive over a realtime subscription and
+    go to `onRemote`, except for cells with unsent marks, whose own flush result comes back instead.
+
+  Public API (global):
+      WorldSync.worldKey(worldGen)              -> 'legacy' | 'biomes:<seed>'
+      WorldSync.nodeState(decor)                -> node fields stored in world_cells.node
+      WorldSync.applyNode(decor, node)          -> decor (node fields replaced)
+      WorldSync.start({ world, snapshot, onRemote, onGathered, onSkill }) -> Promise  (loads the world's rows, subscribes)
+          snapshot(zone, x, y) -> { tile: encodeTileState array, node: nodeState | null } | null
+          onRemote(row, { rejected?, error? })
+          onGathered(row)                       row.gathered: [{ slug, base_slug, name, rarity, quality, qty }]
+          onSkill(skill)                        { slug, level, xp } after a harvest or crop trained it
+      WorldSync.active()                        -> boolean  (started and syncing a world)
+      WorldSync.mark(zone, x, y, op = 'tile')   op: 'tile' | 'node' | 'harvest' | 'crop'
+      WorldSync.pending(zone, x, y)             -> boolean
+      WorldSync.cellsFor(zone)                  -> [row]  cached world_cells rows
+      WorldSync.ownedByOther(zone, x, y, me)    -> boolean  (someone else's tilled plot)
+      WorldSync.flush()                         -> Promise<number>  (ops applied)
+      WorldSync.stop()
+*/
+
+(function () {
+  const MAX_BATCH = 200;                          // matches world_apply's array cap
+  const FLUSH_DELAY_MS = 750;
+  const RETRY_MS = 10000;
+  const PLOT_CLAIM_MS = 7 * 24 * 60 * 60 * 1000; // matches world_apply's claim lapse
+  const NODE_FIELDS = ["type", "kind", "animOffset", "maxHarvests", "remainingHarvests", "depleted", "respawnAt", "regrow", "sapling", "owner"];
+
+  function worldKey(worldGen) {
+    const g = worldGen || {};
+    return g.generator === "biomes" ? `biomes:${g.seed >>> 0}` : "legacy";
+  }
+
+  function cellKey(zone, x, y) {
+    return `${zone}:${x},${y}`;
+  }
+
+  function nodeState(d) {
+    const out = {};
+    for (const k of NODE_FIELDS) {
+      if (d[k] !== undefined) out[k] = d[k];
+    }
+    return out;
+  }
+
+  // Fields the state no longer has (a matured sapling, a regrown node's respawnAt) are dropped
+  function applyNode(d, node) {
+    for (const k of NODE_FIELDS) delete d[k];
+    return Object.assign(d, nodeState(node));
+  }
+
+  let state = null;  // { world, snapshot, onRemote, onGathered, onSkill, channel, timer }
+  let cells = {};    // latest server row per cell
+  let marks = {};    // unsent changes per cell: { zone, x, y, tile, node, harvests, crops }
+  let inflight = {}; // marks in the batch being sent
+
+  // Keeps the newer of two rows for a cell (realtime events and the initial load can cross)
+  function remember(row) {
+    if (!row || row.zone == null || !row.updated_at) return false;
+    const key = cellKey(row.zone, row.x, row.y);
+    const old = cells[key];
+    if (old && Date.parse(old.updated_at) > Date.parse(row.updated_at)) return false;
+    cells[key] = row;
+    return true;
+  }
+
+  function cellsFor(zone) {
+    return Object.values(cells).filter((r) => r.zone === zone);
+  }
+
+  function pending(zone, x, y) {
+    const key = cellKey(zone, x, y);
+    return !!marks[key] || !!inflight[key];
+  }
+
+  function ownedByOther(zone, x, y, me, now = Date.now()) {
+    const c = cells[cellKey(zone, x, y)];
+    if (!c || !c.owner || c.owner === me) return false;
+    return Date.parse(c.tile_at) + PLOT_CLAIM_MS > now;
+  }
+
+  function addMark(key, m) {
+    const cur = marks[key];
+    if (!cur) {
+      marks[key] = m;
+      return;
+    }
+    cur.tile = cur.tile || m.tile;
+    cur.node = cur.node || m.node;
+    cur.harvests += m.harvests;
+    cur.crops += m.crops;
+  }
+
+  function mark(zone, x, y, op = "tile") {
+    if (!state) return;
+    addMark(cellKey(zone, x, y), {
+      zone,
+      x,
+      y,
+      tile: op === "tile" || op === "crop",
+      node: op === "node",
+      harvests: op === "harvest" ? 1 : 0,
+      crops: op === "crop" ? 1 : 0,
+    });
+    schedule(FLUSH_DELAY_MS);
+  }
+
+  function schedule(delayMs) {
+    if (!state || state.timer) return;
+    state.timer = setTimeout(() => {
+      if (state) state.timer = null;
+      flush();
+    }, delayMs);
+  }
+
+  let flushing = false;
+  async function flush() {
+    if (flushing || !state || typeof window === "undefined" || !window.DB) return 0;
+    // Ops are built synchronously, so a flush started right before a zone switch still sees the cells
+    const ops = [];
+    for (const [key, m] of Object.entries(marks).slice(0, MAX_BATCH)) {
+      delete marks[key];
+      const snap = state.snapshot(m.zone, m.x, m.y);
+      if (!snap) continue;
+      const op = { zone: m.zone, x: m.x, y: m.y };
+      if (m.tile && snap.tile) op.tile = snap.tile;
+      if ((m.node || m.harvests > 0) && snap.node) op.node = snap.node;
+      if (m.harvests > 0 && op.node) op.harvests = m.harvests;
+      if (m.crops > 0 && op.tile) op.crops = m.crops;
+      if (!op.tile && !op.node) continue;
+      ops.push(op);
+      inflight[key] = m;
+    }
+    if (ops.length === 0) return 0;
+
+    flushing = true;
+    const current = state;
+    let failed = false;
+    try {
+      const results = await window.DB.applyWorldCells(current.world, ops);
+      if (state !== current) return 0;
+      inflight = {};
+      let applied = 0;
+      for (const r of results || []) {
+        const rejected = r.status !== "ok";
+        if (rejected) console.warn("World sync rejected:", r.zone, r.x, r.y, r.error);
+        else applied++;
+        remember(r);
+        // Credited server-side, so applied even when a newer local change wins the cell
+        if (!rejected && r.gathered && r.gathered.length > 0 && typeof current.onGathered === "function") {
+          current.onGathered(r);
+        }
+        if (!rejected && r.skill && typeof current.onSkill === "function") current.onSkill(r.skill);
+        // Changes made while the batch was in flight win until their own flush
+        if (!pending(r.zone, r.x, r.y) && typeof current.onRemote === "function") {
+          current.onRemote(r, { rejected, error: r.error });
+        }
+      }
+      return applied;
+    } catch (e) {
+      console.warn("World sync failed:", e);
+      failed = true;
+      for (const [key, m] of Object.entries(inflight)) addMark(key, m);
+      return 0;
+    } finally {
+      inflight = {};
+      flushing = false;
+      if (Object.keys(marks).length > 0) schedule(failed ? RETRY_MS : FLUSH_DELAY_MS);
+    }
+  }
+
+  async function start({ world, snapshot, onRemote, onGathered, onSkill } = {}) {
+    stop();
+    if (typeof window === "undefined" || !window.DB || !world) return;
+    const current = { world, snapshot, onRemote, onGathered, onSkill, channel: null, timer: null };
+    state = current;
+    // Subscribe before loading so nothing written in between is missed
+    current.channel = window.DB.subscribeWorldCells(world, (row) => {
+      if (state !== current || !remember(row)) return;
+      if (!pending(row.zone, row.x, row.y) && typeof onRemote === "function") onRemote(row, {});
+    });
+    const rows = await window.DB.listWorldCells(world);
+    if (state !== current) return;
+    for (const row of rows) remember(row);
+  }
+
+  function stop() {
+    if (state) {
+      if (state.timer) clearTimeout(state.timer);
+      try {
+        if (state.channel) state.channel.unsubscribe();
+      } catch (e) {}
+    }
+    state = null;
+    cells = {};
+    marks = {};
+    inflight = {};
+  }
+
+  const WorldSync = {
+    worldKey,
+    nodeState,
+    applyNode,
+    start,
+    active() {
+      return !!state;
+    },
+    mark,
+    pending,
+    cellsFor,
+    ownedByOther,
+    flush,
+    stop,
+  };
+
+  if (typeof window !== "undefined") {
+    window.WorldSync = WorldSync;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { WorldSync };
+  }
+})();
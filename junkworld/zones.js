@@ -0,0 +1,190 @@
+/*
+  Zones
+  - Registry of the maps a player can be in (overworld, bunker interior, wasteland zones). Each zone has
+    its own grid, decor and size; main.js keeps exactly one zone active in Game.world / Game.decor /
+    Game.size and moves between them through portals.
+  - The overworld (registered here from worldlayout.js) is generated by main.js generateWorld() and
+    persisted as world chunks; every other zone is built by its generate() and saved in the save blob
+    under `zones[id]` (tiles that differ from the generated grid, plus decor when persistDecor is set).
+  - Zone shape:
+      {
+        id: 'scrap_flats',
+        label: 'Scrap Flats',
+        width: 64, height: 40,
+        spawn: { x: 2, y: 20 },          // arrival when a portal doesn't name a tile
+        shared: true,                     // presence channel 'presence:<id>' and world_cells sync; false = private
+        outdoors: true,                   // weather applies (rain waters soil, overlay draws)
+        farm: false,                      // farm devices and tree/flower seeds can be placed
+        persistDecor: true,               // false = decor is rebuilt by generate() on every visit
+        background: '#0b0e12',            // canvas colour around a grid smaller than the screen
+        portals: [{ x: 0, y: 20, to: 'overworld' }],
+        generate(rng, ctx) -> { tiles: [[kind]], decor: [{ x, y, type, kind?, ... }] }
+      }
+    Tile kinds: 'grass' | 'soil' | 'path' | 'water' | 'floor' | 'wall' | 'rubble' | 'planter'
+    Portal: { x, y, to, arrive?, back? }. `arrive` is a tile in the target zone; without it the player
+    lands on the target zone's portal leading back here (else its spawn). `back: true` returns to the
+    tile the player entered from.
+
+  Public API (global):
+      Zones.register(zone)
+      Zones.get(id) / list()
+      Zones.portalAt(id, x, y)     -> portal | null   (static portals from the zone definition)
+      Zones.channelName(id)        -> 'presence:<id>' | null for private zones
+*/
+
+(function () {
+  const zones = {};
+  const order = [];
+
+  function register(zone) {
+    if (!zone || !zone.id) throw new Error("register(zone): zone.id is required.");
+    if (!(zone.width > 0) || !(zone.height > 0)) {
+      throw new Error(`register(zone): '${zone.id}' needs a width and height.`);
+    }
+    const z = {
+      label: zone.id,
+      spawn: { x: 1, y: 1 },
+      shared: true,
+      outdoors: true,
+      farm: false,
+      persistDecor: true,
+      background: "#0b0e12",
+      portals: [],
+      generate: null,
+      ...zone,
+    };
+    if (!zones[z.id]) order.push(z.id);
+    zones[z.id] = z;
+    return z;
+  }
+
+  function get(id) {
+    return zones[id] || null;
+  }
+
+  function portalAt(id, x, y) {
+    const z = zones[id];
+    return (z && z.portals.find((p) => p.x === x && p.y === y)) || null;
+  }
+
+  function channelName(id) {
+    const z = zones[id];
+    return z && z.shared ? `presence:${z.id}` : null;
+  }
+
+  // ----- Overworld: generated by main.js generateWorld() from worldlayout.js -----
+  if (typeof window !== "undefined" && window.WorldLayout) {
+    const L = window.WorldLayout;
+    register({
+      id: "overworld",
+      label: "Wasteland",
+      width: L.WORLD_W,
+      height: L.WORLD_H,
+      spawn: { x: Math.floor(L.WORLD_W / 2), y: Math.floor(L.WORLD_H / 2) },
+      farm: true,
+      background: "#3a5a40",
+      portals: L.OVERWORLD_GATES,
+    });
+  }
+
+  // ----- Scrap Flats: a mining zone east of the farm -----
+  // Cracked asphalt with grass patches and toxic puddles, walled in by scrap; ore is denser here and
+  // skews towards metals.
+  const FLATS_W = 64;
+  const FLATS_H = 40;
+  const FLATS_GATE_Y = 20;
+  const FLATS_ORES = ["rock", "rock", "Coal", "Iron Ore", "Iron Ore", "Copper Ore", "Tin Ore", "Silver Ore", "Gold Ore", "Slate", "Basalt"];
+  const FLATS_FLOWERS = ["Daisy", "Sunflower"];
+
+  register({
+    id: "scrap_flats",
+    label: "Scrap Flats",
+    width: FLATS_W,
+    height: FLATS_H,
+    spawn: { x: 2, y: FLATS_GATE_Y },
+    // The overworld end of this gate is WorldLayout.OVERWORLD_GATES
+    portals: [{ x: 0, y: FLATS_GATE_Y, to: "overworld" }],
+    generate(rng) {
+      const tiles = [];
+      for (let y = 0; y < FLATS_H; y++) {
+        const row = [];
+        for (let x = 0; x < FLATS_W; x++) {
+          const edge = x === 0 || y === 0 || x === FLATS_W - 1 || y === FLATS_H - 1;
+          row.push(edge ? "wall" : rng() < 0.12 ? "grass" : "path");
+        }
+        tiles.push(row);
+      }
+      // The gate itself is open ground
+      tiles[FLATS_GATE_Y][0] = "path";
+      // A few toxic puddles away from the gate
+      for (let i = 0; i < 6; i++) {
+        const cx = 8 + Math.floor(rng() * (FLATS_W - 14));
+        const cy = 3 + Math.floor(rng() * (FLATS_H - 7));
+        const w = 2 + Math.floor(rng() * 3);
+        const h = 2 + Math.floor(rng() * 2);
+        for (let y = cy; y < cy + h; y++) {
+          for (let x = cx; x < cx + w; x++) tiles[y][x] = "water";
+        }
+      }
+      const decor = [];
+      const taken = new Set();
+      for (let i = 0; i < Math.floor(FLATS_W * FLATS_H / 18); i++) {
+        const x = 1 + Math.floor(rng() * (FLATS_W - 2));
+        const y = 1 + Math.floor(rng() * (FLATS_H - 2));
+        const key = `${x},${y}`;
+        if (taken.has(key) || tiles[y][x] === "water" || tiles[y][x] === "wall") continue;
+        // Keep the gate and its approach clear
+        if (x < 5 && Math.abs(y - FLATS_GATE_Y) < 3) continue;
+        taken.add(key);
+        const flower = tiles[y][x] === "grass" && rng() < 0.5;
+        const kinds = flower ? FLATS_FLOWERS : FLATS_ORES;
+        decor.push({
+          x,
+          y,
+          type: flower ? "flowers" : "minerals",
+          kind: kinds[Math.floor(rng() * kinds.length)],
+          animOffset: Math.floor(rng() * 1000),
+        });
+      }
+      return { tiles, decor };
+    },
+  });
+
+  // Static portals are marked with a gate; it draws through the Customization registry like farm devices
+  if (typeof window !== "undefined" && window.Customization && window.Customization.additionalDecorations) {
+    window.Customization.additionalDecorations.zone_gate = {
+      walkable: true,
+      canInteract: false,
+      displayName: "Gate",
+      draw(ctx, px, py, tileSize) {
+        ctx.fillStyle = "rgba(0,229,255,0.18)";
+        ctx.fillRect(px + 2, py + 2, tileSize - 4, tileSize - 4);
+        ctx.strokeStyle = "#8b8f97";
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(px + 4, py + tileSize - 2);
+        ctx.lineTo(px + 4, py + 4);
+        ctx.lineTo(px + tileSize - 4, py + 4);
+        ctx.lineTo(px + tileSize - 4, py + tileSize - 2);
+        ctx.stroke();
+      },
+    };
+  }
+
+  const Zones = {
+    register,
+    get,
+    list() {
+      return order.map((id) => zones[id]);
+    },
+    portalAt,
+    channelName,
+  };
+
+  if (typeof window !== "undefined") {
+    window.Zones = Zones;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { Zones };
+  }
+})();